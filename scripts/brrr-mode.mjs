@@ -24,6 +24,10 @@ import 'dotenv/config';
  *   # API key loaded from .env automatically, or set manually:
  *   # export ANTHROPIC_API_KEY=sk-ant-...
  *   node scripts/brrr-mode.mjs
+ *
+ *   # Offline, with recorded agent reviews (src/data/llm-fixtures/) — a dry
+ *   # run: replayed reviews are never recorded, so promotions are refused
+ *   TERARRIUM_LLM_PROVIDER=replay node scripts/brrr-mode.mjs
  */
 
 import { readFileSync, writeFileSync, copyFileSync, existsSync, appendFileSync, mkdirSync } from 'node:fs';
@@ -35,7 +39,7 @@ const PROJECT_ROOT = resolve(__dirname, '..');
 
 // ── Imports from governance system ───────────────────────────────────────────
 
-const { createComponent, loadPipeline, savePipeline, promoteComponent, logActivity } =
+const { createComponent, loadPipeline, savePipeline, withPipelineLock, promoteComponent, logActivity } =
   await import(resolve(PROJECT_ROOT, 'src/governance/pipeline.mjs'));
 
 const { runGovernanceReview } =
@@ -86,9 +90,10 @@ function logSection(title) {
 
 function logAgentVerdict(agentId, agentTitle, verdict, score, analysis) {
   const emoji = verdict === 'approved' ? '✅' : verdict === 'vetoed' ? '🚫' : '⚠️';
-  const line = `| ${emoji} ${agentTitle} (${agentId}) | ${verdict} | ${score}/100 | ${(analysis || '').slice(0, 120).replace(/\n/g, ' ')} |\n`;
+  const scored = score === null ? '—' : `${score}/100`;
+  const line = `| ${emoji} ${agentTitle} (${agentId}) | ${verdict} | ${scored} | ${(analysis || '').slice(0, 120).replace(/\n/g, ' ')} |\n`;
   appendFileSync(LOG_FILE, line);
-  console.log(`  ${emoji} ${agentTitle}: ${verdict} (${score}/100)`);
+  console.log(`  ${emoji} ${agentTitle}: ${verdict} (${scored})`);
 }
 
 function logTable(headers) {
@@ -239,8 +244,8 @@ async function phaseWorkshopReviews() {
 
       // Log zone verdict
       const passed = review.zoneVerdict?.passed || review.overallVerdict === 'approved';
-      appendFileSync(LOG_FILE, `\n**Zone Verdict:** ${passed ? '✅ PASSED' : '❌ FAILED'} — ${review.zoneVerdict?.reason || review.summary}\n`);
-      log(`${comp.name}: ${passed ? 'PASSED' : 'FAILED'} — ${review.zoneVerdict?.reason || review.summary}`);
+      appendFileSync(LOG_FILE, `\n**Zone Verdict:** ${passed ? '✅ PASSED' : review.zoneVerdict?.incomplete ? '⏸️ INCOMPLETE' : '❌ FAILED'} — ${review.zoneVerdict?.reason || review.summary}\n`);
+      log(`${comp.name}: ${passed ? 'PASSED' : review.zoneVerdict?.incomplete ? 'INCOMPLETE' : 'FAILED'} — ${review.zoneVerdict?.reason || review.summary}`);
 
       results.push({ component: comp, review, passed });
 
@@ -332,7 +337,7 @@ async function phaseCanopyReviews() {
       }
 
       const passed = review.zoneVerdict?.passed || review.overallVerdict === 'approved';
-      appendFileSync(LOG_FILE, `\n**Zone Verdict:** ${passed ? '✅ UNANIMOUS APPROVAL' : '❌ FAILED'} — ${review.zoneVerdict?.reason || review.summary}\n`);
+      appendFileSync(LOG_FILE, `\n**Zone Verdict:** ${passed ? '✅ UNANIMOUS APPROVAL' : review.zoneVerdict?.incomplete ? '⏸️ INCOMPLETE' : '❌ FAILED'} — ${review.zoneVerdict?.reason || review.summary}\n`);
 
       // Check for AG veto specifically
       const agReview = (review.agentReviews || review.reviews || {}).ag;
@@ -373,12 +378,14 @@ async function phasePromoteToStable(canopyResults) {
     const result = promoteComponent(component.id);
     if (result.success) {
       // Shield the component
-      const pipeline = loadPipeline();
-      const stableComp = pipeline.stable.find(c => c.id === component.id);
-      if (stableComp) {
-        stableComp.shielded = true;
-        savePipeline(pipeline);
-      }
+      withPipelineLock(() => {
+        const pipeline = loadPipeline();
+        const stableComp = pipeline.stable.find(c => c.id === component.id);
+        if (stableComp) {
+          stableComp.shielded = true;
+          savePipeline(pipeline);
+        }
+      });
 
       log(`🏆 ${component.name} (${component.id}) promoted to STABLE and SHIELDED`);
       appendFileSync(LOG_FILE, `\n### 🏆 ${component.name} — STABLE\nShielded from re-review. Full lifecycle complete.\n`);
@@ -470,8 +477,10 @@ function phaseFinalSummary() {
 async function main() {
   // Check API key — warn but don't exit. Pipeline operations work without it.
   // Per Honesty Paradigm: agents return api-unavailable, never fake verdicts.
+  // Other providers (TERARRIUM_LLM_PROVIDER, e.g. replay for offline runs) need no key.
+  const usesAnthropic = (process.env.TERARRIUM_LLM_PROVIDER || 'anthropic') === 'anthropic';
   const hasApiKey = !!process.env.ANTHROPIC_API_KEY;
-  if (!hasApiKey) {
+  if (usesAnthropic && !hasApiKey) {
     console.warn('⚠️  ANTHROPIC_API_KEY not set. Agent reviews will return api-unavailable.');
     console.warn('   Pipeline operations (ingest, promote) will still execute.');
     console.warn('   Set it with: export ANTHROPIC_API_KEY=sk-ant-...');
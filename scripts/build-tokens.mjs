@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Token Build — Regenerates the token region of foundation.css from the
+ * DTCG files in src/tokens/ and reports drift between the two.
+ *
+ * Emits one block per theme (:root, [data-theme="dark"], ...) and per density
+ * mode ([data-density="compact"], ...). Fails without writing when references
+ * don't resolve, a semantic color has no dark-theme value, or the touch target
+ * drops below 44px at any density.
+ *
+ * Then writes every platform output listed under `formats` in
+ * src/tokens/tokens.config.json (ESM, SCSS, Tailwind preset, native JSON, ...).
+ *
+ * Usage:
+ *   node scripts/build-tokens.mjs                  # report drift, rewrite the region, emit formats
+ *   node scripts/build-tokens.mjs --check          # report drift only; exit 1 if any
+ *   node scripts/build-tokens.mjs --format scss    # emit only the named format(s), comma-separated
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { resolve, relative, dirname } from 'node:path';
+
+import { loadTokens } from '../src/tokens/token-engine.mjs';
+import { readRegion, replaceRegion, parseCustomPropertyBlocks, diffCustomProperties } from '../src/tokens/foundation-sync.mjs';
+import { auditDarkModeParity, auditDensity } from '../src/governance/agents/token-steward.mjs';
+
+const PROJECT_ROOT = resolve(import.meta.dirname, '..');
+const checkOnly = process.argv.includes('--check');
+const formatArg = process.argv.indexOf('--format');
+const onlyFormats = formatArg !== -1 ? process.argv[formatArg + 1]?.split(',') : null;
+
+const engine = loadTokens();
+const outputPath = resolve(PROJECT_ROOT, engine.config.css?.output || 'src/library/foundation.css');
+const outputRel = relative(PROJECT_ROOT, outputPath);
+const css = readFileSync(outputPath, 'utf-8');
+
+const region = readRegion(css);
+if (!region) {
+  console.error(`✗ ${outputRel} has no @tokens:start / @tokens:end region — nothing to sync.`);
+  process.exit(1);
+}
+
+// ── Reference diagnostics ────────────────────────────────────────────────────
+
+for (const d of engine.diagnostics.errors) {
+  console.error(`✗ ${d.file || 'unknown file'}: ${d.message}${d.theme ? ` (${d.theme} theme)` : ''}`);
+}
+if (engine.diagnostics.errors.length > 0) {
+  process.exit(1);
+}
+for (const d of engine.diagnostics.warnings) {
+  console.warn(`⚠ ${d.file || 'unknown file'}: ${d.message}`);
+}
+
+// ── Theme coverage and density ───────────────────────────────────────────────
+
+const parity = auditDarkModeParity(engine);
+for (const issue of parity.issues) {
+  console.error(`✗ ${issue}`);
+}
+if (parity.issues.length > 0) {
+  console.error('  Add the missing values to src/tokens/color.dark.tokens.json.');
+  process.exit(1);
+}
+
+const density = auditDensity(engine);
+for (const issue of density.issues) {
+  console.error(`✗ ${issue}`);
+}
+if (density.issues.length > 0) {
+  process.exit(1);
+}
+
+// ── Drift report ─────────────────────────────────────────────────────────────
+
+const blocks = parseCustomPropertyBlocks(region.body);
+let driftTotal = 0;
+
+for (const { selector, theme, density: mode } of engine.cssBlocks()) {
+  const expected = engine.cssVariables({ theme, density: mode });
+  const drift = diffCustomProperties(expected, blocks.get(selector) || new Map());
+  driftTotal += drift.total;
+
+  if (drift.total === 0) {
+    console.log(`✓ ${selector} in ${outputRel} matches the token files (${expected.length} properties)`);
+    continue;
+  }
+  console.log(`⚠ ${drift.total} drift item(s) between src/tokens and ${selector} in ${outputRel}:`);
+  for (const d of drift.changed) {
+    console.log(`  ~ ${d.name} (${d.path}): css "${d.css}" ≠ tokens "${d.tokens}"`);
+  }
+  for (const d of drift.missing) {
+    console.log(`  + ${d.name} (${d.path}): in tokens, not in css`);
+  }
+  for (const d of drift.extra) {
+    console.log(`  - ${d.name}: in the generated region, no token produces it`);
+  }
+}
+
+const blockSelectors = new Set(engine.cssBlocks().map(b => b.selector));
+for (const selector of blocks.keys()) {
+  if (!blockSelectors.has(selector)) {
+    console.log(`⚠ ${selector} block in the generated region matches no theme or density`);
+    driftTotal++;
+  }
+}
+
+if (checkOnly) {
+  process.exit(driftTotal > 0 ? 1 : 0);
+}
+
+// ── Regenerate ───────────────────────────────────────────────────────────────
+
+const next = replaceRegion(css, engine.toCSS());
+if (next === css) {
+  console.log('  No changes written.');
+} else {
+  writeFileSync(outputPath, next);
+  console.log(`  Regenerated token region in ${outputRel}`);
+}
+
+// ── Platform formats ─────────────────────────────────────────────────────────
+
+const formats = Object.entries(engine.config.formats || {})
+  .filter(([name]) => !onlyFormats || onlyFormats.includes(name));
+
+for (const [name, { output, ...options }] of formats) {
+  const target = resolve(PROJECT_ROOT, output);
+  mkdirSync(dirname(target), { recursive: true });
+  writeFileSync(target, engine.format(name, options));
+  console.log(`  ${name.padEnd(10)} → ${relative(PROJECT_ROOT, target)}`);
+}
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Time-Box Check — Reports how long each component has been in its zone and
+ * flags the overdue ones (src/governance/time-box.mjs): an initiative and an
+ * activity entry each, once per stay in a zone.
+ *
+ * Meant to run on a schedule (cron, CI) or by hand; the proxy can also run it
+ * every TERARRIUM_OVERDUE_CHECK_HOURS.
+ *
+ * Overdue components are a report, not a failure: the script exits 0 unless
+ * --fail-on-overdue is given (for a CI job that should go red), or on bad
+ * arguments. --now reports as of another date and never writes — flags raised
+ * for a date that is not today would be wrong.
+ *
+ * Usage:
+ *   node scripts/check-time-boxes.mjs               # flag overdue components
+ *   node scripts/check-time-boxes.mjs --dry-run     # report only, write nothing
+ *   node scripts/check-time-boxes.mjs --json        # machine-readable report
+ *   node scripts/check-time-boxes.mjs --now 2026-06-01  # as of another date (dry run)
+ *   node scripts/check-time-boxes.mjs --fail-on-overdue # exit 1 if anything is overdue
+ */
+
+import 'dotenv/config';
+
+import { checkOverdue, timeBoxReport } from '../src/governance/time-box.mjs';
+
+const json = process.argv.includes('--json');
+const failOnOverdue = process.argv.includes('--fail-on-overdue');
+const nowArg = process.argv.indexOf('--now');
+const now = nowArg !== -1 ? process.argv[nowArg + 1] : undefined;
+
+if (nowArg !== -1 && (!now || Number.isNaN(Date.parse(now)))) {
+  console.error(`✗ --now: not a date: ${now ?? '(missing)'}`);
+  process.exit(1);
+}
+
+// A what-if date never writes
+const dryRun = process.argv.includes('--dry-run') || nowArg !== -1;
+
+const report = timeBoxReport({ now });
+const result = checkOverdue({ now, dryRun });
+
+if (json) {
+  console.log(JSON.stringify({ ...report, ...result, dryRun }, null, 2));
+} else {
+  const { sprint } = report;
+  console.log(`${sprint.name} (${sprint.start.slice(0, 10)} – ${sprint.end.slice(0, 10)})\n`);
+  for (const c of report.components) {
+    const mark = c.overdue ? '✗' : '✓';
+    const over = c.overdue ? ` — overdue by ${c.sprintsOver} sprint(s)` : '';
+    console.log(`${mark} ${c.id} ${c.name} — ${c.zone}, sprint ${c.sprintsInZone} of ${c.timeBox.label}${over}`);
+  }
+  if (!report.components.length) console.log('  No components in time-boxed zones.');
+
+  const newly = result.flagged.map(f => f.initiativeId ? `${f.componentId} (${f.initiativeId})` : f.componentId);
+  if (newly.length) console.log(`\n${dryRun ? 'Would flag' : 'Flagged'}: ${newly.join(', ')}`);
+  if (result.alreadyFlagged.length) console.log(`Already flagged this stay: ${result.alreadyFlagged.join(', ')}`);
+}
+
+process.exit(failOnOverdue && result.overdue.length ? 1 : 0);
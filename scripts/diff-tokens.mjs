@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Token Diff — Classifies token changes between two token sets and
+ * recommends a semver bump for the design system package.
+ *
+ * Usage:
+ *   node scripts/diff-tokens.mjs                        # HEAD → working tree
+ *   node scripts/diff-tokens.mjs --base main            # main → working tree
+ *   node scripts/diff-tokens.mjs --base v0.1.0 --head HEAD
+ *   node scripts/diff-tokens.mjs --base snapshots/tokens_<ts>_<label>
+ *   node scripts/diff-tokens.mjs --snapshot pre-rename  # save the working tree as a snapshot
+ *   node scripts/diff-tokens.mjs --record               # also append to the Change Registry
+ *   node scripts/diff-tokens.mjs --json                 # machine-readable report
+ */
+
+import { existsSync, readFileSync, statSync } from 'node:fs';
+import { resolve, relative } from 'node:path';
+
+import { loadTokens } from '../src/tokens/token-engine.mjs';
+import {
+  loadTokensAtRef, loadTokensFromSnapshot, snapshotTokens,
+  diffTokenSets, nextVersion, recordTokenDiff
+} from '../src/tokens/token-diff.mjs';
+import { appendChange } from '../src/governance/root-system/change-registry.mjs';
+
+const PROJECT_ROOT = resolve(import.meta.dirname, '..');
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args[i + 1];
+};
+
+const snapshotLabel = option('--snapshot');
+if (snapshotLabel) {
+  const dir = snapshotTokens(snapshotLabel);
+  console.log(`📸 Token snapshot saved: ${relative(PROJECT_ROOT, dir)}`);
+  process.exit(0);
+}
+
+// A path to an existing directory is a snapshot; anything else is a git ref
+function load(source) {
+  if (!source) return loadTokens();
+  const dir = resolve(PROJECT_ROOT, source);
+  if (existsSync(dir) && statSync(dir).isDirectory()) return loadTokensFromSnapshot(dir);
+  return loadTokensAtRef(source);
+}
+
+const baseLabel = option('--base') || 'HEAD';
+const headLabel = option('--head') || 'working tree';
+
+let report;
+try {
+  report = diffTokenSets(load(baseLabel), load(option('--head')));
+} catch (err) {
+  console.error(`✗ Could not load token sets: ${err.message}`);
+  process.exit(1);
+}
+
+if (args.includes('--json')) {
+  console.log(JSON.stringify({ base: baseLabel, head: headLabel, ...report }, null, 2));
+} else {
+  const { version } = JSON.parse(readFileSync(resolve(PROJECT_ROOT, 'package.json'), 'utf-8'));
+  const show = (v) => (typeof v === 'object' ? JSON.stringify(v) : `${v}`);
+
+  console.log(`Token diff: ${baseLabel} → ${headLabel}`);
+  if (report.changes.length === 0) {
+    console.log('  No token changes.');
+  }
+  for (const c of report.changes) {
+    const where = c.theme ? ` [${c.theme}]` : '';
+    switch (c.kind) {
+      case 'added':         console.log(`  + ${c.path}`); break;
+      case 'removed':       console.log(`  - ${c.path}`); break;
+      case 'renamed':       console.log(`  ↪ ${c.from} → ${c.path}`); break;
+      case 'type-changed':  console.log(`  ! ${c.path}: $type ${c.before} → ${c.after}`); break;
+      case 'value-changed': console.log(`  ~ ${c.path}${where}: ${show(c.before)} → ${show(c.after)}`); break;
+    }
+  }
+  console.log('');
+  console.log(`  ${Object.entries(report.counts).map(([k, n]) => `${k}: ${n}`).join('  ')}`);
+  console.log(`  Recommended bump: ${report.bump} (${version} → ${nextVersion(version, report.bump)})`);
+  if (report.counts.removed + report.counts.renamed > 0) {
+    console.log('  Removed or renamed tokens need alias forwarding for the 2-sprint deprecation window.');
+  }
+}
+
+if (args.includes('--record')) {
+  const entry = recordTokenDiff(report, { base: baseLabel, head: headLabel, appendChange });
+  if (!args.includes('--json')) console.log(`  Recorded in Change Registry: ${entry.id}`);
+}
@@ -5,16 +5,19 @@
  * Runs after any file edit via Claude Code.
  *
  * - CSS files in components: run stylelint validation
- * - Token files: validate DTCG structure
+ * - Token files: warn on DTCG structure problems (reference resolution is
+ *   enforced before the write, in pre-edit.mjs)
  * - All changes: log to Change Registry
  */
 
-import { readFileSync, appendFileSync, existsSync } from 'node:fs';
+import 'dotenv/config';
+import { readFileSync } from 'node:fs';
 import { execSync } from 'node:child_process';
 import { resolve, relative } from 'node:path';
 
+import { logStore } from '../../src/governance/root-system/log-store.mjs';
+
 const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..');
-const CHANGES_LOG = resolve(PROJECT_ROOT, 'src/data/changes.jsonl');
 
 // Get the edited file path from environment (Claude Code sets this)
 const editedFile = process.env.CLAUDE_FILE_PATH || process.argv[2];
@@ -27,8 +30,6 @@ const relPath = relative(PROJECT_ROOT, editedFile);
 
 // Log change to registry
 function logChange(changeType, description) {
-  if (!existsSync(CHANGES_LOG)) return;
-
   const record = {
     timestamp: new Date().toISOString(),
     file: relPath,
@@ -37,7 +38,7 @@ function logChange(changeType, description) {
     source: 'post-edit-hook'
   };
 
-  appendFileSync(CHANGES_LOG, JSON.stringify(record) + '\n');
+  logStore('changes').append(record);
 }
 
 // Check CSS files in components directory
@@ -60,13 +61,15 @@ if (relPath.startsWith('src/components/') && relPath.endsWith('.css')) {
 if (relPath.startsWith('src/tokens/') && relPath.endsWith('.tokens.json')) {
   try {
     const content = JSON.parse(readFileSync(editedFile, 'utf-8'));
+    // Theme overlays (color.dark.tokens.json) inherit $type from the base token
+    const isOverlay = /\.[a-z0-9-]+\.tokens\.json$/.test(relPath.slice('src/tokens/'.length));
     // Basic DTCG validation: check for $value and $type fields at leaf nodes
     function validateDTCG(obj, path = '') {
       for (const [key, value] of Object.entries(obj)) {
         if (key.startsWith('$')) continue;
         if (typeof value === 'object' && value !== null) {
           if ('$value' in value) {
-            if (!('$type' in value)) {
+            if (!('$type' in value) && !isOverlay) {
               console.warn(`Missing $type at ${path}.${key}`);
             }
           } else {
@@ -80,6 +83,7 @@ if (relPath.startsWith('src/tokens/') && relPath.endsWith('.tokens.json')) {
   } catch (err) {
     console.error(`Invalid token file ${relPath}: ${err.message}`);
     logChange('token-edit-error', `Token file edit failed validation: ${relPath}`);
+    // Don't block — the file is already written. pre-edit.mjs rejects broken token edits.
   }
 }
 
@@ -4,15 +4,38 @@
  * Pre-edit hook for Terarrium governance enforcement.
  * Runs before any file edit via Claude Code.
  *
- * - Protects append-only JSONL logs from modification
+ * - Blocks edits that rewrite existing lines of the append-only logs (exit 2).
+ *   The proposed edit arrives as the hook's JSON payload on stdin; the result
+ *   must keep the current file as a prefix. Without a payload it can only warn.
+ * - Blocks appends to those logs unless every new line is a record sealed
+ *   onto the chain head (exit 2): an unsealed line breaks the hash chain.
+ * - Blocks token file edits that would leave malformed JSON or a token set
+ *   that does not resolve strictly — cycles, dangling refs, $type mismatches
+ *   (exit 2), before anything is written.
  * - Guards CLAUDE.md from unauthorized changes
  */
 
-import { resolve, relative } from 'node:path';
+import { readFileSync, existsSync } from 'node:fs';
+import { resolve, relative, basename } from 'node:path';
+
+import { loadTokens, TokenResolutionError } from '../../src/tokens/token-engine.mjs';
+import { chainHead, linkHash } from '../../src/governance/root-system/ledger.mjs';
 
 const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..');
 
-const editedFile = process.env.CLAUDE_FILE_PATH || process.argv[2];
+// Hook payload: { tool_name, tool_input: { file_path, content | old_string, new_string, replace_all | edits } }
+let payload = null;
+if (!process.stdin.isTTY) {
+  let raw = '';
+  for await (const chunk of process.stdin) raw += chunk;
+  try {
+    payload = JSON.parse(raw);
+  } catch {
+    payload = null; // invoked by hand, or no payload
+  }
+}
+
+const editedFile = payload?.tool_input?.file_path || process.env.CLAUDE_FILE_PATH || process.argv[2];
 
 if (!editedFile) {
   process.exit(0);
@@ -24,14 +47,90 @@ const relPath = relative(PROJECT_ROOT, editedFile);
 const APPEND_ONLY_FILES = [
   'src/data/decisions.jsonl',
   'src/data/changes.jsonl',
-  'src/data/activity-log.jsonl'
+  'src/data/activity-log.jsonl',
+  'src/data/initiatives.jsonl',
+  'src/data/proposals.jsonl'
 ];
 
+/**
+ * Why appended lines would break the hash chain, or null when each one is a
+ * record sealed onto the one before (as sealRecord() does).
+ *
+ * @param {string} current - The log as it is
+ * @param {string} added - The lines being appended
+ * @returns {string|null}
+ */
+function unsealedAppend(current, added) {
+  const parse = (text) => text.split('\n').filter(line => line.trim()).map(line => {
+    try { return JSON.parse(line); } catch { return null; }
+  });
+  let prev = chainHead(parse(current).filter(Boolean));
+  for (const record of parse(added)) {
+    if (!record) return 'a new line is not valid JSON';
+    const label = record.id || 'a new record';
+    if (!record.hash) return `${label} is not sealed (no hash)`;
+    if (record.prevHash !== prev) return `${label} does not link to the chain head (prevHash should be ${prev})`;
+    if (record.hash !== linkHash(record, prev)) return `${label} does not match its hash`;
+    prev = record.hash;
+  }
+  return null;
+}
+
+/**
+ * The file as it would be after the proposed edit, or null if the tool is unknown.
+ */
+function proposedContent(current, toolName, input) {
+  const apply = (text, { old_string: from, new_string: to, replace_all: all }) =>
+    all ? text.split(from).join(to) : text.replace(from, () => to);
+
+  if (toolName === 'Write') return input.content ?? '';
+  if (toolName === 'Edit') return apply(current, input);
+  if (toolName === 'MultiEdit') return (input.edits || []).reduce(apply, current);
+  return null;
+}
+
 if (APPEND_ONLY_FILES.includes(relPath)) {
-  // For JSONL files, we allow appending but not modification of existing lines.
-  // The hook system doesn't distinguish append from edit,
-  // so we log a warning and trust the agent to follow CLAUDE.md rules.
-  console.log(`[terarrium] Editing append-only log: ${relPath} — ensure this is append-only per Honesty Paradigm`);
+  const current = existsSync(editedFile) ? readFileSync(editedFile, 'utf-8') : '';
+  const next = payload ? proposedContent(current, payload.tool_name, payload.tool_input || {}) : null;
+
+  if (next === null) {
+    console.log(`[terarrium] Editing append-only log: ${relPath} — ensure this is append-only per Honesty Paradigm`);
+  } else {
+    // Appending may add the missing final newline; anything else must stay byte-for-byte
+    const kept = current.endsWith('\n') ? current : `${current}\n`;
+    if (next !== current && !next.startsWith(kept)) {
+      const before = current.split('\n');
+      const after = next.split('\n');
+      const line = before.findIndex((l, i) => l !== after[i]) + 1;
+      console.error(`[terarrium] Blocked: ${relPath} is append-only and this edit rewrites line ${line}. ` +
+        'Append new records through appendDecision / appendChange / logActivity / appendInitiative — they are hash-chained (npm run ledger:verify).');
+      process.exit(2);
+    }
+    const problem = next.length > current.length ? unsealedAppend(current, next.slice(current.length)) : null;
+    if (problem) {
+      console.error(`[terarrium] Blocked: ${relPath} is hash-chained and ${problem}. ` +
+        'Append records through appendDecision / appendChange / logActivity / appendInitiative, which seal them.');
+      process.exit(2);
+    }
+  }
+}
+
+// Token files: resolve the whole token set with the proposed content in place
+if (relPath.startsWith('src/tokens/') && relPath.endsWith('.tokens.json') && payload) {
+  const current = existsSync(editedFile) ? readFileSync(editedFile, 'utf-8') : '';
+  const next = proposedContent(current, payload.tool_name, payload.tool_input || {});
+
+  if (next !== null) {
+    try {
+      loadTokens(undefined, { strict: true, replace: { [basename(relPath)]: JSON.parse(next) } });
+    } catch (err) {
+      if (err instanceof SyntaxError || err instanceof TokenResolutionError) {
+        console.error(`[terarrium] Blocked: ${relPath} would not resolve — ${err.message}`);
+        process.exit(2);
+      }
+      console.warn(`[terarrium] Could not check ${relPath} before the edit: ${err.message}`);
+    }
+  }
 }
 
 // Guard CLAUDE.md
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Log Migration — Imports the Root System's JSONL logs into the SQLite log
+ * store (src/governance/root-system/log-store.mjs).
+ *
+ * Append-only on both sides: the JSONL files are only read, and rows are only
+ * inserted. Each row remembers the JSONL line it came from, so a re-run picks
+ * up where the last one stopped and never imports a line twice. Unparseable
+ * lines are reported and skipped, not repaired.
+ *
+ * Switch over afterwards with TERARRIUM_LOG_STORE=sqlite.
+ *
+ * Usage:
+ *   node scripts/migrate-logs.mjs                     # import new lines from every log
+ *   node scripts/migrate-logs.mjs --dry-run           # report what would be imported
+ *   node scripts/migrate-logs.mjs --log decisions     # only the named log(s), comma-separated
+ *   node scripts/migrate-logs.mjs --db path/to.db     # instead of TERARRIUM_SQLITE_PATH
+ */
+
+import 'dotenv/config';
+import { readFileSync, existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { LOGS, logStore, openLogDatabase } from '../src/governance/root-system/log-store.mjs';
+
+const PROJECT_ROOT = resolve(import.meta.dirname, '..');
+const dryRun = process.argv.includes('--dry-run');
+const arg = (flag) => {
+  const i = process.argv.indexOf(flag);
+  return i !== -1 ? process.argv[i + 1] : null;
+};
+
+const only = arg('--log')?.split(',') || Object.keys(LOGS);
+const unknown = only.filter(name => !LOGS[name]);
+if (unknown.length) {
+  console.error(`✗ Unknown log(s): ${unknown.join(', ')}. Known: ${Object.keys(LOGS).join(', ')}`);
+  process.exit(1);
+}
+if (arg('--db')) process.env.TERARRIUM_SQLITE_PATH = arg('--db');
+
+let db;
+try {
+  db = openLogDatabase();
+} catch (err) {
+  console.error(`✗ ${err.message}`);
+  process.exit(1);
+}
+
+let failed = false;
+
+for (const name of only) {
+  const file = resolve(PROJECT_ROOT, LOGS[name].file);
+  if (!existsSync(file)) {
+    console.log(`  ${name}: ${LOGS[name].file} not found — skipped`);
+    continue;
+  }
+
+  const store = logStore(name, { backend: 'sqlite' });
+  const from = store.lastSourceLine();
+  const lines = readFileSync(file, 'utf-8').split('\n');
+  let imported = 0;
+  let already = 0;
+  const bad = [];
+
+  db.exec('BEGIN');
+  try {
+    lines.forEach((line, i) => {
+      const lineNo = i + 1;
+      if (lineNo <= from || !line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        bad.push(lineNo);
+        return;
+      }
+      if (dryRun) imported++;
+      else if (store.insertRecord(entry, lineNo)) imported++;
+      else already++;
+    });
+    db.exec(dryRun ? 'ROLLBACK' : 'COMMIT');
+  } catch (err) {
+    db.exec('ROLLBACK');
+    console.error(`✗ ${name}: ${err.message} — nothing imported from this log`);
+    failed = true;
+    continue;
+  }
+
+  const total = db.prepare('SELECT COUNT(*) AS n FROM records WHERE log = ? AND source_line IS NOT NULL').get(name).n;
+  console.log(`  ${name}: ${dryRun ? 'would import' : 'imported'} ${imported} new line(s) after line ${from}` +
+    `${already ? `, ${already} already present` : ''}` +
+    `${bad.length ? `, ${bad.length} unparseable (lines ${bad.slice(0, 10).join(', ')}${bad.length > 10 ? ', …' : ''})` : ''}` +
+    ` — ${total} migrated in total`);
+}
+
+if (failed) process.exit(1);
+console.log(dryRun ? '\n✓ Dry run — nothing written.' : '\n✓ Migration complete. Set TERARRIUM_LOG_STORE=sqlite to switch.');
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Ledger Verification — Walks the hash chain of each Root System log
+ * (src/governance/root-system/ledger.mjs) and reports the first broken link.
+ *
+ * Exits 1 if any chain is broken.
+ *
+ * Usage:
+ *   node scripts/verify-ledger.mjs                   # every log
+ *   node scripts/verify-ledger.mjs --log decisions   # only the named log(s), comma-separated
+ *   node scripts/verify-ledger.mjs --json            # machine-readable report
+ */
+
+import 'dotenv/config';
+
+import { LOGS, verifyLog } from '../src/governance/root-system/log-store.mjs';
+
+const json = process.argv.includes('--json');
+const logArg = process.argv.indexOf('--log');
+const only = logArg !== -1 ? process.argv[logArg + 1]?.split(',') : Object.keys(LOGS);
+
+const unknown = only.filter(name => !LOGS[name]);
+if (unknown.length) {
+  console.error(`✗ Unknown log(s): ${unknown.join(', ')}. Known: ${Object.keys(LOGS).join(', ')}`);
+  process.exit(1);
+}
+
+const reports = only.map(name => verifyLog(name));
+
+if (json) {
+  console.log(JSON.stringify(reports, null, 2));
+} else {
+  for (const r of reports) {
+    const counts = `${r.records} record(s): ${r.sealed} sealed, ${r.legacy} from before the chain`;
+    if (r.ok) {
+      console.log(`✓ ${r.log} — ${counts}`);
+    } else {
+      const where = r.backend === 'jsonl' ? `${r.location}:${r.firstBreak.at}` : `${r.location} seq ${r.firstBreak.at}`;
+      console.log(`✗ ${r.log} — broken at ${where}${r.firstBreak.id ? ` (${r.firstBreak.id})` : ''}: ${r.firstBreak.reason}`);
+      if (r.firstBreak.expected) {
+        console.log(`    expected ${r.firstBreak.expected}\n    found    ${r.firstBreak.actual ?? '(none)'}`);
+      }
+      console.log(`    ${r.sealed + r.legacy} of ${r.records} record(s) verified before the break`);
+    }
+  }
+}
+
+process.exit(reports.every(r => r.ok) ? 0 : 1);
@@ -1,43 +1,37 @@
 /**
- * Agent Runner — Anthropic API integration layer.
+ * Agent Runner — LLM integration layer.
  *
- * This is the engine that replaces Math.random() with real Claude calls.
- * Every domain agent's review flows through here.
+ * This is the engine that replaces Math.random() with real model calls.
+ * Every domain agent's review flows through here, to the provider chosen in
+ * config (providers/index.mjs): Anthropic, an OpenAI-compatible server, or
+ * recorded fixtures.
+ *
+ * Reviews arrive as a forced submit_review tool call, checked against
+ * REVIEW_SCHEMA (review-schema.mjs). Invalid output gets one repair turn.
  *
  * Honesty Paradigm: If the API is unavailable, we return an explicit
- * "api-unavailable" verdict — never a fake synthetic verdict.
+ * "api-unavailable" verdict; if the output never matches the schema,
+ * "unparseable" — never a fake synthetic verdict.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
 import { resolve } from 'node:path';
 import { getSessionBrief } from './gardeners-memory.mjs';
+import { getProvider } from './providers/index.mjs';
+import { REVIEW_TOOL, REVIEW_SCHEMA, validateAgainstSchema } from './review-schema.mjs';
+import { loadTokens, TokenResolutionError } from '../tokens/token-engine.mjs';
+import { diffTokenSets } from '../tokens/token-diff.mjs';
+import { assessTokenChanges } from '../tokens/token-usage.mjs';
+import { changedCustomProperties } from '../tokens/foundation-sync.mjs';
 
 const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..');
 
-// Models: haiku for batch reviews (fast/cheap), sonnet for chat (nuanced)
-export const REVIEW_MODEL = 'claude-haiku-4-5-20251001';
-export const CHAT_MODEL = 'claude-sonnet-4-5-20250929';
-
 // Token budgets
 const REVIEW_MAX_TOKENS = 2048;  // Increased from 1024 — complex ORPA + analysis needs room
 const CHAT_MAX_TOKENS = 4096;
 
-// Lazy-initialize client so missing key doesn't crash on import
-let _client = null;
-function getClient() {
-  if (!_client) {
-    const key = process.env.ANTHROPIC_API_KEY;
-    if (!key) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is not set.');
-    }
-    _client = new Anthropic({ apiKey: key });
-  }
-  return _client;
-}
-
 /**
- * Run a single agent review via Anthropic API.
+ * Run a single agent review through the configured provider.
  *
  * @param {object} opts
  * @param {string} opts.agentId - 'ds' | 'ts' | 'ag' | 'pl' | 'ca' | 'px'
@@ -48,52 +42,115 @@ function getClient() {
  * @param {object} [opts.spec] - Component spec JSON (if available)
  * @param {object[]} [opts.priorDecisions] - Recent decisions from Decision Memory
  * @returns {Promise<{
- *   verdict: 'approved'|'needs-work'|'vetoed'|'api-unavailable',
- *   score: number,
+ *   verdict: 'approved'|'needs-work'|'vetoed'|'api-unavailable'|'unparseable',
+ *   score: number|null,
  *   orpa: {observation: string, reflection: string, plan: string, action: string},
+ *   dimensionScores: {functional: number, affordance: number, emotional: number}|null,
  *   analysis: string,
  *   citations: string[],
  *   conditionalApproval: string|null,
- *   raw: string
- * }>}
+ *   raw: string,
+ *   provider: string,
+ *   model?: string,
+ *   synthetic?: true
+ * }>} `provider`/`model` record where the review came from; `synthetic` marks
+ *   canned output (replay) that must never count as a real review
  */
 export async function runAgentReview(opts) {
-  const { agentId, systemPrompt, component, zone, cssContent, spec, priorDecisions = [] } = opts;
+  try {
+    return await requestAgentReview(opts);
+  } catch (err) {
+    console.error(`[agent-runner] ${opts.agentId} review failed:`, err.message);
+    return unavailableReview(err);
+  }
+}
+
+/**
+ * One agent review call, without the fallback: provider errors are thrown,
+ * so a caller can retry them (review-scheduler.mjs).
+ *
+ * @param {object} opts - As runAgentReview(), plus:
+ * @param {AbortSignal} [opts.signal] - Aborts the call
+ * @returns {Promise<object>} As runAgentReview()
+ * @throws {Error} Provider failures, with `status` where the provider gave one
+ */
+export async function requestAgentReview(opts) {
+  const { agentId, systemPrompt, component, zone, cssContent, spec, priorDecisions = [], signal } = opts;
 
   const userPrompt = buildUserPrompt({ component, zone, cssContent, spec, priorDecisions });
+  const messages = [{ role: 'user', content: userPrompt }];
+
+  const provider = getProvider();
+  const provenance = {
+    provider: provider.name,
+    model: provider.models.review,
+    ...(provider.synthetic && { synthetic: true })
+  };
+  const ask = (attempt) => provider.complete({
+    model: provider.models.review,
+    maxTokens: REVIEW_MAX_TOKENS,
+    system: systemPrompt,
+    messages,
+    tools: [REVIEW_TOOL],
+    toolChoice: { name: REVIEW_TOOL.name },
+    meta: { kind: 'review', agentId, component: component.name, zone, attempt },
+    signal,
+    // The caller owns retries for reviews
+    maxRetries: 0
+  });
+
+  let message = await ask('review');
+  const result = readReview(message);
+  if (result.review) return { ...result.review, ...provenance };
+
+  // One repair: show the model what was wrong with its submission
+  console.warn(`[agent-runner] ${agentId} review invalid, asking for a repair: ${result.errors.join('; ')}`);
+  if (message.content.length) messages.push({ role: 'assistant', content: message.content });
+  messages.push(repairMessage(result));
+  message = await ask('repair');
+  const repaired = readReview(message);
+  if (repaired.review) return { ...repaired.review, ...provenance };
+
+  console.error(`[agent-runner] ${agentId} review still invalid after repair: ${repaired.errors.join('; ')}`);
+  return { ...unparseableReview(repaired.errors, [result.raw, repaired.raw]), ...provenance };
+}
 
-  try {
-    const client = getClient();
-    const message = await client.messages.create({
-      model: REVIEW_MODEL,
-      max_tokens: REVIEW_MAX_TOKENS,
-      system: systemPrompt,
-      messages: [{ role: 'user', content: userPrompt }]
-    });
+/**
+ * The explicit verdict for a review that could not be obtained.
+ * Per the Honesty Paradigm, never a synthetic verdict.
+ *
+ * @param {Error} err
+ * @returns {object} As runAgentReview(), with verdict 'api-unavailable'
+ */
+export function unavailableReview(err) {
+  const provider = getProviderName();
+  return {
+    verdict: 'api-unavailable',
+    score: 0,
+    orpa: {
+      observation: 'API call failed',
+      reflection: `Error: ${err.message}`,
+      plan: 'Retry when API is available',
+      action: 'Review deferred — API unavailable'
+    },
+    analysis: `API unavailable: ${err.message}. This review must be re-run when the ${provider} provider is accessible. Per the Honesty Paradigm, no synthetic verdict is provided.`,
+    citations: [],
+    conditionalApproval: null,
+    raw: '',
+    provider
+  };
+}
 
-    const raw = message.content[0]?.text || '';
-    return parseAgentResponse(raw, agentId);
-  } catch (err) {
-    console.error(`[agent-runner] ${agentId} review failed:`, err.message);
-    return {
-      verdict: 'api-unavailable',
-      score: 0,
-      orpa: {
-        observation: 'API call failed',
-        reflection: `Error: ${err.message}`,
-        plan: 'Retry when API is available',
-        action: 'Review deferred — API unavailable'
-      },
-      analysis: `API unavailable: ${err.message}. This review must be re-run when the Anthropic API is accessible. Per the Honesty Paradigm, no synthetic verdict is provided.`,
-      citations: [],
-      conditionalApproval: null,
-      raw: ''
-    };
-  }
+/**
+ * Name of the configured provider, for messages — even when it fails to build.
+ */
+function getProviderName() {
+  try { return getProvider().name; }
+  catch { return process.env.TERARRIUM_LLM_PROVIDER || 'anthropic'; }
 }
 
 /**
- * Stream a governance chat response from Anthropic.
+ * Stream a governance chat response from the configured provider.
  * Used by the storybook chat panel for real-time streaming.
  *
  * @param {object} opts
@@ -108,22 +165,20 @@ export async function streamChatResponse(opts) {
   const { systemPrompt, messages, onToken, onDone, onError } = opts;
 
   try {
-    const client = getClient();
+    const provider = getProvider();
     let fullText = '';
 
-    const stream = await client.messages.stream({
-      model: CHAT_MODEL,
-      max_tokens: CHAT_MAX_TOKENS,
+    const stream = provider.stream({
+      model: provider.models.chat,
+      maxTokens: CHAT_MAX_TOKENS,
       system: systemPrompt,
-      messages
+      messages,
+      meta: { kind: 'chat' }
     });
 
-    for await (const chunk of stream) {
-      if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'text_delta') {
-        const token = chunk.delta.text;
-        fullText += token;
-        onToken(token);
-      }
+    for await (const token of stream) {
+      fullText += token;
+      onToken(token);
     }
 
     onDone(fullText);
@@ -230,7 +285,7 @@ export const CHAT_TOOLS = [
   },
   {
     name: 'promote_component',
-    description: 'Promote a component to the next zone (nursery→workshop, workshop→canopy, canopy→stable).',
+    description: 'Promote a component to the next zone (nursery→workshop, workshop→canopy, canopy→stable). Requires a passing, fresh review for the current zone, a met adoption gate and a spec; otherwise returns the unmet criteria. Only the gardener can override the gate, from the pipeline UI.',
     input_schema: {
       type: 'object',
       properties: {
@@ -352,7 +407,7 @@ export const CHAT_TOOLS = [
   },
   {
     name: 'write_token_file',
-    description: 'Create or update a DTCG token file in src/tokens/. Filename must end in .tokens.json.',
+    description: 'Create or update a DTCG token file in src/tokens/. Filename must end in .tokens.json. The token set is resolved before writing; reference cycles, dangling references and $type mismatches reject the write.',
     input_schema: {
       type: 'object',
       properties: {
@@ -611,7 +666,8 @@ export async function executeTool(toolName, toolInput, deps) {
         if (!check.allowed) return JSON.stringify({ error: check.reason });
         const fullPath = resolve(deps.projectRoot, relPath);
         if (!existsSync(fullPath)) return JSON.stringify({ error: `File not found: ${relPath}` });
-        let content = readFileSync(fullPath, 'utf-8');
+        const original = readFileSync(fullPath, 'utf-8');
+        let content = original;
         const applied = [];
         const failed = [];
         for (const patch of toolInput.patches) {
@@ -626,13 +682,22 @@ export async function executeTool(toolName, toolInput, deps) {
           return JSON.stringify({ error: `Find string not found in file: ${failed.join('; ')}` });
         }
         writeFileSync(fullPath, content);
+        // Token declarations edited here (foundation.css) reach every consumer
+        const tokenEdits = changedCustomProperties(original, content)
+          .filter(c => c.name.startsWith('--t-') && c.kind !== 'added')
+          .map(c => ({ token: c.name, kind: c.kind }));
+        const assessment = tokenEdits.length > 0 ? assessTokenChanges(tokenEdits) : null;
         deps.appendChange({
           file: relPath, changeType: 'css-edit',
           description: `Chat agent patched CSS (${applied.length} replacements): ${relPath}`,
-          breakageRisk: 'low'
+          ...(assessment ? { dependencies: assessment.dependencies } : {}),
+          breakageRisk: assessment ? assessment.breakageRisk : 'low'
         });
         deps.logActivity('file-patch', null, null, 'chat-agent', `Patched ${relPath} (${applied.length} changes)`);
-        return JSON.stringify({ success: true, path: relPath, action: 'patched', patchesApplied: applied.length });
+        return JSON.stringify({
+          success: true, path: relPath, action: 'patched', patchesApplied: applied.length,
+          ...(assessment ? { breakageRisk: assessment.breakageRisk, impact: assessment.impact } : {})
+        });
       }
 
       case 'write_token_file': {
@@ -643,16 +708,33 @@ export async function executeTool(toolName, toolInput, deps) {
         const relPath = `src/tokens/${filename}`;
         const check = deps.validateWritePath(relPath);
         if (!check.allowed) return JSON.stringify({ error: check.reason });
+        let next;
+        try {
+          // Resolve strictly with the new file in place before anything touches disk
+          next = loadTokens(undefined, { strict: true, replace: { [filename]: toolInput.tokens } });
+        } catch (err) {
+          if (!(err instanceof TokenResolutionError)) throw err;
+          return JSON.stringify({ error: err.message, diagnostics: err.diagnostics.errors });
+        }
+        // Consumers of a renamed token still call the old name
+        const { changes } = diffTokenSets(loadTokens(), next);
+        const assessment = assessTokenChanges(changes
+          .filter(c => c.kind !== 'added')
+          .map(c => ({ token: c.from || c.path, kind: c.kind })));
         const fullPath = resolve(deps.projectRoot, relPath);
         const existed = existsSync(fullPath);
         writeFileSync(fullPath, JSON.stringify(toolInput.tokens, null, 2) + '\n');
         deps.appendChange({
           file: relPath, changeType: 'token-edit',
-          description: `Chat agent ${existed ? 'updated' : 'created'} token file: ${relPath}`,
-          breakageRisk: 'medium'
+          description: `Chat agent ${existed ? 'updated' : 'created'} token file: ${relPath} (${changes.length} token change${changes.length === 1 ? '' : 's'})`,
+          dependencies: assessment.dependencies,
+          breakageRisk: assessment.breakageRisk
         });
         deps.logActivity('file-write', null, null, 'chat-agent', `${existed ? 'Updated' : 'Created'} ${relPath}`);
-        return JSON.stringify({ success: true, path: relPath, action: existed ? 'updated' : 'created' });
+        return JSON.stringify({
+          success: true, path: relPath, action: existed ? 'updated' : 'created',
+          breakageRisk: assessment.breakageRisk, impact: assessment.impact
+        });
       }
 
       case 'update_wiki': {
@@ -736,21 +818,22 @@ export async function agenticChatResponse(opts) {
   const MAX_TOOL_TURNS = 5;
 
   try {
-    const client = getClient();
+    const provider = getProvider();
     let loopMessages = [...messages];
     let finalText = '';
 
     for (let turn = 0; turn < MAX_TOOL_TURNS; turn++) {
-      const response = await client.messages.create({
-        model: CHAT_MODEL,
-        max_tokens: CHAT_MAX_TOKENS,
+      const response = await provider.complete({
+        model: provider.models.chat,
+        maxTokens: CHAT_MAX_TOKENS,
         system: systemPrompt,
         messages: loopMessages,
-        tools: CHAT_TOOLS
+        tools: CHAT_TOOLS,
+        meta: { kind: 'chat' }
       });
 
       // Check if model wants to use tools
-      if (response.stop_reason === 'tool_use') {
+      if (response.stopReason === 'tool_use') {
         // Process all content blocks — there may be text + tool_use blocks
         const assistantContent = response.content;
         const toolResults = [];
@@ -812,11 +895,12 @@ export async function agenticChatResponse(opts) {
 
       // If we've hit max turns, force a final text-only call
       if (turn === MAX_TOOL_TURNS - 1) {
-        const finalResponse = await client.messages.create({
-          model: CHAT_MODEL,
-          max_tokens: CHAT_MAX_TOKENS,
+        const finalResponse = await provider.complete({
+          model: provider.models.chat,
+          maxTokens: CHAT_MAX_TOKENS,
           system: systemPrompt,
-          messages: loopMessages
+          messages: loopMessages,
+          meta: { kind: 'chat' }
           // No tools — forces text response
         });
         loopMessages.push({ role: 'assistant', content: finalResponse.content });
@@ -873,6 +957,21 @@ function buildUserPrompt({ component, zone, cssContent, spec, priorDecisions })
     prompt += `## Component CSS\n\`\`\`css\n${truncated}\n\`\`\`\n\n`;
   }
 
+  const analysis = component.staticAnalysis;
+  if (analysis) {
+    // Deterministic findings — measured, not inferred; cite them as facts
+    prompt += `## Static Analysis\n`;
+    const list = (title, items) => {
+      if (items?.length) prompt += `${title}:\n${items.map(i => `- ${i}`).join('\n')}\n`;
+    };
+    list('Token issues', analysis.tokenIssues);
+    list('Token passes', analysis.tokenPasses);
+    list('Contrast failures (WCAG 2.x, computed from resolved tokens)', analysis.contrastIssues);
+    list('Contrast passes', analysis.contrastPasses);
+    if (analysis.ariaPattern) prompt += `ARIA pattern: ${JSON.stringify(analysis.ariaPattern)}\n`;
+    prompt += '\n';
+  }
+
   if (priorDecisions.length > 0) {
     prompt += `## Prior Decisions (cite by ID)\n`;
     priorDecisions.slice(0, 5).forEach(d => {
@@ -881,69 +980,84 @@ function buildUserPrompt({ component, zone, cssContent, spec, priorDecisions })
     prompt += '\n';
   }
 
-  prompt += `Respond with ONLY valid JSON matching the specified response format. No markdown fences, no preamble.`;
+  prompt += `Submit your review by calling the ${REVIEW_TOOL.name} tool, with every field of the specified response format.`;
 
   return prompt;
 }
 
 /**
- * Parse the agent's JSON response, with graceful fallback.
+ * Read a review from the model's reply: the submit_review tool input, or —
+ * for servers that ignore tool choice — JSON in the text, fences stripped.
+ * Either way it must match REVIEW_SCHEMA; nothing is defaulted.
  *
- * @param {string} raw - Raw text from Anthropic
- * @param {string} agentId - For error context
- * @returns {object}
+ * @param {{ content: object[] }} message - Provider reply
+ * @returns {{ review: object|null, errors: string[], raw: string, toolUseId: string|null }}
  */
-function parseAgentResponse(raw, agentId) {
-  // Strip markdown fences if present (model sometimes adds them despite instructions)
-  let cleaned = raw.trim();
+function readReview(message) {
+  const toolUse = message.content.find(b => b.type === 'tool_use' && b.name === REVIEW_TOOL.name);
+  if (toolUse) {
+    const raw = JSON.stringify(toolUse.input);
+    return { ...checkReview(toolUse.input, raw), toolUseId: toolUse.id };
+  }
+
+  const raw = message.content.filter(b => b.type === 'text').map(b => b.text).join('').trim();
+  if (!raw) return { review: null, errors: [`no ${REVIEW_TOOL.name} call and no text`], raw, toolUseId: null };
+
+  let cleaned = raw;
   const fenceMatch = cleaned.match(/```(?:json)?\s*\n?([\s\S]*?)```/);
   if (fenceMatch) cleaned = fenceMatch[1].trim();
-
   try {
-    const parsed = JSON.parse(cleaned);
-
-    // Validate required fields
-    const verdict = ['approved', 'needs-work', 'vetoed'].includes(parsed.verdict)
-      ? parsed.verdict
-      : 'needs-work';
-
-    return {
-      verdict,
-      score: typeof parsed.score === 'number' ? Math.max(0, Math.min(100, parsed.score)) : 50,
-      orpa: {
-        observation: parsed.orpa?.observation || '',
-        reflection: parsed.orpa?.reflection || '',
-        plan: parsed.orpa?.plan || '',
-        action: parsed.orpa?.action || ''
-      },
-      dimensionScores: parsed.dimensionScores || null,
-      analysis: parsed.analysis || '',
-      citations: Array.isArray(parsed.citations) ? parsed.citations : [],
-      conditionalApproval: parsed.conditionalApproval || null,
-      raw
-    };
-  } catch (parseErr) {
-    console.error(`[agent-runner] Failed to parse ${agentId} response:`, parseErr.message);
-    console.error('[agent-runner] Raw response:', raw.slice(0, 200));
-
-    // Return a structured error — never a fake verdict
-    return {
-      verdict: 'needs-work',
-      score: 0,
-      orpa: {
-        observation: 'Response parsing failed',
-        reflection: `The agent returned malformed JSON: ${parseErr.message}`,
-        plan: 'Re-run this review',
-        action: 'Review deferred — response could not be parsed'
-      },
-      analysis: `Parse error: ${parseErr.message}. Raw response (first 200 chars): ${raw.slice(0, 200)}`,
-      citations: [],
-      conditionalApproval: null,
-      raw
-    };
+    return { ...checkReview(JSON.parse(cleaned), raw), toolUseId: null };
+  } catch (err) {
+    return { review: null, errors: [`no ${REVIEW_TOOL.name} call, and the text is not JSON: ${err.message}`], raw, toolUseId: null };
   }
 }
 
+function checkReview(input, raw) {
+  const errors = validateAgainstSchema(input, REVIEW_SCHEMA);
+  if (errors.length) return { review: null, errors, raw };
+  return { review: { ...input, raw }, errors: [], raw };
+}
+
+/**
+ * The follow-up turn asking for a corrected submission: a tool result
+ * marked as an error when the model called the tool, plain text otherwise.
+ */
+function repairMessage({ errors, toolUseId }) {
+  const text = `Your review did not match the ${REVIEW_TOOL.name} schema:\n` +
+    errors.map(e => `- ${e}`).join('\n') +
+    `\nCall ${REVIEW_TOOL.name} again with every field present and valid.`;
+  if (!toolUseId) return { role: 'user', content: text };
+  return { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolUseId, is_error: true, content: text }] };
+}
+
+/**
+ * The explicit verdict for a review the model never gave in valid form —
+ * counted as missing by checkZoneApproval(), never as a rejection.
+ *
+ * @param {string[]} errors - Schema problems with the last attempt
+ * @param {string[]} raws - Raw output of each attempt
+ * @returns {object} As runAgentReview(), with verdict 'unparseable' and no score
+ */
+export function unparseableReview(errors, raws) {
+  return {
+    verdict: 'unparseable',
+    score: null,
+    orpa: {
+      observation: 'Review output did not match the schema',
+      reflection: `After one repair attempt: ${errors.join('; ')}`,
+      plan: 'Re-run this review',
+      action: 'Review deferred — no valid verdict'
+    },
+    dimensionScores: null,
+    analysis: `The agent's output could not be read as a review (${errors.length} schema problem(s)), even after a repair attempt. ` +
+      'Per the Honesty Paradigm, no verdict is inferred from it.',
+    citations: [],
+    conditionalApproval: null,
+    raw: raws.filter(Boolean).join('\n---\n')
+  };
+}
+
 /**
  * Load component CSS content from disk.
  *
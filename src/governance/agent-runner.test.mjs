@@ -0,0 +1,111 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { requestAgentReview, runAgentReview } from './agent-runner.mjs';
+import { setProvider } from './providers/index.mjs';
+
+const VALID = {
+  verdict: 'approved',
+  score: 88,
+  orpa: { observation: 'Tokens throughout', reflection: 'Nothing hard-coded', plan: 'None', action: 'Approved' },
+  dimensionScores: { functional: 90, affordance: 85, emotional: 80 },
+  analysis: 'Every value resolves to a token.',
+  citations: [],
+  conditionalApproval: null
+};
+
+const toolCall = (input, id = 'call-1') => ({ content: [{ type: 'tool_use', id, name: 'submit_review', input }], stopReason: 'tool_use' });
+const text = (body) => ({ content: [{ type: 'text', text: body }], stopReason: 'end_turn' });
+
+/** A provider that answers each call with the next scripted reply, and keeps the requests. */
+function scripted(...replies) {
+  const requests = [];
+  setProvider({
+    name: 'scripted',
+    models: { review: 'scripted-1', chat: 'scripted-1' },
+    async complete(request) {
+      requests.push(structuredClone(request));
+      const reply = replies.shift();
+      if (reply instanceof Error) throw reply;
+      return reply;
+    }
+  });
+  return requests;
+}
+
+const review = () => requestAgentReview({
+  agentId: 'ts',
+  systemPrompt: 'You are the Token Steward.',
+  component: { id: 'COMP-003', name: 'Button', type: 'primitive', description: 'Submit actions' },
+  zone: 'workshop',
+  cssContent: '.t-button { padding: var(--t-space-2); }'
+});
+
+afterEach(() => setProvider(null));
+
+test('a valid submit_review is taken as is, with its provenance', async () => {
+  const requests = scripted(toolCall(VALID));
+
+  const result = await review();
+
+  assert.equal(result.verdict, 'approved');
+  assert.equal(result.provider, 'scripted');
+  assert.equal(result.model, 'scripted-1');
+  assert.equal(result.synthetic, undefined);
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].toolChoice, { name: 'submit_review' });
+  assert.equal(requests[0].meta.attempt, 'review');
+});
+
+test('an invalid submission gets one repair turn naming the problems', async () => {
+  const requests = scripted(toolCall({ ...VALID, verdict: 'maybe', score: 140 }), toolCall(VALID, 'call-2'));
+
+  const result = await review();
+
+  assert.equal(result.verdict, 'approved');
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1].meta.attempt, 'repair');
+
+  const [, assistant, repair] = requests[1].messages;
+  assert.equal(assistant.role, 'assistant');
+  assert.equal(assistant.content[0].id, 'call-1');
+  const [block] = repair.content;
+  assert.equal(block.type, 'tool_result');
+  assert.equal(block.tool_use_id, 'call-1');
+  assert.equal(block.is_error, true);
+  assert.match(block.content, /review\.verdict must be one of approved, needs-work, vetoed, got "maybe"/);
+  assert.match(block.content, /review\.score must be ≤ 100, got 140/);
+});
+
+test('prose instead of the tool call is repaired as text', async () => {
+  const requests = scripted(text('Looks good to me!'), toolCall(VALID));
+
+  assert.equal((await review()).verdict, 'approved');
+  const repair = requests[1].messages.at(-1);
+  assert.equal(typeof repair.content, 'string');
+  assert.match(repair.content, /no submit_review call, and the text is not JSON/);
+});
+
+test('still invalid after the repair: unparseable, never a verdict', async () => {
+  const requests = scripted(toolCall({ verdict: 'approved' }), text('```json\n{"verdict": "approved"}\n```'));
+
+  const result = await review();
+
+  assert.equal(requests.length, 2);
+  assert.equal(result.verdict, 'unparseable');
+  assert.equal(result.score, null);
+  assert.match(result.orpa.reflection, /review\.score is required/);
+  assert.equal(result.provider, 'scripted');
+  assert.match(result.raw, /^\{"verdict":"approved"\}\n---\n```json/);
+});
+
+test('a provider failure is thrown for the scheduler, or reported as unavailable', async () => {
+  scripted(Object.assign(new Error('Overloaded'), { status: 529 }));
+  await assert.rejects(review(), { message: 'Overloaded', status: 529 });
+
+  scripted(new Error('Connection refused'));
+  const result = await runAgentReview({ agentId: 'ts', systemPrompt: '', component: { name: 'Button' }, zone: 'workshop' });
+  assert.equal(result.verdict, 'api-unavailable');
+  assert.equal(result.provider, 'scripted');
+  assert.match(result.analysis, /Connection refused/);
+});
@@ -5,6 +5,8 @@
  * Authority: domain+veto — ABSOLUTE VETO that only the gardener can override
  */
 
+import { checkContrast, componentPairs } from '../../tokens/contrast.mjs';
+
 export const A11Y_GUARDIAN = {
   id: 'ag',
   title: 'Accessibility Guardian',
@@ -94,3 +96,42 @@ export function getAllCriteria() {
   }
   return all;
 }
+
+/**
+ * Measure the color pairs a component declares (1.4.3 / 1.4.11) in every
+ * theme, so the review argues from real ratios instead of reading CSS.
+ *
+ * @param {string} componentName
+ * @param {object|null} spec - Parsed {name}.spec.json; its tokens pick the pairs
+ * @param {object} [options] - Passed through to checkContrast()
+ * @returns {{ issues: string[], passes: string[], results: object[] }}
+ */
+export function auditContrast(componentName, spec, options = {}) {
+  const pairs = componentPairs(spec, options.pairs);
+  if (pairs.length === 0) {
+    return { issues: [], passes: [], results: [] };
+  }
+
+  let results;
+  try {
+    results = checkContrast({ ...options, pairs });
+  } catch (err) {
+    return { issues: [`Contrast could not be computed for ${componentName}: ${err.message}`], passes: [], results: [] };
+  }
+
+  const issues = [];
+  const apca = (r) => (r.apca !== undefined && r.apca !== null ? `, APCA Lc ${r.apca}` : '');
+  for (const r of results) {
+    if (r.pass === false) {
+      issues.push(`${r.criterion} [${r.theme}] ${r.fg} on ${r.bg}: ${r.ratio}:1 (${r.fgValue} on ${r.bgValue}${apca(r)}) — needs ${r.required}:1 for ${r.use}`);
+    } else if (r.pass === null) {
+      issues.push(`${r.criterion} [${r.theme}] ${r.fg} on ${r.bg}: could not resolve to a color (${r.fgValue ?? 'undefined'} on ${r.bgValue ?? 'undefined'})`);
+    }
+  }
+
+  const passing = results.filter(r => r.pass);
+  const passes = passing.length > 0
+    ? [`${passing.length} of ${results.length} color pairs meet WCAG contrast across ${[...new Set(results.map(r => r.theme))].join(', ')}`]
+    : [];
+  return { issues, passes, results };
+}
@@ -5,6 +5,8 @@
  * Authority: domain — can veto components that reference primitives directly
  */
 
+import { loadTokens } from '../../tokens/token-engine.mjs';
+
 export const TOKEN_STEWARD = {
   id: 'ts',
   title: 'Token Steward',
@@ -54,17 +56,41 @@ export const TOKEN_STEWARD = {
     'Contrast ratio maintained in both themes',
     'Surface tonal values invert correctly',
     'Focus indicators visible on dark backgrounds'
+  ],
+
+  densityChecks: [
+    'Padding and gaps built from spacing tokens scale with --t-density-scale or use --t-density-space',
+    'Touch targets hold --t-touch-min (44px) at every density, compact included'
   ]
 };
 
+// WCAG 2.5.8 target size the A11y Guardian recommends; --t-touch-min must never go below it
+const TOUCH_TARGET_MIN_PX = 44;
+const ROOT_FONT_SIZE = 16;
+
+/**
+ * Deprecated tokens from the current token files. Read fresh on every audit
+ * so a deprecation lands the moment the token file changes.
+ */
+function currentDeprecations() {
+  try {
+    return loadTokens().deprecations();
+  } catch {
+    return []; // token files unreadable — the edit hooks report that
+  }
+}
+
 /**
  * Audit a CSS file for token compliance.
  *
  * @param {string} cssContent - The raw CSS content of a component file
  * @param {string} componentName - The component being audited
+ * @param {object} [options]
+ * @param {Array<{ name: string, replacementName: string|null, sunset: string|null }>} [options.deprecations]
+ *   - Defaults to the deprecations in src/tokens
  * @returns {{ issues: string[], passes: string[] }}
  */
-export function auditTokenCompliance(cssContent, componentName) {
+export function auditTokenCompliance(cssContent, componentName, options = {}) {
   const issues = [];
   const passes = [];
 
@@ -108,5 +134,95 @@ export function auditTokenCompliance(cssContent, componentName) {
     passes.push('Border radius uses token references');
   }
 
+  // Check for deprecated tokens still in use (2-sprint migration window)
+  const deprecations = options.deprecations || currentDeprecations();
+  const deprecatedUses = deprecations
+    .filter(d => d.name)
+    .map(d => ({ ...d, count: (cssContent.match(new RegExp(`var\\(${d.name}(?![\\w-])`, 'g')) || []).length }))
+    .filter(d => d.count > 0);
+  for (const d of deprecatedUses) {
+    const migrate = d.replacementName ? `migrate to ${d.replacementName}` : 'remove it';
+    const deadline = d.sunset ? ` before it is removed after ${d.sunset}` : '';
+    issues.push(`Deprecated token ${d.name} used ${d.count}× — ${migrate}${deadline}`);
+  }
+  if (deprecations.length > 0 && deprecatedUses.length === 0) {
+    passes.push('No deprecated token references');
+  }
+
+  // Check padding/gap scales with density, and touch targets don't
+  const declarations = [...cssContent.replace(/\/\*[\s\S]*?\*\//g, '').matchAll(/([a-z-]+)\s*:\s*([^;{}]+)/g)]
+    .map(([, prop, value]) => ({ prop, value: value.trim() }));
+  const spacingDecls = declarations
+    .filter(d => /^(?:padding(?:-[a-z-]+)?|(?:row-|column-)?gap)$/.test(d.prop) && d.value.includes('var(--t-space-'));
+  const fixedSpacing = spacingDecls.filter(d => !/var\(--t-density-(?:scale|space)\)/.test(d.value));
+  if (fixedSpacing.length > 0) {
+    const sample = fixedSpacing.slice(0, 3).map(d => `${d.prop}: ${d.value}`).join('; ');
+    issues.push(`Padding/gap ignores density (${fixedSpacing.length}): ${sample}${fixedSpacing.length > 3 ? '...' : ''} — multiply by var(--t-density-scale) or use var(--t-density-space)`);
+  } else if (spacingDecls.length > 0) {
+    passes.push('Padding and gaps scale with density');
+  }
+  const shrinkingTargets = declarations
+    .filter(d => /^(?:min-)?(?:height|width|block-size|inline-size)$/.test(d.prop))
+    .filter(d => d.value.includes('var(--t-touch-min)') && /var\(--t-density-/.test(d.value));
+  for (const d of shrinkingTargets) {
+    issues.push(`Touch target scales with density (${d.prop}: ${d.value}) — compact density would drop it below ${TOUCH_TARGET_MIN_PX}px`);
+  }
+
   return { issues, passes };
 }
+
+/**
+ * Enforce the first darkModeChecks rule against the token files: every
+ * semantic color needs a dark-theme value. The token build fails on issues.
+ *
+ * @param {import('../../tokens/token-engine.mjs').TokenEngine} engine - A resolved engine
+ * @returns {{ issues: string[], passes: string[], missing: string[] }}
+ */
+export function auditDarkModeParity(engine) {
+  const rule = TOKEN_STEWARD.darkModeChecks[0];
+  const { required, missing } = engine.themeCoverage('dark');
+
+  if (missing.length > 0) {
+    return {
+      issues: [`${rule} — ${missing.length} of ${required} missing: ${missing.join(', ')}`],
+      passes: [],
+      missing
+    };
+  }
+  return { issues: [], passes: [`${rule} (${required} checked)`], missing };
+}
+
+/**
+ * Enforce the second densityChecks rule against the token files: the
+ * touch-target token must resolve to at least 44px in every density mode.
+ * The token build fails on issues.
+ *
+ * @param {import('../../tokens/token-engine.mjs').TokenEngine} engine - A resolved engine
+ * @returns {{ issues: string[], passes: string[] }}
+ */
+export function auditDensity(engine) {
+  const rule = TOKEN_STEWARD.densityChecks[1];
+  const densities = engine.densityNames().length > 0 ? engine.densityNames() : [engine.defaultDensity];
+  const touchPath = engine.tokenList().find(t => engine.cssName(t.path) === '--t-touch-min')?.path;
+  if (!touchPath) {
+    return { issues: [`${rule} — no token produces --t-touch-min`], passes: [] };
+  }
+
+  const px = (value) => {
+    const match = `${value}`.match(/^(-?[\d.]+)(px|rem)$/);
+    if (!match) return null;
+    return parseFloat(match[1]) * (match[2] === 'rem' ? ROOT_FONT_SIZE : 1);
+  };
+
+  const issues = [];
+  for (const density of densities) {
+    const value = engine.tokenList({ density }).find(t => t.path === touchPath)?.value;
+    const size = px(value);
+    if (size === null || size < TOUCH_TARGET_MIN_PX) {
+      issues.push(`${rule} — ${touchPath} is ${value ?? 'undefined'} at ${density} density`);
+    }
+  }
+  return issues.length > 0
+    ? { issues, passes: [] }
+    : { issues, passes: [`${rule} (${densities.join(', ')})`] };
+}
@@ -21,6 +21,7 @@ const BLOCKED_FILES = [
   'src/data/activity-log.jsonl',
   'src/data/changes.jsonl',
   'src/data/initiatives.jsonl',
+  'src/data/proposals.jsonl',
   'src/data/pipeline-state.json',
   'src/library/storybook.js',
   'src/library/storybook.html',
@@ -74,8 +75,8 @@ export function validateWritePath(relPath, mode = 'full') {
   const compSpecMatch = normalized.match(/^src\/components\/([a-z][a-z0-9-]*)\/\1\.spec\.json$/);
   if (compSpecMatch) return { allowed: true };
 
-  // Token files: src/tokens/*.tokens.json
-  const tokenMatch = normalized.match(/^src\/tokens\/[a-z][a-z0-9-]*\.tokens\.json$/);
+  // Token files: src/tokens/*.tokens.json, plus theme overlays (*.{theme}.tokens.json)
+  const tokenMatch = normalized.match(/^src\/tokens\/[a-z][a-z0-9-]*(\.[a-z][a-z0-9-]*)?\.tokens\.json$/);
   if (tokenMatch) return { allowed: true };
 
   // Wiki: src/data/wiki.json
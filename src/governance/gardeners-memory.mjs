@@ -10,11 +10,9 @@
  * Read on session start, written on session end.
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
-import { resolve } from 'node:path';
+import { readJSONFile, writeJSONFile, withFileLock, dataPath } from './storage.mjs';
 
-const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..');
-const MEMORY_FILE = resolve(PROJECT_ROOT, 'src/data/gardeners-memory.json');
+const MEMORY_FILE = dataPath('gardeners-memory.json');
 
 const DEFAULT_MEMORY = {
   lastSession: null,
@@ -31,12 +29,7 @@ const DEFAULT_MEMORY = {
  * @returns {object}
  */
 export function loadMemory() {
-  if (!existsSync(MEMORY_FILE)) return { ...DEFAULT_MEMORY };
-  try {
-    return JSON.parse(readFileSync(MEMORY_FILE, 'utf-8'));
-  } catch {
-    return { ...DEFAULT_MEMORY };
-  }
+  return readJSONFile(MEMORY_FILE, { fallback: () => ({ ...DEFAULT_MEMORY }) });
 }
 
 /**
@@ -47,7 +40,7 @@ export function loadMemory() {
 export function saveMemory(memory) {
   memory.lastSession = new Date().toISOString();
   memory.sessionCount = (memory.sessionCount || 0) + 1;
-  writeFileSync(MEMORY_FILE, JSON.stringify(memory, null, 2) + '\n');
+  writeJSONFile(MEMORY_FILE, memory);
 }
 
 /**
@@ -57,12 +50,14 @@ export function saveMemory(memory) {
  * @param {string} words - The gardener's exact words
  */
 export function recordGardenersWords(topic, words) {
-  const memory = loadMemory();
-  memory.gardenersWords[topic] = {
-    words,
-    recordedAt: new Date().toISOString()
-  };
-  saveMemory(memory);
+  withFileLock(MEMORY_FILE, () => {
+    const memory = loadMemory();
+    memory.gardenersWords[topic] = {
+      words,
+      recordedAt: new Date().toISOString()
+    };
+    saveMemory(memory);
+  });
 }
 
 /**
@@ -72,15 +67,17 @@ export function recordGardenersWords(topic, words) {
  * @param {string} decisionId - Reference to Decision Memory entry
  */
 export function addRecentDecision(summary, decisionId) {
-  const memory = loadMemory();
-  memory.recentDecisions.unshift({
-    summary,
-    decisionId,
-    timestamp: new Date().toISOString()
+  withFileLock(MEMORY_FILE, () => {
+    const memory = loadMemory();
+    memory.recentDecisions.unshift({
+      summary,
+      decisionId,
+      timestamp: new Date().toISOString()
+    });
+    // Keep only last 20
+    memory.recentDecisions = memory.recentDecisions.slice(0, 20);
+    saveMemory(memory);
   });
-  // Keep only last 20
-  memory.recentDecisions = memory.recentDecisions.slice(0, 20);
-  saveMemory(memory);
 }
 
 /**
@@ -89,9 +86,11 @@ export function addRecentDecision(summary, decisionId) {
  * @param {string[]} focusAreas
  */
 export function setFocus(focusAreas) {
-  const memory = loadMemory();
-  memory.currentFocus = focusAreas;
-  saveMemory(memory);
+  withFileLock(MEMORY_FILE, () => {
+    const memory = loadMemory();
+    memory.currentFocus = focusAreas;
+    saveMemory(memory);
+  });
 }
 
 /**
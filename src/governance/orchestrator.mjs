@@ -8,14 +8,16 @@
  *   1. Load component from pipeline-state.json
  *   2. Load component CSS + spec from src/components/{name}/
  *   3. Load prior decisions from decisions.jsonl
- *   4. Run static analysis (token compliance, BEM validation)
- *   5. Run each agent's real Anthropic API review
- *   6. Aggregate verdicts via checkZoneApproval()
+ *   4. Run static analysis (token compliance, contrast, BEM validation)
+ *   5. Run the agents' reviews in parallel (review-scheduler.mjs: concurrency,
+ *      retries with backoff, per-agent timeouts, cancellation)
+ *   6. Aggregate verdicts via checkZoneApproval() — incomplete if an agent
+ *      stayed unavailable
  *   7. Write to decisions.jsonl and activity-log.jsonl
  *   8. Return structured result for UI rendering
  */
 
-import { readFileSync, existsSync, appendFileSync } from 'node:fs';
+import { readFileSync, existsSync } from 'node:fs';
 import { resolve, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
@@ -24,11 +26,15 @@ const PROJECT_ROOT = resolve(__dirname, '..', '..');
 
 // ── Imports ──────────────────────────────────────────────────────────────────
 
-import { runAgentReview, loadComponentCSS, loadComponentSpec } from './agent-runner.mjs';
-import { findComponent, logActivity, loadPipeline, savePipeline } from './pipeline.mjs';
+import { requestAgentReview, unavailableReview, loadComponentCSS, loadComponentSpec } from './agent-runner.mjs';
+import { scheduleReviews } from './review-scheduler.mjs';
+import { findComponent, logActivity, loadPipeline, savePipeline, withPipelineLock } from './pipeline.mjs';
+import { logStore, logForPath } from './root-system/log-store.mjs';
+import { dataPath } from './storage.mjs';
 import { checkZoneApproval } from './zone-rules.mjs';
+import { votingContext } from './voting-rules.mjs';
 import { auditTokenCompliance } from './agents/token-steward.mjs';
-import { getAriaPattern } from './agents/a11y-guardian.mjs';
+import { getAriaPattern, auditContrast } from './agents/a11y-guardian.mjs';
 
 import { buildSystemStewardPrompt } from './agents/system-steward.mjs';
 import { buildPersonalityBlock } from './agent-voices.mjs';
@@ -53,6 +59,9 @@ const AGENT_MAP = {
 // ── Data helpers ─────────────────────────────────────────────────────────────
 
 function readJSONL(relPath, limit = 10) {
+  const log = logForPath(relPath);
+  if (log) return logStore(log).query({}, { limit });
+
   const full = resolve(PROJECT_ROOT, relPath);
   if (!existsSync(full)) return [];
   try {
@@ -73,7 +82,7 @@ let _gardenerConfig = null;
 
 function loadGardenerConfig() {
   if (_gardenerConfig) return _gardenerConfig;
-  const configPath = resolve(PROJECT_ROOT, 'src/data/gardener-config.json');
+  const configPath = dataPath('gardener-config.json');
   if (!existsSync(configPath)) return null;
   try {
     _gardenerConfig = JSON.parse(readFileSync(configPath, 'utf-8'));
@@ -90,9 +99,8 @@ export function reloadGardenerConfig() {
 }
 
 function appendJSONL(relPath, entry) {
-  const full = resolve(PROJECT_ROOT, relPath);
   try {
-    appendFileSync(full, JSON.stringify(entry) + '\n');
+    logStore(logForPath(relPath)).append(entry);
   } catch (err) {
     console.error(`[orchestrator] Failed to append to ${relPath}:`, err.message);
   }
@@ -168,7 +176,7 @@ SCORING GUIDE:
 - 40-59: Significant issues — multiple domain violations
 - 0-39: Fundamental problems — fails core requirements
 
-RESPONSE FORMAT (JSON only — no markdown fences, no preamble, no explanation outside JSON):
+RESPONSE FORMAT (call the submit_review tool — its input is checked against this shape; invalid input is sent back once for repair):
 {
   "verdict": "approved" | "needs-work" | "vetoed",
   "score": 0-100,
@@ -178,6 +186,7 @@ RESPONSE FORMAT (JSON only — no markdown fences, no preamble, no explanation o
     "plan": "Specific changes needed",
     "action": "Your verdict and exact approval condition"
   },
+  "dimensionScores": { "functional": 0-100, "affordance": 0-100, "emotional": 0-100 },
   "analysis": "Full analysis (2-4 paragraphs, domain-specific)",
   "citations": ["DEC-xxx or wiki-key or WCAG-criterion-id"],
   "conditionalApproval": "Exact change that earns approval, or null if approved/vetoed"
@@ -336,6 +345,7 @@ SCORING: Deduct 20 for no adoption evidence, 15 for single-team use case, 10 for
 function runStaticAnalysis(component, cssContent, spec) {
   const findings = {
     tokenCompliance: null,
+    contrast: null,
     ariaPattern: null,
     specPresent: !!spec,
     cssPresent: !!cssContent
@@ -345,6 +355,7 @@ function runStaticAnalysis(component, cssContent, spec) {
     findings.tokenCompliance = auditTokenCompliance(cssContent, component.name);
   }
 
+  findings.contrast = auditContrast(component.name, spec);
   findings.ariaPattern = getAriaPattern(component.name);
 
   return findings;
@@ -366,15 +377,21 @@ function generateDecisionId(zone, componentName) {
  * @param {string} componentId - Component ID (e.g. 'COMP-002') or name (e.g. 'toggle')
  * @param {object} [options]
  * @param {string} [options.zone] - Override zone (defaults to component's current zone)
+ * @param {AbortSignal} [options.signal] - Cancels the agent calls still running; nothing is recorded
+ * @param {object} [options.scheduler] - Concurrency, retries, timeoutMs (review-scheduler.mjs)
+ * @param {(event: object) => void} [options.onEvent] - Progress as the review runs:
+ *   static_analysis, agent_start, agent_retry, agent_done (with the review), zone_verdict
  * @returns {Promise<{
  *   component: object,
  *   zone: string,
  *   staticAnalysis: object,
  *   agentReviews: Record<string, object>,
- *   zoneVerdict: { passed: boolean, reason: string },
- *   decisionId: string,
+ *   zoneVerdict: { passed: boolean, reason: string, incomplete?: boolean, missing?: string[] },
+ *   decisionId: string|null,
+ *   recorded: boolean,
  *   timestamp: string
- * }>}
+ * }>} `recorded` is false (and `decisionId` null) for synthetic (replayed)
+ *   reviews, which are never written to the pipeline or Decision Memory
  */
 export async function runGovernanceReview(componentId, options = {}) {
   // 1. Load component
@@ -401,81 +418,145 @@ export async function runGovernanceReview(componentId, options = {}) {
   // 4. Static analysis
   const staticAnalysis = runStaticAnalysis(component, cssContent, spec);
 
-  console.log(`[orchestrator] Static analysis complete. Token issues: ${staticAnalysis.tokenCompliance?.issues?.length ?? 'N/A'}`);
-
-  // 5. Run agent reviews sequentially (not parallel — avoid overwhelming context)
-  const agentReviews = {};
-
-  for (const agent of AGENTS) {
-    console.log(`[orchestrator] Running ${agent.title} review...`);
-
-    const systemPrompt = buildAgentSystemPrompt(agent, zone, priorDecisions);
-
-    // Inject static analysis findings into the component object for context
-    const enrichedComponent = {
-      ...component,
-      staticAnalysis: staticAnalysis.tokenCompliance
-        ? {
-            tokenIssues: staticAnalysis.tokenCompliance.issues,
-            tokenPasses: staticAnalysis.tokenCompliance.passes,
-            ariaPattern: staticAnalysis.ariaPattern
-          }
-        : null
-    };
+  console.log(`[orchestrator] Static analysis complete. Token issues: ${staticAnalysis.tokenCompliance?.issues?.length ?? 'N/A'}, contrast failures: ${staticAnalysis.contrast.issues.length}`);
+
+  const emit = options.onEvent || (() => {});
+  emit({ type: 'static_analysis', component: { id: component.id, name: component.name }, zone, staticAnalysis });
+
+  // 5. Run agent reviews in parallel through the scheduler (concurrency, retries, timeouts)
+  // Inject static analysis findings into the component object for context
+  const enrichedComponent = {
+    ...component,
+    staticAnalysis: staticAnalysis.tokenCompliance
+      ? {
+          tokenIssues: staticAnalysis.tokenCompliance.issues,
+          tokenPasses: staticAnalysis.tokenCompliance.passes,
+          contrastIssues: staticAnalysis.contrast.issues,
+          contrastPasses: staticAnalysis.contrast.passes,
+          ariaPattern: staticAnalysis.ariaPattern
+        }
+      : null
+  };
 
-    const review = await runAgentReview({
+  const tasks = AGENTS.map(agent => ({
+    id: agent.id,
+    run: (signal) => requestAgentReview({
       agentId: agent.id,
-      systemPrompt,
+      systemPrompt: buildAgentSystemPrompt(agent, zone, priorDecisions),
       component: enrichedComponent,
       zone,
       cssContent,
       spec,
-      priorDecisions
-    });
+      priorDecisions,
+      signal
+    })
+  }));
+
+  // Filled as each agent settles, so progress can be reported in finishing order
+  const settled = {};
+  const results = await scheduleReviews(tasks, {
+    ...options.scheduler,
+    signal: options.signal,
+    onStart: (agentId, attempt) => {
+      const agent = AGENT_MAP[agentId];
+      console.log(`[orchestrator] Running ${agent.title} review${attempt > 1 ? ` (attempt ${attempt})` : ''}...`);
+      emit({ type: 'agent_start', agentId, agentTitle: agent.title, attempt });
+    },
+    onRetry: (agentId, { attempt, delayMs, error }) => {
+      console.warn(`[orchestrator] ${AGENT_MAP[agentId].title} failed (${error.message}); retrying in ${delayMs}ms`);
+      emit({ type: 'agent_retry', agentId, attempt, delayMs, error: error.message });
+    },
+    onSettled: (result) => {
+      if (result.aborted) return;
+      const agent = AGENT_MAP[result.id];
+      if (!result.ok) console.error(`[orchestrator] ${agent.title} review failed after ${result.attempts} attempt(s):`, result.error?.message);
+      const review = result.ok ? result.value : unavailableReview(result.error);
+
+      settled[agent.id] = {
+        ...review,
+        agentTitle: agent.title,
+        agentColor: agent.hex,
+        attempts: result.attempts,
+        durationMs: result.durationMs,
+        timestamp: new Date().toISOString()
+      };
+
+      console.log(`[orchestrator] ${agent.title}: ${review.verdict} (score: ${review.score})`);
+      emit({ type: 'agent_done', agentId: agent.id, review: settled[agent.id] });
+    }
+  });
 
-    agentReviews[agent.id] = {
-      ...review,
-      agentTitle: agent.title,
-      agentColor: agent.hex,
-      timestamp: new Date().toISOString()
-    };
+  // Cancelled: nothing is recorded for a review nobody waited for
+  options.signal?.throwIfAborted();
 
-    console.log(`[orchestrator] ${agent.title}: ${review.verdict} (score: ${review.score})`);
-  }
+  // Agent order, not finishing order
+  const agentReviews = {};
+  for (const result of results) agentReviews[result.id] = settled[result.id];
 
   // 6. Aggregate verdicts
   const verdictMap = {};
   for (const [agentId, review] of Object.entries(agentReviews)) {
     verdictMap[agentId] = review.verdict;
   }
-  const zoneVerdict = checkZoneApproval(zone, verdictMap);
+  // Rules and credibility read once, here; the tally itself does no I/O
+  const zoneVerdict = checkZoneApproval(zone, verdictMap, { voting: votingContext() });
 
-  console.log(`[orchestrator] Zone verdict: ${zoneVerdict.passed ? 'PASSED' : 'FAILED'} — ${zoneVerdict.reason}`);
+  const outcome = zoneVerdict.passed ? 'PASSED' : zoneVerdict.incomplete ? 'INCOMPLETE' : 'FAILED';
+  console.log(`[orchestrator] Zone verdict: ${outcome} — ${zoneVerdict.reason}`);
+  emit({ type: 'zone_verdict', zoneVerdict });
+
+  const timestamp = new Date().toISOString();
+  const result = {
+    component,
+    zone,
+    staticAnalysis,
+    agentReviews,
+    // Fix 15: UI aliases — storybook.js reads these keys
+    reviews: agentReviews,
+    zoneVerdict,
+    overallVerdict: zoneVerdict.passed ? 'approved' : zoneVerdict.incomplete ? 'incomplete' : 'needs-work',
+    summary: zoneVerdict.reason,
+    decisionId: null,
+    recorded: false,
+    timestamp
+  };
+
+  // Replayed fixtures are canned output: record nothing, so they earn no gate credit
+  if (Object.values(agentReviews).some(r => r.synthetic)) {
+    console.log(`[orchestrator] Synthetic (replayed) reviews — ${component.name} ${zone} review not recorded`);
+    return result;
+  }
 
   // 6b. Persist agentReviews back to pipeline-state.json so UI chips reflect real verdicts
   try {
-    const pipelineState = loadPipeline();
-    for (const z of ['nursery', 'workshop', 'canopy', 'stable']) {
-      const idx = pipelineState[z]?.findIndex(c => c.id === component.id);
-      if (idx !== undefined && idx !== -1) {
-        // Store compact review summaries (verdict + score + orpa action) — not full text
-        pipelineState[z][idx].agentReviews = {};
-        for (const [agentId, review] of Object.entries(agentReviews)) {
-          pipelineState[z][idx].agentReviews[agentId] = {
-            verdict: review.verdict,
-            score: review.score,
-            action: review.orpa?.action || '',
-            conditionalApproval: review.conditionalApproval || null,
-            timestamp: review.timestamp
-          };
+    // Locked: the review awaited agents, so read fresh and write before anyone else can
+    withPipelineLock(() => {
+      const pipelineState = loadPipeline();
+      for (const z of ['nursery', 'workshop', 'canopy', 'stable']) {
+        const idx = pipelineState[z]?.findIndex(c => c.id === component.id);
+        if (idx !== undefined && idx !== -1) {
+          // Store compact review summaries (verdict + score + orpa action) — not full text
+          pipelineState[z][idx].agentReviews = {};
+          for (const [agentId, review] of Object.entries(agentReviews)) {
+            pipelineState[z][idx].agentReviews[agentId] = {
+              verdict: review.verdict,
+              score: review.score,
+              action: review.orpa?.action || '',
+              conditionalApproval: review.conditionalApproval || null,
+              provider: review.provider,
+              timestamp: review.timestamp
+            };
+          }
+          pipelineState[z][idx].lastReviewedAt = new Date().toISOString();
+          pipelineState[z][idx].lastZoneVerdict = zoneVerdict;
+          // A veto override belongs to the review it overrode
+          delete pipelineState[z][idx].vetoOverride;
+          savePipeline(pipelineState);
+          console.log(`[orchestrator] Persisted agentReviews to pipeline-state.json for ${component.name}`);
+          break;
         }
-        pipelineState[z][idx].lastReviewedAt = new Date().toISOString();
-        pipelineState[z][idx].lastZoneVerdict = zoneVerdict;
-        savePipeline(pipelineState);
-        console.log(`[orchestrator] Persisted agentReviews to pipeline-state.json for ${component.name}`);
-        break;
       }
-    }
+    });
   } catch (persistErr) {
     console.error('[orchestrator] Failed to persist agentReviews:', persistErr.message);
     // Non-fatal — review result still returned to UI
@@ -483,7 +564,6 @@ export async function runGovernanceReview(componentId, options = {}) {
 
   // 7. Write decision record
   const decisionId = generateDecisionId(zone, component.name);
-  const timestamp = new Date().toISOString();
 
   const decisionEntry = {
     id: decisionId,
@@ -492,19 +572,24 @@ export async function runGovernanceReview(componentId, options = {}) {
     zone,
     componentId: component.name.toLowerCase(),
     componentPipelineId: component.id,
-    decision: `${component.name} ${zone} review: ${zoneVerdict.passed ? 'PASSED' : 'FAILED'}. ${zoneVerdict.reason}`,
+    decision: `${component.name} ${zone} review: ${outcome}. ${zoneVerdict.reason}`,
     agents: Object.fromEntries(
       Object.entries(agentReviews).map(([id, r]) => [id, {
         verdict: r.verdict,
         score: r.score,
         analysis: r.analysis?.slice(0, 300),
-        conditionalApproval: r.conditionalApproval
+        conditionalApproval: r.conditionalApproval,
+        // Cited decision IDs feed each agent's h-index (voting-rules.mjs)
+        citations: r.citations || [],
+        provider: r.provider,
+        model: r.model
       }])
     ),
     zoneVerdict,
     staticAnalysis: {
       tokenIssues: staticAnalysis.tokenCompliance?.issues ?? [],
-      tokenPasses: staticAnalysis.tokenCompliance?.passes ?? []
+      tokenPasses: staticAnalysis.tokenCompliance?.passes ?? [],
+      contrastIssues: staticAnalysis.contrast.issues
     }
   };
 
@@ -516,22 +601,10 @@ export async function runGovernanceReview(componentId, options = {}) {
     component.id,
     component.name,
     'orchestrator',
-    `${zone} review complete: ${zoneVerdict.passed ? 'passed' : 'failed'} — ${zoneVerdict.reason}`
+    `${zone} review complete: ${outcome.toLowerCase()} — ${zoneVerdict.reason}`
   );
 
-  return {
-    component,
-    zone,
-    staticAnalysis,
-    agentReviews,
-    // Fix 15: UI aliases — storybook.js reads these keys
-    reviews: agentReviews,
-    zoneVerdict,
-    overallVerdict: zoneVerdict.passed ? 'approved' : 'needs-work',
-    summary: zoneVerdict.reason,
-    decisionId,
-    timestamp
-  };
+  return { ...result, decisionId, recorded: true };
 }
 
 // ── Single agent review ──────────────────────────────────────────────────────
@@ -567,15 +640,12 @@ export async function runSingleAgentReview(agentId, componentId) {
 
   const systemPrompt = buildAgentSystemPrompt(agent, zone, priorDecisions);
 
-  const review = await runAgentReview({
-    agentId: agent.id,
-    systemPrompt,
-    component,
-    zone,
-    cssContent,
-    spec,
-    priorDecisions
-  });
+  // Same retries and timeout as a full review
+  const [result] = await scheduleReviews([{
+    id: agent.id,
+    run: (signal) => requestAgentReview({ agentId: agent.id, systemPrompt, component, zone, cssContent, spec, priorDecisions, signal })
+  }]);
+  const review = result.ok ? result.value : unavailableReview(result.error);
 
   return {
     agentId,
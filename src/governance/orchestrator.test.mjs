@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { useScratchData } from './scratch-data.mjs';
+
+useScratchData('orchestrator');
+const { runGovernanceReview } = await import('./orchestrator.mjs');
+const { setProvider } = await import('./providers/index.mjs');
+const { createReplayProvider } = await import('./providers/replay.mjs');
+const { findComponent } = await import('./pipeline.mjs');
+const { logStore } = await import('./root-system/log-store.mjs');
+
+const count = (log) => logStore(log).query({}).length;
+
+// The same fixtures, as if a live model had answered
+const live = () => ({ ...createReplayProvider(), name: 'fixture', synthetic: false });
+
+test('a replayed review is returned but never recorded', async () => {
+  // The checked-in fixtures: every agent approves
+  setProvider(createReplayProvider());
+  const decisions = count('decisions');
+  const activity = count('activity');
+
+  const result = await runGovernanceReview('COMP-003');
+
+  assert.equal(result.zoneVerdict.passed, true);
+  assert.equal(result.recorded, false);
+  assert.equal(result.decisionId, null);
+  for (const review of Object.values(result.agentReviews)) {
+    assert.equal(review.provider, 'replay');
+    assert.equal(review.model, 'replay');
+    assert.equal(review.synthetic, true);
+  }
+
+  assert.equal(count('decisions'), decisions);
+  assert.equal(count('activity'), activity);
+  const { component } = findComponent('COMP-003');
+  assert.deepEqual(component.agentReviews, {});
+  assert.equal(component.lastZoneVerdict, undefined);
+});
+
+test('progress events arrive in order, and a live review is recorded', async () => {
+  setProvider(live());
+  const events = [];
+
+  const result = await runGovernanceReview('COMP-004', { onEvent: (event) => events.push(event) });
+
+  const types = events.map(e => e.type);
+  assert.equal(types[0], 'static_analysis');
+  assert.equal(events[0].component.id, 'COMP-004');
+  assert.equal(types.at(-1), 'zone_verdict');
+  assert.deepEqual(events.at(-1).zoneVerdict, result.zoneVerdict);
+  for (const agentId of ['ts', 'ag', 'pl', 'ca', 'px']) {
+    const started = events.findIndex(e => e.type === 'agent_start' && e.agentId === agentId);
+    const done = events.findIndex(e => e.type === 'agent_done' && e.agentId === agentId);
+    assert.ok(started > 0 && done > started, agentId);
+    assert.equal(events[done].review.verdict, result.agentReviews[agentId].verdict);
+  }
+
+  assert.equal(result.recorded, true);
+  const decision = logStore('decisions').query({ type: 'workshop_review' }).find(d => d.id === result.decisionId);
+  assert.equal(decision.componentPipelineId, 'COMP-004');
+  assert.equal(decision.agents.ts.provider, 'fixture');
+  assert.equal(findComponent('COMP-004').component.agentReviews.ag.provider, 'fixture');
+});
+
+test('a review aborted part-way throws and records nothing', async () => {
+  setProvider(live());
+  const decisions = count('decisions');
+  const controller = new AbortController();
+  const events = [];
+
+  const review = runGovernanceReview('COMP-005', {
+    signal: controller.signal,
+    onEvent: (event) => {
+      events.push(event.type);
+      // The client goes away once the first agent has answered
+      if (event.type === 'agent_done') controller.abort(new Error('Client disconnected'));
+    }
+  });
+
+  await assert.rejects(review, /Client disconnected/);
+  assert.ok(events.includes('agent_done'));
+  assert.equal(events.includes('zone_verdict'), false);
+  assert.equal(count('decisions'), decisions);
+  assert.deepEqual(findComponent('COMP-005').component.agentReviews, {});
+});
@@ -1,39 +1,99 @@
 /**
  * Pipeline — Component lifecycle management.
  *
- * Components travel: Spark Queue → Nursery → Workshop → Canopy → Stable (or Seed Vault)
+ * Components travel: Spark Queue (spark-queue.mjs) → Nursery → Workshop → Canopy → Stable (or Seed Vault)
+ *
+ * Leaving a zone goes through the promotion gate (promotion-gate.mjs); only
+ * the gardener can promote past it, and that is recorded as a decision.
+ * The gardener can also override an Accessibility Guardian veto by itself
+ * (overrideVeto()): the veto stays in history, and every override is counted.
+ *
+ * Every other move is a lifecycle transition checked against TRANSITIONS:
+ * demote one zone back, archive to the Seed Vault with a full snapshot,
+ * revive from the Seed Vault into the Nursery, deprecate a Stable component
+ * (it stays in Stable, marked deprecated) or restore it.
  */
 
-import { readFileSync, writeFileSync, existsSync, appendFileSync } from 'node:fs';
+import { readFileSync, existsSync } from 'node:fs';
 import { resolve } from 'node:path';
 
+import { ZONE_RULES } from './zone-rules.mjs';
+import { checkPromotionGate, latestZoneReview, vetoOverrideFor } from './promotion-gate.mjs';
+import { readJSONFile, writeJSONFile, withFileLock, dataPath } from './storage.mjs';
+import { logStore } from './root-system/log-store.mjs';
+import { appendDecision, queryDecisions } from './root-system/decision-memory.mjs';
+
 const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..');
-const PIPELINE_FILE = resolve(PROJECT_ROOT, 'src/data/pipeline-state.json');
-const ACTIVITY_LOG = resolve(PROJECT_ROOT, 'src/data/activity-log.jsonl');
+const PIPELINE_FILE = dataPath('pipeline-state.json');
+const SEED_VAULT_FILE = dataPath('seed-vault.json');
+
+const ZONES = ['nursery', 'workshop', 'canopy', 'stable'];
+
+// An override of an absolute veto needs more than a word or two
+const MIN_OVERRIDE_JUSTIFICATION = 30;
+
+const MATURITY = { nursery: 'draft', workshop: 'candidate', canopy: 'candidate', stable: 'stable' };
+
+/**
+ * Allowed lifecycle transitions: state → action → next state.
+ * 'deprecated' is a Stable component marked deprecated; 'seed-vault' lives in seed-vault.json.
+ */
+export const TRANSITIONS = {
+  nursery: { promote: 'workshop', 'seed-vault': 'seed-vault' },
+  workshop: { promote: 'canopy', demote: 'nursery', 'seed-vault': 'seed-vault' },
+  canopy: { promote: 'stable', demote: 'workshop', 'seed-vault': 'seed-vault' },
+  stable: { demote: 'canopy', deprecate: 'deprecated' },
+  deprecated: { restore: 'stable', 'seed-vault': 'seed-vault' },
+  'seed-vault': { revive: 'nursery' }
+};
+
+// Activity log verb per transition
+const ACTIVITY_ACTION = {
+  promote: 'promoted',
+  demote: 'demoted',
+  'seed-vault': 'seed-vaulted',
+  revive: 'revived',
+  deprecate: 'deprecated',
+  restore: 'restored'
+};
 
 /**
  * Load the current pipeline state.
  *
- * @returns {{ nursery: object[], workshop: object[], canopy: object[], stable: object[], nextId: number }}
+ * A missing file is an empty pipeline; a corrupt one is restored from the
+ * latest snapshot (see storage.mjs), or throws StorageCorruptionError.
+ *
+ * @returns {{ nursery: object[], workshop: object[], canopy: object[], stable: object[], nextId: number, version: number }}
  */
 export function loadPipeline() {
-  if (!existsSync(PIPELINE_FILE)) {
-    return { nursery: [], workshop: [], canopy: [], stable: [], nextId: 1 };
-  }
-  try {
-    return JSON.parse(readFileSync(PIPELINE_FILE, 'utf-8'));
-  } catch {
-    return { nursery: [], workshop: [], canopy: [], stable: [], nextId: 1 };
-  }
+  return readJSONFile(PIPELINE_FILE, {
+    fallback: () => ({ nursery: [], workshop: [], canopy: [], stable: [], nextId: 1, version: 0 }),
+    validate: (state) => ZONES.every(zone => Array.isArray(state?.[zone])) && Number.isInteger(state.nextId)
+  });
 }
 
 /**
  * Save the pipeline state.
  *
- * @param {object} state
+ * Throws VersionConflictError if the file changed since `state` was loaded —
+ * reload and reapply rather than overwrite. Wrap load-modify-save sequences in
+ * withPipelineLock() so nothing can change in between.
+ *
+ * @param {object} state - As returned by loadPipeline(); its version is bumped
  */
 export function savePipeline(state) {
-  writeFileSync(PIPELINE_FILE, JSON.stringify(state, null, 2) + '\n');
+  writeJSONFile(PIPELINE_FILE, state, { versioned: true });
+}
+
+/**
+ * Hold the pipeline lock for a synchronous load-modify-save.
+ *
+ * @template T
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withPipelineLock(fn) {
+  return withFileLock(PIPELINE_FILE, fn);
 }
 
 /**
@@ -42,29 +102,35 @@ export function savePipeline(state) {
  * @param {string} name - Component name
  * @param {'primitive'|'composite'} type
  * @param {string} description - JTBD description
+ * @param {object} [origin]
+ * @param {string} [origin.sparkId] - The Spark Queue entry it was planted from
  * @returns {object}
  */
-export function createComponent(name, type, description) {
-  const state = loadPipeline();
-  const component = {
-    id: `COMP-${String(state.nextId++).padStart(3, '0')}`,
-    name,
-    type,
-    description,
-    zone: 'nursery',
-    maturity: 'draft',
-    createdAt: new Date().toISOString(),
-    movedAt: new Date().toISOString(),
-    agentReviews: {},
-    proposals: [],
-    shielded: false
-  };
+export function createComponent(name, type, description, origin = {}) {
+  return withPipelineLock(() => {
+    const state = loadPipeline();
+    const component = {
+      id: `COMP-${String(state.nextId++).padStart(3, '0')}`,
+      name,
+      type,
+      description,
+      ...(origin.sparkId && { sparkId: origin.sparkId }),
+      zone: 'nursery',
+      maturity: 'draft',
+      createdAt: new Date().toISOString(),
+      movedAt: new Date().toISOString(),
+      agentReviews: {},
+      proposals: [],
+      shielded: false
+    };
 
-  state.nursery.push(component);
-  savePipeline(state);
-  logActivity('submitted', component.id, name, 'gardener', `Entered Nursery as ${type} draft`);
+    state.nursery.push(component);
+    savePipeline(state);
+    logActivity('submitted', component.id, name, 'gardener',
+      `Entered Nursery as ${type} draft${origin.sparkId ? ` (planted from ${origin.sparkId})` : ''}`);
 
-  return component;
+    return component;
+  });
 }
 
 /**
@@ -75,7 +141,7 @@ export function createComponent(name, type, description) {
  */
 export function findComponent(componentId) {
   const state = loadPipeline();
-  for (const zone of ['nursery', 'workshop', 'canopy', 'stable']) {
+  for (const zone of ZONES) {
     const comp = state[zone].find(c => c.id === componentId || c.name.toLowerCase() === componentId.toLowerCase());
     if (comp) return { component: comp, zone };
   }
@@ -83,59 +149,417 @@ export function findComponent(componentId) {
 }
 
 /**
- * Promote a component to the next zone.
+ * Promote a component to the next zone, if it passes the promotion gate.
  *
  * @param {string} componentId
- * @returns {{ success: boolean, from: string, to: string, component: object } | { success: boolean, reason: string }}
+ * @param {object} [options]
+ * @param {{ justification: string }} [options.override] - Gardener override of unmet criteria
+ *   (MIN_OVERRIDE_JUSTIFICATION+ characters). Refused while an AG veto stands — see overrideVeto().
+ * @returns {{ success: true, from: string, to: string, component: object, gate: object, overrideDecisionId?: string }
+ *   | { success: false, reason: string, unmet?: Array<{ criterion: string, detail: string }>, gate?: object, vetoDecisionId?: string }}
  */
-export function promoteComponent(componentId) {
-  const state = loadPipeline();
-  const zoneOrder = ['nursery', 'workshop', 'canopy', 'stable'];
+export function promoteComponent(componentId, options = {}) {
+  return withPipelineLock(() => {
+    const state = loadPipeline();
 
-  for (let i = 0; i < zoneOrder.length - 1; i++) {
-    const zone = zoneOrder[i];
-    const idx = state[zone].findIndex(c => c.id === componentId);
-    if (idx === -1) continue;
+    for (let i = 0; i < ZONES.length - 1; i++) {
+      const zone = ZONES[i];
+      const idx = state[zone].findIndex(c => c.id === componentId);
+      if (idx === -1) continue;
 
-    const comp = state[zone].splice(idx, 1)[0];
-    const nextZone = zoneOrder[i + 1];
+      const nextZone = ZONES[i + 1];
+      const gate = checkPromotionGate({ ...state[zone][idx], zone });
+      const justification = options.override?.justification?.trim();
+      let overrideDecision = null;
 
-    comp.zone = nextZone;
-    comp.maturity = nextZone === 'workshop' ? 'candidate' : nextZone === 'canopy' ? 'candidate' : 'stable';
-    comp.movedAt = new Date().toISOString();
+      if (!gate.passed) {
+        if (!options.override) {
+          return {
+            success: false,
+            reason: `Promotion gate not met for ${zone} → ${nextZone}: ${gate.unmet.map(u => u.criterion).join(', ')}`,
+            unmet: gate.unmet,
+            gate
+          };
+        }
+        const target = state[zone][idx];
+        // An AG veto is overridden on its own, with its own linked decision — not swept up in a gate override
+        const review = ZONE_RULES[zone]?.agVeto ? latestZoneReview({ ...target, zone }, zone) : null;
+        if (review?.agents?.ag?.verdict === 'vetoed' && !vetoOverrideFor(review)) {
+          return {
+            success: false,
+            reason: `${target.name} has a standing AG veto (${review.id}). Override it first: POST /api/pipeline/override-veto/${target.id}`,
+            unmet: gate.unmet,
+            gate,
+            vetoDecisionId: review.id
+          };
+        }
+        if (!justification || justification.length < MIN_OVERRIDE_JUSTIFICATION) {
+          return {
+            success: false,
+            reason: `A gardener override needs a written justification of at least ${MIN_OVERRIDE_JUSTIFICATION} characters.`,
+            unmet: gate.unmet,
+            gate
+          };
+        }
+        overrideDecision = appendDecision({
+          type: 'gardener_override',
+          zone,
+          componentId: target.name.toLowerCase(),
+          componentPipelineId: target.id,
+          decision: `Gardener promoted ${target.name} from ${zone} to ${nextZone} over ${gate.unmet.length} unmet criteria: ${gate.unmet.map(u => u.criterion).join(', ')}`,
+          gardener: { words: justification, overrides: gate.unmet }
+        });
+      }
 
-    state[nextZone].push(comp);
-    savePipeline(state);
-    logActivity('promoted', comp.id, comp.name, 'gardener', `Moved from ${zone} to ${nextZone}`);
+      const comp = state[zone].splice(idx, 1)[0];
 
-    return { success: true, from: zone, to: nextZone, component: comp };
-  }
+      comp.zone = nextZone;
+      comp.maturity = MATURITY[nextZone];
+      comp.movedAt = new Date().toISOString();
 
-  return { success: false, reason: `Component ${componentId} not found or already stable.` };
+      state[nextZone].push(comp);
+      savePipeline(state);
+      logActivity('promoted', comp.id, comp.name, 'gardener',
+        `Moved from ${zone} to ${nextZone}${overrideDecision ? ` (gardener override, ${overrideDecision.id})` : ''}`);
+
+      return {
+        success: true, from: zone, to: nextZone, component: comp, gate,
+        ...(overrideDecision ? { overrideDecisionId: overrideDecision.id } : {})
+      };
+    }
+
+    return { success: false, reason: `Component ${componentId} not found or already stable.` };
+  });
 }
 
 /**
- * Move a component to the Seed Vault.
+ * Override the Accessibility Guardian's veto on a component's latest review.
+ *
+ * Records an `override` decision linked to the vetoed review (which stays in
+ * Decision Memory as it was) and marks the pipeline entry. The promotion gate
+ * then counts AG's verdict on that review as an approval; the other agents'
+ * verdicts still apply. A new review needs its own override.
  *
  * @param {string} componentId
- * @param {string} reason
- * @returns {{ success: boolean, component?: object }}
+ * @param {object} options
+ * @param {string} options.justification - Why the veto should not stand (MIN_OVERRIDE_JUSTIFICATION+ characters)
+ * @returns {{ success: true, component: object, decisionId: string, vetoDecisionId: string, overrideCount: number, gate: object }
+ *   | { success: false, reason: string }}
  */
-export function seedVaultComponent(componentId, reason) {
-  const state = loadPipeline();
+export function overrideVeto(componentId, options = {}) {
+  const justification = options.justification?.trim() || '';
 
-  for (const zone of ['nursery', 'workshop', 'canopy']) {
-    const idx = state[zone].findIndex(c => c.id === componentId);
-    if (idx === -1) continue;
+  return withPipelineLock(() => {
+    const state = loadPipeline();
+    const zone = ZONES.find(z => state[z].some(c => c.id === componentId));
+    if (!zone) return { success: false, reason: `Component ${componentId} not found` };
+    const comp = state[zone].find(c => c.id === componentId);
 
-    const comp = state[zone].splice(idx, 1)[0];
+    if (!ZONE_RULES[zone]?.agVeto) {
+      return { success: false, reason: `The Accessibility Guardian has no veto in ${zone} — nothing to override` };
+    }
+    const review = latestZoneReview({ ...comp, zone }, zone);
+    if (review?.agents?.ag?.verdict !== 'vetoed') {
+      return { success: false, reason: `${comp.name} has no standing AG veto — its latest ${zone} review ${review ? `(${review.id}) ` : ''}was not vetoed` };
+    }
+    const existing = vetoOverrideFor(review);
+    if (existing) {
+      return { success: false, reason: `The veto in ${review.id} was already overridden (${existing.id})` };
+    }
+    if (justification.length < MIN_OVERRIDE_JUSTIFICATION) {
+      return {
+        success: false,
+        reason: `Overriding an absolute veto needs a written justification of at least ${MIN_OVERRIDE_JUSTIFICATION} characters`
+      };
+    }
+
+    const overrideCount = queryDecisions({ type: 'override' }).length + 1;
+    const decision = appendDecision({
+      type: 'override',
+      zone,
+      componentId: comp.name.toLowerCase(),
+      componentPipelineId: comp.id,
+      decision: `Gardener overrode the Accessibility Guardian's veto on ${comp.name} (${review.id})`,
+      overrides: review.id,
+      veto: {
+        agent: 'ag',
+        analysis: review.agents.ag.analysis,
+        conditionalApproval: review.agents.ag.conditionalApproval
+      },
+      gardener: { words: justification },
+      overrideCount
+    });
+
+    comp.vetoOverride = { decisionId: decision.id, vetoDecisionId: review.id, at: decision.timestamp, justification };
     savePipeline(state);
-    logActivity('seed-vaulted', comp.id, comp.name, 'gardener', reason || 'Preserved in Seed Vault');
+    logActivity('veto-overridden', comp.id, comp.name, 'gardener',
+      `AG veto in ${review.id} overridden (${decision.id}, override #${overrideCount}): ${justification}`);
+
+    return {
+      success: true,
+      component: comp,
+      decisionId: decision.id,
+      vetoDecisionId: review.id,
+      overrideCount,
+      gate: checkPromotionGate({ ...comp, zone })
+    };
+  });
+}
+
+/**
+ * How often the gardener has overridden governance: AG vetoes and promotion
+ * gates, with the most recent of either.
+ *
+ * @param {number} [limit] - How many recent overrides to include
+ * @returns {{ vetoOverrides: number, gateOverrides: number, recent: object[] }}
+ */
+export function overrideSummary(limit = 10) {
+  const vetoOverrides = queryDecisions({ type: 'override' });
+  const gateOverrides = queryDecisions({ type: 'gardener_override' });
+  const recent = [...vetoOverrides, ...gateOverrides]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, limit)
+    .map(d => ({
+      id: d.id,
+      type: d.type,
+      timestamp: d.timestamp,
+      zone: d.zone,
+      componentId: d.componentPipelineId || d.componentId,
+      decision: d.decision,
+      justification: d.gardener?.words || null,
+      ...(d.overrides && { overrides: d.overrides })
+    }));
+
+  return { vetoOverrides: vetoOverrides.length, gateOverrides: gateOverrides.length, recent };
+}
+
+/**
+ * Record a product team's adoption status on a component. The promotion gate
+ * reads these through the Product Liaison's checkAdoptionGate().
+ *
+ * @param {string} componentId
+ * @param {string} team - Team name
+ * @param {string} status - e.g. 'evaluating', 'ad-hoc', 'prototype', 'staging', 'production'
+ * @returns {{ success: boolean, component?: object, reason?: string }}
+ */
+export function recordTeamAdoption(componentId, team, status) {
+  return withPipelineLock(() => {
+    const state = loadPipeline();
+
+    for (const zone of ZONES) {
+      const comp = state[zone].find(c => c.id === componentId);
+      if (!comp) continue;
+
+      comp.teams = (comp.teams || []).filter(t => t.name !== team);
+      comp.teams.push({ name: team, status, updatedAt: new Date().toISOString() });
+      savePipeline(state);
+      logActivity('adoption', comp.id, comp.name, 'gardener', `${team}: ${status}`);
+
+      return { success: true, component: comp };
+    }
 
-    return { success: true, component: comp };
+    return { success: false, reason: `Component ${componentId} not found.` };
+  });
+}
+
+/**
+ * Load the Seed Vault.
+ *
+ * @returns {object[]}
+ */
+export function loadSeedVault() {
+  return readJSONFile(SEED_VAULT_FILE, { fallback: () => [], validate: Array.isArray });
+}
+
+/**
+ * Save the Seed Vault.
+ *
+ * @param {object[]} vault
+ */
+export function saveSeedVault(vault) {
+  writeJSONFile(SEED_VAULT_FILE, vault);
+}
+
+/**
+ * Lifecycle state of a pipeline entry: its zone, or 'deprecated' for a
+ * deprecated Stable component.
+ *
+ * @param {object} component
+ * @param {string} zone
+ * @returns {string}
+ */
+export function lifecycleState(component, zone) {
+  return zone === 'stable' && component.maturity === 'deprecated' ? 'deprecated' : zone;
+}
+
+/**
+ * Where a component is now and which transitions it allows.
+ * Looks in the pipeline first, then the Seed Vault (by ID or name).
+ *
+ * @param {string} componentId
+ * @returns {{ state: string, component: object, allowed: Object<string, string> } | null}
+ */
+export function allowedTransitions(componentId) {
+  const found = findComponent(componentId);
+  if (found) {
+    const state = lifecycleState(found.component, found.zone);
+    return { state, component: found.component, allowed: TRANSITIONS[state] };
   }
+  const entry = findVaultEntry(loadSeedVault(), componentId);
+  if (entry) return { state: 'seed-vault', component: entry, allowed: TRANSITIONS['seed-vault'] };
+  return null;
+}
+
+function findVaultEntry(vault, componentId) {
+  const key = componentId.toLowerCase();
+  return vault.find(e => e.id === componentId || e.name?.toLowerCase() === key) || null;
+}
 
-  return { success: false };
+// The latest decisions for a component, so a vault entry keeps its history
+function recentDecisionIds(component) {
+  const name = component.name.toLowerCase();
+  return logStore('decisions').query()
+    .filter(d => d.componentPipelineId === component.id || d.componentId?.toLowerCase() === name)
+    .map(d => d.id);
+}
+
+function readComponentFile(name, ext) {
+  const file = resolve(PROJECT_ROOT, 'src/components', name, `${name}.${ext}`);
+  return existsSync(file) ? readFileSync(file, 'utf-8') : null;
+}
+
+/**
+ * Apply a lifecycle transition.
+ *
+ * 'promote' goes through promoteComponent() and its gate; everything else is
+ * validated against TRANSITIONS and logged to activity-log.jsonl.
+ *
+ * @param {string} componentId - Pipeline ID or name (Seed Vault entries: ID or name)
+ * @param {'promote'|'demote'|'seed-vault'|'revive'|'deprecate'|'restore'} action
+ * @param {object} [options]
+ * @param {string} [options.reason] - Why; required for demote, seed-vault and deprecate
+ * @param {string} [options.replacement] - deprecate: the component that supersedes it
+ * @param {boolean} [options.revivable] - seed-vault: false to archive for good (defaults to true)
+ * @param {string} [options.actor] - Defaults to 'gardener'
+ * @param {{ justification: string }} [options.override] - promote: gardener override of the gate
+ * @returns {{ success: true, action: string, from: string, to: string, component: object }
+ *   | { success: false, reason: string, allowed?: string[] }}
+ */
+export function transitionComponent(componentId, action, options = {}) {
+  return withPipelineLock(() => {
+    const { reason, replacement, actor = 'gardener' } = options;
+    const current = allowedTransitions(componentId);
+    if (!current) {
+      return { success: false, reason: `Component ${componentId} not found in the pipeline or the Seed Vault.` };
+    }
+
+    const to = current.allowed[action];
+    if (!to) {
+      return {
+        success: false,
+        reason: `Cannot ${action} from ${current.state}. Allowed: ${Object.keys(current.allowed).join(', ') || 'none'}`,
+        allowed: Object.keys(current.allowed)
+      };
+    }
+    if (['demote', 'seed-vault', 'deprecate'].includes(action) && !reason?.trim()) {
+      return { success: false, reason: `A reason is required to ${action} a component.` };
+    }
+
+    if (action === 'promote') {
+      const result = promoteComponent(current.component.id, { override: options.override });
+      return result.success ? { ...result, action } : result;
+    }
+
+    const from = current.state;
+    const now = new Date().toISOString();
+    let component;
+
+    if (action === 'revive') {
+      const vault = loadSeedVault();
+      const entry = findVaultEntry(vault, componentId);
+      if (entry.revivable === false) {
+        return { success: false, reason: `${entry.name} was archived as not revivable: ${entry.reason}` };
+      }
+      const state = loadPipeline();
+      const snapshot = entry.snapshot?.component;
+      // Legacy vault entries carry no pipeline snapshot — they come back as a new draft
+      component = {
+        ...(snapshot || { name: entry.name, type: 'composite', description: entry.context || '', proposals: [], shielded: false }),
+        id: snapshot?.id || `COMP-${String(state.nextId++).padStart(3, '0')}`,
+        zone: 'nursery',
+        maturity: MATURITY.nursery,
+        createdAt: snapshot?.createdAt || now,
+        movedAt: now,
+        agentReviews: {},
+        revivedFrom: { archivedDate: entry.archivedDate, reason: entry.reason, revivalReason: reason || entry.reviveReason || null }
+      };
+      delete component.lastZoneVerdict;
+      state.nursery.push(component);
+      savePipeline(state);
+      saveSeedVault(vault.filter(e => e !== entry));
+    } else {
+      const state = loadPipeline();
+      const zone = from === 'deprecated' ? 'stable' : from;
+      const idx = state[zone].findIndex(c => c.id === current.component.id);
+      component = state[zone][idx];
+
+      if (action === 'seed-vault') {
+        const vault = loadSeedVault();
+        const name = component.name.toLowerCase();
+        vault.push({
+          id: component.id,
+          name: component.name,
+          archivedDate: now.slice(0, 10),
+          archivedAt: now,
+          archivedFrom: from,
+          reason,
+          context: component.description || '',
+          revivable: options.revivable !== false,
+          reviveReason: null,
+          agents: Object.fromEntries(Object.entries(component.agentReviews || {})
+            .map(([agentId, review]) => [agentId, `${review.verdict}${review.action ? ` — ${review.action}` : ''}`])),
+          snapshot: {
+            component,
+            spec: readComponentFile(name, 'spec.json'),
+            css: readComponentFile(name, 'css'),
+            decisions: recentDecisionIds(component)
+          }
+        });
+        // Vault first: a crash between the two writes duplicates rather than loses the component
+        saveSeedVault(vault);
+        state[zone].splice(idx, 1);
+      } else if (action === 'demote') {
+        state[zone].splice(idx, 1);
+        Object.assign(component, { zone: to, maturity: MATURITY[to], movedAt: now, shielded: false });
+        state[to].push(component);
+      } else if (action === 'deprecate') {
+        Object.assign(component, {
+          maturity: 'deprecated',
+          deprecation: { reason, replacement: replacement || null, deprecatedAt: now }
+        });
+      } else if (action === 'restore') {
+        component.maturity = MATURITY.stable;
+        delete component.deprecation;
+      }
+      savePipeline(state);
+    }
+
+    const detail = `${from} → ${to}${reason ? `: ${reason}` : ''}${replacement ? ` (replacement: ${replacement})` : ''}`;
+    logActivity(ACTIVITY_ACTION[action], component.id, component.name, actor, detail);
+
+    return { success: true, action, from, to, component };
+  });
+}
+
+/**
+ * Move a component to the Seed Vault, with a full snapshot for revival.
+ *
+ * @param {string} componentId
+ * @param {string} reason
+ * @returns {{ success: boolean, component?: object, reason?: string }}
+ */
+export function seedVaultComponent(componentId, reason) {
+  return transitionComponent(componentId, 'seed-vault', { reason: reason || 'Preserved in Seed Vault' });
 }
 
 /**
@@ -157,7 +581,5 @@ export function logActivity(action, componentId, componentName, actor, detail) {
     detail
   };
 
-  if (existsSync(ACTIVITY_LOG)) {
-    appendFileSync(ACTIVITY_LOG, JSON.stringify(entry) + '\n');
-  }
+  logStore('activity').append(entry);
 }
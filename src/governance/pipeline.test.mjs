@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { useScratchData } from './scratch-data.mjs';
+
+useScratchData('pipeline');
+const {
+  TRANSITIONS, allowedTransitions, transitionComponent, findComponent, createComponent, loadSeedVault,
+  loadPipeline, savePipeline, promoteComponent, overrideVeto
+} = await import('./pipeline.mjs');
+const { logStore } = await import('./root-system/log-store.mjs');
+const { appendDecision, queryDecisions } = await import('./root-system/decision-memory.mjs');
+
+const CARD_SPEC = resolve(import.meta.dirname, '..', 'components/card/card.spec.json');
+
+test('TRANSITIONS: every target is a lifecycle state', () => {
+  const states = new Set(Object.keys(TRANSITIONS));
+  for (const [from, actions] of Object.entries(TRANSITIONS)) {
+    for (const [action, to] of Object.entries(actions)) {
+      assert.ok(states.has(to), `${from} --${action}--> ${to}`);
+    }
+  }
+  assert.deepEqual(Object.keys(TRANSITIONS.stable), ['demote', 'deprecate']);
+  assert.deepEqual(Object.keys(TRANSITIONS['seed-vault']), ['revive']);
+});
+
+test('allowedTransitions reports the state and its actions', () => {
+  assert.deepEqual(allowedTransitions('COMP-001').allowed, TRANSITIONS.stable);
+  assert.equal(allowedTransitions('Card').state, 'workshop');
+  assert.equal(allowedTransitions('Skeleton').state, 'seed-vault');
+  assert.equal(allowedTransitions('Nothing-Here'), null);
+});
+
+test('a transition the state does not allow is refused', () => {
+  const nursery = createComponent('Sparkline', 'primitive', 'Inline trend chart');
+
+  const demote = transitionComponent(nursery.id, 'demote', { reason: 'Not ready' });
+  assert.equal(demote.success, false);
+  assert.match(demote.reason, /Cannot demote from nursery\. Allowed: promote, seed-vault/);
+  assert.deepEqual(demote.allowed, ['promote', 'seed-vault']);
+
+  assert.match(transitionComponent('COMP-001', 'promote').reason, /Cannot promote from stable/);
+  assert.match(transitionComponent('COMP-001', 'revive').reason, /Allowed: demote, deprecate/);
+  assert.equal(findComponent(nursery.id).zone, 'nursery');
+});
+
+test('demote, seed-vault and deprecate need a reason', () => {
+  for (const [id, action] of [['COMP-002', 'demote'], ['COMP-002', 'seed-vault'], ['COMP-001', 'deprecate']]) {
+    const result = transitionComponent(id, action, { reason: '  ' });
+    assert.equal(result.success, false);
+    assert.match(result.reason, new RegExp(`A reason is required to ${action}`));
+  }
+});
+
+test('deprecate and restore a stable component', () => {
+  const deprecated = transitionComponent('COMP-001', 'deprecate', { reason: 'Superseded', replacement: 'Banner' });
+  assert.equal(deprecated.success, true);
+  assert.equal(deprecated.to, 'deprecated');
+  assert.equal(allowedTransitions('COMP-001').state, 'deprecated');
+  assert.equal(findComponent('COMP-001').component.deprecation.replacement, 'Banner');
+
+  const restored = transitionComponent('COMP-001', 'restore');
+  assert.equal(restored.success, true);
+  assert.equal(allowedTransitions('COMP-001').state, 'stable');
+  assert.equal(findComponent('COMP-001').component.deprecation, undefined);
+});
+
+test('seed-vault keeps a snapshot that revive brings back', () => {
+  const before = findComponent('COMP-007').component;
+
+  const vaulted = transitionComponent('COMP-007', 'seed-vault', { reason: 'No adopting teams this quarter' });
+  assert.equal(vaulted.success, true);
+  assert.equal(findComponent('COMP-007'), null);
+
+  const entry = loadSeedVault().find(e => e.id === 'COMP-007');
+  assert.equal(entry.archivedFrom, 'workshop');
+  assert.equal(entry.reason, 'No adopting teams this quarter');
+  assert.equal(entry.revivable, true);
+  assert.deepEqual(entry.snapshot.component, before);
+  assert.equal(entry.snapshot.spec, readFileSync(CARD_SPEC, 'utf-8'));
+  assert.ok(entry.snapshot.css.length > 0);
+  assert.deepEqual(allowedTransitions('COMP-007').allowed, TRANSITIONS['seed-vault']);
+
+  const revived = transitionComponent('COMP-007', 'revive', { reason: 'Checkout needs it after all' });
+  assert.equal(revived.success, true);
+  assert.deepEqual([revived.from, revived.to], ['seed-vault', 'nursery']);
+
+  const { component, zone } = findComponent('COMP-007');
+  assert.equal(zone, 'nursery');
+  assert.equal(component.name, before.name);
+  assert.equal(component.createdAt, before.createdAt);
+  assert.equal(component.maturity, 'draft');
+  assert.deepEqual(component.agentReviews, {});
+  assert.equal(component.revivedFrom.revivalReason, 'Checkout needs it after all');
+  assert.equal(loadSeedVault().some(e => e.id === 'COMP-007'), false);
+
+  const actions = logStore('activity').query({ componentId: 'COMP-007' }).map(e => e.action);
+  assert.deepEqual(actions.slice(-2), ['seed-vaulted', 'revived']);
+});
+
+test('an entry archived as not revivable stays in the vault', () => {
+  const result = transitionComponent('Carousel', 'revive', { reason: 'Try again' });
+
+  assert.equal(result.success, false);
+  assert.match(result.reason, /archived as not revivable/);
+  assert.ok(loadSeedVault().some(e => e.name === 'Carousel'));
+});
+
+test('a legacy vault entry revives as a new draft', () => {
+  const result = transitionComponent('Skeleton', 'revive');
+
+  assert.equal(result.success, true);
+  assert.match(result.component.id, /^COMP-\d{3}$/);
+  assert.equal(findComponent('Skeleton').zone, 'nursery');
+});
+
+/** Move a workshop entry into Canopy and record a review AG vetoed. */
+function vetoedInCanopy(id) {
+  const state = loadPipeline();
+  const comp = state.workshop.splice(state.workshop.findIndex(c => c.id === id), 1)[0];
+  comp.zone = 'canopy';
+  comp.movedAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  comp.teams = ['checkout', 'search', 'billing'].map((name, i) => ({ name, status: i ? 'prototyping' : 'production' }));
+  state.canopy.push(comp);
+  savePipeline(state);
+
+  const approved = { verdict: 'approved' };
+  return appendDecision({
+    type: 'canopy_review',
+    zone: 'canopy',
+    componentId: comp.name.toLowerCase(),
+    componentPipelineId: comp.id,
+    agents: { ts: approved, ag: { verdict: 'vetoed', analysis: 'Focus ring is invisible in dark mode' }, pl: approved, ca: approved, px: approved },
+    zoneVerdict: { passed: false, reason: 'Accessibility Guardian has exercised absolute veto.' }
+  });
+}
+
+const JUSTIFICATION = 'Dark mode ships behind a flag until the focus tokens land';
+
+test('a gate override is refused over a standing AG veto', () => {
+  const review = vetoedInCanopy('COMP-003');
+
+  const result = promoteComponent('COMP-003', { override: { justification: JUSTIFICATION } });
+
+  assert.equal(result.success, false);
+  assert.equal(result.vetoDecisionId, review.id);
+  assert.match(result.reason, /Button has a standing AG veto .* Override it first/);
+  assert.equal(findComponent('COMP-003').zone, 'canopy');
+  assert.equal(queryDecisions({ type: 'gardener_override' }).length, 0);
+});
+
+test('overriding a veto needs a real justification, once', () => {
+  const review = vetoedInCanopy('COMP-004');
+
+  const short = overrideVeto('COMP-004', { justification: 'Ship it' });
+  assert.equal(short.success, false);
+  assert.match(short.reason, /justification of at least 30 characters/);
+  assert.equal(queryDecisions({ type: 'override' }).length, 0);
+
+  const result = overrideVeto('COMP-004', { justification: JUSTIFICATION });
+  assert.equal(result.success, true);
+  assert.equal(result.vetoDecisionId, review.id);
+  assert.equal(result.overrideCount, 1);
+  // AG's veto now counts as an approval, and the others were unanimous
+  assert.equal(result.gate.passed, true);
+  assert.match(result.gate.met[0].detail, new RegExp(`AG veto overridden by the gardener \\(${result.decisionId}\\)`));
+
+  assert.match(overrideVeto('COMP-004', { justification: JUSTIFICATION }).reason, /already overridden/);
+  assert.match(overrideVeto('COMP-005', { justification: JUSTIFICATION }).reason, /no veto in workshop/);
+});
+
+test('a gate override needs a written justification', () => {
+  const unmet = ['zone-verdict', 'fresh', 'adoption'];
+
+  const short = promoteComponent('COMP-006', { override: { justification: 'Needed now' } });
+  assert.equal(short.success, false);
+  assert.match(short.reason, /justification of at least 30 characters/);
+  assert.deepEqual(short.unmet.map(u => u.criterion), unmet);
+  assert.equal(findComponent('COMP-006').zone, 'workshop');
+
+  const result = promoteComponent('COMP-006', { override: { justification: JUSTIFICATION } });
+  assert.equal(result.success, true);
+  assert.equal(result.to, 'canopy');
+  const [decision] = queryDecisions({ type: 'gardener_override' }).filter(d => d.id === result.overrideDecisionId);
+  assert.equal(decision.gardener.words, JUSTIFICATION);
+  assert.deepEqual(decision.gardener.overrides.map(u => u.criterion), unmet);
+});
@@ -0,0 +1,131 @@
+/**
+ * Promotion Gate — What a component must show before it leaves its zone.
+ *
+ * Criteria (all required):
+ *   zone-verdict — the latest {zone}_review decision in decisions.jsonl passed
+ *   fresh        — that review happened after the component entered the zone
+ *                  and after the last Change Registry entry for its files
+ *   adoption     — the Product Liaison's adoption gate for the zone is met,
+ *                  from the pipeline entry's `teams: [{ name, status }]`
+ *   spec         — src/components/{name}/{name}.spec.json exists
+ *
+ * The gardener can promote past unmet criteria; pipeline.mjs records that as
+ * a gardener_override decision. An AG veto on the latest review can be
+ * overridden on its own (an `override` decision linked to the review); the
+ * review then counts AG's verdict as an approval.
+ */
+
+import { existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { ZONE_RULES, checkZoneApproval } from './zone-rules.mjs';
+import { checkAdoptionGate } from './agents/product-liaison.mjs';
+import { queryDecisions } from './root-system/decision-memory.mjs';
+import { queryChanges } from './root-system/change-registry.mjs';
+
+const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..');
+
+/**
+ * The most recent review decision for a component in a zone.
+ * Matches on the pipeline ID or the lower-cased name (older records only have the name).
+ *
+ * @param {object} component - Pipeline entry
+ * @param {string} zone
+ * @returns {object|null}
+ */
+export function latestZoneReview(component, zone) {
+  const name = component.name.toLowerCase();
+  const reviews = queryDecisions({ type: `${zone}_review` })
+    .filter(d => d.componentPipelineId === component.id || d.componentId?.toLowerCase() === name)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return reviews[reviews.length - 1] || null;
+}
+
+/**
+ * The gardener's override of an AG veto on a review, if there is one.
+ *
+ * @param {object} review - A {zone}_review decision
+ * @returns {object|null} The override decision
+ */
+export function vetoOverrideFor(review) {
+  return queryDecisions({ type: 'override' }).find(d => d.overrides === review.id) || null;
+}
+
+/**
+ * Check every exit criterion for the component's current zone.
+ *
+ * @param {object} component - Pipeline entry (id, name, zone, movedAt, teams?)
+ * @returns {{
+ *   passed: boolean,
+ *   zone: string,
+ *   exitCriteria: string,
+ *   met: Array<{ criterion: string, detail: string }>,
+ *   unmet: Array<{ criterion: string, detail: string }>
+ * }}
+ */
+export function checkPromotionGate(component) {
+  const { zone } = component;
+  const name = component.name.toLowerCase();
+  const met = [];
+  const unmet = [];
+  const record = (ok, criterion, detail) => (ok ? met : unmet).push({ criterion, detail });
+
+  // Zone verdict
+  const review = latestZoneReview(component, zone);
+  // Early records carry `passed` at the top level instead of a zoneVerdict
+  let passed = review ? (review.zoneVerdict?.passed ?? review.passed ?? false) : false;
+  let reason = review?.zoneVerdict?.reason;
+  const override = review && !passed && review.agents?.ag?.verdict === 'vetoed' ? vetoOverrideFor(review) : null;
+  if (override) {
+    const verdicts = Object.fromEntries(Object.entries(review.agents).map(([id, a]) => [id, a.verdict]));
+    ({ passed, reason } = checkZoneApproval(zone, verdicts, { vetoOverridden: true, at: review.timestamp }));
+    reason = `AG veto overridden by the gardener (${override.id}); ${reason}`;
+  }
+  record(
+    passed,
+    'zone-verdict',
+    review
+      ? `${review.id} (${review.timestamp.slice(0, 10)}): ${passed ? 'passed' : 'failed'}${reason ? ` — ${reason}` : ''}`
+      : `No ${zone} review on record — run a governance review first`
+  );
+
+  // Freshness: nothing the review looked at has moved since
+  if (review) {
+    const reviewedAt = new Date(review.timestamp);
+    const enteredAt = component.movedAt ? new Date(component.movedAt) : null;
+    const laterEdits = queryChanges({ file: `src/components/${name}/` })
+      .filter(c => new Date(c.timestamp) > reviewedAt);
+
+    if (enteredAt && reviewedAt < enteredAt) {
+      record(false, 'fresh', `Review predates entering ${zone} (${component.movedAt.slice(0, 10)})`);
+    } else if (laterEdits.length > 0) {
+      const files = [...new Set(laterEdits.map(c => c.file))].join(', ');
+      record(false, 'fresh', `${laterEdits.length} change(s) since the review: ${files}`);
+    } else {
+      record(true, 'fresh', 'No component changes since the review');
+    }
+  } else {
+    record(false, 'fresh', 'No review to check');
+  }
+
+  // Adoption
+  const adoption = checkAdoptionGate(zone, component.teams || []);
+  record(
+    adoption.met,
+    'adoption',
+    `${adoption.gate} — ${adoption.active} active team(s), ${adoption.production} in production`
+  );
+
+  // Spec
+  const specPath = `src/components/${name}/${name}.spec.json`;
+  const hasSpec = existsSync(resolve(PROJECT_ROOT, specPath));
+  record(hasSpec, 'spec', hasSpec ? specPath : `Missing ${specPath}`);
+
+  return {
+    passed: unmet.length === 0,
+    zone,
+    exitCriteria: ZONE_RULES[zone]?.exitCriteria || '',
+    met,
+    unmet
+  };
+}
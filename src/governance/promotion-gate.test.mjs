@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { useScratchData } from './scratch-data.mjs';
+
+useScratchData('gate');
+const { checkPromotionGate, latestZoneReview } = await import('./promotion-gate.mjs');
+const { appendDecision } = await import('./root-system/decision-memory.mjs');
+const { appendChange } = await import('./root-system/change-registry.mjs');
+
+const HOUR_MS = 60 * 60 * 1000;
+const at = (offsetMs = 0) => new Date(Date.now() + offsetMs).toISOString();
+
+const TWO_TEAMS = [{ name: 'checkout', status: 'prototyping' }, { name: 'search', status: 'prototyping' }];
+const APPROVED = { ts: { verdict: 'approved' }, ag: { verdict: 'approved' }, pl: { verdict: 'approved' } };
+
+let n = 900;
+/**
+ * A pipeline entry in `zone`, entered an hour ago. `name` picks the spec
+ * (src/components/{name}/) the gate looks for.
+ */
+function component(name, zone, extra = {}) {
+  return { id: `COMP-${++n}`, name, zone, movedAt: at(-HOUR_MS), teams: TWO_TEAMS, ...extra };
+}
+
+function recordReview(comp, { passed = true, reason = 'Majority achieved: 3/3', agents = APPROVED, timestamp = at() } = {}) {
+  return appendDecision({
+    type: `${comp.zone}_review`,
+    zone: comp.zone,
+    componentId: comp.name.toLowerCase(),
+    componentPipelineId: comp.id,
+    timestamp,
+    agents,
+    zoneVerdict: { passed, reason }
+  });
+}
+
+const criteria = (list) => list.map(c => c.criterion);
+
+test('a component with nothing on record fails every criterion', () => {
+  const gate = checkPromotionGate(component('Ghost', 'workshop', { teams: [] }));
+
+  assert.equal(gate.passed, false);
+  assert.equal(gate.zone, 'workshop');
+  assert.deepEqual(criteria(gate.unmet), ['zone-verdict', 'fresh', 'adoption', 'spec']);
+  assert.match(gate.unmet[0].detail, /No workshop review on record/);
+  assert.match(gate.unmet[3].detail, /Missing src\/components\/ghost\/ghost\.spec\.json/);
+});
+
+test('a fresh passing review, adoption and a spec pass the gate', () => {
+  const comp = component('Card', 'workshop');
+  const review = recordReview(comp);
+
+  const gate = checkPromotionGate(comp);
+
+  assert.equal(gate.passed, true);
+  assert.deepEqual(gate.unmet, []);
+  assert.deepEqual(criteria(gate.met), ['zone-verdict', 'fresh', 'adoption', 'spec']);
+  assert.match(gate.met[0].detail, new RegExp(`^${review.id} .*: passed — Majority achieved`));
+  assert.equal(latestZoneReview(comp, 'workshop').id, review.id);
+});
+
+test('a failed review is unmet, with its reason', () => {
+  const comp = component('Badge', 'workshop');
+  recordReview(comp, { passed: false, reason: 'Majority required: 1/3 (need 2)' });
+
+  const gate = checkPromotionGate(comp);
+
+  assert.deepEqual(criteria(gate.unmet), ['zone-verdict']);
+  assert.match(gate.unmet[0].detail, /failed — Majority required: 1\/3/);
+});
+
+test('only the latest review counts', () => {
+  const comp = component('Tabs', 'workshop');
+  recordReview(comp, { timestamp: at(-1000) });
+  recordReview(comp, { passed: false, reason: 'Majority required: 0/3 (need 2)' });
+
+  assert.deepEqual(criteria(checkPromotionGate(comp).unmet), ['zone-verdict']);
+});
+
+test('a review from before the component entered its zone is stale', () => {
+  const comp = component('Avatar', 'workshop', { movedAt: at(HOUR_MS) });
+  recordReview(comp);
+
+  const gate = checkPromotionGate(comp);
+
+  assert.deepEqual(criteria(gate.unmet), ['fresh']);
+  assert.match(gate.unmet[0].detail, /Review predates entering workshop/);
+});
+
+test('a change to the component after its review is stale', () => {
+  const comp = component('Tooltip', 'workshop');
+  recordReview(comp, { timestamp: at(-1000) });
+  appendChange({ file: 'src/components/tooltip/tooltip.css', changeType: 'css-edit', description: 'Tighter padding' });
+
+  const gate = checkPromotionGate(comp);
+
+  assert.deepEqual(criteria(gate.unmet), ['fresh']);
+  assert.match(gate.unmet[0].detail, /1 change\(s\) since the review: src\/components\/tooltip\/tooltip\.css/);
+});
+
+test('the canopy adoption gate needs a team in production', () => {
+  const prototyping = [...TWO_TEAMS, { name: 'billing', status: 'prototyping' }];
+  const comp = component('Dialog', 'canopy', { teams: prototyping });
+  recordReview(comp);
+
+  const gate = checkPromotionGate(comp);
+  assert.deepEqual(criteria(gate.unmet), ['adoption']);
+  assert.match(gate.unmet[0].detail, /3 active team\(s\), 0 in production/);
+
+  const inProduction = [...TWO_TEAMS, { name: 'billing', status: 'production' }];
+  assert.equal(checkPromotionGate({ ...comp, teams: inProduction }).passed, true);
+});
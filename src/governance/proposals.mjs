@@ -7,9 +7,47 @@
  *   - What zone rules apply
  *   - Who has approved and who has vetoed
  *   - Citations to prior decisions
+ *
+ * The pure functions below shape a proposal; the workflow functions after
+ * them persist it in the Proposal Registry and act on it. A staged token or
+ * spec proposal is applied by writing its changes to the token files or the
+ * component spec, then recording a decision citing the proposal and a Change
+ * Registry entry per file. Lifecycle proposals move through the pipeline's
+ * transitions instead.
+ *
+ * Token change: { file: 'color.tokens.json', path: 'color.semantic.bg.brand', value: { $value: '{color.primitive.blue.600}' } }
+ *   (value merges into the existing token; null removes it)
+ * Spec change:  { component: 'button', path: 'a11y.role', value: 'button' }
+ *   (value replaces the field; null removes it)
  */
 
-import { ZONE_RULES } from './zone-rules.mjs';
+import { existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { ZONE_RULES, REVIEW_AGENTS } from './zone-rules.mjs';
+import { validateWritePath } from './file-safety.mjs';
+import { readJSONFile, writeJSONFile, withFileLock, dataPath } from './storage.mjs';
+import { logActivity, findComponent } from './pipeline.mjs';
+import { appendProposalEvent, getProposal } from './root-system/proposal-registry.mjs';
+import { appendDecision } from './root-system/decision-memory.mjs';
+import { appendChange } from './root-system/change-registry.mjs';
+import { loadTokens, TokenResolutionError } from '../tokens/token-engine.mjs';
+import { diffTokenSets } from '../tokens/token-diff.mjs';
+import { assessTokenChanges } from '../tokens/token-usage.mjs';
+
+const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..');
+const PROPOSALS_FILE = dataPath('proposals.jsonl');
+
+const PROPOSAL_TYPES = ['token', 'lifecycle', 'spec'];
+
+// Who may propose, approve or veto
+const PROPOSAL_ACTORS = [...REVIEW_AGENTS, 'gardener'];
+
+// Path segments that would reach Object.prototype instead of the document
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Statuses that still take approvals and vetoes
+const OPEN_STATUSES = ['pending', 'staged'];
 
 /**
  * Create a new governance proposal.
@@ -17,17 +55,18 @@ import { ZONE_RULES } from './zone-rules.mjs';
  * @param {object} opts
  * @param {'token'|'lifecycle'|'spec'} opts.type - Type of proposal
  * @param {string} opts.agent - Agent ID that proposed this
- * @param {string} opts.zone - Target zone
+ * @param {string} opts.zone - Zone whose rules apply (see proposalZone())
  * @param {string} [opts.targetId] - Component ID this relates to
  * @param {string} opts.rationale - Why this change is proposed
  * @param {object[]} [opts.changes] - Array of change objects
- * @param {string[]} [opts.approvalsNeeded] - Agent IDs that must approve
+ * @param {string[]} [opts.approvalsNeeded] - Agent IDs that must approve; never the proposer
  * @param {string[]} [opts.citations] - Decision IDs cited
  * @returns {object}
  */
 export function createProposal(opts) {
-  const zone = opts.zone || 'nursery';
-  const rules = ZONE_RULES[zone] || ZONE_RULES.nursery;
+  const zone = opts.zone;
+  const rules = ZONE_RULES[zone];
+  if (!rules) throw new Error(`Unknown zone: ${zone}`);
 
   const proposal = {
     id: `GOV-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
@@ -47,9 +86,6 @@ export function createProposal(opts) {
     zoneRules: { ...rules }
   };
 
-  // Auto-approve by proposing agent
-  proposal.approvalsReceived[opts.agent] = true;
-
   // In nursery, all agents auto-approve (no rejection allowed)
   if (!rules.allowReject) {
     proposal.approvalsNeeded.forEach(a => {
@@ -69,6 +105,11 @@ export function createProposal(opts) {
 export function checkCompliance(proposal) {
   const rules = proposal.zoneRules;
 
+  // Nothing passes review with no reviewers
+  if (!proposal.approvalsNeeded?.length) {
+    return { ok: false, reason: 'No approvers named — a proposal needs at least one review agent.' };
+  }
+
   // AG absolute veto
   if (proposal.vetoedBy === 'ag' && rules.agVeto) {
     return {
@@ -88,9 +129,9 @@ export function checkCompliance(proposal) {
     }
   }
 
-  // Majority check
+  // Majority check — only the approvers the proposal needs count
   if (rules.majority) {
-    const count = Object.values(proposal.approvalsReceived).filter(Boolean).length;
+    const count = proposal.approvalsNeeded.filter(a => proposal.approvalsReceived[a]).length;
     const needed = Math.ceil(proposal.approvalsNeeded.length / 2);
     if (count < needed) {
       return {
@@ -141,3 +182,324 @@ export function vetoProposal(proposal, agentId, reason) {
 
   return proposal;
 }
+
+// ── Workflow ─────────────────────────────────────────────────────────────────
+
+// Zones by strictness of their rules
+const ZONE_ORDER = ['nursery', 'workshop', 'canopy'];
+
+/**
+ * The zone whose rules govern a proposal — from what it changes, never from
+ * the caller. Spec and lifecycle proposals take their component's zone (a
+ * Stable component is held to Canopy rules). Token proposals take the
+ * strictest zone among the components the tokens reach, and at least the
+ * Workshop: tokens are shared, so they never get the Nursery's auto-approval.
+ *
+ * @param {object} opts - As submitProposal()
+ * @returns {{ zone: string } | { error: string }}
+ */
+export function proposalZone({ type, targetId, changes = [] }) {
+  const zoneOf = (id) => {
+    const found = findComponent(id);
+    if (!found) return null;
+    return found.zone === 'stable' ? 'canopy' : found.zone;
+  };
+  const strictest = (zones) => zones.reduce((a, b) => (ZONE_ORDER.indexOf(b) > ZONE_ORDER.indexOf(a) ? b : a));
+
+  if (type === 'lifecycle') {
+    if (!targetId) return { error: 'A lifecycle proposal needs a targetId' };
+    const zone = zoneOf(targetId);
+    return zone ? { zone } : { error: `Component ${targetId} not found in the pipeline` };
+  }
+
+  if (type === 'spec') {
+    const zones = [];
+    for (const { component } of changes) {
+      const zone = zoneOf(component);
+      if (!zone) return { error: `Component ${component} not found in the pipeline` };
+      zones.push(zone);
+    }
+    return { zone: strictest(zones) };
+  }
+
+  const { impact } = assessTokenChanges(changes.map(c => ({ token: c.path })));
+  const reached = impact.flatMap(i => i.components).map(zoneOf).filter(Boolean);
+  return { zone: strictest(['workshop', ...reached]) };
+}
+
+/**
+ * Check a proposal's type, proposer and changes before it is submitted, and
+ * that its zone can be worked out.
+ *
+ * @param {object} opts - As submitProposal()
+ * @returns {string|null} What is wrong, or null
+ */
+export function validateProposal(opts) {
+  const { type, agent, changes = [] } = opts;
+  if (!PROPOSAL_TYPES.includes(type)) return `type must be one of ${PROPOSAL_TYPES.join(', ')}`;
+  if (!PROPOSAL_ACTORS.includes(agent)) return `agent must be a review agent (${REVIEW_AGENTS.join(', ')}) or gardener`;
+  if (!Array.isArray(changes)) return 'changes must be an array';
+  if (type !== 'lifecycle' && changes.length === 0) return `A ${type} proposal needs at least one change`;
+
+  for (const [i, change] of changes.entries()) {
+    if (!change || typeof change !== 'object') return `changes[${i}] must be an object`;
+    if (!change.path || typeof change.path !== 'string') return `changes[${i}] needs a path`;
+    if (change.path.split('.').some(key => !key || UNSAFE_KEYS.includes(key))) {
+      return `changes[${i}].path must be dotted keys, none of ${UNSAFE_KEYS.join(', ')}`;
+    }
+    if (!('value' in change)) return `changes[${i}] needs a value (null to remove)`;
+    if (type === 'token' && !/^[a-z][a-z0-9-]*(\.[a-z][a-z0-9-]*)?\.tokens\.json$/.test(change.file || '')) {
+      return `changes[${i}].file must be a token file in src/tokens (e.g. color.tokens.json)`;
+    }
+    if (type === 'spec' && !/^[a-z][a-z0-9-]*$/.test(change.component || '')) {
+      return `changes[${i}].component must be a component name (e.g. button)`;
+    }
+  }
+  return proposalZone(opts).error || null;
+}
+
+/**
+ * Set (or with null, remove) a dotted path in a JSON document. Only own
+ * properties are walked, and prototype keys are refused.
+ *
+ * @param {object} doc
+ * @param {string} path
+ * @param {any} value
+ * @param {boolean} merge - Merge an object value into an existing object
+ */
+function setPath(doc, path, value, merge) {
+  const keys = path.split('.');
+  if (keys.some(key => UNSAFE_KEYS.includes(key))) throw new Error(`${path}: ${UNSAFE_KEYS.join(', ')} are not allowed`);
+  const last = keys.pop();
+  let node = doc;
+  for (const key of keys) {
+    if (!Object.hasOwn(node, key) || node[key] === null) {
+      if (value === null) return;
+      node[key] = {};
+    }
+    if (typeof node[key] !== 'object') throw new Error(`${path}: ${key} is not an object`);
+    node = node[key];
+  }
+  if (value === null) delete node[last];
+  else if (merge && Object.hasOwn(node, last) && node[last] && typeof node[last] === 'object' && typeof value === 'object') node[last] = { ...node[last], ...value };
+  else node[last] = value;
+}
+
+/**
+ * Work out the token files a token proposal produces, resolving them strictly
+ * before anything touches disk.
+ */
+function planTokenChanges(changes) {
+  const docs = {};
+  for (const change of changes) {
+    const relPath = `src/tokens/${change.file}`;
+    const check = validateWritePath(relPath);
+    if (!check.allowed) return { error: check.reason };
+    docs[change.file] ??= readJSONFile(resolve(PROJECT_ROOT, relPath), { fallback: () => ({}) });
+    try {
+      setPath(docs[change.file], change.path, change.value, true);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  let next;
+  try {
+    next = loadTokens(undefined, { strict: true, replace: docs });
+  } catch (err) {
+    if (!(err instanceof TokenResolutionError)) throw err;
+    return { error: err.message, diagnostics: err.diagnostics.errors };
+  }
+  // Consumers of a renamed token still call the old name
+  const { changes: diff } = diffTokenSets(loadTokens(), next);
+  const assessment = assessTokenChanges(diff
+    .filter(c => c.kind !== 'added')
+    .map(c => ({ token: c.from || c.path, kind: c.kind })));
+
+  return {
+    changeType: 'token-edit',
+    files: Object.entries(docs).map(([file, data]) => ({ relPath: `src/tokens/${file}`, data })),
+    summary: `${diff.length} token change${diff.length === 1 ? '' : 's'}`,
+    dependencies: assessment.dependencies,
+    breakageRisk: assessment.breakageRisk
+  };
+}
+
+/**
+ * Work out the component specs a spec proposal produces.
+ */
+function planSpecChanges(changes) {
+  const docs = {};
+  for (const change of changes) {
+    const relPath = `src/components/${change.component}/${change.component}.spec.json`;
+    const check = validateWritePath(relPath);
+    if (!check.allowed) return { error: check.reason };
+    if (!docs[relPath]) {
+      if (!existsSync(resolve(PROJECT_ROOT, relPath))) return { error: `No spec for ${change.component} at ${relPath}` };
+      docs[relPath] = readJSONFile(resolve(PROJECT_ROOT, relPath));
+    }
+    try {
+      setPath(docs[relPath], change.path, change.value, false);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  return {
+    changeType: 'spec-update',
+    files: Object.entries(docs).map(([relPath, data]) => ({ relPath, data })),
+    summary: `${changes.length} spec field${changes.length === 1 ? '' : 's'}`,
+    breakageRisk: 'low'
+  };
+}
+
+/**
+ * Create a proposal and record it in the Proposal Registry. Its zone comes
+ * from proposalZone() and its approvers from that zone's rules, less the
+ * proposer. It is staged straight away when the zone's rules are already met
+ * (the Nursery, where every agent approves).
+ *
+ * @param {object} opts - As createProposal(), without zone and approvalsNeeded
+ * @returns {object} The recorded proposal
+ * @throws {Error} When validateProposal() finds a problem
+ */
+export function submitProposal(opts) {
+  const invalid = validateProposal(opts);
+  if (invalid) throw new Error(invalid);
+
+  const { zone } = proposalZone(opts);
+  const proposal = createProposal({
+    ...opts,
+    zone,
+    approvalsNeeded: ZONE_RULES[zone].approvers.filter(a => a !== opts.agent)
+  });
+  if (checkCompliance(proposal).ok) proposal.status = 'staged';
+
+  const entry = appendProposalEvent(proposal, 'created', opts.agent);
+  logActivity('proposal-created', proposal.targetId, null, opts.agent, `${proposal.id} (${proposal.type}): ${proposal.rationale}`);
+  return entry;
+}
+
+function unknownActor(actor) {
+  return { success: false, reason: `Unknown actor ${actor} — must be a review agent (${REVIEW_AGENTS.join(', ')}) or gardener` };
+}
+
+/**
+ * Record an approval. The proposal is staged once its zone's rules are met.
+ *
+ * @param {string} id
+ * @param {string} actor - Agent ID or 'gardener'
+ * @returns {{ success: boolean, proposal?: object, compliance?: object, reason?: string }}
+ */
+export function recordApproval(id, actor) {
+  if (!PROPOSAL_ACTORS.includes(actor)) return unknownActor(actor);
+
+  const result = withFileLock(PROPOSALS_FILE, () => {
+    const proposal = getProposal(id);
+    if (!proposal) return { success: false, reason: `Proposal ${id} not found` };
+    if (!OPEN_STATUSES.includes(proposal.status)) {
+      return { success: false, reason: `${id} is ${proposal.status} — only pending or staged proposals take approvals` };
+    }
+    if (actor === proposal.proposedBy) return { success: false, reason: `${actor} proposed ${id} and cannot approve it` };
+    approveProposal(proposal, actor);
+    return { success: true, proposal: appendProposalEvent(proposal, 'approved', actor), compliance: checkCompliance(proposal) };
+  });
+
+  if (result.success) {
+    logActivity('proposal-approved', result.proposal.targetId, null, actor, `${id}: ${result.proposal.status}`);
+  }
+  return result;
+}
+
+/**
+ * Record a veto. Outside the Nursery it rejects the proposal; in the Nursery,
+ * where nothing is rejected, it goes to the Seed Vault.
+ *
+ * @param {string} id
+ * @param {string} actor - Agent ID or 'gardener'
+ * @param {string} reason
+ * @returns {{ success: boolean, proposal?: object, reason?: string }}
+ */
+export function recordVeto(id, actor, reason) {
+  if (!PROPOSAL_ACTORS.includes(actor)) return unknownActor(actor);
+  if (!reason) return { success: false, reason: 'A veto needs a reason' };
+
+  const result = withFileLock(PROPOSALS_FILE, () => {
+    const proposal = getProposal(id);
+    if (!proposal) return { success: false, reason: `Proposal ${id} not found` };
+    if (!OPEN_STATUSES.includes(proposal.status)) {
+      return { success: false, reason: `${id} is ${proposal.status} — only pending or staged proposals can be vetoed` };
+    }
+    vetoProposal(proposal, actor, reason);
+    return { success: true, proposal: appendProposalEvent(proposal, 'vetoed', actor, { reason }) };
+  });
+
+  if (result.success) {
+    logActivity('proposal-vetoed', result.proposal.targetId, null, actor, `${id}: ${reason}`);
+  }
+  return result;
+}
+
+/**
+ * Apply a staged token or spec proposal: write the files, then record a
+ * decision citing the proposal and one Change Registry entry per file.
+ *
+ * @param {string} id
+ * @param {string} [actor]
+ * @returns {{ success: boolean, proposal?: object, decisionId?: string, changeIds?: string[], files?: string[],
+ *   reason?: string, diagnostics?: object[] }}
+ */
+export function applyProposal(id, actor = 'gardener') {
+  const result = withFileLock(PROPOSALS_FILE, () => {
+    const proposal = getProposal(id);
+    if (!proposal) return { success: false, reason: `Proposal ${id} not found` };
+    if (proposal.status !== 'staged') return { success: false, reason: `${id} is ${proposal.status} — only staged proposals can be applied` };
+    if (proposal.type === 'lifecycle') {
+      return { success: false, reason: 'Lifecycle proposals are applied through the pipeline transitions, not here' };
+    }
+    const compliance = checkCompliance(proposal);
+    if (!compliance.ok) return { success: false, reason: compliance.reason };
+
+    const plan = proposal.type === 'token' ? planTokenChanges(proposal.changes) : planSpecChanges(proposal.changes);
+    if (plan.error) return { success: false, reason: plan.error, ...(plan.diagnostics && { diagnostics: plan.diagnostics }) };
+
+    for (const file of plan.files) writeJSONFile(resolve(PROJECT_ROOT, file.relPath), file.data);
+
+    const approvedBy = Object.keys(proposal.approvalsReceived).filter(a => proposal.approvalsReceived[a]);
+    const decision = appendDecision({
+      type: 'proposal_applied',
+      zone: proposal.targetZone,
+      componentId: proposal.targetId,
+      decision: `Applied ${proposal.type} proposal ${id} (${plan.summary}): ${proposal.rationale}`,
+      proposalId: id,
+      proposedBy: proposal.proposedBy,
+      approvedBy,
+      appliedBy: actor,
+      citations: [id, ...proposal.citations]
+    });
+
+    const changeIds = plan.files.map(file => appendChange({
+      file: file.relPath,
+      changeType: plan.changeType,
+      description: `Applied proposal ${id}: ${file.relPath} (${plan.summary})`,
+      decisionId: decision.id,
+      proposalId: id,
+      ...(plan.dependencies && { dependencies: plan.dependencies }),
+      breakageRisk: plan.breakageRisk
+    }).id);
+
+    proposal.status = 'applied';
+    return {
+      success: true,
+      proposal: appendProposalEvent(proposal, 'applied', actor, { decisionId: decision.id, changeIds }),
+      decisionId: decision.id,
+      changeIds,
+      files: plan.files.map(f => f.relPath)
+    };
+  });
+
+  if (result.success) {
+    logActivity('proposal-applied', result.proposal.targetId, null, actor, `${id} applied to ${result.files.join(', ')} — ${result.decisionId}`);
+  }
+  return result;
+}
@@ -0,0 +1,127 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { useScratchData } from './scratch-data.mjs';
+
+useScratchData('proposals');
+const {
+  submitProposal, validateProposal, proposalZone, recordApproval, recordVeto, applyProposal, checkCompliance, createProposal
+} = await import('./proposals.mjs');
+const { queryDecisions } = await import('./root-system/decision-memory.mjs');
+const { queryChanges } = await import('./root-system/change-registry.mjs');
+
+// Applying a spec proposal writes the real spec file: put it back afterwards
+const BADGE_SPEC = resolve(import.meta.dirname, '..', 'components/badge/badge.spec.json');
+const badgeSpec = readFileSync(BADGE_SPEC, 'utf-8');
+after(() => writeFileSync(BADGE_SPEC, badgeSpec));
+
+const specProposal = (extra = {}) => ({
+  type: 'spec',
+  agent: 'ca',
+  rationale: 'Name the live region',
+  changes: [{ component: 'badge', path: 'a11y.liveRegion', value: 'polite' }],
+  ...extra
+});
+
+test('change paths that reach the prototype are refused', () => {
+  for (const path of ['__proto__.polluted', 'a11y.constructor.prototype', 'prototype', 'a11y..role']) {
+    const problem = validateProposal(specProposal({ changes: [{ component: 'badge', path, value: 'x' }] }));
+    assert.match(problem, /must be dotted keys, none of __proto__, constructor, prototype/, path);
+  }
+  assert.throws(() => submitProposal(specProposal({ changes: [{ component: 'badge', path: '__proto__.polluted', value: true }] })));
+  assert.equal({}.polluted, undefined);
+});
+
+test('proposals are checked before they are recorded', () => {
+  assert.match(validateProposal(specProposal({ type: 'rename' })), /type must be one of token, lifecycle, spec/);
+  assert.match(validateProposal(specProposal({ agent: 'intruder' })), /agent must be a review agent/);
+  assert.match(validateProposal(specProposal({ changes: [] })), /needs at least one change/);
+  assert.match(validateProposal(specProposal({ changes: [{ component: 'badge', path: 'a11y.role' }] })), /needs a value/);
+  assert.match(validateProposal(specProposal({ changes: [{ component: 'nope', path: 'a11y.role', value: 'x' }] })), /nope not found/);
+  assert.match(validateProposal({ type: 'token', agent: 'ts', changes: [{ file: '../x.json', path: 'a.b', value: 1 }] }), /must be a token file/);
+  assert.equal(validateProposal(specProposal()), null);
+});
+
+test('the zone comes from the target, never the request', () => {
+  assert.deepEqual(proposalZone(specProposal()), { zone: 'workshop' });
+  assert.deepEqual(proposalZone({ type: 'lifecycle', targetId: 'COMP-001' }), { zone: 'canopy' });
+  // Tokens are at least Workshop, and as strict as the strictest component they reach
+  assert.deepEqual(proposalZone({ type: 'token', changes: [{ path: 'spacing.nope' }] }), { zone: 'workshop' });
+  assert.deepEqual(proposalZone({ type: 'token', changes: [{ path: 'radius.full' }] }), { zone: 'workshop' });
+  assert.deepEqual(proposalZone({ type: 'token', changes: [{ path: 'sizing.icon.lg' }] }), { zone: 'canopy' });
+
+  const proposal = submitProposal(specProposal({ zone: 'nursery', approvalsNeeded: ['ca'] }));
+  assert.equal(proposal.targetZone, 'workshop');
+  assert.deepEqual(proposal.approvalsNeeded, ['ts', 'ag', 'pl', 'px']);
+  assert.deepEqual(proposal.approvalsReceived, {});
+  assert.equal(proposal.status, 'pending');
+});
+
+test('the proposer never counts as an approver', () => {
+  const { id } = submitProposal(specProposal());
+
+  const self = recordApproval(id, 'ca');
+  assert.equal(self.success, false);
+  assert.match(self.reason, /ca proposed .* and cannot approve it/);
+
+  const stranger = recordApproval(id, 'intruder');
+  assert.equal(stranger.success, false);
+  assert.match(stranger.reason, /^Unknown actor intruder/);
+});
+
+test('a Workshop proposal is staged by a majority of the other agents', () => {
+  const { id } = submitProposal(specProposal());
+
+  const first = recordApproval(id, 'ts');
+  assert.equal(first.proposal.status, 'pending');
+  assert.equal(first.compliance.reason, 'Majority required: 1/4 (need 2)');
+
+  const second = recordApproval(id, 'pl');
+  assert.equal(second.proposal.status, 'staged');
+  assert.equal(second.compliance.ok, true);
+});
+
+test('a proposal with no approvers never complies', () => {
+  const proposal = createProposal({ ...specProposal(), zone: 'workshop', approvalsNeeded: [] });
+  assert.deepEqual(checkCompliance(proposal), { ok: false, reason: 'No approvers named — a proposal needs at least one review agent.' });
+});
+
+test('a veto rejects the proposal and closes it', () => {
+  const { id } = submitProposal(specProposal());
+
+  assert.match(recordVeto(id, 'ag', '').reason, /A veto needs a reason/);
+  const vetoed = recordVeto(id, 'ag', 'Announcing every badge change is noisy');
+  assert.equal(vetoed.success, true);
+  assert.equal(vetoed.proposal.status, 'rejected');
+  assert.equal(vetoed.proposal.vetoedBy, 'ag');
+
+  assert.match(recordApproval(id, 'ts').reason, /is rejected — only pending or staged proposals take approvals/);
+  assert.match(applyProposal(id).reason, /is rejected — only staged proposals can be applied/);
+});
+
+test('a staged spec proposal is applied with a decision and a change record', () => {
+  const { id } = submitProposal(specProposal());
+  assert.match(applyProposal(id).reason, /is pending — only staged/);
+
+  recordApproval(id, 'ts');
+  recordApproval(id, 'ag');
+  const applied = applyProposal(id);
+
+  assert.equal(applied.success, true);
+  assert.equal(applied.proposal.status, 'applied');
+  assert.deepEqual(applied.files, ['src/components/badge/badge.spec.json']);
+  assert.equal(JSON.parse(readFileSync(BADGE_SPEC, 'utf-8')).a11y.liveRegion, 'polite');
+
+  const decision = queryDecisions({ type: 'proposal_applied' }).find(d => d.id === applied.decisionId);
+  assert.equal(decision.proposalId, id);
+  assert.deepEqual(decision.approvedBy, ['ts', 'ag']);
+  assert.deepEqual(decision.citations, [id]);
+
+  const [change] = queryChanges({ file: 'src/components/badge/' }).filter(c => c.proposalId === id);
+  assert.equal(change.decisionId, applied.decisionId);
+  assert.equal(change.changeType, 'spec-update');
+
+  assert.match(applyProposal(id).reason, /is applied — only staged/);
+});
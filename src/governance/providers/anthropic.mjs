@@ -0,0 +1,66 @@
+/**
+ * Anthropic provider — the Anthropic Messages API through the official SDK.
+ *
+ * Messages, tools and content blocks are already in the shape the provider
+ * interface uses (providers/index.mjs), so this adapter only renames fields.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+// Models: haiku for batch reviews (fast/cheap), sonnet for chat (nuanced)
+const DEFAULT_MODELS = {
+  review: 'claude-haiku-4-5-20251001',
+  chat: 'claude-sonnet-4-5-20250929'
+};
+
+/**
+ * @param {object} [config]
+ * @param {string} [config.apiKey] - Default ANTHROPIC_API_KEY
+ * @param {{ review?: string, chat?: string }} [config.models]
+ * @returns {object} A provider
+ */
+export function createAnthropicProvider(config = {}) {
+  // Lazy-initialize client so a missing key doesn't fail until a call is made
+  let client = null;
+  function getClient() {
+    if (!client) {
+      const apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
+      if (!apiKey) {
+        throw new Error('ANTHROPIC_API_KEY environment variable is not set.');
+      }
+      client = new Anthropic({ apiKey });
+    }
+    return client;
+  }
+
+  return {
+    name: 'anthropic',
+    models: { ...DEFAULT_MODELS, ...config.models },
+
+    async complete({ model, system, messages, maxTokens, tools, toolChoice, signal, maxRetries }) {
+      const message = await getClient().messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages,
+        ...(tools?.length && { tools }),
+        ...(toolChoice && { tool_choice: { type: 'tool', name: toolChoice.name } })
+      }, { signal, ...(maxRetries !== undefined && { maxRetries }) });
+      return { content: message.content, stopReason: message.stop_reason };
+    },
+
+    async *stream({ model, system, messages, maxTokens, signal }) {
+      const stream = await getClient().messages.stream({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages
+      }, { signal });
+      for await (const chunk of stream) {
+        if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'text_delta') {
+          yield chunk.delta.text;
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * LLM Providers — Where agent reviews and governance chat get their model calls.
+ *
+ * Every provider has the same shape, modelled on the Anthropic Messages API
+ * (messages with text / tool_use / tool_result blocks, Anthropic tool
+ * definitions), so agent-runner.mjs never sees the difference:
+ *
+ *   name                      — e.g. 'anthropic'
+ *   models                    — { review, chat } model IDs
+ *   synthetic                 — true when output is canned (replay): never recorded as a real review
+ *   complete(request)         → { content: block[], stopReason: 'end_turn'|'tool_use'|'max_tokens' }
+ *   stream(request)           → async iterable of text tokens
+ *
+ *   request: { model, system, messages, maxTokens, tools?, toolChoice?, meta?, signal?, maxRetries? }
+ *   toolChoice: { name } — the model must call that tool (structured output)
+ *   meta:    { kind: 'review', agentId, component, zone, attempt: 'review'|'repair' } | { kind: 'chat' }
+ *   signal:  AbortSignal that cancels the call
+ *   maxRetries: the adapter's own retries, where it has any (0 when the caller retries)
+ *
+ * Failed calls throw; HTTP failures carry `status` (and `headers`, for Retry-After).
+ *
+ * Chosen from config (.env):
+ *   TERARRIUM_LLM_PROVIDER      anthropic (default) | openai-compatible | replay
+ *   TERARRIUM_LLM_REVIEW_MODEL  override the provider's review model
+ *   TERARRIUM_LLM_CHAT_MODEL    override the provider's chat model
+ *   TERARRIUM_LLM_RECORD        true: record live reviews as replay fixtures
+ * plus each adapter's own settings (see its module).
+ */
+
+import { createAnthropicProvider } from './anthropic.mjs';
+import { createOpenAICompatibleProvider } from './openai-compatible.mjs';
+import { createReplayProvider, withRecording } from './replay.mjs';
+
+const FACTORIES = {
+  anthropic: createAnthropicProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  replay: createReplayProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(FACTORIES);
+
+let _provider = null;
+
+/**
+ * Build a provider by name.
+ *
+ * @param {string} name - One of PROVIDER_NAMES
+ * @param {object} [config] - Adapter settings; `record: true` records reviews
+ * @returns {object}
+ * @throws {Error} For an unknown provider name
+ */
+export function createProvider(name, config = {}) {
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown LLM provider '${name}'. Known: ${PROVIDER_NAMES.join(', ')}`);
+
+  const models = {
+    ...(process.env.TERARRIUM_LLM_REVIEW_MODEL && { review: process.env.TERARRIUM_LLM_REVIEW_MODEL }),
+    ...(process.env.TERARRIUM_LLM_CHAT_MODEL && { chat: process.env.TERARRIUM_LLM_CHAT_MODEL }),
+    ...config.models
+  };
+  const provider = factory({ ...config, models });
+  return config.record && name !== 'replay' ? withRecording(provider, config) : provider;
+}
+
+/**
+ * The configured provider (TERARRIUM_LLM_PROVIDER), created on first use.
+ *
+ * @returns {object}
+ */
+export function getProvider() {
+  if (!_provider) {
+    _provider = createProvider(process.env.TERARRIUM_LLM_PROVIDER || 'anthropic', {
+      record: process.env.TERARRIUM_LLM_RECORD === 'true'
+    });
+  }
+  return _provider;
+}
+
+/**
+ * Replace the configured provider, e.g. with a replay provider for a test run.
+ * Pass null to go back to config.
+ *
+ * @param {object|null} provider
+ */
+export function setProvider(provider) {
+  _provider = provider;
+}
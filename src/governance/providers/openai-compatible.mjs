@@ -0,0 +1,156 @@
+/**
+ * OpenAI-compatible provider — any server with a /chat/completions endpoint:
+ * Ollama (http://localhost:11434/v1, the default — the toggle live editor
+ * already talks to it), llama.cpp, LM Studio, vLLM, or OpenAI itself.
+ *
+ * Translates the provider interface's Anthropic-shaped messages and tools
+ * (providers/index.mjs) to OpenAI chat messages and function tools, and back.
+ */
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3.1';
+
+/**
+ * Anthropic-shaped messages → OpenAI chat messages.
+ *
+ * @param {string} system
+ * @param {object[]} messages
+ * @returns {object[]}
+ */
+function toChatMessages(system, messages) {
+  const out = system ? [{ role: 'system', content: system }] : [];
+
+  for (const message of messages) {
+    if (typeof message.content === 'string') {
+      out.push({ role: message.role, content: message.content });
+      continue;
+    }
+
+    const text = message.content.filter(b => b.type === 'text').map(b => b.text).join('');
+    const toolUses = message.content.filter(b => b.type === 'tool_use');
+    const toolResults = message.content.filter(b => b.type === 'tool_result');
+
+    if (toolResults.length) {
+      for (const result of toolResults) {
+        const content = typeof result.content === 'string' ? result.content : JSON.stringify(result.content);
+        out.push({ role: 'tool', tool_call_id: result.tool_use_id, content });
+      }
+      if (text) out.push({ role: 'user', content: text });
+      continue;
+    }
+
+    out.push({
+      role: message.role,
+      content: text || null,
+      ...(toolUses.length && {
+        tool_calls: toolUses.map(b => ({
+          id: b.id,
+          type: 'function',
+          function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) }
+        }))
+      })
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Anthropic tool definitions → OpenAI function tools.
+ *
+ * @param {object[]} tools
+ * @returns {object[]}
+ */
+function toFunctionTools(tools) {
+  return tools.map(t => ({
+    type: 'function',
+    function: { name: t.name, description: t.description, parameters: t.input_schema }
+  }));
+}
+
+const STOP_REASONS = { tool_calls: 'tool_use', length: 'max_tokens' };
+
+/**
+ * @param {object} [config]
+ * @param {string} [config.baseUrl] - Default TERARRIUM_LLM_BASE_URL, then Ollama's
+ * @param {string} [config.apiKey] - Sent as a bearer token if set (TERARRIUM_LLM_API_KEY)
+ * @param {{ review?: string, chat?: string }} [config.models]
+ * @returns {object} A provider
+ */
+export function createOpenAICompatibleProvider(config = {}) {
+  const baseUrl = (config.baseUrl || process.env.TERARRIUM_LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const apiKey = config.apiKey || process.env.TERARRIUM_LLM_API_KEY;
+
+  async function post(body, signal) {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+      },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const err = new Error(`${baseUrl} returned ${response.status}: ${detail.slice(0, 200) || response.statusText}`);
+      err.status = response.status;
+      err.headers = response.headers;
+      throw err;
+    }
+    return response;
+  }
+
+  return {
+    name: 'openai-compatible',
+    models: { review: DEFAULT_MODEL, chat: DEFAULT_MODEL, ...config.models },
+
+    async complete({ model, system, messages, maxTokens, tools, toolChoice, signal }) {
+      const response = await post({
+        model,
+        max_tokens: maxTokens,
+        messages: toChatMessages(system, messages),
+        ...(tools?.length && { tools: toFunctionTools(tools) }),
+        ...(toolChoice && { tool_choice: { type: 'function', function: { name: toolChoice.name } } })
+      }, signal);
+      const data = await response.json();
+      const choice = data.choices?.[0];
+      if (!choice) throw new Error(`${baseUrl} returned no choices`);
+
+      const content = [];
+      if (choice.message?.content) content.push({ type: 'text', text: choice.message.content });
+      for (const call of choice.message?.tool_calls || []) {
+        let input;
+        try { input = JSON.parse(call.function.arguments || '{}'); }
+        catch { input = {}; }
+        content.push({ type: 'tool_use', id: call.id, name: call.function.name, input });
+      }
+      return { content, stopReason: STOP_REASONS[choice.finish_reason] || 'end_turn' };
+    },
+
+    async *stream({ model, system, messages, maxTokens, signal }) {
+      const response = await post({
+        model,
+        max_tokens: maxTokens,
+        messages: toChatMessages(system, messages),
+        stream: true
+      }, signal);
+
+      // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data) continue;
+          if (data === '[DONE]') return;
+          const token = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (token) yield token;
+        }
+      }
+    }
+  };
+}
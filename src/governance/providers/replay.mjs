@@ -0,0 +1,160 @@
+/**
+ * Record/replay provider — canned model output from fixture files, for CI and
+ * offline runs of the orchestrator, BRRR mode and chat.
+ *
+ * Review fixtures are keyed by agent, component and zone:
+ *
+ *   src/data/llm-fixtures/{zone}/{component}/{agentId}.json
+ *
+ * falling back to {zone}/_default/{agentId}.json, then _default/{agentId}.json
+ * (the checked-in defaults). A fixture holds the model's raw output in
+ * `response` — for a forced tool call, the tool input as JSON — so replayed
+ * reviews go through the same schema check as live ones; a fixture that is
+ * not a JSON object comes back as text, like a model ignoring the tool.
+ * Chat replays _chat.json.
+ *
+ * The provider is `synthetic`: replayed reviews are stamped as such and the
+ * orchestrator never records them (no decision, no pipeline verdict), so a
+ * fixture can never stand in for a real review at a promotion gate.
+ *
+ * withRecording() wraps a live provider and writes each review it returns to
+ * the exact fixture path, so a real run can be captured once and replayed.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+
+const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..', '..');
+export const DEFAULT_FIXTURES_DIR = resolve(PROJECT_ROOT, 'src/data/llm-fixtures');
+
+/**
+ * Directory-safe component key: 'Date Picker' → 'date-picker'.
+ *
+ * @param {string} component
+ * @returns {string}
+ */
+function slug(component) {
+  return `${component}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || '_unnamed';
+}
+
+/**
+ * Fixture paths for a review, most specific first.
+ *
+ * @param {string} dir
+ * @param {{ agentId: string, component: string, zone: string }} meta
+ * @returns {string[]}
+ */
+export function reviewFixturePaths(dir, { agentId, component, zone }) {
+  return [
+    resolve(dir, zone, slug(component), `${agentId}.json`),
+    resolve(dir, zone, '_default', `${agentId}.json`),
+    resolve(dir, '_default', `${agentId}.json`)
+  ];
+}
+
+function readFixture(path) {
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+function parseObject(text) {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {object} [config]
+ * @param {string} [config.fixturesDir] - Default TERARRIUM_LLM_FIXTURES, then src/data/llm-fixtures
+ * @returns {object} A provider
+ */
+export function createReplayProvider(config = {}) {
+  const dir = resolve(PROJECT_ROOT, config.fixturesDir || process.env.TERARRIUM_LLM_FIXTURES || DEFAULT_FIXTURES_DIR);
+
+  function replayText(meta = {}) {
+    if (meta.kind === 'review') {
+      const paths = reviewFixturePaths(dir, meta);
+      const found = paths.find(p => existsSync(p));
+      if (!found) {
+        throw new Error(`No replay fixture for ${meta.agentId} reviewing ${meta.component} in ${meta.zone} (looked for ${paths.join(', ')})`);
+      }
+      return readFixture(found).response;
+    }
+
+    const chat = resolve(dir, '_chat.json');
+    if (!existsSync(chat)) throw new Error(`No replay fixture for chat (looked for ${chat})`);
+    return readFixture(chat).response;
+  }
+
+  return {
+    name: 'replay',
+    models: { review: 'replay', chat: 'replay' },
+    // Canned output: reviews are never persisted and earn no gate credit
+    synthetic: true,
+
+    async complete({ meta, toolChoice, signal }) {
+      signal?.throwIfAborted();
+      const text = replayText(meta);
+      const input = toolChoice ? parseObject(text) : null;
+      if (input) {
+        return { content: [{ type: 'tool_use', id: `replay-${meta.agentId}`, name: toolChoice.name, input }], stopReason: 'tool_use' };
+      }
+      return { content: [{ type: 'text', text }], stopReason: 'end_turn' };
+    },
+
+    async *stream({ meta, signal }) {
+      const text = replayText(meta);
+      for (let i = 0; i < text.length; i += 8) {
+        signal?.throwIfAborted();
+        yield text.slice(i, i + 8);
+      }
+    }
+  };
+}
+
+/**
+ * What a fixture keeps of a reply: the forced tool call's input, else the text.
+ */
+function recordedResponse(result, toolChoice) {
+  const toolUse = toolChoice && result.content.find(b => b.type === 'tool_use' && b.name === toolChoice.name);
+  if (toolUse) return JSON.stringify(toolUse.input);
+  return result.content.filter(b => b.type === 'text').map(b => b.text).join('');
+}
+
+/**
+ * Record every review a provider returns as a replay fixture.
+ *
+ * @param {object} provider - A live provider
+ * @param {object} [config]
+ * @param {string} [config.fixturesDir]
+ * @returns {object} The same provider, recording
+ */
+export function withRecording(provider, config = {}) {
+  const dir = resolve(PROJECT_ROOT, config.fixturesDir || process.env.TERARRIUM_LLM_FIXTURES || DEFAULT_FIXTURES_DIR);
+
+  return {
+    ...provider,
+    name: `${provider.name} (recording)`,
+
+    async complete(request) {
+      const result = await provider.complete(request);
+      const { meta } = request;
+      if (meta?.kind === 'review') {
+        const path = reviewFixturePaths(dir, meta)[0];
+        mkdirSync(dirname(path), { recursive: true });
+        writeFileSync(path, JSON.stringify({
+          agentId: meta.agentId,
+          component: meta.component,
+          zone: meta.zone,
+          provider: provider.name,
+          model: request.model,
+          recordedAt: new Date().toISOString(),
+          response: recordedResponse(result, request.toolChoice)
+        }, null, 2) + '\n');
+      }
+      return result;
+    }
+  };
+}
@@ -0,0 +1,114 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+
+import { createReplayProvider, reviewFixturePaths, withRecording, DEFAULT_FIXTURES_DIR } from './replay.mjs';
+import { createProvider } from './index.mjs';
+import { REVIEW_AGENTS } from '../zone-rules.mjs';
+
+const dir = mkdtempSync(join(tmpdir(), 'terarrium-fixtures-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function fixture(relPath, response) {
+  const path = join(dir, relPath);
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify({ response }));
+}
+
+const review = (verdict) => JSON.stringify({ verdict, score: 70 });
+const TOOL = { name: 'submit_review' };
+const meta = (agentId, component, zone = 'workshop') => ({ kind: 'review', agentId, component, zone, attempt: 'review' });
+
+fixture('_default/ts.json', review('approved'));
+fixture('_default/ag.json', review('approved'));
+fixture('workshop/_default/ag.json', review('conditional'));
+fixture('workshop/date-picker/ag.json', review('rejected'));
+fixture('workshop/_default/pl.json', 'Looks fine to me.');
+fixture('_chat.json', 'Replayed chat answer');
+
+const provider = createReplayProvider({ fixturesDir: dir });
+
+async function replayed(agentId, component, zone) {
+  const { content } = await provider.complete({ meta: meta(agentId, component, zone), toolChoice: TOOL });
+  return content[0];
+}
+
+test('fixture paths go from component to zone default to default', () => {
+  assert.deepEqual(reviewFixturePaths(dir, meta('ag', 'Date Picker')), [
+    join(dir, 'workshop/date-picker/ag.json'),
+    join(dir, 'workshop/_default/ag.json'),
+    join(dir, '_default/ag.json')
+  ]);
+});
+
+test('the most specific fixture wins', async () => {
+  assert.equal((await replayed('ag', 'Date Picker')).input.verdict, 'rejected');
+  assert.equal((await replayed('ag', 'Button')).input.verdict, 'conditional');
+  assert.equal((await replayed('ag', 'Button', 'canopy')).input.verdict, 'approved');
+  assert.equal((await replayed('ts', 'Date Picker')).input.verdict, 'approved');
+});
+
+test('a JSON object replays as the forced tool call, anything else as text', async () => {
+  const block = await replayed('ts', 'Button');
+  assert.deepEqual(block, { type: 'tool_use', id: 'replay-ts', name: 'submit_review', input: { verdict: 'approved', score: 70 } });
+
+  assert.deepEqual(await replayed('pl', 'Button'), { type: 'text', text: 'Looks fine to me.' });
+
+  const unforced = await provider.complete({ meta: meta('ts', 'Button') });
+  assert.deepEqual(unforced, { content: [{ type: 'text', text: review('approved') }], stopReason: 'end_turn' });
+});
+
+test('a review with no fixture fails and names where it looked', async () => {
+  await assert.rejects(provider.complete({ meta: meta('px', 'Button'), toolChoice: TOOL }),
+    /No replay fixture for px reviewing Button in workshop \(looked for .*workshop\/button\/px\.json/);
+});
+
+test('chat streams the chat fixture', async () => {
+  let text = '';
+  for await (const token of provider.stream({ meta: { kind: 'chat' } })) text += token;
+  assert.equal(text, 'Replayed chat answer');
+
+  const empty = createReplayProvider({ fixturesDir: join(dir, 'workshop') });
+  await assert.rejects(empty.complete({ meta: { kind: 'chat' } }), /No replay fixture for chat/);
+});
+
+test('an aborted call replays nothing', async () => {
+  const signal = AbortSignal.abort();
+  await assert.rejects(provider.complete({ meta: meta('ts', 'Button'), toolChoice: TOOL, signal }), { name: 'AbortError' });
+});
+
+test('replayed output is synthetic and never recorded', () => {
+  assert.equal(provider.synthetic, true);
+  assert.equal(createProvider('replay', { fixturesDir: dir, record: true }).name, 'replay');
+});
+
+test('every review agent has a checked-in default that parses', () => {
+  for (const agentId of REVIEW_AGENTS) {
+    const { response } = JSON.parse(readFileSync(join(DEFAULT_FIXTURES_DIR, '_default', `${agentId}.json`), 'utf-8'));
+    assert.ok(['approved', 'conditional', 'rejected', 'vetoed'].includes(JSON.parse(response).verdict), agentId);
+  }
+});
+
+test('a recorded review replays from its exact path', async () => {
+  const recordDir = join(dir, 'recorded');
+  const input = { verdict: 'conditional', score: 55 };
+  const live = {
+    name: 'live',
+    async complete() {
+      return { content: [{ type: 'text', text: 'Thinking…' }, { type: 'tool_use', id: 't1', name: 'submit_review', input }], stopReason: 'tool_use' };
+    }
+  };
+
+  const recording = withRecording(live, { fixturesDir: recordDir });
+  await recording.complete({ model: 'live-1', meta: meta('ca', 'Date Picker'), toolChoice: TOOL });
+
+  const saved = JSON.parse(readFileSync(join(recordDir, 'workshop/date-picker/ca.json'), 'utf-8'));
+  assert.equal(saved.provider, 'live');
+  assert.equal(saved.model, 'live-1');
+
+  const replay = createReplayProvider({ fixturesDir: recordDir });
+  const { content } = await replay.complete({ meta: meta('ca', 'Date Picker'), toolChoice: TOOL });
+  assert.deepEqual(content[0].input, input);
+});
@@ -0,0 +1,201 @@
+/**
+ * Review Scheduler — Runs agent reviews side by side, within limits.
+ *
+ * Each task gets:
+ *   - a slot in a pool of `concurrency` parallel calls
+ *   - a timeout per attempt; a timed-out attempt is aborted through its signal
+ *   - retries with exponential backoff (and jitter) on rate limits (429),
+ *     overload and server errors (5xx), timeouts and dropped connections;
+ *     a Retry-After header wins over the computed delay
+ *   - cancellation: aborting `options.signal` aborts the calls in flight and
+ *     skips the tasks not yet started
+ *
+ * Other errors (a missing API key, a bad request, a missing replay fixture)
+ * fail at once — retrying would not change them.
+ *
+ * Tasks never reject the whole batch: each settles to a result, and the
+ * caller decides what a failed agent means (orchestrator.mjs records it as
+ * `api-unavailable`, which makes the zone verdict incomplete).
+ *
+ * Defaults come from .env: TERARRIUM_REVIEW_CONCURRENCY, TERARRIUM_REVIEW_RETRIES,
+ * TERARRIUM_REVIEW_TIMEOUT_MS.
+ */
+
+const DEFAULTS = {
+  concurrency: 3,
+  retries: 3,
+  timeoutMs: 60_000,
+  baseDelayMs: 1_000,
+  maxDelayMs: 30_000
+};
+
+/**
+ * An attempt ran past its per-task timeout.
+ */
+export class ReviewTimeoutError extends Error {
+  constructor(id, timeoutMs) {
+    super(`${id} timed out after ${timeoutMs}ms`);
+    this.name = 'ReviewTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Scheduler settings: explicit options over .env over DEFAULTS.
+ *
+ * @param {object} [options]
+ * @returns {{ concurrency: number, retries: number, timeoutMs: number, baseDelayMs: number, maxDelayMs: number }}
+ */
+export function schedulerConfig(options = {}) {
+  const env = (name) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? undefined : value;
+  };
+  return {
+    ...DEFAULTS,
+    ...Object.fromEntries(Object.entries({
+      concurrency: env('TERARRIUM_REVIEW_CONCURRENCY'),
+      retries: env('TERARRIUM_REVIEW_RETRIES'),
+      timeoutMs: env('TERARRIUM_REVIEW_TIMEOUT_MS')
+    }).filter(([, v]) => v !== undefined)),
+    ...Object.fromEntries(Object.entries(options).filter(([k, v]) => k in DEFAULTS && v !== undefined))
+  };
+}
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+/**
+ * Whether another attempt could succeed.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isRetryable(err) {
+  if (err instanceof ReviewTimeoutError) return true;
+  if (err?.status === 429 || err?.status >= 500) return true;
+  // Anthropic SDK connection errors; fetch() network failures carry the code on `cause`
+  if (err?.name === 'APIConnectionError' || err?.name === 'APIConnectionTimeoutError') return true;
+  return RETRYABLE_CODES.includes(err?.code) || RETRYABLE_CODES.includes(err?.cause?.code);
+}
+
+/**
+ * Delay before the next attempt: Retry-After if the server sent one, else
+ * baseDelayMs × 2^(attempt − 1) with ±25% jitter, capped at maxDelayMs.
+ *
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Error} err
+ * @param {object} config
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt, err, config) {
+  const headers = err?.headers;
+  const retryAfter = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) return Math.min(config.maxDelayMs, seconds * 1000);
+
+  const exponential = config.baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(config.maxDelayMs, Math.round(exponential * (0.75 + Math.random() * 0.5)));
+}
+
+/**
+ * A promise that rejects with the signal's reason when it aborts.
+ */
+function rejectOnAbort(signal) {
+  return new Promise((_, reject) => {
+    if (signal.aborted) reject(signal.reason);
+    else signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * One attempt, aborted by the timeout or the caller's signal — whichever
+ * comes first. Races the abort too, for providers that ignore signals.
+ */
+async function attempt(task, config, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = setTimeout(() => controller.abort(new ReviewTimeoutError(task.id, config.timeoutMs)), config.timeoutMs);
+
+  try {
+    return await Promise.race([task.run(controller.signal), rejectOnAbort(controller.signal)]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Run tasks with a concurrency limit, per-attempt timeouts and retries.
+ *
+ * @param {Array<{ id: string, run: (signal: AbortSignal) => Promise<any> }>} tasks
+ * @param {object} [options] - As schedulerConfig(), plus:
+ * @param {AbortSignal} [options.signal] - Cancels everything still running or queued
+ * @param {(id: string, attempt: number) => void} [options.onStart] - Before each attempt
+ * @param {(id: string, info: { attempt: number, delayMs: number, error: Error }) => void} [options.onRetry]
+ * @param {(result: object) => void} [options.onSettled] - As each task settles
+ * @returns {Promise<Array<{ id: string, ok: boolean, value?: any, error?: Error, aborted?: boolean, attempts: number, durationMs: number }>>}
+ *   In task order
+ */
+export async function scheduleReviews(tasks, options = {}) {
+  const config = schedulerConfig(options);
+  const { signal, onStart, onRetry, onSettled } = options;
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  async function runTask(task) {
+    const started = Date.now();
+    let attempts = 0;
+
+    for (;;) {
+      if (signal?.aborted) {
+        return { id: task.id, ok: false, error: signal.reason, aborted: true, attempts, durationMs: Date.now() - started };
+      }
+      attempts++;
+      onStart?.(task.id, attempts);
+      try {
+        const value = await attempt(task, config, signal);
+        return { id: task.id, ok: true, value, attempts, durationMs: Date.now() - started };
+      } catch (error) {
+        const aborted = !!signal?.aborted;
+        if (aborted || attempts > config.retries || !isRetryable(error)) {
+          return { id: task.id, ok: false, error, ...(aborted && { aborted }), attempts, durationMs: Date.now() - started };
+        }
+        const delayMs = backoffDelay(attempts, error, config);
+        onRetry?.(task.id, { attempt: attempts, delayMs, error });
+        try {
+          await sleep(delayMs, signal);
+        } catch {
+          // Aborted while waiting; the loop reports it
+        }
+      }
+    }
+  }
+
+  async function worker() {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await runTask(tasks[index]);
+      onSettled?.(results[index]);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(config.concurrency, tasks.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
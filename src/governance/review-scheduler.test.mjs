@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { scheduleReviews, ReviewTimeoutError, isRetryable, schedulerConfig } from './review-scheduler.mjs';
+
+// Fast, deterministic settings: no real backoff waits
+const FAST = { concurrency: 2, retries: 3, timeoutMs: 1000, baseDelayMs: 1, maxDelayMs: 5 };
+
+function httpError(status, headers) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, ...(headers && { headers }) });
+}
+
+/**
+ * A task that fails with the given errors, in order, then returns `value`.
+ */
+function flakyTask(id, errors, value = `${id} done`) {
+  const task = {
+    id,
+    calls: 0,
+    async run() {
+      task.calls++;
+      if (task.calls <= errors.length) throw errors[task.calls - 1];
+      return value;
+    }
+  };
+  return task;
+}
+
+test('retries rate limits and server errors, then succeeds', async () => {
+  const retries = [];
+  const tasks = [
+    flakyTask('ts', [httpError(429), httpError(429)]),
+    flakyTask('ag', [httpError(503)]),
+    flakyTask('pl', [httpError(500), httpError(502)])
+  ];
+
+  const results = await scheduleReviews(tasks, { ...FAST, onRetry: (id, info) => retries.push([id, info.attempt]) });
+
+  assert.deepEqual(results.map(r => [r.id, r.ok, r.value, r.attempts]), [
+    ['ts', true, 'ts done', 3],
+    ['ag', true, 'ag done', 2],
+    ['pl', true, 'pl done', 3]
+  ]);
+  assert.deepEqual(retries.sort(), [['ag', 1], ['pl', 1], ['pl', 2], ['ts', 1], ['ts', 2]]);
+});
+
+test('gives up after the configured retries', async () => {
+  const task = flakyTask('ca', Array.from({ length: 5 }, () => httpError(500)));
+
+  const [result] = await scheduleReviews([task], { ...FAST, retries: 2 });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.attempts, 3);
+  assert.equal(result.error.status, 500);
+  assert.equal(task.calls, 3);
+});
+
+test('Retry-After wins over the computed backoff', async () => {
+  const delays = [];
+  const tasks = [
+    flakyTask('ts', [httpError(429, { 'retry-after': '0.02' })]),
+    flakyTask('ag', [httpError(503, new Headers({ 'retry-after': '0.01' }))])
+  ];
+
+  // A computed delay would be at least 7.5 seconds
+  const results = await scheduleReviews(tasks, {
+    ...FAST,
+    baseDelayMs: 10_000,
+    maxDelayMs: 60_000,
+    onRetry: (id, info) => delays.push([id, info.delayMs])
+  });
+
+  assert.ok(results.every(r => r.ok));
+  assert.deepEqual(delays.sort(), [['ag', 10], ['ts', 20]]);
+});
+
+test('Retry-After is capped at maxDelayMs', async () => {
+  const delays = [];
+  const task = flakyTask('ts', [httpError(429, { 'retry-after': '120' })]);
+
+  await scheduleReviews([task], { ...FAST, maxDelayMs: 15, onRetry: (id, info) => delays.push(info.delayMs) });
+
+  assert.deepEqual(delays, [15]);
+});
+
+test('times out each attempt, aborting its signal, and retries it', async () => {
+  const signals = [];
+  const task = {
+    id: 'px',
+    run(signal) {
+      signals.push(signal);
+      return new Promise(() => {}); // never settles on its own
+    }
+  };
+
+  const [result] = await scheduleReviews([task], { ...FAST, timeoutMs: 20, retries: 1 });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.attempts, 2);
+  assert.ok(result.error instanceof ReviewTimeoutError);
+  assert.equal(result.error.timeoutMs, 20);
+  assert.equal(signals.length, 2);
+  assert.ok(signals.every(s => s.aborted && s.reason instanceof ReviewTimeoutError));
+});
+
+test('aborting cancels the call in flight and skips queued tasks', async () => {
+  const controller = new AbortController();
+  const started = [];
+  const tasks = ['ts', 'ag', 'pl'].map(id => ({
+    id,
+    run(signal) {
+      started.push(id);
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+      });
+    }
+  }));
+
+  const results = await scheduleReviews(tasks, {
+    ...FAST,
+    concurrency: 1,
+    signal: controller.signal,
+    onStart: () => setImmediate(() => controller.abort(new Error('client went away')))
+  });
+
+  assert.deepEqual(started, ['ts']);
+  assert.deepEqual(results.map(r => [r.id, r.ok, r.aborted, r.attempts]), [
+    ['ts', false, true, 1],
+    ['ag', false, true, 0],
+    ['pl', false, true, 0]
+  ]);
+  assert.equal(results[0].error.message, 'client went away');
+});
+
+test('fails at once on errors a retry would not fix', async () => {
+  const retries = [];
+  const tasks = [
+    flakyTask('ts', [httpError(400)]),
+    flakyTask('ag', [httpError(401)]),
+    flakyTask('pl', [new Error('No replay fixture for pl')])
+  ];
+
+  const results = await scheduleReviews(tasks, { ...FAST, onRetry: (id) => retries.push(id) });
+
+  assert.deepEqual(results.map(r => [r.id, r.ok, r.attempts]), [['ts', false, 1], ['ag', false, 1], ['pl', false, 1]]);
+  assert.deepEqual(retries, []);
+  assert.deepEqual(tasks.map(t => t.calls), [1, 1, 1]);
+});
+
+test('keeps to the concurrency limit and returns results in task order', async () => {
+  let running = 0;
+  let peak = 0;
+  const tasks = [30, 5, 20, 1, 10].map((ms, i) => ({
+    id: `t${i}`,
+    async run() {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      running--;
+      return i;
+    }
+  }));
+
+  const results = await scheduleReviews(tasks, { ...FAST, concurrency: 2 });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(results.map(r => r.value), [0, 1, 2, 3, 4]);
+});
+
+test('isRetryable', () => {
+  assert.equal(isRetryable(httpError(429)), true);
+  assert.equal(isRetryable(httpError(529)), true);
+  assert.equal(isRetryable(new ReviewTimeoutError('ts', 10)), true);
+  assert.equal(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isRetryable(new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } })), true);
+  assert.equal(isRetryable(httpError(404)), false);
+  assert.equal(isRetryable(new Error('ANTHROPIC_API_KEY not set')), false);
+});
+
+test('schedulerConfig: options over .env over defaults', () => {
+  const saved = process.env.TERARRIUM_REVIEW_RETRIES;
+  process.env.TERARRIUM_REVIEW_RETRIES = '7';
+  try {
+    assert.equal(schedulerConfig().retries, 7);
+    assert.equal(schedulerConfig({ retries: 1 }).retries, 1);
+    assert.equal(schedulerConfig({ unknown: 1 }).unknown, undefined);
+  } finally {
+    if (saved === undefined) delete process.env.TERARRIUM_REVIEW_RETRIES;
+    else process.env.TERARRIUM_REVIEW_RETRIES = saved;
+  }
+});
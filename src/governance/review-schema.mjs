@@ -0,0 +1,111 @@
+/**
+ * Review Schema — The shape of an agent review, as a forced tool call.
+ *
+ * Agents submit reviews by calling the submit_review tool (REVIEW_TOOL); the
+ * provider is told to call it (toolChoice), so the model's output arrives as
+ * structured input rather than prose to be parsed. validateAgainstSchema()
+ * checks that input against REVIEW_SCHEMA — the same schema the model was
+ * given — before agent-runner.mjs accepts it.
+ *
+ * The validator covers the subset of JSON Schema used here: type (with
+ * unions), enum, required, properties, additionalProperties: false, items,
+ * minimum/maximum and minLength.
+ */
+
+const SCORE = { type: 'number', minimum: 0, maximum: 100 };
+
+export const REVIEW_SCHEMA = {
+  type: 'object',
+  properties: {
+    verdict: { type: 'string', enum: ['approved', 'needs-work', 'vetoed'] },
+    score: { ...SCORE, description: 'Overall score per the scoring guide' },
+    orpa: {
+      type: 'object',
+      properties: {
+        observation: { type: 'string', minLength: 1, description: 'Concrete observations about the component' },
+        reflection: { type: 'string', minLength: 1, description: 'What these mean against your domain rules' },
+        plan: { type: 'string', minLength: 1, description: 'Specific changes needed' },
+        action: { type: 'string', minLength: 1, description: 'Your verdict and exact approval condition' }
+      },
+      required: ['observation', 'reflection', 'plan', 'action'],
+      additionalProperties: false
+    },
+    dimensionScores: {
+      type: 'object',
+      description: 'JTBD dimensions, in priority order: Functional > Affordance > Emotional',
+      properties: {
+        functional: SCORE,
+        affordance: SCORE,
+        emotional: SCORE
+      },
+      required: ['functional', 'affordance', 'emotional'],
+      additionalProperties: false
+    },
+    analysis: { type: 'string', minLength: 1, description: 'Full analysis (2-4 paragraphs, domain-specific)' },
+    citations: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Decision IDs (DEC-…), wiki keys or WCAG criteria you relied on'
+    },
+    conditionalApproval: {
+      type: ['string', 'null'],
+      description: 'Exact change that earns approval, or null if approved/vetoed'
+    }
+  },
+  required: ['verdict', 'score', 'orpa', 'dimensionScores', 'analysis', 'citations', 'conditionalApproval'],
+  additionalProperties: false
+};
+
+export const REVIEW_TOOL = {
+  name: 'submit_review',
+  description: 'Submit your governance review of the component. This is the only way to give a verdict.',
+  input_schema: REVIEW_SCHEMA
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema.
+ *
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [path] - For messages
+ * @returns {string[]} Problems, empty when valid
+ */
+export function validateAgainstSchema(value, schema, path = 'review') {
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  if (types.length && !types.includes(actual) && !(types.includes('integer') && Number.isInteger(value))) {
+    return [`${path} must be ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (actual === 'number') {
+    if (Number.isNaN(value)) errors.push(`${path} must be a number, got NaN`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be ≥ ${schema.minimum}, got ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be ≤ ${schema.maximum}, got ${value}`);
+  }
+  if (actual === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties?.[key]) errors.push(...validateAgainstSchema(item, schema.properties[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key} is not allowed`);
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { REVIEW_SCHEMA, REVIEW_TOOL, validateAgainstSchema } from './review-schema.mjs';
+import { DEFAULT_FIXTURES_DIR } from './providers/replay.mjs';
+
+const VALID = {
+  verdict: 'needs-work',
+  score: 62,
+  orpa: { observation: 'Hard-coded 4px radius', reflection: 'Bypasses the radius scale', plan: 'Use --t-radius-sm', action: 'Needs work' },
+  dimensionScores: { functional: 70, affordance: 60, emotional: 55 },
+  analysis: 'The radius is the only token miss.',
+  citations: ['DEC-1'],
+  conditionalApproval: 'Replace 4px with var(--t-radius-sm)'
+};
+
+const problems = (review) => validateAgainstSchema(review, REVIEW_SCHEMA);
+
+test('a complete review is valid', () => {
+  assert.deepEqual(problems(VALID), []);
+  assert.deepEqual(problems({ ...VALID, verdict: 'approved', conditionalApproval: null }), []);
+  assert.equal(REVIEW_TOOL.input_schema, REVIEW_SCHEMA);
+});
+
+test('each kind of schema problem is named with its path', () => {
+  const noAnalysis = { ...VALID };
+  delete noAnalysis.analysis;
+
+  assert.deepEqual(problems('approved'), ['review must be object, got string']);
+  assert.deepEqual(problems(noAnalysis), ['review.analysis is required']);
+  assert.deepEqual(problems({ ...VALID, verdict: 'conditional' }),
+    ['review.verdict must be one of approved, needs-work, vetoed, got "conditional"']);
+  assert.deepEqual(problems({ ...VALID, score: 140 }), ['review.score must be ≤ 100, got 140']);
+  assert.deepEqual(problems({ ...VALID, score: '62' }), ['review.score must be number, got string']);
+  assert.deepEqual(problems({ ...VALID, orpa: { ...VALID.orpa, plan: '  ' } }), ['review.orpa.plan must not be empty']);
+  assert.deepEqual(problems({ ...VALID, citations: ['DEC-1', 7] }), ['review.citations[1] must be string, got number']);
+  assert.deepEqual(problems({ ...VALID, conditionalApproval: undefined }),
+    ['review.conditionalApproval must be string or null, got undefined']);
+  assert.deepEqual(problems({ ...VALID, mood: 'upbeat' }), ['review.mood is not allowed']);
+  assert.deepEqual(problems({ ...VALID, dimensionScores: { functional: 70, affordance: -1 } }), [
+    'review.dimensionScores.emotional is required',
+    'review.dimensionScores.affordance must be ≥ 0, got -1'
+  ]);
+});
+
+test('every checked-in replay fixture is a valid review', () => {
+  const dir = join(DEFAULT_FIXTURES_DIR, '_default');
+  for (const file of readdirSync(dir)) {
+    const { response } = JSON.parse(readFileSync(join(dir, file), 'utf-8'));
+    assert.deepEqual(problems(JSON.parse(response)), [], file);
+  }
+});
@@ -4,14 +4,10 @@
  * Every modification to the system with its dependency chain.
  * Token changed → these components affected → these pages impacted.
  * When something breaks, trace the chain backward.
- * Stored as append-only JSONL in src/data/changes.jsonl.
+ * Stored append-only in src/data/changes.jsonl, or SQLite (see log-store.mjs).
  */
 
-import { readFileSync, appendFileSync, existsSync } from 'node:fs';
-import { resolve } from 'node:path';
-
-const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..', '..');
-const CHANGES_FILE = resolve(PROJECT_ROOT, 'src/data/changes.jsonl');
+import { logStore } from './log-store.mjs';
 
 /**
  * Append a change record to the Change Registry.
@@ -32,8 +28,7 @@ export function appendChange(record) {
     ...record
   };
 
-  appendFileSync(CHANGES_FILE, JSON.stringify(entry) + '\n');
-  return entry;
+  return logStore('changes').append(entry);
 }
 
 /**
@@ -45,23 +40,11 @@ export function appendChange(record) {
  * @returns {object[]}
  */
 export function queryChanges(filter = {}) {
-  if (!existsSync(CHANGES_FILE)) return [];
-
-  const lines = readFileSync(CHANGES_FILE, 'utf-8')
-    .split('\n')
-    .filter(line => line.trim());
-
-  let changes = lines.map(line => {
-    try { return JSON.parse(line); }
-    catch { return null; }
-  }).filter(Boolean);
+  let changes = logStore('changes').query(filter.changeType ? { type: filter.changeType } : {});
 
   if (filter.file) {
     changes = changes.filter(c => c.file === filter.file || c.file?.includes(filter.file));
   }
-  if (filter.changeType) {
-    changes = changes.filter(c => c.changeType === filter.changeType);
-  }
 
   return changes;
 }
@@ -3,20 +3,16 @@
  *
  * Every governance decision with full context: what was decided,
  * what alternatives existed, who dissented, what the gardener said.
- * Stored as append-only JSONL in src/data/decisions.jsonl.
+ * Stored append-only in src/data/decisions.jsonl, or SQLite (see log-store.mjs).
  */
 
-import { readFileSync, appendFileSync, existsSync } from 'node:fs';
-import { resolve } from 'node:path';
-
-const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..', '..');
-const DECISIONS_FILE = resolve(PROJECT_ROOT, 'src/data/decisions.jsonl');
+import { logStore } from './log-store.mjs';
 
 /**
  * Append a decision record to the Decision Memory.
  *
  * @param {object} record
- * @param {string} record.type - e.g. 'agent_review', 'promotion', 'gardener_override', 'veto', 'spark_capture'
+ * @param {string} record.type - e.g. 'agent_review', 'promotion', 'gardener_override', 'override', 'veto', 'spark_capture'
  * @param {string} record.zone - nursery | workshop | canopy
  * @param {string} record.componentId - e.g. 'toast', 'button'
  * @param {string} record.decision - The decision made
@@ -32,8 +28,7 @@ export function appendDecision(record) {
     ...record
   };
 
-  appendFileSync(DECISIONS_FILE, JSON.stringify(entry) + '\n');
-  return entry;
+  return logStore('decisions').append(entry);
 }
 
 /**
@@ -47,26 +42,12 @@ export function appendDecision(record) {
  * @returns {object[]}
  */
 export function queryDecisions(filter = {}) {
-  if (!existsSync(DECISIONS_FILE)) return [];
-
-  const lines = readFileSync(DECISIONS_FILE, 'utf-8')
-    .split('\n')
-    .filter(line => line.trim());
-
-  let decisions = lines.map(line => {
-    try { return JSON.parse(line); }
-    catch { return null; }
-  }).filter(Boolean);
+  let decisions = logStore('decisions').query({
+    ...(filter.componentId ? { componentId: filter.componentId } : {}),
+    ...(filter.type ? { type: filter.type } : {}),
+    ...(filter.zone ? { zone: filter.zone } : {})
+  });
 
-  if (filter.componentId) {
-    decisions = decisions.filter(d => d.componentId === filter.componentId);
-  }
-  if (filter.type) {
-    decisions = decisions.filter(d => d.type === filter.type);
-  }
-  if (filter.zone) {
-    decisions = decisions.filter(d => d.zone === filter.zone);
-  }
   if (filter.agentId) {
     decisions = decisions.filter(d =>
       d.agents && d.agents[filter.agentId]
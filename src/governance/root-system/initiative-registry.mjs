@@ -8,48 +8,27 @@
  * Status transitions append new lines (same ID, new event).
  * Current state derived by grouping by ID, taking latest timestamp.
  *
- * Stored as append-only JSONL in src/data/initiatives.jsonl.
+ * Stored append-only in src/data/initiatives.jsonl, or SQLite (see log-store.mjs).
  */
 
-import { readFileSync, appendFileSync, existsSync } from 'node:fs';
-import { resolve } from 'node:path';
+import { withFileLock, dataPath } from '../storage.mjs';
+import { logStore } from './log-store.mjs';
 
-const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..', '..');
-const INITIATIVES_FILE = resolve(PROJECT_ROOT, 'src/data/initiatives.jsonl');
-
-let _nextId = null;
+const INITIATIVES_FILE = dataPath('initiatives.jsonl');
 
 /**
  * Determine the next INIT-NNN ID by scanning existing entries.
+ * Call under the file lock so two processes can't take the same number.
  *
  * @returns {number}
  */
 function getNextIdNum() {
-  if (_nextId !== null) return _nextId;
-
-  if (!existsSync(INITIATIVES_FILE)) {
-    _nextId = 1;
-    return _nextId;
-  }
-
-  const lines = readFileSync(INITIATIVES_FILE, 'utf-8')
-    .split('\n')
-    .filter(line => line.trim());
-
   let max = 0;
-  for (const line of lines) {
-    try {
-      const entry = JSON.parse(line);
-      const match = entry.id?.match(/^INIT-(\d+)$/);
-      if (match) {
-        const num = parseInt(match[1], 10);
-        if (num > max) max = num;
-      }
-    } catch { /* skip malformed lines */ }
+  for (const entry of readAllEvents()) {
+    const match = entry.id?.match(/^INIT-(\d+)$/);
+    if (match) max = Math.max(max, parseInt(match[1], 10));
   }
-
-  _nextId = max + 1;
-  return _nextId;
+  return max + 1;
 }
 
 /**
@@ -72,52 +51,37 @@ function getNextIdNum() {
  * @returns {object} The appended entry
  */
 export function appendInitiative(record) {
-  let id = record.id;
-
-  if (record.event === 'created' && !id) {
-    const num = getNextIdNum();
-    id = `INIT-${String(num).padStart(3, '0')}`;
-    _nextId = num + 1;
-  }
-
-  if (!id) {
+  if (record.event !== 'created' && !record.id) {
     throw new Error('Initiative ID is required for non-created events');
   }
 
-  const entry = {
-    id,
-    timestamp: new Date().toISOString(),
-    event: record.event || 'created',
-    title: record.title,
-    category: record.category,
-    status: record.status,
-    description: record.description || '',
-    origin: record.origin || '',
-    links: record.links || { decisions: [], changes: [], wiki: [], components: [], initiatives: [] },
-    actor: record.actor || 'system',
-    notes: record.notes || ''
-  };
-
-  appendFileSync(INITIATIVES_FILE, JSON.stringify(entry) + '\n');
-  return entry;
+  return withFileLock(INITIATIVES_FILE, () => {
+    const id = record.id || `INIT-${String(getNextIdNum()).padStart(3, '0')}`;
+    const entry = {
+      id,
+      timestamp: new Date().toISOString(),
+      event: record.event || 'created',
+      title: record.title,
+      category: record.category,
+      status: record.status,
+      description: record.description || '',
+      origin: record.origin || '',
+      links: record.links || { decisions: [], changes: [], wiki: [], components: [], initiatives: [] },
+      actor: record.actor || 'system',
+      notes: record.notes || ''
+    };
+
+    return logStore('initiatives').append(entry);
+  });
 }
 
 /**
- * Read all raw events from the JSONL file.
+ * Read all raw events.
  *
  * @returns {object[]}
  */
 function readAllEvents() {
-  if (!existsSync(INITIATIVES_FILE)) return [];
-
-  const lines = readFileSync(INITIATIVES_FILE, 'utf-8')
-    .split('\n')
-    .filter(line => line.trim());
-
-  return lines.map(line => {
-    try { return JSON.parse(line); }
-    catch { return null; }
-  }).filter(Boolean);
+  return logStore('initiatives').query();
 }
 
 /**
@@ -0,0 +1,127 @@
+/**
+ * Ledger — Hash chain over the Root System's append-only logs.
+ *
+ * Every record appended through the log store carries `prevHash` (the hash of
+ * the record before it) and `hash`:
+ *
+ *   hash = sha256(canonicalJSON({ ...record without hash, prevHash }))
+ *
+ * Canonical JSON sorts object keys at every level, so the hash doesn't depend
+ * on how a record was serialized. The first record of a log links to GENESIS.
+ *
+ * Records written before the chain existed have no hash. They are folded into
+ * the chain as if they did — the first sealed record's prevHash commits to
+ * all of them — so rewriting old history breaks the chain too. An unsealed
+ * record after a sealed one is a break.
+ *
+ * Pure functions only; log-store.mjs seals appends and verifies stores.
+ */
+
+import { createHash } from 'node:crypto';
+
+export const GENESIS = '0'.repeat(64);
+
+/**
+ * JSON with object keys sorted at every level and no whitespace.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(v => canonicalJSON(v === undefined ? null : v)).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function withoutSeal(record) {
+  const body = { ...record };
+  delete body.hash;
+  delete body.prevHash;
+  return body;
+}
+
+/**
+ * The hash linking a record to the one before it.
+ *
+ * @param {object} record - With or without prevHash/hash (both are ignored)
+ * @param {string} prevHash
+ * @returns {string} Hex sha256
+ */
+export function linkHash(record, prevHash) {
+  return createHash('sha256').update(canonicalJSON({ ...withoutSeal(record), prevHash })).digest('hex');
+}
+
+/**
+ * Add prevHash and hash to a record about to be appended.
+ *
+ * @param {object} entry
+ * @param {string} prevHash - Head of the chain (chainHead())
+ * @returns {object} JSON-normalized copy with prevHash and hash
+ */
+export function sealRecord(entry, prevHash) {
+  // Hash what will be stored: undefined fields vanish on the way to JSON
+  const body = withoutSeal(JSON.parse(JSON.stringify(entry)));
+  return { ...body, prevHash, hash: linkHash(body, prevHash) };
+}
+
+/**
+ * The hash the next record should link to.
+ *
+ * @param {object[]} records - In log order
+ * @returns {string}
+ */
+export function chainHead(records) {
+  const last = records[records.length - 1];
+  if (!last) return GENESIS;
+  if (last.hash) return last.hash;
+  // Unsealed tail (history from before the chain): fold it in
+  return records.reduce((prev, record) => record.hash || linkHash(record, prev), GENESIS);
+}
+
+/**
+ * Walk a chain and find the first broken link.
+ *
+ * @param {Array<{ at: number, record: object|null }>} entries - In log order; record null when unparseable
+ * @returns {{
+ *   ok: boolean, records: number, sealed: number, legacy: number, head: string,
+ *   firstBreak: { at: number, id: string|null, reason: string, expected?: string, actual?: string } | null
+ * }}
+ */
+export function verifyChain(entries) {
+  let prev = GENESIS;
+  let sealed = 0;
+  let legacy = 0;
+
+  for (const { at, record } of entries) {
+    const fail = (reason, extra = {}) => ({
+      ok: false, records: entries.length, sealed, legacy, head: prev,
+      firstBreak: { at, id: record?.id ?? null, reason, ...extra }
+    });
+
+    if (!record) return fail('unparseable record');
+
+    if (!record.hash) {
+      if (sealed > 0) return fail('unsealed record after the chain started');
+      legacy++;
+      prev = linkHash(record, prev);
+      continue;
+    }
+
+    if (record.prevHash !== prev) {
+      return fail('prevHash does not match the previous record — a record was changed, removed or reordered', {
+        expected: prev, actual: record.prevHash
+      });
+    }
+    const expected = linkHash(record, prev);
+    if (record.hash !== expected) {
+      return fail('hash does not match the record — its contents were changed', { expected, actual: record.hash });
+    }
+    sealed++;
+    prev = record.hash;
+  }
+
+  return { ok: true, records: entries.length, sealed, legacy, head: prev, firstBreak: null };
+}
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GENESIS, canonicalJSON, linkHash, sealRecord, chainHead, verifyChain } from './ledger.mjs';
+
+/**
+ * Seal records in order, as log-store.mjs does on append.
+ */
+function seal(records, prev = GENESIS) {
+  return records.map(record => {
+    const sealed = sealRecord(record, prev);
+    prev = sealed.hash;
+    return sealed;
+  });
+}
+
+const entries = (records) => records.map((record, at) => ({ at, record }));
+
+const DECISIONS = [
+  { id: 'DEC-1', type: 'nursery_review', componentId: 'toggle', agents: { ts: { verdict: 'approved' } } },
+  { id: 'DEC-2', type: 'workshop_review', componentId: 'toggle', agents: { ag: { verdict: 'vetoed' } } },
+  { id: 'DEC-3', type: 'override', componentId: 'toggle', overrides: 'DEC-2' }
+];
+
+test('canonicalJSON sorts keys at every level and drops undefined fields', () => {
+  assert.equal(canonicalJSON({ b: 1, a: { d: [1, { f: 2, e: undefined }], c: null } }), '{"a":{"c":null,"d":[1,{"f":2}]},"b":1}');
+  assert.equal(canonicalJSON({ a: 1, b: 2 }), canonicalJSON({ b: 2, a: 1 }));
+});
+
+test('linkHash ignores any existing seal and key order', () => {
+  const record = { id: 'DEC-1', zone: 'nursery' };
+  const hash = linkHash(record, GENESIS);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(linkHash({ zone: 'nursery', id: 'DEC-1', prevHash: 'x', hash: 'y' }, GENESIS), hash);
+  assert.notEqual(linkHash(record, hash), hash);
+});
+
+test('an intact chain verifies', () => {
+  const chain = seal(DECISIONS);
+
+  assert.equal(chain[0].prevHash, GENESIS);
+  assert.equal(chain[1].prevHash, chain[0].hash);
+  assert.deepEqual(verifyChain(entries(chain)), {
+    ok: true, records: 3, sealed: 3, legacy: 0, head: chain[2].hash, firstBreak: null
+  });
+  assert.equal(chainHead(chain), chain[2].hash);
+});
+
+test('sealRecord hashes what JSON will store', () => {
+  const [sealed] = seal([{ id: 'DEC-1', note: undefined }]);
+  assert.equal('note' in sealed, false);
+  assert.ok(verifyChain(entries([JSON.parse(JSON.stringify(sealed))])).ok);
+});
+
+test('an edited record breaks the chain at that record', () => {
+  const chain = seal(DECISIONS);
+  chain[1] = { ...chain[1], agents: { ag: { verdict: 'approved' } } };
+
+  const result = verifyChain(entries(chain));
+
+  assert.equal(result.ok, false);
+  assert.equal(result.sealed, 1);
+  assert.equal(result.firstBreak.at, 1);
+  assert.equal(result.firstBreak.id, 'DEC-2');
+  assert.match(result.firstBreak.reason, /contents were changed/);
+  assert.equal(result.firstBreak.actual, chain[1].hash);
+});
+
+test('a removed record breaks the chain at the next one', () => {
+  const chain = seal(DECISIONS);
+  const result = verifyChain(entries([chain[0], chain[2]]));
+
+  assert.equal(result.ok, false);
+  assert.equal(result.firstBreak.id, 'DEC-3');
+  assert.match(result.firstBreak.reason, /prevHash does not match/);
+  assert.equal(result.firstBreak.expected, chain[0].hash);
+  assert.equal(result.firstBreak.actual, chain[1].hash);
+});
+
+test('reordered records break the chain', () => {
+  const chain = seal(DECISIONS);
+  const result = verifyChain(entries([chain[1], chain[0], chain[2]]));
+
+  assert.equal(result.ok, false);
+  assert.equal(result.firstBreak.at, 0);
+  assert.match(result.firstBreak.reason, /prevHash does not match/);
+});
+
+test('a re-sealed edit still breaks the link to the record after it', () => {
+  const chain = seal(DECISIONS);
+  chain[1] = sealRecord({ ...chain[1], componentId: 'button' }, chain[0].hash);
+
+  const result = verifyChain(entries(chain));
+
+  assert.equal(result.ok, false);
+  assert.equal(result.firstBreak.id, 'DEC-3');
+});
+
+test('legacy records are folded into the chain', () => {
+  const legacy = [{ id: 'OLD-1' }, { id: 'OLD-2' }];
+  const chain = [...legacy, ...seal(DECISIONS, chainHead(legacy))];
+
+  const result = verifyChain(entries(chain));
+  assert.equal(result.ok, true);
+  assert.equal(result.legacy, 2);
+  assert.equal(result.sealed, 3);
+
+  // Rewriting history from before the chain still shows
+  const rewritten = verifyChain(entries([{ id: 'OLD-1', edited: true }, ...chain.slice(1)]));
+  assert.equal(rewritten.ok, false);
+  assert.equal(rewritten.firstBreak.id, 'DEC-1');
+});
+
+test('an unsealed record after the chain started is a break', () => {
+  const chain = [...seal(DECISIONS.slice(0, 2)), { id: 'DEC-X' }];
+  const result = verifyChain(entries(chain));
+
+  assert.equal(result.ok, false);
+  assert.equal(result.firstBreak.id, 'DEC-X');
+  assert.match(result.firstBreak.reason, /unsealed record after the chain started/);
+});
+
+test('an unparseable record is a break', () => {
+  const chain = seal(DECISIONS);
+  const result = verifyChain([{ at: 0, record: chain[0] }, { at: 1, record: null }, { at: 2, record: chain[1] }]);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.firstBreak.at, 1);
+  assert.equal(result.firstBreak.reason, 'unparseable record');
+});
+
+test('chainHead', () => {
+  assert.equal(chainHead([]), GENESIS);
+  const legacy = [{ id: 'OLD-1' }, { id: 'OLD-2' }];
+  assert.equal(chainHead(legacy), linkHash(legacy[1], linkHash(legacy[0], GENESIS)));
+});
@@ -7,11 +7,9 @@
  * Stored in src/data/wiki.json.
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
-import { resolve } from 'node:path';
+import { readJSONFile, updateJSONFile, dataPath } from '../storage.mjs';
 
-const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..', '..');
-const WIKI_FILE = resolve(PROJECT_ROOT, 'src/data/wiki.json');
+const WIKI_FILE = dataPath('wiki.json');
 
 /**
  * Load the full wiki.
@@ -19,21 +17,7 @@ const WIKI_FILE = resolve(PROJECT_ROOT, 'src/data/wiki.json');
  * @returns {Record<string, object>}
  */
 export function loadWiki() {
-  if (!existsSync(WIKI_FILE)) return {};
-  try {
-    return JSON.parse(readFileSync(WIKI_FILE, 'utf-8'));
-  } catch {
-    return {};
-  }
-}
-
-/**
- * Save the wiki back to disk.
- *
- * @param {Record<string, object>} wiki
- */
-function saveWiki(wiki) {
-  writeFileSync(WIKI_FILE, JSON.stringify(wiki, null, 2) + '\n');
+  return readJSONFile(WIKI_FILE, { fallback: () => ({}) });
 }
 
 /**
@@ -49,17 +33,17 @@ function saveWiki(wiki) {
  * @returns {object} The saved entry
  */
 export function addEntry(key, entry) {
-  const wiki = loadWiki();
-  wiki[key] = {
-    term: entry.term,
-    category: entry.category,
-    def: entry.def,
-    source: entry.source,
-    ...(entry.rule ? { rule: entry.rule } : {}),
-    updatedAt: new Date().toISOString()
-  };
-  saveWiki(wiki);
-  return wiki[key];
+  return updateJSONFile(WIKI_FILE, (wiki) => {
+    wiki[key] = {
+      term: entry.term,
+      category: entry.category,
+      def: entry.def,
+      source: entry.source,
+      ...(entry.rule ? { rule: entry.rule } : {}),
+      updatedAt: new Date().toISOString()
+    };
+    return wiki[key];
+  }, { fallback: () => ({}) });
 }
 
 /**
@@ -0,0 +1,349 @@
+/**
+ * Log Store — Where the Root System's append-only logs live.
+ *
+ * Five logs share one interface: decisions, changes, initiatives, proposals,
+ * activity.
+ * Two backends implement it:
+ *
+ *   jsonl  — src/data/{log}.jsonl through storage.mjs (default). Every query
+ *            reparses the file.
+ *   sqlite — one `records` table with the raw JSON plus indexed columns
+ *            (component_id, zone, type, timestamp). Triggers reject UPDATE
+ *            and DELETE, so the table stays append-only. Uses node:sqlite
+ *            (Node 22.13+, or 22.5+ with --experimental-sqlite), loaded only
+ *            when this backend is picked, so the jsonl default runs on the
+ *            Node version package.json `engines` asks for.
+ *
+ * Appends are sealed into a hash chain (ledger.mjs); verifyLog() finds the
+ * first broken link.
+ *
+ * Pick the backend with TERARRIUM_LOG_STORE=jsonl|sqlite and the database
+ * with TERARRIUM_SQLITE_PATH (default src/data/terarrium.db). Move existing
+ * history across with `npm run logs:migrate`; the JSONL files are left as
+ * they are.
+ */
+
+import { createRequire } from 'node:module';
+import { resolve, dirname, basename } from 'node:path';
+import { mkdirSync, existsSync, readFileSync, openSync, readSync, closeSync, statSync } from 'node:fs';
+
+import { appendJSONLine, readJSONLines, withFileLock, dataPath } from '../storage.mjs';
+import { sealRecord, chainHead, verifyChain } from './ledger.mjs';
+
+const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..', '..');
+const DEFAULT_DB = dataPath('terarrium.db');
+
+const COMPONENT_FILE = /^src\/components\/([^/]+)\//;
+
+/**
+ * Each log's file and how its records map onto the indexed columns.
+ */
+export const LOGS = {
+  decisions: {
+    file: 'src/data/decisions.jsonl',
+    columns: { componentId: e => e.componentId, zone: e => e.zone, type: e => e.type }
+  },
+  changes: {
+    file: 'src/data/changes.jsonl',
+    columns: { componentId: e => e.file?.match(COMPONENT_FILE)?.[1], zone: () => null, type: e => e.changeType }
+  },
+  initiatives: {
+    file: 'src/data/initiatives.jsonl',
+    columns: { componentId: () => null, zone: () => null, type: e => e.event }
+  },
+  proposals: {
+    file: 'src/data/proposals.jsonl',
+    columns: { componentId: e => e.targetId, zone: e => e.targetZone, type: e => e.event }
+  },
+  activity: {
+    file: 'src/data/activity-log.jsonl',
+    columns: { componentId: e => e.componentId, zone: () => null, type: e => e.action }
+  }
+};
+
+/**
+ * The log a data file belongs to, for helpers that take a path.
+ *
+ * @param {string} relPath - e.g. 'src/data/decisions.jsonl'
+ * @returns {string|null}
+ */
+export function logForPath(relPath) {
+  return Object.keys(LOGS).find(name => LOGS[name].file === relPath) || null;
+}
+
+/**
+ * @typedef {object} LogFilter
+ * @property {string} [componentId]
+ * @property {string} [zone]
+ * @property {string} [type] - decisions: type, changes: changeType, initiatives: event, activity: action
+ * @property {string} [since] - ISO timestamp, inclusive
+ * @property {string} [until] - ISO timestamp, exclusive
+ */
+
+function matches(columns, entry, filter) {
+  if (filter.componentId !== undefined && columns.componentId(entry) !== filter.componentId) return false;
+  if (filter.zone !== undefined && columns.zone(entry) !== filter.zone) return false;
+  if (filter.type !== undefined && columns.type(entry) !== filter.type) return false;
+  if (filter.since && !(entry.timestamp >= filter.since)) return false;
+  if (filter.until && !(entry.timestamp < filter.until)) return false;
+  return true;
+}
+
+// ── JSONL ────────────────────────────────────────────────────────────────────
+
+const TAIL_CHUNK = 64 * 1024;
+
+/**
+ * The last non-empty line of a file, read from the end.
+ *
+ * @param {string} file
+ * @returns {string|null}
+ */
+function lastLine(file) {
+  const size = existsSync(file) ? statSync(file).size : 0;
+  if (size === 0) return null;
+  const fd = openSync(file, 'r');
+  try {
+    let text = '';
+    for (let end = size; end > 0;) {
+      const start = Math.max(0, end - TAIL_CHUNK);
+      const buf = Buffer.alloc(end - start);
+      readSync(fd, buf, 0, buf.length, start);
+      text = buf.toString('utf-8') + text;
+      const trimmed = text.trimEnd();
+      const nl = trimmed.lastIndexOf('\n');
+      if (nl !== -1 || start === 0) return trimmed.slice(nl + 1) || null;
+      end = start;
+    }
+    return null;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+class JsonlLogStore {
+  constructor(name) {
+    this.name = name;
+    // LOGS[].file names the log (logForPath, file-safety); the data directory holds it
+    this.file = dataPath(basename(LOGS[name].file));
+    this.columns = LOGS[name].columns;
+  }
+
+  append(entry) {
+    return withFileLock(this.file, () => {
+      const sealed = sealRecord(entry, this.head());
+      appendJSONLine(this.file, sealed);
+      return sealed;
+    });
+  }
+
+  /** Hash the next record links to. */
+  head() {
+    try {
+      const last = JSON.parse(lastLine(this.file));
+      if (last?.hash) return last.hash;
+    } catch { /* unparseable tail — walk the whole file */ }
+    return chainHead(readJSONLines(this.file));
+  }
+
+  /** Every line with its line number; record is null when it doesn't parse. */
+  entries() {
+    if (!existsSync(this.file)) return [];
+    return readFileSync(this.file, 'utf-8').split('\n').flatMap((line, i) => {
+      if (!line.trim()) return [];
+      try {
+        return [{ at: i + 1, record: JSON.parse(line) }];
+      } catch {
+        return [{ at: i + 1, record: null }];
+      }
+    });
+  }
+
+  query(filter = {}, { limit } = {}) {
+    const records = readJSONLines(this.file).filter(e => matches(this.columns, e, filter));
+    return limit ? records.slice(-limit) : records;
+  }
+}
+
+// ── SQLite ───────────────────────────────────────────────────────────────────
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS records (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    log TEXT NOT NULL,
+    id TEXT,
+    component_id TEXT,
+    zone TEXT,
+    type TEXT,
+    timestamp TEXT,
+    source_line INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS records_component ON records (log, component_id);
+  CREATE INDEX IF NOT EXISTS records_zone ON records (log, zone);
+  CREATE INDEX IF NOT EXISTS records_type ON records (log, type);
+  CREATE INDEX IF NOT EXISTS records_timestamp ON records (log, timestamp);
+  CREATE UNIQUE INDEX IF NOT EXISTS records_source_line ON records (log, source_line)
+    WHERE source_line IS NOT NULL;
+  CREATE TRIGGER IF NOT EXISTS records_no_update BEFORE UPDATE ON records
+    BEGIN SELECT RAISE(ABORT, 'records are append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS records_no_delete BEFORE DELETE ON records
+    BEGIN SELECT RAISE(ABORT, 'records are append-only'); END;
+`;
+
+const databases = new Map();
+
+/**
+ * Open (once per process) the log database and make sure the schema exists.
+ *
+ * @param {string} [path]
+ * @returns {import('node:sqlite').DatabaseSync}
+ */
+export function openLogDatabase(path = process.env.TERARRIUM_SQLITE_PATH || DEFAULT_DB) {
+  const file = resolve(PROJECT_ROOT, path);
+  if (databases.has(file)) return databases.get(file);
+
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = createRequire(import.meta.url)('node:sqlite'));
+  } catch {
+    throw new Error(`The sqlite log store needs node:sqlite (Node 22.13+, or 22.5+ with --experimental-sqlite); this is Node ${process.versions.node}. Use TERARRIUM_LOG_STORE=jsonl.`);
+  }
+
+  mkdirSync(dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;');
+  db.exec(SCHEMA);
+  databases.set(file, db);
+  return db;
+}
+
+class SqliteLogStore {
+  constructor(name, db) {
+    this.name = name;
+    this.db = db;
+    this.columns = LOGS[name].columns;
+    this.insert = db.prepare(`
+      INSERT OR IGNORE INTO records (log, id, component_id, zone, type, timestamp, source_line, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+  }
+
+  /**
+   * @param {object} entry
+   * @param {number} [sourceLine] - Line in the JSONL file it was migrated from
+   * @returns {boolean} false when that source line was already imported
+   */
+  insertRecord(entry, sourceLine = null) {
+    const { changes } = this.insert.run(
+      this.name,
+      entry.id ?? null,
+      this.columns.componentId(entry) ?? null,
+      this.columns.zone(entry) ?? null,
+      this.columns.type(entry) ?? null,
+      entry.timestamp ?? null,
+      sourceLine,
+      JSON.stringify(entry)
+    );
+    return changes > 0;
+  }
+
+  append(entry) {
+    // IMMEDIATE takes the write lock before reading the head, so two processes can't fork the chain
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      const sealed = sealRecord(entry, this.head());
+      this.insertRecord(sealed);
+      this.db.exec('COMMIT');
+      return sealed;
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  head() {
+    const last = this.db.prepare('SELECT data FROM records WHERE log = ? ORDER BY seq DESC LIMIT 1').get(this.name);
+    const record = last ? JSON.parse(last.data) : null;
+    return record?.hash || chainHead(this.query());
+  }
+
+  entries() {
+    return this.db.prepare('SELECT seq, data FROM records WHERE log = ? ORDER BY seq').all(this.name)
+      .map(row => ({ at: row.seq, record: JSON.parse(row.data) }));
+  }
+
+  query(filter = {}, { limit } = {}) {
+    const where = ['log = ?'];
+    const params = [this.name];
+    const column = { componentId: 'component_id', zone: 'zone', type: 'type' };
+    for (const [key, col] of Object.entries(column)) {
+      if (filter[key] !== undefined) {
+        where.push(`${col} = ?`);
+        params.push(filter[key]);
+      }
+    }
+    if (filter.since) { where.push('timestamp >= ?'); params.push(filter.since); }
+    if (filter.until) { where.push('timestamp < ?'); params.push(filter.until); }
+
+    // Newest `limit` rows, returned oldest first like the JSONL file
+    const sql = limit
+      ? `SELECT data FROM (SELECT seq, data FROM records WHERE ${where.join(' AND ')} ORDER BY seq DESC LIMIT ?) ORDER BY seq`
+      : `SELECT data FROM records WHERE ${where.join(' AND ')} ORDER BY seq`;
+    if (limit) params.push(limit);
+    return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  /** Highest JSONL line already migrated, 0 if none. */
+  lastSourceLine() {
+    return this.db.prepare('SELECT MAX(source_line) AS line FROM records WHERE log = ?').get(this.name).line || 0;
+  }
+}
+
+// ── Selection ────────────────────────────────────────────────────────────────
+
+const stores = new Map();
+
+/**
+ * Verify a log's hash chain.
+ *
+ * @param {'decisions'|'changes'|'initiatives'|'activity'} name
+ * @param {object} [options] - As logStore()
+ * @returns {ReturnType<typeof verifyChain> & { log: string, backend: string, location: string }}
+ *   firstBreak.at is the JSONL line number, or the SQLite row seq
+ */
+export function verifyLog(name, options = {}) {
+  const store = logStore(name, options);
+  const backend = store instanceof SqliteLogStore ? 'sqlite' : 'jsonl';
+  return {
+    log: name,
+    backend,
+    location: backend === 'jsonl' ? LOGS[name].file : `records (log = '${name}')`,
+    ...verifyChain(store.entries())
+  };
+}
+
+/**
+ * The store for a log, on the configured backend.
+ *
+ * @param {'decisions'|'changes'|'initiatives'|'activity'} name
+ * @param {object} [options]
+ * @param {'jsonl'|'sqlite'} [options.backend] - Defaults to TERARRIUM_LOG_STORE, then jsonl
+ * @returns {{
+ *   append(entry: object): object,
+ *   query(filter?: LogFilter, options?: { limit?: number }): object[],
+ *   head(): string,
+ *   entries(): Array<{ at: number, record: object|null }>
+ * }} append() returns the sealed record
+ */
+export function logStore(name, options = {}) {
+  if (!LOGS[name]) throw new Error(`Unknown log '${name}'. Known: ${Object.keys(LOGS).join(', ')}`);
+  const backend = options.backend || process.env.TERARRIUM_LOG_STORE || 'jsonl';
+  const key = `${backend}:${name}`;
+  if (!stores.has(key)) {
+    if (backend === 'jsonl') stores.set(key, new JsonlLogStore(name));
+    else if (backend === 'sqlite') stores.set(key, new SqliteLogStore(name, openLogDatabase()));
+    else throw new Error(`Unknown log store backend '${backend}'. Use jsonl or sqlite.`);
+  }
+  return stores.get(key);
+}
@@ -0,0 +1,90 @@
+/**
+ * Proposal Registry — Root System documentation agent.
+ *
+ * Every governance proposal (proposals.mjs) and what happened to it, with the
+ * same append-only JSONL discipline as the Initiative Registry.
+ *
+ * Each event appends the full proposal as it stands after that event
+ * (created, approved, vetoed, applied), plus who acted. Current state is the
+ * latest event per ID.
+ *
+ * Stored append-only in src/data/proposals.jsonl, or SQLite (see log-store.mjs).
+ */
+
+import { logStore } from './log-store.mjs';
+
+/**
+ * Append a proposal event.
+ *
+ * @param {object} proposal - The proposal after the event
+ * @param {'created'|'approved'|'vetoed'|'applied'} event
+ * @param {string} actor - Agent ID, 'gardener' or 'system'
+ * @param {object} [detail] - Event-specific fields (reason, decisionId, changeIds)
+ * @returns {object} The appended entry
+ */
+export function appendProposalEvent(proposal, event, actor, detail = {}) {
+  const entry = {
+    ...proposal,
+    proposedAt: proposal.proposedAt || proposal.timestamp,
+    timestamp: new Date().toISOString(),
+    event,
+    actor,
+    ...detail
+  };
+  delete entry.prevHash;
+  delete entry.hash;
+
+  return logStore('proposals').append(entry);
+}
+
+/**
+ * Latest event per proposal, in the order proposals were created.
+ *
+ * @param {object[]} events
+ * @returns {object[]}
+ */
+function deriveCurrentState(events) {
+  const byId = new Map();
+  for (const event of events) byId.set(event.id, event);
+  return Array.from(byId.values());
+}
+
+/**
+ * Query proposals by filter criteria. Returns derived current state.
+ *
+ * @param {object} [filter]
+ * @param {string} [filter.status] - pending|staged|rejected|seed-vaulted|applied
+ * @param {string} [filter.type] - token|lifecycle|spec
+ * @param {string} [filter.targetId] - Component the proposal relates to
+ * @param {string} [filter.id]
+ * @returns {object[]}
+ */
+export function queryProposals(filter = {}) {
+  let proposals = deriveCurrentState(logStore('proposals').query(filter.targetId ? { componentId: filter.targetId } : {}));
+
+  if (filter.status) proposals = proposals.filter(p => p.status === filter.status);
+  if (filter.type) proposals = proposals.filter(p => p.type === filter.type);
+  if (filter.id) proposals = proposals.filter(p => p.id === filter.id);
+
+  return proposals;
+}
+
+/**
+ * Current state of one proposal.
+ *
+ * @param {string} id - e.g. GOV-1772000000000-ab12
+ * @returns {object|null}
+ */
+export function getProposal(id) {
+  return queryProposals({ id })[0] || null;
+}
+
+/**
+ * Full event history for one proposal, chronological.
+ *
+ * @param {string} id
+ * @returns {object[]}
+ */
+export function getProposalHistory(id) {
+  return logStore('proposals').query().filter(e => e.id === id);
+}
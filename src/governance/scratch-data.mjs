@@ -0,0 +1,34 @@
+/**
+ * Scratch Data — Test support for anything that writes through the stores.
+ *
+ * Copies src/data to a temp directory and points TERARRIUM_DATA_DIR at it
+ * (storage.mjs dataPath()), so a test can review, promote and append without
+ * touching the real pipeline or the real logs.
+ */
+
+import { after } from 'node:test';
+import { mkdtempSync, cpSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve, basename } from 'node:path';
+
+const DATA_DIR = resolve(import.meta.dirname, '..', 'data');
+
+// Storage-layer leftovers (see .gitignore) are not data
+const LEFTOVER = /^\.snapshots$|\.(lock|tmp|db|db-wal|db-shm)$|\.corrupt-/;
+
+/**
+ * Give this test process its own copy of src/data, removed when its tests
+ * finish. Modules resolve their files when they load, so call this before
+ * importing them (with `await import()`).
+ *
+ * @param {string} name - Temp directory prefix, e.g. 'proposals'
+ * @returns {string} The scratch directory
+ */
+export function useScratchData(name) {
+  const dir = mkdtempSync(join(tmpdir(), `terarrium-${name}-`));
+  cpSync(DATA_DIR, dir, { recursive: true, filter: (src) => !LEFTOVER.test(basename(src)) });
+  process.env.TERARRIUM_DATA_DIR = dir;
+  process.env.TERARRIUM_LOG_STORE = 'jsonl';
+  after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
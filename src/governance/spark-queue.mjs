@@ -0,0 +1,301 @@
+/**
+ * Spark Queue — The stage before the Nursery.
+ *
+ * A spark is an interest or idea, not yet a proposal. Sparks are captured
+ * (MCP capture_spark, POST /api/sparks), triaged — upvoted by each source
+ * that wants it, merged when two sparks are the same idea — and finally
+ * planted: turned into a Nursery component with createComponent(). The
+ * component keeps `sparkId`, the spark keeps `componentId`.
+ *
+ * Stored append-only in src/data/spark-queue.jsonl, like the Initiative
+ * Registry: every triage step appends an event line for the same spark ID,
+ * and current state is derived by replaying them. Lines without `event` are
+ * captures (the format before triage existed).
+ *
+ * Duplicates are found with the Pattern Librarian's checkDuplication(),
+ * against pipeline components, the Seed Vault and the other open sparks.
+ */
+
+import { appendJSONLine, readJSONLines, withFileLock, dataPath } from './storage.mjs';
+import { loadPipeline, loadSeedVault, createComponent, logActivity } from './pipeline.mjs';
+import { checkDuplication } from './agents/pattern-librarian.mjs';
+
+const SPARK_FILE = dataPath('spark-queue.jsonl');
+
+const ZONES = ['nursery', 'workshop', 'canopy', 'stable'];
+
+/**
+ * Name for a spark captured without one: the subject of its description
+ * ("Toast/notification component for …" → "Toast/notification").
+ *
+ * @param {string} description
+ * @returns {string}
+ */
+function nameFromDescription(description = '') {
+  const subject = description.match(/^(.+?)\s+component\b/i)?.[1];
+  return subject || description.split(/\s+/).slice(0, 3).join(' ') || 'Untitled spark';
+}
+
+/**
+ * Determine the next SPARK-NNN ID. Call under the file lock.
+ *
+ * @param {object[]} events
+ * @returns {string}
+ */
+function nextSparkId(events) {
+  let max = 0;
+  for (const entry of events) {
+    const match = entry.id?.match(/^SPARK-(\d+)$/);
+    if (match) max = Math.max(max, parseInt(match[1], 10));
+  }
+  return `SPARK-${String(max + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Replay spark events into current state, in capture order.
+ *
+ * @param {object[]} events
+ * @returns {Map<string, object>}
+ */
+function replay(events) {
+  const sparks = new Map();
+
+  for (const entry of events) {
+    const event = entry.event || 'captured';
+
+    if (event === 'captured') {
+      const source = entry.source || 'gardener';
+      sparks.set(entry.id, {
+        id: entry.id,
+        name: entry.name || nameFromDescription(entry.description),
+        description: entry.description || '',
+        context: entry.context || '',
+        source,
+        capturedAt: entry.capturedAt || entry.timestamp,
+        status: 'open',
+        votes: [source],
+        mergedInto: null,
+        mergedFrom: [],
+        componentId: null,
+        plantedAt: null
+      });
+      continue;
+    }
+
+    const spark = sparks.get(entry.id);
+    if (!spark) continue;
+
+    if (event === 'upvoted' && !spark.votes.includes(entry.source)) {
+      spark.votes.push(entry.source);
+    } else if (event === 'merged') {
+      spark.status = 'merged';
+      spark.mergedInto = entry.into;
+      const target = sparks.get(entry.into);
+      if (target) {
+        target.mergedFrom.push(spark.id);
+        for (const source of spark.votes) {
+          if (!target.votes.includes(source)) target.votes.push(source);
+        }
+      }
+    } else if (event === 'planted') {
+      spark.status = 'planted';
+      spark.componentId = entry.componentId;
+      spark.plantedAt = entry.timestamp;
+    }
+  }
+
+  return sparks;
+}
+
+function readSparks() {
+  return replay(readJSONLines(SPARK_FILE));
+}
+
+/**
+ * Possible duplicates of a name, per the Pattern Librarian.
+ *
+ * @param {string} name
+ * @param {string} [excludeSparkId] - The spark being checked
+ * @param {Map<string, object>} [sparks]
+ * @returns {{ component: { id: string, name: string } | null, spark: { id: string, name: string } | null, seedVault: string | null }}
+ */
+export function findDuplicates(name, excludeSparkId = null, sparks = readSparks()) {
+  const state = loadPipeline();
+  const components = ZONES.flatMap(zone => state[zone]);
+  const openSparks = [...sparks.values()].filter(s => s.status === 'open' && s.id !== excludeSparkId);
+
+  const againstComponents = checkDuplication(name, components.map(c => c.name), loadSeedVault().filter(v => v.name));
+  const againstSparks = checkDuplication(name, openSparks.map(s => s.name), []);
+
+  const component = againstComponents.hasDuplicate
+    ? components.find(c => c.name === againstComponents.duplicate)
+    : null;
+  const spark = againstSparks.hasDuplicate
+    ? openSparks.find(s => s.name === againstSparks.duplicate)
+    : null;
+
+  return {
+    component: component ? { id: component.id, name: component.name } : null,
+    spark: spark ? { id: spark.id, name: spark.name } : null,
+    seedVault: againstComponents.match || null
+  };
+}
+
+/**
+ * List sparks, most votes first. Open sparks carry their possible duplicates.
+ *
+ * @param {object} [filter]
+ * @param {'open'|'merged'|'planted'} [filter.status]
+ * @returns {object[]}
+ */
+export function listSparks(filter = {}) {
+  const sparks = readSparks();
+  return [...sparks.values()]
+    .filter(s => !filter.status || s.status === filter.status)
+    .map(s => (s.status === 'open' ? { ...s, duplicates: findDuplicates(s.name, s.id, sparks) } : s))
+    .sort((a, b) => b.votes.length - a.votes.length || (a.capturedAt || '').localeCompare(b.capturedAt || ''));
+}
+
+/**
+ * Get one spark by ID.
+ *
+ * @param {string} sparkId
+ * @returns {object|null}
+ */
+export function getSpark(sparkId) {
+  return readSparks().get(sparkId) || null;
+}
+
+/**
+ * Capture a new spark.
+ *
+ * @param {object} spark
+ * @param {string} spark.name - Short name (e.g. Accordion)
+ * @param {string} spark.description - The interest, not a formal proposal
+ * @param {string} [spark.source] - Who or what it came from (default gardener)
+ * @param {string} [spark.context]
+ * @returns {{ spark: object, duplicates: object }}
+ */
+export function captureSpark({ name, description, source = 'gardener', context = '' }) {
+  if (!name || !description) throw new Error('Spark name and description are required');
+
+  const spark = withFileLock(SPARK_FILE, () => {
+    const entry = {
+      id: nextSparkId(readJSONLines(SPARK_FILE)),
+      timestamp: new Date().toISOString(),
+      event: 'captured',
+      name,
+      description,
+      source,
+      context
+    };
+    appendJSONLine(SPARK_FILE, entry);
+    return getSpark(entry.id);
+  });
+
+  logActivity('spark-captured', null, name, source, description);
+  return { spark, duplicates: findDuplicates(name, spark.id) };
+}
+
+/**
+ * Upvote an open spark. Each source votes once; the capturing source already has.
+ *
+ * @param {string} sparkId
+ * @param {string} source
+ * @returns {{ success: boolean, spark?: object, reason?: string }}
+ */
+export function upvoteSpark(sparkId, source) {
+  if (!source) return { success: false, reason: 'A source is required to upvote' };
+
+  return withFileLock(SPARK_FILE, () => {
+    const spark = getSpark(sparkId);
+    if (!spark) return { success: false, reason: `Spark ${sparkId} not found` };
+    if (spark.status !== 'open') return { success: false, reason: `${sparkId} is ${spark.status} — only open sparks take votes` };
+    if (spark.votes.includes(source)) return { success: false, reason: `${source} has already voted for ${sparkId}` };
+
+    appendJSONLine(SPARK_FILE, { id: sparkId, timestamp: new Date().toISOString(), event: 'upvoted', source });
+    return { success: true, spark: getSpark(sparkId) };
+  });
+}
+
+/**
+ * Merge a duplicate spark into another. The duplicate closes; its votes carry over.
+ *
+ * @param {string} duplicateId
+ * @param {string} intoId
+ * @param {string} [actor]
+ * @returns {{ success: boolean, spark?: object, reason?: string }}
+ */
+export function mergeSparks(duplicateId, intoId, actor = 'gardener') {
+  if (duplicateId === intoId) return { success: false, reason: 'A spark cannot be merged into itself' };
+
+  const result = withFileLock(SPARK_FILE, () => {
+    const sparks = readSparks();
+    const duplicate = sparks.get(duplicateId);
+    const target = sparks.get(intoId);
+    if (!duplicate) return { success: false, reason: `Spark ${duplicateId} not found` };
+    if (!target) return { success: false, reason: `Spark ${intoId} not found` };
+    for (const spark of [duplicate, target]) {
+      if (spark.status !== 'open') return { success: false, reason: `${spark.id} is ${spark.status} — only open sparks can be merged` };
+    }
+
+    appendJSONLine(SPARK_FILE, { id: duplicateId, timestamp: new Date().toISOString(), event: 'merged', into: intoId, actor });
+    return { success: true, spark: getSpark(intoId), duplicate };
+  });
+
+  if (result.success) {
+    logActivity('spark-merged', null, result.duplicate.name, actor, `${duplicateId} merged into ${intoId} (${result.spark.name})`);
+    delete result.duplicate;
+  }
+  return result;
+}
+
+/**
+ * Plant a spark: create its Nursery component and close the spark.
+ *
+ * Refuses when the name duplicates a pipeline component or matches a Seed
+ * Vault entry (revive that instead), unless `force`.
+ *
+ * @param {string} sparkId
+ * @param {object} [options]
+ * @param {'primitive'|'composite'} [options.type] - Default primitive
+ * @param {string} [options.name] - Component name (default: the spark's)
+ * @param {string} [options.description] - JTBD description (default: the spark's)
+ * @param {string} [options.actor]
+ * @param {boolean} [options.force] - Plant despite a duplicate
+ * @returns {{ success: boolean, spark?: object, component?: object, duplicates?: object, reason?: string }}
+ */
+export function plantSpark(sparkId, options = {}) {
+  const { type = 'primitive', actor = 'gardener', force = false } = options;
+
+  const result = withFileLock(SPARK_FILE, () => {
+    const spark = getSpark(sparkId);
+    if (!spark) return { success: false, reason: `Spark ${sparkId} not found` };
+    if (spark.status !== 'open') return { success: false, reason: `${sparkId} is already ${spark.status}` };
+
+    const name = options.name || spark.name;
+    const duplicates = findDuplicates(name, sparkId);
+    if (!force && duplicates.component) {
+      return { success: false, duplicates, reason: `"${name}" duplicates ${duplicates.component.id} (${duplicates.component.name})` };
+    }
+    if (!force && duplicates.seedVault) {
+      return { success: false, duplicates, reason: `"${name}" matches Seed Vault entry "${duplicates.seedVault}" — revive it instead, or force` };
+    }
+
+    const component = createComponent(name, type, options.description || spark.description, { sparkId });
+    appendJSONLine(SPARK_FILE, {
+      id: sparkId,
+      timestamp: new Date().toISOString(),
+      event: 'planted',
+      componentId: component.id,
+      componentName: component.name,
+      actor
+    });
+    return { success: true, spark: getSpark(sparkId), component };
+  });
+
+  if (result.success) {
+    logActivity('spark-planted', result.component.id, result.component.name, actor, `Planted from ${sparkId} into the Nursery`);
+  }
+  return result;
+}
@@ -0,0 +1,405 @@
+/**
+ * Storage — Shared persistence for everything under src/data/ (or
+ * TERARRIUM_DATA_DIR, see dataPath()).
+ *
+ * The proxy, the MCP server and the scripts are separate processes writing
+ * the same files, and a governance review awaits agents between reading and
+ * writing pipeline state. Every write here is therefore:
+ *
+ *   locked     — a {file}.lock lockfile (created with O_EXCL) serializes
+ *                writers across processes; re-entrant within a process. A
+ *                lock whose holder PID is dead is taken over
+ *   atomic     — written to a temp file, fsynced, then renamed over the
+ *                original, so a crash never leaves half a file
+ *   versioned  — optional: the document carries `version`, and a write based
+ *                on a stale read throws VersionConflictError instead of
+ *                silently overwriting someone else's change
+ *   snapshotted — each version written is also kept in src/data/.snapshots/
+ *
+ * Reads that fail to parse (or fail validation) are corruption, not "empty":
+ * the corrupt file is kept aside as {file}.corrupt-{ts}, the latest good
+ * snapshot is restored, and a StorageCorruptionError is thrown if there is
+ * none. JSONL appends repair a torn last line before appending.
+ *
+ * Everything is synchronous, like the registries built on it. Functions passed
+ * to withFileLock() and updateJSONFile() must be synchronous too.
+ */
+
+import {
+  readFileSync, writeFileSync, existsSync, appendFileSync, renameSync, unlinkSync, linkSync,
+  openSync, closeSync, fsyncSync, readSync, statSync, mkdirSync, readdirSync, copyFileSync
+} from 'node:fs';
+import { resolve, dirname, basename } from 'node:path';
+
+const PROJECT_ROOT = resolve(import.meta.dirname, '..', '..');
+const SNAPSHOTS_DIR = dataPath('.snapshots');
+
+/**
+ * A path in the governance data directory: src/data, or TERARRIUM_DATA_DIR
+ * (tests point it at a scratch copy). Modules resolve their files when they
+ * load, so set it before importing them.
+ *
+ * @param {...string} parts - e.g. 'pipeline-state.json'
+ * @returns {string} Absolute path
+ */
+export function dataPath(...parts) {
+  return resolve(PROJECT_ROOT, process.env.TERARRIUM_DATA_DIR || 'src/data', ...parts);
+}
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 25;
+const SNAPSHOT_LIMIT = 20;
+
+// Locks this process holds: path → depth
+const held = new Map();
+
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Thrown when a file can't be parsed (or fails validation) and no snapshot
+ * could restore it.
+ */
+export class StorageCorruptionError extends Error {
+  constructor(file, cause) {
+    super(`${relative(file)} is corrupt and no good snapshot exists: ${cause}`);
+    this.name = 'StorageCorruptionError';
+    this.file = file;
+  }
+}
+
+/**
+ * Thrown when a versioned write is based on a stale read.
+ */
+export class VersionConflictError extends Error {
+  constructor(file, expected, actual) {
+    super(`${relative(file)} changed since it was read (version ${expected}, now ${actual}) — reload and retry`);
+    this.name = 'VersionConflictError';
+    this.file = file;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+function relative(file) {
+  return file.startsWith(PROJECT_ROOT) ? file.slice(PROJECT_ROOT.length + 1) : file;
+}
+
+// ── Locking ──────────────────────────────────────────────────────────────────
+
+/**
+ * The lock's content ("pid timestamp") if its holder is gone, else null.
+ * A live holder keeps its lock however old it is; age decides only when the
+ * PID can't be checked (not written yet, or unparseable).
+ */
+function staleLockContent(lockPath) {
+  let content;
+  try {
+    content = readFileSync(lockPath, 'utf-8');
+  } catch {
+    return null; // released meanwhile: just retry
+  }
+
+  const pid = Number(content.split(' ')[0]);
+  if (Number.isInteger(pid) && pid > 0) {
+    try {
+      // Signal 0 only checks the holder still exists
+      process.kill(pid, 0);
+      return null;
+    } catch (err) {
+      if (err.code === 'ESRCH') return content;
+      if (err.code === 'EPERM') return null; // alive, another user's
+    }
+  }
+
+  try {
+    return Date.now() - statSync(lockPath).mtimeMs > LOCK_STALE_MS ? content : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove the lock judged stale — and only that one. Another waiter may have
+ * taken it over since, so the lock is moved aside under a unique name and
+ * checked there; a lock that turns out to be someone's fresh one goes back.
+ */
+function removeStaleLock(lockPath, staleContent) {
+  try {
+    if (readFileSync(lockPath, 'utf-8') !== staleContent) return;
+  } catch {
+    return;
+  }
+
+  const aside = `${lockPath}.${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    renameSync(lockPath, aside);
+  } catch {
+    return; // another waiter moved it first
+  }
+  let content = null;
+  try { content = readFileSync(aside, 'utf-8'); } catch { /* unreadable: treat as not ours to drop */ }
+  if (content !== staleContent) {
+    try { linkSync(aside, lockPath); } catch { /* a newer lock is already in place */ }
+  }
+  try { unlinkSync(aside); } catch { /* already gone */ }
+}
+
+/**
+ * Run fn while holding the lock for a file.
+ *
+ * @template T
+ * @param {string} file - Absolute path of the file being guarded
+ * @param {() => T} fn - Synchronous
+ * @returns {T}
+ */
+export function withFileLock(file, fn) {
+  const depth = held.get(file) || 0;
+  if (depth > 0) {
+    held.set(file, depth + 1);
+    try { return fn(); } finally { held.set(file, depth); }
+  }
+
+  const lockPath = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let fd;
+  while (fd === undefined) {
+    try {
+      fd = openSync(lockPath, 'wx');
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const stale = staleLockContent(lockPath);
+      if (stale !== null) {
+        removeStaleLock(lockPath, stale);
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out after ${LOCK_TIMEOUT_MS}ms waiting for ${relative(lockPath)}`);
+      }
+      Atomics.wait(sleeper, 0, 0, LOCK_RETRY_MS);
+    }
+  }
+
+  const token = `${process.pid} ${new Date().toISOString()}`;
+  writeFileSync(fd, token);
+  closeSync(fd);
+  held.set(file, 1);
+  try {
+    return fn();
+  } finally {
+    held.delete(file);
+    // Only our own lock — never one another process holds now
+    try {
+      if (readFileSync(lockPath, 'utf-8') === token) unlinkSync(lockPath);
+    } catch { /* already gone */ }
+  }
+}
+
+// ── Snapshots ────────────────────────────────────────────────────────────────
+
+function snapshotDir(file) {
+  return resolve(SNAPSHOTS_DIR, basename(file));
+}
+
+/**
+ * Copy the current file into the snapshot directory, keeping the newest
+ * SNAPSHOT_LIMIT copies.
+ *
+ * @param {string} file
+ */
+function snapshot(file) {
+  if (!existsSync(file)) return;
+  const dir = snapshotDir(file);
+  mkdirSync(dir, { recursive: true });
+  const ts = new Date().toISOString().replace(/[:.]/g, '-');
+  copyFileSync(file, resolve(dir, `${ts}-${process.pid}`));
+
+  const copies = readdirSync(dir).sort();
+  for (const old of copies.slice(0, Math.max(0, copies.length - SNAPSHOT_LIMIT))) {
+    unlinkSync(resolve(dir, old));
+  }
+}
+
+/**
+ * Snapshots for a file, newest first.
+ *
+ * @param {string} file
+ * @returns {string[]} Absolute paths
+ */
+export function listSnapshots(file) {
+  const dir = snapshotDir(file);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir).sort().reverse().map(name => resolve(dir, name));
+}
+
+function parseJSON(text, validate) {
+  const data = JSON.parse(text);
+  if (validate && !validate(data)) throw new Error('failed validation');
+  return data;
+}
+
+/**
+ * Set a corrupt file aside and restore the newest snapshot that parses.
+ *
+ * @returns {object}
+ */
+function restoreFromSnapshot(file, cause, validate) {
+  const aside = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  copyFileSync(file, aside);
+  console.error(`[storage] CORRUPTION: ${relative(file)} — ${cause}. Kept as ${relative(aside)}.`);
+
+  for (const candidate of listSnapshots(file)) {
+    let data;
+    try {
+      data = parseJSON(readFileSync(candidate, 'utf-8'), validate);
+    } catch {
+      continue;
+    }
+    writeAtomic(file, readFileSync(candidate, 'utf-8'));
+    console.error(`[storage] Restored ${relative(file)} from snapshot ${basename(candidate)}.`);
+    return data;
+  }
+  throw new StorageCorruptionError(file, cause);
+}
+
+// ── JSON documents ───────────────────────────────────────────────────────────
+
+function writeAtomic(file, text) {
+  mkdirSync(dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+  const fd = openSync(tmp, 'w');
+  try {
+    writeFileSync(fd, text);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  renameSync(tmp, file);
+}
+
+/**
+ * Read a JSON document.
+ *
+ * @param {string} file - Absolute path
+ * @param {object} [options]
+ * @param {() => any} [options.fallback] - Value for a missing file (default null)
+ * @param {(data: any) => boolean} [options.validate] - Shape check; failing it counts as corruption
+ * @returns {any}
+ * @throws {StorageCorruptionError} When the file is corrupt and no snapshot restores it
+ */
+export function readJSONFile(file, options = {}) {
+  if (!existsSync(file)) return options.fallback ? options.fallback() : null;
+  try {
+    return parseJSON(readFileSync(file, 'utf-8'), options.validate);
+  } catch (err) {
+    return withFileLock(file, () => {
+      // Another process may have restored it while we waited
+      try {
+        return parseJSON(readFileSync(file, 'utf-8'), options.validate);
+      } catch {
+        return restoreFromSnapshot(file, err.message, options.validate);
+      }
+    });
+  }
+}
+
+/**
+ * Write a JSON document atomically under the file's lock, then snapshot it.
+ *
+ * With `versioned`, `data.version` must match the version on disk (a missing
+ * version counts as 0); it is bumped on write.
+ *
+ * @param {string} file - Absolute path
+ * @param {any} data
+ * @param {object} [options]
+ * @param {boolean} [options.versioned]
+ * @throws {VersionConflictError}
+ */
+export function writeJSONFile(file, data, options = {}) {
+  withFileLock(file, () => {
+    if (options.versioned) {
+      let current = 0;
+      if (existsSync(file)) {
+        try {
+          current = JSON.parse(readFileSync(file, 'utf-8')).version || 0;
+        } catch {
+          current = data.version || 0; // corrupt on disk — this write is the repair
+        }
+      }
+      if ((data.version || 0) !== current) throw new VersionConflictError(file, data.version || 0, current);
+      data.version = current + 1;
+    }
+    writeAtomic(file, JSON.stringify(data, null, 2) + '\n');
+    snapshot(file);
+  });
+}
+
+/**
+ * Read, change and write a JSON document under one lock.
+ *
+ * @template T
+ * @param {string} file - Absolute path
+ * @param {(data: any) => T} fn - Mutates data in place; synchronous
+ * @param {object} [options] - As readJSONFile() and writeJSONFile()
+ * @returns {T} Whatever fn returns
+ */
+export function updateJSONFile(file, fn, options = {}) {
+  return withFileLock(file, () => {
+    const data = readJSONFile(file, options);
+    const result = fn(data);
+    writeJSONFile(file, data, options);
+    return result;
+  });
+}
+
+// ── JSONL logs ───────────────────────────────────────────────────────────────
+
+/**
+ * Append one record to a JSONL log under its lock. A torn last line (from a
+ * crash mid-append) is terminated first so it can't swallow this record.
+ *
+ * @param {string} file - Absolute path
+ * @param {object} entry
+ */
+export function appendJSONLine(file, entry) {
+  withFileLock(file, () => {
+    let prefix = '';
+    const size = existsSync(file) ? statSync(file).size : 0;
+    if (size > 0) {
+      const last = Buffer.alloc(1);
+      const fd = openSync(file, 'r');
+      try {
+        readSync(fd, last, 0, 1, size - 1);
+      } finally {
+        closeSync(fd);
+      }
+      if (last[0] !== 0x0a) prefix = '\n';
+    }
+    appendFileSync(file, prefix + JSON.stringify(entry) + '\n');
+  });
+}
+
+/**
+ * Read every record in a JSONL log. Unparseable lines are skipped but
+ * reported, with their line numbers, rather than dropped silently.
+ *
+ * @param {string} file - Absolute path
+ * @returns {object[]}
+ */
+export function readJSONLines(file) {
+  if (!existsSync(file)) return [];
+  const records = [];
+  const bad = [];
+  readFileSync(file, 'utf-8').split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      bad.push(i + 1);
+    }
+  });
+  if (bad.length > 0) {
+    console.warn(`[storage] ${relative(file)}: skipped ${bad.length} unparseable line(s): ${bad.slice(0, 10).join(', ')}${bad.length > 10 ? ', …' : ''}`);
+  }
+  return records;
+}
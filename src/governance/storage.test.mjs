@@ -0,0 +1,136 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, readdirSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+
+import {
+  readJSONFile, writeJSONFile, updateJSONFile, appendJSONLine, readJSONLines, withFileLock, listSnapshots,
+  VersionConflictError, StorageCorruptionError
+} from './storage.mjs';
+
+const dir = mkdtempSync(join(tmpdir(), 'terarrium-storage-'));
+const files = [];
+let n = 0;
+
+// Snapshots live in src/data/.snapshots/{basename}: unique names, removed afterwards
+function tempFile(ext = 'json') {
+  const file = join(dir, `storage-test-${process.pid}-${++n}.${ext}`);
+  files.push(file);
+  return file;
+}
+
+after(() => {
+  for (const file of files) {
+    const snapshots = listSnapshots(file);
+    if (snapshots.length) rmSync(dirname(snapshots[0]), { recursive: true, force: true });
+  }
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('versioned writes bump the version and reject a stale one', () => {
+  const file = tempFile();
+  writeJSONFile(file, { version: 0, zone: 'nursery' }, { versioned: true });
+  assert.equal(readJSONFile(file).version, 1);
+
+  const stale = { version: 0, zone: 'canopy' };
+  assert.throws(() => writeJSONFile(file, stale, { versioned: true }), (err) => {
+    assert.ok(err instanceof VersionConflictError);
+    assert.equal(err.expected, 0);
+    assert.equal(err.actual, 1);
+    return true;
+  });
+  assert.deepEqual(readJSONFile(file), { version: 1, zone: 'nursery' });
+
+  const fresh = readJSONFile(file);
+  fresh.zone = 'workshop';
+  writeJSONFile(file, fresh, { versioned: true });
+  assert.deepEqual(readJSONFile(file), { version: 2, zone: 'workshop' });
+});
+
+test('updateJSONFile reads, changes and writes under one lock', () => {
+  const file = tempFile();
+  writeJSONFile(file, { version: 0, count: 1 }, { versioned: true });
+
+  const result = updateJSONFile(file, (data) => { data.count++; return data.count; }, { versioned: true });
+
+  assert.equal(result, 2);
+  assert.deepEqual(readJSONFile(file), { version: 2, count: 2 });
+});
+
+test('a corrupt file is set aside and restored from the newest good snapshot', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const file = tempFile();
+  writeJSONFile(file, { zone: 'nursery' });
+  writeJSONFile(file, { zone: 'workshop' });
+  writeFileSync(file, '{"zone": "canop');
+
+  assert.deepEqual(readJSONFile(file), { zone: 'workshop' });
+  assert.deepEqual(JSON.parse(readFileSync(file, 'utf-8')), { zone: 'workshop' });
+
+  const aside = readdirSync(dir).filter(name => name.startsWith(`${file.split('/').pop()}.corrupt-`));
+  assert.equal(aside.length, 1);
+  assert.equal(readFileSync(join(dir, aside[0]), 'utf-8'), '{"zone": "canop');
+});
+
+test('failing validation counts as corruption', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const file = tempFile();
+  const validate = (data) => Array.isArray(data.components);
+  writeJSONFile(file, { components: ['toggle'] });
+  writeFileSync(file, '{"components": "toggle"}');
+
+  assert.deepEqual(readJSONFile(file, { validate }), { components: ['toggle'] });
+});
+
+test('a corrupt file with no snapshot throws StorageCorruptionError', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const file = tempFile();
+  writeFileSync(file, 'not json');
+
+  assert.throws(() => readJSONFile(file), StorageCorruptionError);
+  assert.equal(readFileSync(file, 'utf-8'), 'not json');
+});
+
+test('a missing file reads as the fallback', () => {
+  assert.equal(readJSONFile(tempFile()), null);
+  assert.deepEqual(readJSONFile(tempFile(), { fallback: () => ({ components: [] }) }), { components: [] });
+});
+
+test('appendJSONLine terminates a torn last line before appending', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const file = tempFile('jsonl');
+  writeFileSync(file, '{"id":"DEC-1"}\n{"id":"DEC-');
+
+  appendJSONLine(file, { id: 'DEC-3' });
+
+  assert.equal(readFileSync(file, 'utf-8'), '{"id":"DEC-1"}\n{"id":"DEC-\n{"id":"DEC-3"}\n');
+  assert.deepEqual(readJSONLines(file), [{ id: 'DEC-1' }, { id: 'DEC-3' }]);
+  assert.match(warn.mock.calls[0].arguments[0], /skipped 1 unparseable line\(s\): 2/);
+});
+
+test('appendJSONLine starts a new file and appends in order', () => {
+  const file = tempFile('jsonl');
+  appendJSONLine(file, { id: 1 });
+  appendJSONLine(file, { id: 2 });
+  assert.deepEqual(readJSONLines(file), [{ id: 1 }, { id: 2 }]);
+});
+
+test('withFileLock is re-entrant and releases its lock', () => {
+  const file = tempFile();
+  const result = withFileLock(file, () => {
+    assert.ok(existsSync(`${file}.lock`));
+    return withFileLock(file, () => 'inner');
+  });
+  assert.equal(result, 'inner');
+  assert.equal(existsSync(`${file}.lock`), false);
+});
+
+test('withFileLock takes over a lock whose holder is gone', () => {
+  const file = tempFile();
+  // PIDs are at most 2^22 on Linux; this one is not running
+  writeFileSync(`${file}.lock`, '4194305 2026-01-01T00:00:00.000Z');
+
+  assert.equal(withFileLock(file, () => 'ran'), 'ran');
+  assert.equal(existsSync(`${file}.lock`), false);
+});
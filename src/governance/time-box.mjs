@@ -0,0 +1,201 @@
+/**
+ * Time Box — How long components have sat in their zone.
+ *
+ * ZONE_RULES gives each zone a time box in sprints ("2 sprints", "1-3 sprints").
+ * The sprint calendar (src/data/sprint-calendar.json) says when sprint 1
+ * started and how long sprints run. Time in zone is counted in calendar
+ * sprints: the sprint a component entered its zone (movedAt) counts as its
+ * first. A component still there after the last sprint of its time box is
+ * overdue. Stable has no time box.
+ *
+ * The calendar's first sprint is when time boxes began: a component that
+ * entered its zone before it counts from that sprint, so starting (or
+ * restarting) the calendar never flags every existing component at once.
+ *
+ * checkOverdue() flags each overdue component once per stay in a zone: it
+ * opens a component initiative for the gardener to decide (promote, demote or
+ * archive) and logs a 'zone-overdue' activity entry. Run it with
+ * scripts/check-time-boxes.mjs, or let the proxy schedule it
+ * (TERARRIUM_OVERDUE_CHECK_HOURS).
+ */
+
+import { ZONE_RULES } from './zone-rules.mjs';
+import { loadPipeline, logActivity } from './pipeline.mjs';
+import { readJSONFile, dataPath } from './storage.mjs';
+import { logStore } from './root-system/log-store.mjs';
+import { appendInitiative } from './root-system/initiative-registry.mjs';
+
+const CALENDAR_FILE = dataPath('sprint-calendar.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CALENDAR = { sprintLengthDays: 14, firstSprint: { number: 1, start: '2026-01-05' } };
+
+/**
+ * Load the sprint calendar. A missing file means two-week sprints from DEFAULT_CALENDAR.
+ *
+ * @returns {{ sprintLengthDays: number, firstSprint: { number: number, start: string } }}
+ */
+export function loadSprintCalendar() {
+  return readJSONFile(CALENDAR_FILE, {
+    fallback: () => DEFAULT_CALENDAR,
+    validate: (cal) => cal?.sprintLengthDays > 0 && Number.isInteger(cal.firstSprint?.number) &&
+      !Number.isNaN(Date.parse(cal.firstSprint.start))
+  });
+}
+
+/**
+ * The sprint a moment falls in. Sprints before the first one get lower numbers.
+ *
+ * @param {Date|string} date
+ * @param {object} [calendar] - As loadSprintCalendar()
+ * @returns {{ number: number, name: string, start: string, end: string }} end is exclusive
+ */
+export function sprintAt(date, calendar = loadSprintCalendar()) {
+  const length = calendar.sprintLengthDays * DAY_MS;
+  const origin = Date.parse(calendar.firstSprint.start);
+  const index = Math.floor((new Date(date).getTime() - origin) / length);
+  const start = origin + index * length;
+  const number = calendar.firstSprint.number + index;
+  return {
+    number,
+    name: `Sprint ${number}`,
+    start: new Date(start).toISOString(),
+    end: new Date(start + length).toISOString()
+  };
+}
+
+/**
+ * Parse a ZONE_RULES time box.
+ *
+ * @param {string} [timeBox] - e.g. '2 sprints', '1-3 sprints'
+ * @returns {{ label: string, min: number, max: number } | null}
+ */
+export function parseTimeBox(timeBox) {
+  const match = `${timeBox || ''}`.match(/^(\d+)(?:\s*-\s*(\d+))?\s*sprints?$/);
+  if (!match) return null;
+  const min = parseInt(match[1], 10);
+  return { label: timeBox, min, max: match[2] ? parseInt(match[2], 10) : min };
+}
+
+/**
+ * The sprint a component's time in zone counts from: the one it entered in,
+ * or the calendar's first sprint for stays that began before it.
+ */
+function countedFrom(enteredAt, calendar) {
+  const entered = sprintAt(enteredAt, calendar);
+  return entered.number < calendar.firstSprint.number ? sprintAt(calendar.firstSprint.start, calendar) : entered;
+}
+
+/**
+ * How long a component has been in its zone, against the zone's time box.
+ *
+ * @param {object} component - Pipeline entry
+ * @param {string} zone
+ * @param {object} [options]
+ * @param {Date|string} [options.now]
+ * @param {object} [options.calendar]
+ * @returns {{
+ *   zone: string, enteredAt: string, enteredSprint: object, currentSprint: object,
+ *   sprintsInZone: number, days: number, timeBox: object|null, dueBy: string|null,
+ *   overdue: boolean, sprintsOver: number
+ * }}
+ */
+export function timeInZone(component, zone, options = {}) {
+  const calendar = options.calendar || loadSprintCalendar();
+  const now = new Date(options.now || Date.now());
+  const enteredAt = component.movedAt || component.createdAt;
+  const enteredSprint = countedFrom(enteredAt, calendar);
+  const currentSprint = sprintAt(now, calendar);
+  // A `now` before the component entered its zone counts as no time in it
+  const sprintsInZone = Math.max(0, currentSprint.number - enteredSprint.number + 1);
+  const timeBox = parseTimeBox(ZONE_RULES[zone]?.timeBox);
+
+  let dueBy = null;
+  if (timeBox) {
+    const lastSprintStart = Date.parse(enteredSprint.start) + (timeBox.max - 1) * calendar.sprintLengthDays * DAY_MS;
+    dueBy = sprintAt(lastSprintStart, calendar).end;
+  }
+
+  return {
+    zone,
+    enteredAt,
+    enteredSprint,
+    currentSprint,
+    sprintsInZone,
+    days: Math.max(0, Math.floor((now - new Date(enteredAt)) / DAY_MS)),
+    timeBox,
+    dueBy,
+    overdue: !!timeBox && sprintsInZone > timeBox.max,
+    sprintsOver: timeBox ? Math.max(0, sprintsInZone - timeBox.max) : 0
+  };
+}
+
+/**
+ * Time in zone for every component in a time-boxed zone.
+ *
+ * @param {object} [options] - As timeInZone()
+ * @returns {{ sprint: object, components: object[] }}
+ */
+export function timeBoxReport(options = {}) {
+  const calendar = options.calendar || loadSprintCalendar();
+  const state = loadPipeline();
+  const components = Object.keys(ZONE_RULES).flatMap(zone =>
+    (state[zone] || []).map(comp => ({ id: comp.id, name: comp.name, ...timeInZone(comp, zone, { ...options, calendar }) }))
+  );
+  return { sprint: sprintAt(options.now || Date.now(), calendar), components };
+}
+
+/**
+ * Whether this stay in the zone was already flagged: a 'zone-overdue' activity
+ * entry since the component entered it.
+ */
+function alreadyFlagged(entry) {
+  return logStore('activity')
+    .query({ componentId: entry.id, type: 'zone-overdue' })
+    .some(e => e.timestamp >= entry.enteredAt);
+}
+
+/**
+ * Flag overdue components: one initiative and one activity entry each, once per stay in a zone.
+ *
+ * @param {object} [options] - As timeInZone(), plus:
+ * @param {boolean} [options.dryRun] - Report without writing
+ * @returns {{ sprint: object, overdue: object[], flagged: Array<{ componentId: string, initiativeId: string|null }>, alreadyFlagged: string[] }}
+ */
+export function checkOverdue(options = {}) {
+  const { sprint, components } = timeBoxReport(options);
+  const overdue = components.filter(c => c.overdue);
+  const flagged = [];
+  const skipped = [];
+
+  for (const entry of overdue) {
+    if (alreadyFlagged(entry)) {
+      skipped.push(entry.id);
+      continue;
+    }
+    if (options.dryRun) {
+      flagged.push({ componentId: entry.id, initiativeId: null });
+      continue;
+    }
+
+    const label = ZONE_RULES[entry.zone].label;
+    const initiative = appendInitiative({
+      event: 'created',
+      title: `${entry.name} overdue in ${label}`,
+      category: 'component',
+      status: 'proposed',
+      description: `${entry.name} (${entry.id}) has been in the ${label} for ${entry.sprintsInZone} sprints ` +
+        `(${entry.enteredSprint.name}–${entry.currentSprint.name}); its time box is ${entry.timeBox.label}. ` +
+        'Decide: promote, demote, or archive to the Seed Vault.',
+      origin: `Time-box check, ${sprint.name}`,
+      links: { decisions: [], changes: [], wiki: [], components: [entry.id], initiatives: [] },
+      actor: 'system'
+    });
+    logActivity('zone-overdue', entry.id, entry.name, 'system',
+      `${entry.sprintsInZone} sprints in ${label}, time box ${entry.timeBox.label} — ${initiative.id} opened`);
+    flagged.push({ componentId: entry.id, initiativeId: initiative.id });
+  }
+
+  return { sprint, overdue, flagged, alreadyFlagged: skipped };
+}
@@ -0,0 +1,140 @@
+/**
+ * Voting Rules — How agent verdicts are tallied, and how much each agent's counts.
+ *
+ * Rule sets are versioned in src/data/voting-rules.json. Each version has an
+ * `effectiveFrom`; the one in effect at a moment is the latest that had
+ * started. A version is never edited once in effect — a new version is
+ * appended instead — so any past decision can be re-evaluated under the
+ * rules it was made under (zone-rules.mjs reevaluateDecision()). A new
+ * version's `effectiveFrom` is a future sprint boundary (sprint-calendar.json),
+ * so reviews already under way are not tallied under rules that changed
+ * mid-sprint.
+ *
+ *   count    — every verdict counts once
+ *   weighted — each agent's vote is worth
+ *                weight = (1 − h) + h × credibility
+ *              where h is the zone's hIndex weight (0 in the Nursery, so every
+ *              vote is equal; 1 in the Canopy, so credibility counts in full)
+ *
+ * Credibility comes from the agent's h-index, per the Molt Pit
+ * (poc/governance/molt-pit.json): an agent's ruling is a decision it took
+ * part in; another agent cites it by listing the decision ID in its own
+ * review's citations. An agent has h-index h when h of its rulings have each
+ * been cited at least h times. Credibility is
+ *   min(max, baseline + perHIndex × h)
+ * counting only citations made before the moment being evaluated.
+ */
+
+import { readJSONFile, dataPath } from './storage.mjs';
+import { queryDecisions } from './root-system/decision-memory.mjs';
+
+const RULES_FILE = dataPath('voting-rules.json');
+
+const DEFAULT_RULES = {
+  versions: [{ version: 1, effectiveFrom: '1970-01-01T00:00:00.000Z', method: 'count', description: 'Each agent\'s verdict counts once.' }]
+};
+
+/**
+ * Load every rule set version, oldest first. A missing file means counting only.
+ *
+ * @returns {object[]}
+ */
+export function loadVotingRules() {
+  const rules = readJSONFile(RULES_FILE, {
+    fallback: () => DEFAULT_RULES,
+    validate: (r) => Array.isArray(r?.versions) && r.versions.length > 0 &&
+      r.versions.every(v => Number.isInteger(v.version) && !Number.isNaN(Date.parse(v.effectiveFrom)) &&
+        ['count', 'weighted'].includes(v.method))
+  });
+  return [...rules.versions].sort((a, b) => Date.parse(a.effectiveFrom) - Date.parse(b.effectiveFrom));
+}
+
+/**
+ * The rule set in effect at a moment, or a specific version.
+ *
+ * @param {Date|string} [at] - Default now
+ * @param {number} [version] - Pick this version instead
+ * @returns {object}
+ * @throws {Error} When the version does not exist
+ */
+export function rulesAt(at = new Date(), version) {
+  const versions = loadVotingRules();
+  if (version !== undefined) {
+    const match = versions.find(v => v.version === Number(version));
+    if (!match) throw new Error(`Unknown voting rules version ${version}. Known: ${versions.map(v => v.version).join(', ')}`);
+    return match;
+  }
+  const time = new Date(at).getTime();
+  return versions.filter(v => Date.parse(v.effectiveFrom) <= time).pop() || versions[0];
+}
+
+/**
+ * What a tally needs, read once: the rule set in effect and, when it is
+ * weighted, every agent's credibility. Pass it to checkZoneApproval() as
+ * `voting` so the tally itself reads nothing.
+ *
+ * @param {Date|string} [at] - Default now
+ * @param {number} [version] - Use this rule set version instead
+ * @returns {{ ruleSet: object, credibility: Record<string, { hIndex: number, credibility: number }> }}
+ * @throws {Error} When the version does not exist
+ */
+export function votingContext(at = new Date(), version) {
+  const ruleSet = rulesAt(at, version);
+  return { ruleSet, credibility: ruleSet.method === 'weighted' ? agentCredibility(ruleSet, at) : {} };
+}
+
+/**
+ * Every agent's h-index from the citations in Decision Memory.
+ *
+ * @param {Date|string} [asOf] - Only count decisions made before this moment (default all)
+ * @returns {Record<string, { hIndex: number, rulings: number, citations: number }>}
+ */
+export function agentHIndexes(asOf) {
+  const cutoff = asOf ? new Date(asOf).toISOString() : null;
+  const decisions = queryDecisions().filter(d => !cutoff || d.timestamp < cutoff);
+
+  // decisionId → agents that took part
+  const participants = new Map();
+  for (const d of decisions) {
+    if (d.agents) participants.set(d.id, Object.keys(d.agents));
+  }
+
+  // agentId → decisionId → citations by other agents
+  const cited = {};
+  for (const d of decisions) {
+    for (const [citer, review] of Object.entries(d.agents || {})) {
+      for (const id of new Set(review?.citations || [])) {
+        for (const agent of participants.get(id) || []) {
+          if (agent === citer) continue;
+          cited[agent] ??= {};
+          cited[agent][id] = (cited[agent][id] || 0) + 1;
+        }
+      }
+    }
+  }
+
+  const rulings = {};
+  for (const agents of participants.values()) {
+    for (const agent of agents) rulings[agent] = (rulings[agent] || 0) + 1;
+  }
+
+  return Object.fromEntries(Object.keys(rulings).map(agent => {
+    const counts = Object.values(cited[agent] || {}).sort((a, b) => b - a);
+    const hIndex = counts.filter((n, i) => n >= i + 1).length;
+    return [agent, { hIndex, rulings: rulings[agent], citations: counts.reduce((sum, n) => sum + n, 0) }];
+  }));
+}
+
+/**
+ * Credibility score per agent under a rule set (1 for agents with no record).
+ *
+ * @param {object} rules - A rule set version
+ * @param {Date|string} [asOf]
+ * @returns {Record<string, { hIndex: number, credibility: number }>}
+ */
+export function agentCredibility(rules, asOf) {
+  const { baseline = 1, perHIndex = 0, max = Infinity } = rules.credibility || {};
+  return Object.fromEntries(Object.entries(agentHIndexes(asOf)).map(([agent, { hIndex }]) =>
+    [agent, { hIndex, credibility: Math.min(max, baseline + perHIndex * hIndex) }]
+  ));
+}
@@ -7,8 +7,17 @@
  *   - majority/unanimous: approval thresholds
  *   - agVeto: whether AG absolute veto is active
  *   - hIndex: weight of citation-based credibility (0–1)
+ *   - approvers: agents whose approval a proposal in this zone needs
+ *
+ * How verdicts are tallied — counted or weighted — is versioned separately in
+ * voting-rules.mjs.
  */
 
+import { votingContext } from './voting-rules.mjs';
+
+// The five review agents
+export const REVIEW_AGENTS = ['ts', 'ag', 'pl', 'ca', 'px'];
+
 export const ZONE_RULES = {
   nursery: {
     label: 'Nursery',
@@ -18,6 +27,7 @@ export const ZONE_RULES = {
     unanimous: false,
     agVeto: false,
     hIndex: 0,
+    approvers: REVIEW_AGENTS,
     timeBox: '2 sprints',
     exitCriteria: 'Articulate JTBD, the pain it addresses, and one concrete path forward'
   },
@@ -29,6 +39,7 @@ export const ZONE_RULES = {
     unanimous: false,
     agVeto: false,
     hIndex: 0.3,
+    approvers: REVIEW_AGENTS,
     timeBox: '1-3 sprints',
     exitCriteria: 'Formal spec completed. TS + AG + CA have reviewed.'
   },
@@ -40,53 +51,186 @@ export const ZONE_RULES = {
     unanimous: true,
     agVeto: true,
     hIndex: 1.0,
+    approvers: REVIEW_AGENTS,
     timeBox: '2-4 sprints',
     exitCriteria: 'All agents approve + gardener approval + 2+ team validations.'
   }
 };
 
+/**
+ * Verdicts that mean the agent gave none — the review call failed, or its
+ * output never matched the review schema. They are missing from the tally,
+ * not votes against.
+ */
+export const MISSING_VERDICTS = ['api-unavailable', 'unparseable'];
+
 /**
  * Check whether a set of agent verdicts meets the zone's approval threshold.
  *
+ * Verdicts are tallied under the voting rule set in effect at `options.at`
+ * (voting-rules.mjs): counted once each, or weighted by agent credibility and
+ * the zone's hIndex weight. Weights decide a majority; unanimity still needs
+ * every agent, and the AG veto stays absolute whatever its weight.
+ *
+ * An agent with a MISSING_VERDICTS verdict makes the result incomplete
+ * (`incomplete`, `missing`): not passed, but not a rejection either — re-run
+ * the review. An AG veto still decides on its own.
+ *
+ * Only the gardener can override an AG veto (pipeline.mjs overrideVeto());
+ * an overridden veto counts as AG's approval.
+ *
  * @param {string} zone - nursery | workshop | canopy
  * @param {Record<string, string>} verdicts - agentId → 'approved' | 'rejected' | 'conditional'
- * @returns {{ passed: boolean, reason: string }}
+ * @param {object} [options]
+ * @param {boolean} [options.vetoOverridden] - The gardener has overridden AG's veto
+ * @param {Date|string} [options.at] - When the verdicts were given (default now)
+ * @param {number} [options.rulesVersion] - Tally under this rule set version instead
+ * @param {object} [options.voting] - votingContext() to tally under; read for `at`/`rulesVersion` when omitted
+ * @returns {{ passed: boolean, reason: string, incomplete?: boolean, missing?: string[], tally?: object }}
  */
-export function checkZoneApproval(zone, verdicts) {
+export function checkZoneApproval(zone, verdicts, options = {}) {
   const rules = ZONE_RULES[zone];
   if (!rules) return { passed: false, reason: `Unknown zone: ${zone}` };
 
-  const agents = Object.keys(verdicts);
-  const approved = agents.filter(a => verdicts[a] === 'approved');
-  const vetoed = agents.filter(a => verdicts[a] === 'vetoed');
+  const tally = tallyVotes(zone, verdicts, options);
 
   // AG absolute veto
-  if (rules.agVeto && vetoed.includes('ag')) {
-    return { passed: false, reason: 'Accessibility Guardian has exercised absolute veto.' };
+  if (rules.agVeto && verdicts.ag === 'vetoed') {
+    if (!options.vetoOverridden) {
+      return { passed: false, reason: 'Accessibility Guardian has exercised absolute veto.', tally };
+    }
+    verdicts = { ...verdicts, ag: 'approved' };
+    for (const vote of tally.votes) {
+      if (vote.agent === 'ag') vote.verdict = 'approved';
+    }
+    tally.approved = sumWeights(tally.votes.filter(v => v.verdict === 'approved'));
   }
 
+  if (tally.missing.length > 0) {
+    return {
+      passed: false,
+      incomplete: true,
+      missing: tally.missing,
+      reason: `Incomplete: no verdict from ${tally.missing.join(', ')} — re-run the review before it can count.`,
+      tally
+    };
+  }
+
+  const agents = Object.keys(verdicts);
+  const approved = agents.filter(a => verdicts[a] === 'approved');
+  const weighted = tally.method === 'weighted';
+
   // Nursery: everything passes (no rejection allowed)
   if (!rules.allowReject) {
-    return { passed: true, reason: 'Nursery: all ideas accepted for exploration.' };
+    return { passed: true, reason: 'Nursery: all ideas accepted for exploration.', tally };
   }
 
   // Unanimous
   if (rules.unanimous) {
     const missing = agents.filter(a => verdicts[a] !== 'approved');
     if (missing.length > 0) {
-      return { passed: false, reason: `Unanimous required. Missing approval from: ${missing.join(', ')}` };
+      return { passed: false, reason: `Unanimous required. Missing approval from: ${missing.join(', ')}${weighted ? ` (${describeTally(tally)})` : ''}`, tally };
     }
-    return { passed: true, reason: 'Unanimous approval achieved.' };
+    return { passed: true, reason: `Unanimous approval achieved.${weighted ? ` ${describeTally(tally)}` : ''}`, tally };
   }
 
   // Majority
   if (rules.majority) {
+    if (weighted) {
+      tally.needed = round(tally.total * (tally.majority ?? 0.5));
+      if (tally.approved >= tally.needed) {
+        return { passed: true, reason: `Weighted majority achieved: ${tally.approved}/${tally.total} (need ${tally.needed}) — ${describeVotes(tally)}`, tally };
+      }
+      return { passed: false, reason: `Weighted majority required: ${tally.approved}/${tally.total} (need ${tally.needed}) — ${describeVotes(tally)}`, tally };
+    }
     const needed = Math.ceil(agents.length / 2);
     if (approved.length >= needed) {
-      return { passed: true, reason: `Majority achieved: ${approved.length}/${agents.length}` };
+      return { passed: true, reason: `Majority achieved: ${approved.length}/${agents.length}`, tally };
     }
-    return { passed: false, reason: `Majority required: ${approved.length}/${agents.length} (need ${needed})` };
+    return { passed: false, reason: `Majority required: ${approved.length}/${agents.length} (need ${needed})`, tally };
+  }
+
+  return { passed: true, reason: 'No approval threshold defined.', tally };
+}
+
+/**
+ * Weigh each verdict under the rule set in effect.
+ *
+ * @param {string} zone
+ * @param {Record<string, string>} verdicts
+ * @param {object} options - As checkZoneApproval()
+ * @returns {{ rulesVersion: number, method: string, hIndexWeight: number, votes: object[], missing: string[], approved: number, total: number }}
+ */
+function tallyVotes(zone, verdicts, options) {
+  const { ruleSet, credibility: scores } = options.voting || votingContext(options.at, options.rulesVersion);
+  const weighted = ruleSet.method === 'weighted';
+  const hIndexWeight = weighted ? (ruleSet.hIndex?.[zone] ?? ZONE_RULES[zone].hIndex) : 0;
+  const credibility = hIndexWeight > 0 ? scores : {};
+
+  const missing = Object.keys(verdicts).filter(agent => MISSING_VERDICTS.includes(verdicts[agent]));
+  const votes = Object.entries(verdicts).filter(([agent]) => !missing.includes(agent)).map(([agent, verdict]) => {
+    const score = credibility[agent]?.credibility ?? 1;
+    return {
+      agent,
+      verdict,
+      hIndex: credibility[agent]?.hIndex ?? 0,
+      credibility: score,
+      weight: round(1 - hIndexWeight + hIndexWeight * score)
+    };
+  });
+
+  return {
+    rulesVersion: ruleSet.version,
+    method: ruleSet.method,
+    hIndexWeight,
+    ...(weighted && { majority: ruleSet.majority ?? 0.5 }),
+    votes,
+    missing,
+    approved: sumWeights(votes.filter(v => v.verdict === 'approved')),
+    total: sumWeights(votes)
+  };
+}
+
+function sumWeights(votes) {
+  return round(votes.reduce((sum, v) => sum + v.weight, 0));
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function describeVotes(tally) {
+  return tally.votes.map(v => `${v.agent} ${v.verdict} ×${v.weight}`).join(', ');
+}
+
+function describeTally(tally) {
+  return `Weighted ${tally.approved}/${tally.total} under rules v${tally.rulesVersion}: ${describeVotes(tally)}`;
+}
+
+/**
+ * Re-evaluate a recorded review decision's verdicts, by default under the
+ * voting rules (and agent credibility) in effect when it was made.
+ *
+ * @param {object} decision - A {zone}_review decision with `agents`
+ * @param {object} [options]
+ * @param {number} [options.rulesVersion] - Evaluate under another rule set version instead
+ * @returns {{ decisionId: string, zone: string, at: string, original: object|null, result: object, changed: boolean }}
+ */
+export function reevaluateDecision(decision, options = {}) {
+  if (!decision?.agents || !ZONE_RULES[decision.zone]) {
+    throw new Error(`${decision?.id || 'Decision'} is not a zone review — nothing to tally`);
   }
+  const verdicts = Object.fromEntries(Object.entries(decision.agents).map(([id, a]) => [id, a.verdict]));
+  const result = checkZoneApproval(decision.zone, verdicts, { at: decision.timestamp, rulesVersion: options.rulesVersion });
+  // Early records carry `passed` at the top level instead of a zoneVerdict
+  const original = decision.zoneVerdict || (decision.passed !== undefined ? { passed: decision.passed } : null);
 
-  return { passed: true, reason: 'No approval threshold defined.' };
+  return {
+    decisionId: decision.id,
+    zone: decision.zone,
+    at: decision.timestamp,
+    original,
+    result,
+    changed: !!original && original.passed !== result.passed
+  };
 }
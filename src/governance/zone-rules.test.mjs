@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { useScratchData } from './scratch-data.mjs';
+
+// An empty Decision Memory, so every citation below is the only one there is
+const dir = useScratchData('zone-rules');
+writeFileSync(join(dir, 'decisions.jsonl'), '');
+const { checkZoneApproval, reevaluateDecision } = await import('./zone-rules.mjs');
+const { rulesAt, votingContext, agentHIndexes } = await import('./voting-rules.mjs');
+const { appendDecision } = await import('./root-system/decision-memory.mjs');
+
+// v2 (weighted) takes effect at the start of sprint 23
+const BEFORE_V2 = '2026-10-25T12:00:00.000Z';
+const AFTER_V2 = '2026-11-01T12:00:00.000Z';
+
+// Two of PL's rulings, each cited by TS and CA: PL's h-index is 2
+for (const id of ['DEC-pl-1', 'DEC-pl-2']) {
+  appendDecision({ id, type: 'workshop_review', zone: 'workshop', timestamp: '2026-10-20T09:00:00.000Z', agents: { pl: { verdict: 'approved' } } });
+}
+const cites = { verdict: 'approved', citations: ['DEC-pl-1', 'DEC-pl-2'] };
+appendDecision({ type: 'workshop_review', zone: 'workshop', timestamp: '2026-10-21T09:00:00.000Z', agents: { ts: cites, ca: cites } });
+
+// Counted, this is a 2/4 majority; weighted, PL's rejection outweighs it
+const SPLIT = { ts: 'approved', ca: 'approved', pl: 'rejected', px: 'rejected' };
+
+test('the rule set in effect follows effectiveFrom', () => {
+  assert.equal(rulesAt(BEFORE_V2).version, 1);
+  assert.equal(rulesAt('2026-10-26T00:00:00.000Z').version, 2);
+  assert.equal(rulesAt(BEFORE_V2, 2).method, 'weighted');
+  assert.throws(() => rulesAt(BEFORE_V2, 9), /Unknown voting rules version 9. Known: 1, 2/);
+});
+
+test('credibility counts citations made before the moment evaluated', () => {
+  assert.equal(agentHIndexes().pl.hIndex, 2);
+  assert.equal(agentHIndexes('2026-10-21T00:00:00.000Z').pl.hIndex, 0);
+
+  assert.deepEqual(votingContext(BEFORE_V2).credibility, {});
+  const { ruleSet, credibility } = votingContext(AFTER_V2);
+  assert.equal(ruleSet.version, 2);
+  assert.deepEqual(credibility.pl, { hIndex: 2, credibility: 1.5 });
+  assert.deepEqual(credibility.ts, { hIndex: 0, credibility: 1 });
+});
+
+test('v1 counts every verdict once', () => {
+  const result = checkZoneApproval('workshop', SPLIT, { at: BEFORE_V2 });
+
+  assert.equal(result.passed, true);
+  assert.equal(result.reason, 'Majority achieved: 2/4');
+  assert.equal(result.tally.method, 'count');
+  assert.deepEqual(result.tally.votes.map(v => v.weight), [1, 1, 1, 1]);
+});
+
+test('v2 weighs each verdict by credibility and the zone hIndex', () => {
+  const result = checkZoneApproval('workshop', SPLIT, { at: AFTER_V2 });
+
+  assert.equal(result.passed, false);
+  assert.equal(result.tally.rulesVersion, 2);
+  assert.equal(result.tally.hIndexWeight, 0.3);
+  // PL: (1 − 0.3) + 0.3 × 1.5
+  assert.equal(result.tally.votes.find(v => v.agent === 'pl').weight, 1.15);
+  assert.match(result.reason, /^Weighted majority required: 2\/4\.15 \(need 2\.08\) — ts approved ×1, ca approved ×1, pl rejected ×1\.15, px rejected ×1$/);
+
+  // The Nursery's hIndex weight is 0: every vote stays equal
+  const nursery = checkZoneApproval('nursery', SPLIT, { at: AFTER_V2 });
+  assert.deepEqual(nursery.tally.votes.map(v => v.weight), [1, 1, 1, 1]);
+});
+
+test('a version or a voting context picks the rules instead of the date', () => {
+  assert.equal(checkZoneApproval('workshop', SPLIT, { at: AFTER_V2, rulesVersion: 1 }).passed, true);
+  assert.equal(checkZoneApproval('workshop', SPLIT, { at: BEFORE_V2, rulesVersion: 2 }).passed, false);
+
+  const voting = votingContext(AFTER_V2);
+  const result = checkZoneApproval('workshop', SPLIT, { voting });
+  assert.equal(result.passed, false);
+  assert.equal(result.tally.rulesVersion, 2);
+});
+
+test('unanimity and the AG veto hold whatever the weights', () => {
+  const canopy = checkZoneApproval('canopy', { ...SPLIT, pl: 'approved', px: 'approved', ag: 'vetoed' }, { at: AFTER_V2 });
+  assert.equal(canopy.passed, false);
+  assert.equal(canopy.reason, 'Accessibility Guardian has exercised absolute veto.');
+
+  const overridden = checkZoneApproval('canopy', { ...SPLIT, ag: 'vetoed' }, { at: AFTER_V2, vetoOverridden: true });
+  assert.match(overridden.reason, /^Unanimous required. Missing approval from: pl, px \(Weighted 3\/5\.5 under rules v2/);
+});
+
+test('a past decision is re-evaluated under the rules it was made under', () => {
+  const decision = appendDecision({
+    type: 'workshop_review',
+    zone: 'workshop',
+    timestamp: '2026-10-22T09:00:00.000Z',
+    agents: Object.fromEntries(Object.entries(SPLIT).map(([agent, verdict]) => [agent, { verdict }])),
+    zoneVerdict: { passed: true, reason: 'Majority achieved: 2/4' }
+  });
+
+  const asMade = reevaluateDecision(decision);
+  assert.equal(asMade.result.tally.rulesVersion, 1);
+  assert.equal(asMade.changed, false);
+
+  const underV2 = reevaluateDecision(decision, { rulesVersion: 2 });
+  assert.equal(underV2.result.passed, false);
+  assert.equal(underV2.changed, true);
+
+  assert.throws(() => reevaluateDecision({ id: 'DEC-x', type: 'proposal_applied' }), /DEC-x is not a zone review/);
+});
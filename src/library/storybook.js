@@ -122,6 +122,7 @@ function nav(el) {
 
   // Lazy-load story content
   if (target === 'pipeline') loadPipeline();
+  if (target === 'spark-queue') loadSparkQueue();
   if (target === 'wiki') loadWiki();
   if (target === 'seed-vault') loadSeedVault();
   if (target === 'welcome') { loadWelcomeStats(); loadWelcomeActivity(); }
@@ -130,11 +131,15 @@ function nav(el) {
 /* ── Pipeline ─────────────────────────────────────────────────────────── */
 let pipelineData = null;
 let activePipelineZone = 'stable';
+let timeBoxes = {}; // componentId → time in zone (GET /api/pipeline/time-boxes)
+let overrides = null; // veto/gate override counts (GET /api/overrides)
 
 async function loadPipeline() {
   try {
     const res = await fetch(API + '/api/pipeline');
     pipelineData = await res.json();
+    await loadTimeBoxes();
+    await loadOverrides();
     renderPipelineStats(pipelineData);
     renderAllPipelinePanels(pipelineData);
     // Update last-updated badge
@@ -147,6 +152,42 @@ async function loadPipeline() {
   }
 }
 
+async function loadTimeBoxes() {
+  try {
+    const res = await fetch(API + '/api/pipeline/time-boxes');
+    const data = await res.json();
+    timeBoxes = {};
+    (data.components || []).forEach(c => { timeBoxes[c.id] = c; });
+  } catch (e) {
+    timeBoxes = {}; // cards render without time-box info
+  }
+}
+
+async function loadOverrides() {
+  try {
+    const res = await fetch(API + '/api/overrides');
+    overrides = await res.json();
+  } catch (e) {
+    overrides = null;
+  }
+  const badge = document.getElementById('pipeline-overrides');
+  if (!badge) return;
+  badge.hidden = !overrides || !(overrides.vetoOverrides + overrides.gateOverrides);
+  if (overrides) {
+    badge.textContent = overrides.vetoOverrides + ' veto override(s) · ' + overrides.gateOverrides + ' gate override(s)';
+    badge.title = (overrides.recent || []).map(o => o.id + ' — ' + o.decision).join('\n');
+  }
+}
+
+function timeBoxBadge(comp) {
+  const t = timeBoxes[comp.id];
+  if (!t || !t.timeBox) return '';
+  const title = t.sprintsInZone + ' sprint(s) in ' + t.zone + ' since ' + t.enteredSprint.name + ' — time box ' + t.timeBox.label;
+  return t.overdue
+    ? '<span class="t-badge t-badge--danger comp-card__time-box" title="' + escHtml(title) + '">Overdue +' + t.sprintsOver + '</span>'
+    : '<span class="comp-card__time-box comp-card__time-box--ok" title="' + escHtml(title) + '">Sprint ' + t.sprintsInZone + '/' + t.timeBox.max + '</span>';
+}
+
 function renderPipelineStats(data) {
   const zones = ['stable', 'workshop', 'nursery', 'canopy'];
   zones.forEach(z => {
@@ -207,25 +248,69 @@ function renderPipelinePanel(zone, items) {
       ? '<button class="t-btn t-btn--primary t-btn--sm" onclick="promoteComponent(\'' + comp.id + '\')">Promote ↑</button>'
       : '<span class="t-badge t-badge--stable">Stable</span>';
     const reviewBtn = '<button class="t-btn t-btn--ghost t-btn--sm" onclick="runGovernanceReview(\'' + comp.id + '\')">Review</button>';
+    // AG's canopy veto stands until a new review, or until the gardener overrides it
+    const vetoed = zone === 'canopy' && reviews.ag && reviews.ag.verdict === 'vetoed';
+    const overrideBtn = vetoed && !comp.vetoOverride
+      ? '<button class="t-btn t-btn--danger t-btn--sm" onclick="overrideVeto(\'' + comp.id + '\')">Override AG veto</button>'
+      : '';
+    const overriddenBadge = comp.vetoOverride
+      ? '<span class="t-badge t-badge--warning" title="' + escHtml(comp.vetoOverride.decisionId + ': ' + comp.vetoOverride.justification) + '">AG veto overridden</span>'
+      : '';
 
     return '<div class="comp-card">' +
       '<div class="comp-card__header">' +
         '<span class="comp-card__name">' + escHtml(comp.name) + '</span>' +
-        '<span class="comp-card__zone-badge comp-card__zone-badge--' + zone + '">' + zone + '</span>' +
+        '<span>' + timeBoxBadge(comp) + '<span class="comp-card__zone-badge comp-card__zone-badge--' + zone + '">' + zone + '</span></span>' +
       '</div>' +
       '<div class="comp-card__desc">' + escHtml(comp.description || comp.id) + '</div>' +
       '<div class="comp-card__agents">' + agentChips + '</div>' +
-      '<div class="comp-card__actions">' + reviewBtn + promoteBtn + '</div>' +
+      '<div class="comp-card__actions">' + overriddenBadge + reviewBtn + overrideBtn + promoteBtn + '</div>' +
     '</div>';
   }).join('');
 }
 
-async function promoteComponent(id) {
+async function promoteComponent(id, override) {
   try {
-    const res = await fetch(API + '/api/pipeline/promote/' + id, { method: 'POST' });
+    const res = await fetch(API + '/api/pipeline/promote/' + id, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(override ? { override: true, justification: override } : {})
+    });
     const data = await res.json();
     if (data.error) { showToast('error', 'Promote failed', data.error); return; }
-    showToast('success', 'Promoted', (data.component?.name || id) + ' moved to ' + (data.to || data.component?.zone));
+    if (data.unmet && !override && !data.vetoDecisionId) {
+      // Gate not met — list what's missing; the gardener may override with a reason
+      const unmet = data.unmet.map(u => '• ' + u.criterion + ': ' + u.detail).join('\n');
+      showToast('warning', 'Promotion gate not met', data.unmet.map(u => u.criterion).join(', '));
+      const justification = window.prompt('Promotion gate not met:\n\n' + unmet + '\n\nOverride as gardener? Enter a justification of at least 30 characters (recorded in Decision Memory):');
+      if (justification && justification.trim()) await promoteComponent(id, justification.trim());
+      return;
+    }
+    if (!data.success) { showToast('error', 'Promote failed', data.reason); return; }
+    showToast('success', data.overrideDecisionId ? 'Promoted (override)' : 'Promoted', (data.component?.name || id) + ' moved to ' + (data.to || data.component?.zone));
+    await loadPipeline();
+  } catch (e) {
+    showToast('error', 'Network error', e.message);
+  }
+}
+
+async function overrideVeto(id) {
+  const count = overrides ? overrides.vetoOverrides : 0;
+  const justification = window.prompt(
+    'The Accessibility Guardian vetoed this component. Overriding is recorded in Decision Memory, ' +
+    'the veto stays in its history, and the override is counted (' + count + ' so far).\n\n' +
+    'Why should the veto not stand? (at least 30 characters)'
+  );
+  if (!justification || !justification.trim()) return;
+  try {
+    const res = await fetch(API + '/api/pipeline/override-veto/' + id, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ justification: justification.trim() })
+    });
+    const data = await res.json();
+    if (data.error || !data.success) { showToast('error', 'Override failed', data.error || data.reason); return; }
+    showToast('warning', 'AG veto overridden', data.component.name + ' — override #' + data.overrideCount + ' (' + data.decisionId + ')');
     await loadPipeline();
   } catch (e) {
     showToast('error', 'Network error', e.message);
@@ -233,6 +318,14 @@ async function promoteComponent(id) {
 }
 
 /* ── Governance Review ────────────────────────────────────────────────── */
+const REVIEW_AGENT_META = {
+  ts: { name: 'Token Steward',       emoji: '🪙', color: '#F59F00' },
+  ag: { name: 'A11y Guardian',       emoji: '♿', color: '#2F9E44' },
+  pl: { name: 'Pattern Librarian',   emoji: '📚', color: '#E03131' },
+  ca: { name: 'Component Architect', emoji: '🏗️', color: '#495057' },
+  px: { name: 'Product Liaison',     emoji: '🤝', color: '#4DABF7' }
+};
+
 async function runGovernanceReview(componentId) {
   // Fix 1: correct result container ID is 'review-results-{id}' (plural)
   const resultEl = document.getElementById('review-results-' + componentId);
@@ -243,103 +336,185 @@ async function runGovernanceReview(componentId) {
     btnEl.innerHTML = '<span class="spinner"></span> Reviewing…';
   }
   if (resultEl) {
-    resultEl.innerHTML = '<div style="color:var(--t-fg-tertiary);font-size:var(--t-text-sm);padding:var(--t-space-3) 0;display:flex;align-items:center;gap:var(--t-space-2)"><span class="spinner"></span> Running governance review — this may take 15–30 seconds…</div>';
+    resultEl.innerHTML = '<div class="review-live__status"><span class="spinner"></span> Running static analysis…</div>' +
+      '<div class="review-live__verdict"></div><div class="review-live__agents"></div>';
   }
 
   showToast('info', 'Review started', 'Agents are reviewing ' + componentId + '…');
 
+  const fail = (message, title) => {
+    if (resultEl) resultEl.innerHTML = '<div class="review-verdict review-verdict--failed">⚠️ ' + escHtml(message) + '</div>';
+    if (btnEl) { btnEl.disabled = false; btnEl.textContent = 'Run Governance Review'; }
+    showToast('error', title, message);
+  };
+
   try {
-    const res = await fetch(API + '/api/governance-review', {
+    // Streamed: each agent's card appears as soon as it finishes
+    const res = await fetch(API + '/api/governance-review/stream', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ componentId })
     });
-    const data = await res.json();
-
-    if (data.error) {
-      if (resultEl) resultEl.innerHTML = '<div class="review-verdict review-verdict--failed">⚠️ ' + escHtml(data.error) + '</div>';
-      if (btnEl) { btnEl.disabled = false; btnEl.textContent = 'Run Governance Review'; }
-      showToast('error', 'Review failed', data.error);
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({ error: 'Server error ' + res.status }));
+      fail(err.error || 'Server error', 'Review failed');
       return;
     }
 
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let data = null;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) continue;
+        let event;
+        try { event = JSON.parse(line.slice(6).trim()); } catch (_) { continue; }
+
+        if (event.type === 'error') { fail(event.message, 'Review failed'); return; }
+        if (event.type === 'done') data = event.result;
+        else renderReviewEvent(resultEl, event);
+      }
+    }
+
+    if (!data) { fail('The review stream ended before a result arrived', 'Review failed'); return; }
+
     renderReviewResult(componentId, data, resultEl);
     if (btnEl) { btnEl.disabled = false; btnEl.textContent = 'Re-run Review'; }
 
     // Fix 11: server returns zoneVerdict.passed, not overallVerdict
     const passed = data.zoneVerdict?.passed === true;
+    const incomplete = data.zoneVerdict?.incomplete === true;
     showToast(
       passed ? 'success' : 'warning',
-      passed ? 'Review passed' : 'Review needs work',
+      passed ? 'Review passed' : incomplete ? 'Review incomplete' : 'Review needs work',
       data.zoneVerdict?.reason || (passed ? 'Component approved by agents' : 'Some agents requested changes')
     );
+    // Replayed fixtures earn no gate credit
+    if (data.recorded === false) {
+      showToast('info', 'Review not recorded', 'Replayed reviews are not written to Decision Memory or the pipeline');
+    }
 
     // Refresh pipeline
     if (pipelineData) await loadPipeline();
 
   } catch (e) {
-    if (resultEl) resultEl.innerHTML = '<div class="review-verdict review-verdict--failed">⚠️ Network error: ' + escHtml(e.message) + '</div>';
-    if (btnEl) { btnEl.disabled = false; btnEl.textContent = 'Run Governance Review'; }
-    showToast('error', 'Network error', e.message);
+    fail('Network error: ' + e.message, 'Network error');
   }
 }
 
-function renderReviewResult(componentId, data, container) {
+// Progress while the review runs; the full result replaces it when done
+function renderReviewEvent(container, event) {
   if (!container) return;
+  const status = container.querySelector('.review-live__status');
+  const agents = container.querySelector('.review-live__agents');
+
+  if (event.type === 'static_analysis' && status) {
+    const sa = event.staticAnalysis || {};
+    const tokenIssues = sa.tokenCompliance ? sa.tokenCompliance.issues.length : 'n/a';
+    const contrast = sa.contrast ? sa.contrast.issues.length : 0;
+    status.innerHTML = '<span class="spinner"></span> Static analysis: ' + tokenIssues + ' token issue(s), ' +
+      contrast + ' contrast failure(s). Agents reviewing…';
+  } else if ((event.type === 'agent_start' || event.type === 'agent_retry') && agents) {
+    const meta = REVIEW_AGENT_META[event.agentId] || { name: event.agentId, emoji: '🤖', color: '#868E96' };
+    const label = event.type === 'agent_retry'
+      ? 'retrying in ' + Math.round(event.delayMs / 1000) + 's — ' + event.error
+      : event.attempt > 1 ? 'reviewing (attempt ' + event.attempt + ')…' : 'reviewing…';
+    const card = '<div class="arc" data-agent="' + escHtml(event.agentId) + '">' +
+      '<div class="arc__av" style="background:' + meta.color + '22;border-color:' + meta.color + '44;">' + meta.emoji + '</div>' +
+      '<div class="arc__hd"><span class="arc__name">' + escHtml(meta.name) + '</span>' +
+        '<span class="arc__vd arc__vd--pending">' + escHtml(label) + '</span> <span class="spinner--sm"></span></div>' +
+    '</div>';
+    replaceAgentCard(agents, event.agentId, card);
+  } else if (event.type === 'agent_done' && agents) {
+    replaceAgentCard(agents, event.agentId, agentReviewCardHtml(event.agentId, event.review));
+  } else if (event.type === 'zone_verdict') {
+    const slot = container.querySelector('.review-live__verdict');
+    if (slot) slot.innerHTML = zoneVerdictHtml(event.zoneVerdict);
+    if (status) status.remove();
+  }
+}
 
-  const agentMeta = {
-    ts: { name: 'Token Steward',       emoji: '🪙', color: '#F59F00' },
-    ag: { name: 'A11y Guardian',       emoji: '♿', color: '#2F9E44' },
-    pl: { name: 'Pattern Librarian',   emoji: '📚', color: '#E03131' },
-    ca: { name: 'Component Architect', emoji: '🏗️', color: '#495057' },
-    px: { name: 'Product Liaison',     emoji: '🤝', color: '#4DABF7' }
-  };
+function replaceAgentCard(agents, agentId, html) {
+  const existing = agents.querySelector('[data-agent="' + CSS.escape(agentId) + '"]');
+  if (existing) existing.outerHTML = html;
+  else agents.insertAdjacentHTML('beforeend', html);
+}
 
-  // Fix 11: server returns zoneVerdict, not overallVerdict
-  const zv = data.zoneVerdict || {};
+function zoneVerdictHtml(zv) {
+  zv = zv || {};
   const passed = zv.passed === true;
-  const verdictClass = passed ? 'passed' : 'failed';
-  const verdictIcon = passed ? '✅' : '⚠️';
+  // Incomplete: an agent stayed unavailable — not a rejection, re-run the review
+  const verdictClass = passed ? 'passed' : zv.incomplete ? 'pending' : 'failed';
+  const verdictIcon = passed ? '✅' : zv.incomplete ? '⏸️' : '⚠️';
 
-  let html = '<div class="review-verdict review-verdict--' + verdictClass + '">' +
-    verdictIcon + ' ' + (passed ? 'PASSED' : 'NEEDS WORK') +
+  return '<div class="review-verdict review-verdict--' + verdictClass + '">' +
+    verdictIcon + ' ' + (passed ? 'PASSED' : zv.incomplete ? 'INCOMPLETE' : 'NEEDS WORK') +
     (zv.reason ? ' — ' + escHtml(zv.reason) : '') +
   '</div>';
+}
+
+function agentReviewCardHtml(agentId, review, weight, rulesVersion) {
+  const meta = REVIEW_AGENT_META[agentId] || { name: agentId, emoji: '🤖', color: '#868E96' };
+  const v = escHtml(review.verdict) || 'pending';
+  const score = review.score != null ? review.score : null;
+
+  // Fix 12: orpa is an object {observation, reflection, plan, action}
+  let orpaHtml = '';
+  if (review.orpa && typeof review.orpa === 'object') {
+    const o = review.orpa;
+    orpaHtml = '<div class="arc__orpa">' +
+      '<span class="arc__orpa-lbl">ORPA</span>' +
+      (o.observation ? '<p class="arc__cond"><strong>Obs:</strong> ' + escHtml(o.observation) + '</p>' : '') +
+      (o.reflection  ? '<p class="arc__cond"><strong>Ref:</strong> ' + escHtml(o.reflection)  + '</p>' : '') +
+      (o.plan        ? '<p class="arc__cond"><strong>Plan:</strong> ' + escHtml(o.plan)        + '</p>' : '') +
+      (o.action      ? '<p class="arc__cond"><strong>Act:</strong> ' + escHtml(o.action)       + '</p>' : '') +
+    '</div>';
+  }
+
+  const condHtml = review.conditionalApproval
+    ? '<div class="arc__orpa" style="margin-top:var(--t-space-1)"><span class="arc__orpa-lbl">Condition for approval</span><p class="arc__cond">' + escHtml(review.conditionalApproval) + '</p></div>'
+    : '';
+
+  return '<div class="arc" data-agent="' + escHtml(agentId) + '">' +
+    '<div class="arc__av" style="background:' + meta.color + '22;border-color:' + meta.color + '44;">' + meta.emoji + '</div>' +
+    '<div class="arc__hd">' +
+      '<span class="arc__name">' + escHtml(meta.name) + '</span>' +
+      '<span class="arc__vd arc__vd--' + v + '">' + v + (v === 'vetoed' ? ' 🚫' : v === 'approved' ? ' ✓' : '') + '</span>' +
+      (score != null ? '<span class="arc__score"> · ' + score + '/100</span>' : '') +
+      (review.dimensionScores ? '<span class="arc__score" title="JTBD dimensions: functional · affordance · emotional"> · F' +
+        review.dimensionScores.functional + ' A' + review.dimensionScores.affordance + ' E' + review.dimensionScores.emotional + '</span>' : '') +
+      (weight ? '<span class="arc__score" title="h-index ' + weight.hIndex + ', credibility ' + weight.credibility + ', rules v' + rulesVersion + '"> · vote ×' + weight.weight + '</span>' : '') +
+      orpaHtml +
+      condHtml +
+    '</div>' +
+  '</div>';
+}
+
+function renderReviewResult(componentId, data, container) {
+  if (!container) return;
+
+  // Fix 11: server returns zoneVerdict, not overallVerdict
+  const zv = data.zoneVerdict || {};
+  let html = zoneVerdictHtml(zv);
+
+  // Weighted rule sets: each agent's vote weight (credibility × zone hIndex weight)
+  const weights = {};
+  if (zv.tally && zv.tally.method === 'weighted') {
+    zv.tally.votes.forEach(v => { weights[v.agent] = v; });
+  }
 
   // Fix 11: server returns agentReviews, not reviews
   const reviews = data.agentReviews || {};
   Object.entries(reviews).forEach(([agentId, review]) => {
-    const meta = agentMeta[agentId] || { name: agentId, emoji: '🤖', color: '#868E96' };
-    const v = review.verdict || 'pending';
-    const score = review.score != null ? review.score : null;
-
-    // Fix 12: orpa is an object {observation, reflection, plan, action}
-    let orpaHtml = '';
-    if (review.orpa && typeof review.orpa === 'object') {
-      const o = review.orpa;
-      orpaHtml = '<div class="arc__orpa">' +
-        '<span class="arc__orpa-lbl">ORPA</span>' +
-        (o.observation ? '<p class="arc__cond"><strong>Obs:</strong> ' + escHtml(o.observation) + '</p>' : '') +
-        (o.reflection  ? '<p class="arc__cond"><strong>Ref:</strong> ' + escHtml(o.reflection)  + '</p>' : '') +
-        (o.plan        ? '<p class="arc__cond"><strong>Plan:</strong> ' + escHtml(o.plan)        + '</p>' : '') +
-        (o.action      ? '<p class="arc__cond"><strong>Act:</strong> ' + escHtml(o.action)       + '</p>' : '') +
-      '</div>';
-    }
-
-    const condHtml = review.conditionalApproval
-      ? '<div class="arc__orpa" style="margin-top:var(--t-space-1)"><span class="arc__orpa-lbl">Condition for approval</span><p class="arc__cond">' + escHtml(review.conditionalApproval) + '</p></div>'
-      : '';
-
-    html += '<div class="arc">' +
-      '<div class="arc__av" style="background:' + meta.color + '22;border-color:' + meta.color + '44;">' + meta.emoji + '</div>' +
-      '<div class="arc__hd">' +
-        '<span class="arc__name">' + meta.name + '</span>' +
-        '<span class="arc__vd arc__vd--' + v + '">' + v + (v === 'vetoed' ? ' 🚫' : v === 'approved' ? ' ✓' : '') + '</span>' +
-        (score != null ? '<span class="arc__score"> · ' + score + '/100</span>' : '') +
-        orpaHtml +
-        condHtml +
-      '</div>' +
-    '</div>';
+    html += agentReviewCardHtml(agentId, review, weights[agentId], zv.tally && zv.tally.rulesVersion);
   });
 
   container.innerHTML = html;
@@ -399,6 +574,115 @@ function showWikiDetail(key) {
   showToast('info', entry.term || key, (entry.definition || '').slice(0, 160));
 }
 
+/* ── Spark Queue ──────────────────────────────────────────────────────── */
+async function loadSparkQueue() {
+  const container = document.getElementById('spark-content');
+  if (!container) return;
+  try {
+    const res = await fetch(API + '/api/sparks');
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+    const open = data.filter(s => s.status === 'open');
+    const countEl = document.getElementById('spark-count');
+    if (countEl) countEl.textContent = open.length + ' open · ' + (data.length - open.length) + ' triaged';
+    if (!data.length) {
+      container.innerHTML = '<p style="color:var(--t-fg-tertiary);font-size:var(--t-text-sm);">No sparks yet. Capture one with capture_spark.</p>';
+      return;
+    }
+    container.innerHTML = data.map(renderSpark).join('');
+  } catch (e) {
+    container.innerHTML = '<p style="color:var(--t-fg-tertiary)">Could not load the spark queue.</p>';
+  }
+}
+
+function renderSpark(spark) {
+  const dup = spark.duplicates || {};
+  const warnings = [
+    dup.component ? 'Duplicates ' + dup.component.id + ' (' + dup.component.name + ')' : '',
+    dup.seedVault ? 'Matches Seed Vault entry ' + dup.seedVault : '',
+    dup.spark ? 'Same idea as ' + dup.spark.id + ' (' + dup.spark.name + ')' : ''
+  ].filter(Boolean);
+
+  let status = '';
+  let actions = '';
+  if (spark.status === 'open') {
+    actions = '<div class="spark-item__actions">' +
+      '<button class="t-btn t-btn--ghost t-btn--sm" onclick="upvoteSpark(\'' + spark.id + '\')">▲ Upvote</button>' +
+      (dup.spark ? '<button class="t-btn t-btn--ghost t-btn--sm" onclick="mergeSpark(\'' + spark.id + '\',\'' + dup.spark.id + '\')">Merge into ' + escHtml(dup.spark.id) + '</button>' : '') +
+      '<button class="t-btn t-btn--primary t-btn--sm" onclick="plantSpark(\'' + spark.id + '\')">Plant in Nursery</button>' +
+    '</div>';
+  } else if (spark.status === 'planted') {
+    status = '<span class="t-badge t-badge--stable">Planted as ' + escHtml(spark.componentId) + '</span>';
+  } else {
+    status = '<span class="t-badge t-badge--neutral">Merged into ' + escHtml(spark.mergedInto) + '</span>';
+  }
+
+  return '<div class="vault-item spark-item' + (spark.status === 'open' ? ' spark-item--open' : '') + '">' +
+    '<div class="vault-item__header">' +
+      '<span class="vault-item__name">' + escHtml(spark.name) + ' <span class="vault-item__meta">' + escHtml(spark.id) + '</span></span>' +
+      '<span class="spark-item__votes" title="' + escHtml(spark.votes.join(', ')) + '">▲ ' + spark.votes.length + '</span>' +
+    '</div>' +
+    '<div class="vault-item__reason">' + escHtml(spark.description) + '</div>' +
+    '<div class="vault-item__meta">From ' + escHtml(spark.source) + ' · ' + fmtDate(spark.capturedAt) +
+      (spark.mergedFrom.length ? ' · absorbed ' + spark.mergedFrom.map(escHtml).join(', ') : '') + '</div>' +
+    (warnings.length ? '<div class="spark-item__warning">⚠️ ' + warnings.map(escHtml).join(' · ') + '</div>' : '') +
+    (status ? '<div class="spark-item__actions">' + status + '</div>' : actions) +
+  '</div>';
+}
+
+async function sparkAction(id, action, body) {
+  const res = await fetch(API + '/api/sparks/' + id + '/' + action, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return res.json();
+}
+
+async function upvoteSpark(id) {
+  const source = window.prompt('Who is voting for ' + id + '? (e.g. product-team, checkout-squad)');
+  if (!source || !source.trim()) return;
+  try {
+    const data = await sparkAction(id, 'upvote', { source: source.trim() });
+    if (!data.success) { showToast('warning', 'Vote not counted', data.reason || data.error); return; }
+    showToast('success', 'Upvoted', data.spark.name + ' has ' + data.spark.votes.length + ' vote(s)');
+    await loadSparkQueue();
+  } catch (e) {
+    showToast('error', 'Network error', e.message);
+  }
+}
+
+async function mergeSpark(id, into) {
+  if (!window.confirm('Merge ' + id + ' into ' + into + '? Its votes carry over and ' + id + ' closes.')) return;
+  try {
+    const data = await sparkAction(id, 'merge', { into });
+    if (!data.success) { showToast('error', 'Merge failed', data.reason || data.error); return; }
+    showToast('success', 'Merged', id + ' merged into ' + data.spark.name);
+    await loadSparkQueue();
+  } catch (e) {
+    showToast('error', 'Network error', e.message);
+  }
+}
+
+// forcedType: re-plant past a duplicate warning the gardener confirmed
+async function plantSpark(id, forcedType) {
+  const type = (forcedType || window.prompt('Plant ' + id + ' as primitive or composite?', 'primitive') || '').trim();
+  if (!type) return;
+  try {
+    const data = await sparkAction(id, 'plant', { type, force: !!forcedType });
+    if (data.duplicates && !data.success) {
+      if (window.confirm(data.reason + '\n\nPlant anyway?')) await plantSpark(id, type);
+      return;
+    }
+    if (!data.success) { showToast('error', 'Plant failed', data.reason || data.error); return; }
+    showToast('success', 'Planted', data.component.name + ' entered the Nursery as ' + data.component.id);
+    await loadSparkQueue();
+    if (pipelineData) await loadPipeline();
+  } catch (e) {
+    showToast('error', 'Network error', e.message);
+  }
+}
+
 /* ── Seed Vault ───────────────────────────────────────────────────────── */
 async function loadSeedVault() {
   // Fix 7: correct container ID is 'vault-content'
@@ -418,7 +702,7 @@ async function loadSeedVault() {
       '<div class="vault-item vault-item--revivable">' +
         '<div class="vault-item__header">' +
           '<span class="vault-item__name">' + escHtml(item.name || item.id) + '</span>' +
-          '<span style="font-size:11px;color:var(--t-fg-tertiary)">' + fmtDate(item.archivedAt) + '</span>' +
+          '<span style="font-size:11px;color:var(--t-fg-tertiary)">' + fmtDate(item.archivedAt || item.archivedDate) + '</span>' +
         '</div>' +
         '<div class="vault-item__reason">' + escHtml(item.reason || 'Archived') + '</div>' +
         (item.agents ? '<div class="vault-item__context">Agents: ' + Object.entries(item.agents).map(([k,v]) => k + ':' + v).join(' · ') + '</div>' : '') +
@@ -899,7 +1183,8 @@ function actionIcon(action) {
     'created': '✨', 'promoted': '⬆️', 'review': '🔍', 'approved': '✅',
     'needs-work': '⚠️', 'vetoed': '🚫', 'seeded': '🌱', 'stable': '🏆',
     'workshop': '🔧', 'nursery': '🌱', 'canopy': '🌳', 'spark': '💡',
-    'governance': '🔍', 'submitted': '📥'
+    'governance': '🔍', 'submitted': '📥', 'overdue': '⏰',
+    'overridden': '⚖️'
   };
   for (const [k, v] of Object.entries(map)) {
     if (action && action.toLowerCase().includes(k)) return v;
@@ -26,7 +26,7 @@ import {
 
 import { resolve, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { readFileSync, appendFileSync, existsSync } from 'node:fs';
+import { readFileSync, existsSync } from 'node:fs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = resolve(__dirname, '..', '..');
@@ -38,8 +38,10 @@ let _deps = null;
 async function getDeps() {
   if (_deps) return _deps;
 
-  const { loadPipeline, findComponent, createComponent, promoteComponent, seedVaultComponent, logActivity } =
-    await import('../governance/pipeline.mjs');
+  const {
+    loadPipeline, findComponent, createComponent, promoteComponent, seedVaultComponent, logActivity,
+    transitionComponent, allowedTransitions
+  } = await import('../governance/pipeline.mjs');
   const { runGovernanceReview, runSingleAgentReview } =
     await import('../governance/orchestrator.mjs');
   const { appendChange, queryChanges } =
@@ -54,6 +56,12 @@ async function getDeps() {
     await import('../governance/gardeners-memory.mjs');
   const { appendInitiative, queryInitiatives, getInitiativeSummary } =
     await import('../governance/root-system/initiative-registry.mjs');
+  const { buildUsageIndex, tokenImpact } =
+    await import('../tokens/token-usage.mjs');
+  const { listSparks, captureSpark, upvoteSpark, mergeSparks, plantSpark } =
+    await import('../governance/spark-queue.mjs');
+  const { logStore, logForPath } =
+    await import('../governance/root-system/log-store.mjs');
 
   // Data helpers (same as proxy.mjs)
   function readJSON(relPath) {
@@ -64,6 +72,9 @@ async function getDeps() {
   }
 
   function readJSONL(relPath, limit = 50) {
+    const log = logForPath(relPath);
+    if (log) return logStore(log).query({}, { limit });
+
     const full = resolve(PROJECT_ROOT, relPath);
     if (!existsSync(full)) return [];
     try {
@@ -78,12 +89,15 @@ async function getDeps() {
 
   _deps = {
     loadPipeline, findComponent, createComponent, promoteComponent, seedVaultComponent,
+    transitionComponent, allowedTransitions,
     runGovernanceReview, runSingleAgentReview,
     readJSON, readJSONL,
     logActivity, appendChange, queryChanges, addWikiEntry,
     validateWritePath, validateReadPath,
     auditTokenCompliance, recordGardenersWords,
     appendInitiative, queryInitiatives, getInitiativeSummary,
+    buildUsageIndex, tokenImpact,
+    listSparks, captureSpark, upvoteSpark, mergeSparks, plantSpark,
     projectRoot: PROJECT_ROOT
   };
 
@@ -120,6 +134,31 @@ const NEW_TOOLS = [
       required: []
     }
   },
+  {
+    name: 'transition_component',
+    description: 'Move a component through its lifecycle. demote: back one zone. seed-vault: archive with a full snapshot (component, spec, CSS, decision IDs). revive: bring a Seed Vault entry back into the Nursery. deprecate: mark a Stable component deprecated. restore: lift a deprecation. Promotion stays with promote_component. Disallowed transitions are rejected with the allowed list.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        componentId: { type: 'string', description: 'Pipeline ID (e.g. COMP-001) or name; Seed Vault entries by ID or name' },
+        action: { type: 'string', enum: ['demote', 'seed-vault', 'revive', 'deprecate', 'restore'], description: 'Transition to apply' },
+        reason: { type: 'string', description: 'Why — required for demote, seed-vault and deprecate' },
+        replacement: { type: 'string', description: 'deprecate only: the component that supersedes it' }
+      },
+      required: ['componentId', 'action']
+    }
+  },
+  {
+    name: 'get_allowed_transitions',
+    description: 'Lifecycle state of a component (nursery, workshop, canopy, stable, deprecated or seed-vault) and the transitions it allows from there.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        componentId: { type: 'string', description: 'Pipeline ID (e.g. COMP-001) or name' }
+      },
+      required: ['componentId']
+    }
+  },
   {
     name: 'audit_tokens',
     description: 'Audit a component CSS file for token compliance. Checks for primitive references, hard-coded hex colors, hard-coded spacing, font, and border-radius values.',
@@ -131,9 +170,21 @@ const NEW_TOOLS = [
       required: ['componentName']
     }
   },
+  {
+    name: 'get_token_usage',
+    description: 'Token usage index built from component CSS. With token: what breaks if it changes — components calling it directly and through tokens that alias it. With component: the tokens its CSS calls versus its spec tokens.uses (unused, undeclared, undefined). With neither: the full index.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        token: { type: 'string', description: 'CSS name (--t-interactive-default) or token path (color.semantic.interactive.default)' },
+        component: { type: 'string', description: 'Component name (e.g. button)' }
+      },
+      required: []
+    }
+  },
   {
     name: 'capture_spark',
-    description: 'Capture a spark — an interest or idea before it becomes a component proposal. Appends to spark-queue.jsonl.',
+    description: 'Capture a spark — an interest or idea before it becomes a component proposal. Joins the Spark Queue (spark-queue.jsonl); possible duplicates are reported.',
     input_schema: {
       type: 'object',
       properties: {
@@ -144,6 +195,34 @@ const NEW_TOOLS = [
       required: ['name', 'description']
     }
   },
+  {
+    name: 'get_sparks',
+    description: 'List the Spark Queue, most votes first. Open sparks include possible duplicates (pipeline components, Seed Vault entries, other sparks) found by the Pattern Librarian.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['open', 'merged', 'planted'], description: 'Filter by status' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'triage_spark',
+    description: 'Triage a spark. upvote: one vote per source. merge: close a duplicate spark into another (its votes carry over). plant: create a Nursery component from the spark and link the two — refused on a duplicate unless force.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        sparkId: { type: 'string', description: 'Spark ID (e.g. SPARK-001)' },
+        action: { type: 'string', enum: ['upvote', 'merge', 'plant'], description: 'Triage step' },
+        source: { type: 'string', description: 'upvote only: who is voting' },
+        into: { type: 'string', description: 'merge only: the spark to merge into' },
+        type: { type: 'string', enum: ['primitive', 'composite'], description: 'plant only: component type (default primitive)' },
+        name: { type: 'string', description: "plant only: component name, if not the spark's" },
+        force: { type: 'boolean', description: 'plant only: plant despite a duplicate' }
+      },
+      required: ['sparkId', 'action']
+    }
+  },
   {
     name: 'record_gardener_words',
     description: "Record the gardener's exact words on a topic. Stored in gardeners-memory.json for persistence across sessions.",
@@ -238,6 +317,23 @@ async function executeNewTool(toolName, toolInput, deps) {
       return JSON.stringify(vault || { entries: [], note: 'Seed vault is empty' });
     }
 
+    case 'transition_component': {
+      if (toolInput.action === 'promote') {
+        return JSON.stringify({ error: 'Use promote_component to promote — it runs the promotion gate.' });
+      }
+      const result = deps.transitionComponent(toolInput.componentId, toolInput.action, {
+        reason: toolInput.reason,
+        replacement: toolInput.replacement
+      });
+      return JSON.stringify(result);
+    }
+
+    case 'get_allowed_transitions': {
+      const current = deps.allowedTransitions(toolInput.componentId);
+      if (!current) return JSON.stringify({ error: `Component '${toolInput.componentId}' not found in the pipeline or the Seed Vault` });
+      return JSON.stringify({ id: current.component.id, name: current.component.name, state: current.state, allowed: current.allowed });
+    }
+
     case 'audit_tokens': {
       const name = toolInput.componentName.toLowerCase();
       const css = loadComponentCSS(name);
@@ -248,19 +344,42 @@ async function executeNewTool(toolName, toolInput, deps) {
       return JSON.stringify({ component: name, ...result });
     }
 
+    case 'get_token_usage': {
+      const index = deps.buildUsageIndex();
+      if (toolInput.token) return JSON.stringify(deps.tokenImpact(toolInput.token, index));
+      if (toolInput.component) {
+        const name = toolInput.component.toLowerCase();
+        const usage = index.components[name];
+        if (!usage) return JSON.stringify({ error: `No CSS found for component '${name}' at src/components/${name}/${name}.css` });
+        return JSON.stringify({ component: name, ...usage });
+      }
+      return JSON.stringify(index);
+    }
+
     case 'capture_spark': {
-      const spark = {
-        id: `SPARK-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      const result = deps.captureSpark({
         name: toolInput.name,
         description: toolInput.description,
-        source: toolInput.source || 'gardener',
-        capturedAt: new Date().toISOString(),
-        status: 'open'
-      };
-      const sparkFile = resolve(PROJECT_ROOT, 'src/data/spark-queue.jsonl');
-      appendFileSync(sparkFile, JSON.stringify(spark) + '\n');
-      deps.logActivity('spark-captured', null, toolInput.name, spark.source, toolInput.description);
-      return JSON.stringify({ success: true, spark });
+        source: toolInput.source || 'gardener'
+      });
+      return JSON.stringify({ success: true, ...result });
+    }
+
+    case 'get_sparks': {
+      return JSON.stringify(deps.listSparks(toolInput.status ? { status: toolInput.status } : {}));
+    }
+
+    case 'triage_spark': {
+      const { sparkId, action } = toolInput;
+      if (action === 'upvote') return JSON.stringify(deps.upvoteSpark(sparkId, toolInput.source));
+      if (action === 'merge') {
+        if (!toolInput.into) return JSON.stringify({ error: 'merge needs into — the spark to merge into' });
+        return JSON.stringify(deps.mergeSparks(sparkId, toolInput.into));
+      }
+      if (action === 'plant') {
+        return JSON.stringify(deps.plantSpark(sparkId, { type: toolInput.type, name: toolInput.name, force: !!toolInput.force }));
+      }
+      return JSON.stringify({ error: `Unknown triage action '${action}' — use upvote, merge or plant` });
     }
 
     case 'record_gardener_words': {
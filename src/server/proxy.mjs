@@ -7,19 +7,47 @@
  *   3. Serves pipeline state and data endpoints
  *
  * Run: node src/server/proxy.mjs
- * Env: ANTHROPIC_API_KEY loaded from .env via dotenv
+ * Env: ANTHROPIC_API_KEY loaded from .env via dotenv; TERARRIUM_LLM_PROVIDER picks
+ *      another model provider (src/governance/providers/)
  *
  * Endpoints:
  *   POST /api/chat                    — Streaming governance chat (SSE)
  *   POST /api/governance-review       — Full orchestrator review cycle
+ *   POST /api/governance-review/stream — Full review with progress events (SSE); disconnecting cancels it
  *   POST /api/governance-review/agent — Single agent review
  *   GET  /api/pipeline                — Current pipeline state
- *   POST /api/pipeline/promote/:id    — Promote component
+ *   POST /api/pipeline/promote/:id    — Promote component through the promotion gate
+ *                                       (body { override: true, justification } for a gardener override)
+ *   POST /api/pipeline/override-veto/:id — Gardener override of an AG veto ({ justification })
+ *   GET  /api/overrides               — Veto and gate override counts, most recent overrides
+ *   POST /api/pipeline/adoption/:id   — Record a team's adoption status ({ team, status })
+ *   POST /api/pipeline/demote/:id     — Move back one zone ({ reason })
+ *   POST /api/pipeline/seed-vault/:id — Archive to the Seed Vault with a snapshot ({ reason })
+ *   POST /api/pipeline/revive/:id     — Revive a Seed Vault entry into the Nursery ({ reason })
+ *   POST /api/pipeline/deprecate/:id  — Deprecate a Stable component ({ reason, replacement })
+ *   POST /api/pipeline/restore/:id    — Lift a deprecation
+ *   GET  /api/pipeline/transitions/:id — Lifecycle state and allowed transitions
+ *   GET  /api/pipeline/time-boxes     — Sprints each component has spent in its zone; overdue flags
  *   POST /api/pipeline/create         — Create new component
+ *   GET  /api/sparks                  — Spark Queue, most votes first (?status=open|merged|planted)
+ *   POST /api/sparks                  — Capture a spark ({ name, description, source })
+ *   POST /api/sparks/:id/upvote       — One vote per source ({ source })
+ *   POST /api/sparks/:id/merge        — Merge a duplicate into another spark ({ into })
+ *   POST /api/sparks/:id/plant        — Turn a spark into a Nursery component ({ type, name, force })
+ *   GET  /api/proposals               — Proposal Registry, current state (?status=, ?type=, ?targetId=)
+ *   GET  /api/proposals/:id           — One proposal with its event history
+ *   POST /api/proposals               — Submit a proposal ({ type, agent, targetId, rationale, changes }); zone from the target
+ *   POST /api/proposals/:id/approve   — Record an approval ({ actor }); staged once zone rules are met
+ *   POST /api/proposals/:id/veto      — Record a veto ({ actor, reason })
+ *   POST /api/proposals/:id/apply     — Write a staged token/spec proposal; records a change and a decision
  *   GET  /api/wiki                    — Wiki entries
  *   GET  /api/seed-vault              — Seed vault entries
  *   GET  /api/decisions               — Recent decisions (last 20)
+ *   GET  /api/decisions/:id/reevaluate — Re-tally a review under the voting rules of its time (?rulesVersion=)
+ *   GET  /api/voting-rules            — Voting rule set versions and agent credibility
  *   GET  /api/activity                — Recent activity log (last 50)
+ *   GET  /api/ledger/verify           — Hash-chain check of the append-only logs (?log= for one)
+ *   GET  /api/tokens/usage            — Token usage index (?token= for impact, ?component= for one spec)
  *   GET  /api/health                  — Health check + API key validation
  */
 
@@ -28,13 +56,18 @@ import 'dotenv/config';
 
 import express from 'express';
 import cors from 'cors';
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { readFileSync, existsSync } from 'node:fs';
 import { resolve, dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
+import { writeJSONFile } from '../governance/storage.mjs';
+import { LOGS, logStore, logForPath, verifyLog } from '../governance/root-system/log-store.mjs';
+
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = resolve(__dirname, '..', '..');
 
+const LLM_PROVIDER = process.env.TERARRIUM_LLM_PROVIDER || 'anthropic';
+
 // ── API Key validation state (set at startup, cached for health endpoint) ────
 
 let apiKeyStatus = {
@@ -141,6 +174,10 @@ function readJSON(relPath) {
 }
 
 function readJSONL(relPath, limit = 50) {
+  // Root System logs may live in SQLite
+  const log = logForPath(relPath);
+  if (log) return logStore(log).query({}, { limit });
+
   const full = resolve(PROJECT_ROOT, relPath);
   if (!existsSync(full)) return [];
   try {
@@ -194,6 +231,7 @@ app.get('/api/health', (req, res) => {
 
   res.json({
     status: 'ok',
+    llmProvider: LLM_PROVIDER,
     anthropicKeyPresent: hasKey,
     anthropicKeyFormat: !hasKey ? 'missing' : (key.startsWith('sk-ant-') ? 'valid' : 'invalid'),
     anthropicKeyVerified: apiKeyStatus.verified,
@@ -230,25 +268,246 @@ app.post('/api/pipeline/create', async (req, res) => {
 
 app.post('/api/pipeline/promote/:id', async (req, res) => {
   try {
+    const { override, justification } = req.body || {};
     const { promoteComponent } = await getPipeline();
-    const result = promoteComponent(req.params.id);
+    const result = promoteComponent(req.params.id, override ? { override: { justification } } : {});
+    if (!result.success) {
+      return res.status(result.unmet ? 409 : 404).json(result);
+    }
     res.json(result);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/pipeline/seed-vault/:id', async (req, res) => {
+app.post('/api/pipeline/override-veto/:id', async (req, res) => {
   try {
-    const { reason } = req.body;
-    const { seedVaultComponent } = await getPipeline();
-    const result = seedVaultComponent(req.params.id, reason || 'Archived by gardener');
+    const { justification } = req.body || {};
+    if (!justification) {
+      return res.status(400).json({ error: 'justification is required to override a veto' });
+    }
+    const { overrideVeto } = await getPipeline();
+    const result = overrideVeto(req.params.id, { justification });
+    if (!result.success) {
+      return res.status(/not found/.test(result.reason) ? 404 : 409).json(result);
+    }
     res.json(result);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+app.get('/api/overrides', async (req, res) => {
+  try {
+    const { overrideSummary } = await getPipeline();
+    res.json(overrideSummary());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/pipeline/adoption/:id', async (req, res) => {
+  try {
+    const { team, status } = req.body || {};
+    if (!team || !status) {
+      return res.status(400).json({ error: 'team and status are required' });
+    }
+    const { recordTeamAdoption } = await getPipeline();
+    const result = recordTeamAdoption(req.params.id, team, status);
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Lifecycle transitions — validated against TRANSITIONS in pipeline.mjs
+for (const action of ['demote', 'seed-vault', 'revive', 'deprecate', 'restore']) {
+  app.post(`/api/pipeline/${action}/:id`, async (req, res) => {
+    try {
+      const { reason, replacement } = req.body || {};
+      const { transitionComponent } = await getPipeline();
+      const result = transitionComponent(req.params.id, action, { reason, replacement });
+      if (!result.success) {
+        return res.status(/not found/.test(result.reason) ? 404 : 409).json(result);
+      }
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
+
+app.get('/api/pipeline/transitions/:id', async (req, res) => {
+  try {
+    const { allowedTransitions } = await getPipeline();
+    const current = allowedTransitions(req.params.id);
+    if (!current) return res.status(404).json({ error: `Component ${req.params.id} not found` });
+    res.json({ id: current.component.id, name: current.component.name, state: current.state, allowed: current.allowed });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/pipeline/time-boxes', async (req, res) => {
+  try {
+    const { timeBoxReport } = await import('../governance/time-box.mjs');
+    res.json(timeBoxReport());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Spark Queue endpoints ────────────────────────────────────────────────────
+
+// Failed triage steps: 404 for an unknown spark, 409 for everything else
+function sparkResult(res, result) {
+  if (!result.success) return res.status(/not found/.test(result.reason) ? 404 : 409).json(result);
+  res.json(result);
+}
+
+app.get('/api/sparks', async (req, res) => {
+  try {
+    const { listSparks } = await import('../governance/spark-queue.mjs');
+    res.json(listSparks(req.query.status ? { status: req.query.status } : {}));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/sparks', async (req, res) => {
+  try {
+    const { name, description, source, context } = req.body || {};
+    if (!name || !description) {
+      return res.status(400).json({ error: 'name and description are required' });
+    }
+    const { captureSpark } = await import('../governance/spark-queue.mjs');
+    res.json({ success: true, ...captureSpark({ name, description, source, context }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/sparks/:id/upvote', async (req, res) => {
+  try {
+    const { source } = req.body || {};
+    if (!source) return res.status(400).json({ error: 'source is required' });
+    const { upvoteSpark } = await import('../governance/spark-queue.mjs');
+    sparkResult(res, upvoteSpark(req.params.id, source));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/sparks/:id/merge', async (req, res) => {
+  try {
+    const { into } = req.body || {};
+    if (!into) return res.status(400).json({ error: 'into (the spark to merge into) is required' });
+    const { mergeSparks } = await import('../governance/spark-queue.mjs');
+    sparkResult(res, mergeSparks(req.params.id, into));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/sparks/:id/plant', async (req, res) => {
+  try {
+    const { type, name, description, force } = req.body || {};
+    if (type && !['primitive', 'composite'].includes(type)) {
+      return res.status(400).json({ error: 'type must be primitive or composite' });
+    }
+    const { plantSpark } = await import('../governance/spark-queue.mjs');
+    sparkResult(res, plantSpark(req.params.id, { type, name, description, force: !!force }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Proposal endpoints ───────────────────────────────────────────────────────
+
+app.get('/api/proposals', async (req, res) => {
+  try {
+    const { queryProposals } = await import('../governance/root-system/proposal-registry.mjs');
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.targetId) filter.targetId = req.query.targetId;
+    res.json(queryProposals(filter));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/proposals/:id', async (req, res) => {
+  try {
+    const { getProposal, getProposalHistory } = await import('../governance/root-system/proposal-registry.mjs');
+    const proposal = getProposal(req.params.id);
+    if (!proposal) return res.status(404).json({ error: `Proposal ${req.params.id} not found` });
+    res.json({ ...proposal, history: getProposalHistory(req.params.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/proposals', async (req, res) => {
+  try {
+    const { type, agent, targetId, rationale, changes, citations } = req.body || {};
+    if (!type || !agent || !rationale) {
+      return res.status(400).json({ error: 'type, agent and rationale are required' });
+    }
+    if ('zone' in req.body || 'approvalsNeeded' in req.body) {
+      return res.status(400).json({ error: 'zone and approvers come from the target component, not the request' });
+    }
+    const opts = { type, agent, targetId, rationale, changes, citations };
+    const { validateProposal, submitProposal } = await import('../governance/proposals.mjs');
+    const invalid = validateProposal(opts);
+    if (invalid) return res.status(400).json({ error: invalid });
+    res.json({ success: true, proposal: submitProposal(opts) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Failed proposal steps: 404 for an unknown proposal, 400 for an unknown actor, 409 for everything else
+function proposalResult(res, result) {
+  if (!result.success) {
+    const status = /not found/.test(result.reason) ? 404 : /^Unknown actor/.test(result.reason) ? 400 : 409;
+    return res.status(status).json(result);
+  }
+  res.json(result);
+}
+
+app.post('/api/proposals/:id/approve', async (req, res) => {
+  try {
+    const { actor } = req.body || {};
+    if (!actor) return res.status(400).json({ error: 'actor (agent ID or gardener) is required' });
+    const { recordApproval } = await import('../governance/proposals.mjs');
+    proposalResult(res, recordApproval(req.params.id, actor));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/proposals/:id/veto', async (req, res) => {
+  try {
+    const { actor, reason } = req.body || {};
+    if (!actor || !reason) return res.status(400).json({ error: 'actor and reason are required' });
+    const { recordVeto } = await import('../governance/proposals.mjs');
+    proposalResult(res, recordVeto(req.params.id, actor, reason));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/proposals/:id/apply', async (req, res) => {
+  try {
+    const { actor } = req.body || {};
+    const { applyProposal } = await import('../governance/proposals.mjs');
+    proposalResult(res, applyProposal(req.params.id, actor || 'gardener'));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Data endpoints ───────────────────────────────────────────────────────────
 
 app.get('/api/wiki', (req, res) => {
@@ -268,6 +527,41 @@ app.get('/api/decisions', (req, res) => {
   res.json(readJSONL('src/data/decisions.jsonl', limit));
 });
 
+app.get('/api/decisions/:id/reevaluate', async (req, res) => {
+  try {
+    const { queryDecisions } = await import('../governance/root-system/decision-memory.mjs');
+    const { reevaluateDecision } = await import('../governance/zone-rules.mjs');
+    const decision = queryDecisions().find(d => d.id === req.params.id);
+    if (!decision) return res.status(404).json({ error: `Decision ${req.params.id} not found` });
+    const rulesVersion = req.query.rulesVersion !== undefined ? Number(req.query.rulesVersion) : undefined;
+    res.json(reevaluateDecision(decision, { rulesVersion }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/voting-rules', async (req, res) => {
+  try {
+    const { loadVotingRules, rulesAt, agentCredibility } = await import('../governance/voting-rules.mjs');
+    const current = rulesAt();
+    res.json({ current: current.version, versions: loadVotingRules(), credibility: agentCredibility(current) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/ledger/verify', (req, res) => {
+  try {
+    const names = req.query.log ? [req.query.log] : Object.keys(LOGS);
+    const unknown = names.filter(name => !LOGS[name]);
+    if (unknown.length) return res.status(400).json({ error: `Unknown log '${unknown[0]}'. Known: ${Object.keys(LOGS).join(', ')}` });
+    const logs = names.map(name => verifyLog(name));
+    res.json({ ok: logs.every(l => l.ok), logs });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.get('/api/activity', (req, res) => {
   const limit = parseInt(req.query.limit) || 50;
   res.json(readJSONL('src/data/activity-log.jsonl', limit));
@@ -290,6 +584,22 @@ app.get('/api/initiatives', async (req, res) => {
   }
 });
 
+app.get('/api/tokens/usage', async (req, res) => {
+  try {
+    const { buildUsageIndex, tokenImpact } = await import('../tokens/token-usage.mjs');
+    const index = buildUsageIndex();
+    if (req.query.token) return res.json(tokenImpact(req.query.token, index));
+    if (req.query.component) {
+      const usage = index.components[req.query.component];
+      if (!usage) return res.status(404).json({ error: `No CSS found for component '${req.query.component}'` });
+      return res.json({ component: req.query.component, ...usage });
+    }
+    res.json(index);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Gardener config endpoints ───────────────────────────────────────────────
 
 app.get('/api/gardener-config', (req, res) => {
@@ -303,7 +613,7 @@ app.post('/api/gardener-config', async (req, res) => {
     const config = req.body;
     config.lastModified = new Date().toISOString();
     const configPath = resolve(PROJECT_ROOT, 'src/data/gardener-config.json');
-    writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n');
+    writeJSONFile(configPath, config);
 
     // Reload cached config in orchestrator
     try {
@@ -335,6 +645,45 @@ app.post('/api/governance-review', async (req, res) => {
   }
 });
 
+// Same review, streamed: static analysis, each agent as it starts and finishes,
+// the zone verdict, then the full result. Same SSE framing as /api/chat.
+app.post('/api/governance-review/stream', async (req, res) => {
+  const { componentId, zone } = req.body || {};
+  if (!componentId) {
+    return res.status(400).json({ error: 'componentId is required' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const sendEvent = (data) => {
+    if (!res.writableEnded) res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // A client that goes away cancels the agent calls still running
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort(new Error('Client disconnected'));
+  });
+
+  try {
+    const { runGovernanceReview } = await getOrchestrator();
+    const result = await runGovernanceReview(componentId, { zone, signal: controller.signal, onEvent: sendEvent });
+    sendEvent({ type: 'done', result });
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.log(`[proxy] governance-review stream for ${componentId} cancelled: ${err.message}`);
+    } else {
+      console.error('[proxy] governance-review stream error:', err);
+      sendEvent({ type: 'error', message: err.message });
+    }
+  }
+  res.end();
+});
+
 // Single agent review
 app.post('/api/governance-review/agent', async (req, res) => {
   try {
@@ -389,6 +738,7 @@ function summarizeToolResult(toolName, parsed) {
     case 'run_single_agent_review':
       return `${parsed.agent}: ${parsed.verdict} (${parsed.score}/100)`;
     case 'promote_component':
+      if (parsed.success === false) return parsed.reason;
       return parsed.component ? `${parsed.component.name}: ${parsed.from} → ${parsed.to}` : 'promoted';
     case 'create_component':
       return `${parsed.name} created (${parsed.id})`;
@@ -554,6 +904,27 @@ app.post('/api/chat/clear', (req, res) => {
   }
 });
 
+// ── Scheduled time-box check ─────────────────────────────────────────────────
+
+// Flags components overdue in their zone (time-box.mjs); off unless configured
+const OVERDUE_CHECK_HOURS = parseFloat(process.env.TERARRIUM_OVERDUE_CHECK_HOURS) || 0;
+
+async function runOverdueCheck() {
+  try {
+    const { checkOverdue } = await import('../governance/time-box.mjs');
+    const { flagged } = checkOverdue();
+    if (flagged.length) {
+      console.log(`[proxy] Time-box check: flagged ${flagged.map(f => `${f.componentId} (${f.initiativeId})`).join(', ')}`);
+    }
+  } catch (err) {
+    console.error('[proxy] Time-box check failed:', err.message);
+  }
+}
+
+if (OVERDUE_CHECK_HOURS > 0) {
+  setInterval(runOverdueCheck, OVERDUE_CHECK_HOURS * 60 * 60 * 1000);
+}
+
 // ── Start ────────────────────────────────────────────────────────────────────
 
 app.listen(PORT, async () => {
@@ -563,7 +934,10 @@ app.listen(PORT, async () => {
   console.log(`\n🌿 Terarrium API proxy running on http://localhost:${PORT}`);
   console.log(`   .env loaded: ✓`);
 
-  if (!hasKey) {
+  if (LLM_PROVIDER !== 'anthropic') {
+    // Agents call another provider; the Anthropic key doesn't matter
+    console.log(`   LLM provider: ${LLM_PROVIDER}${LLM_PROVIDER === 'replay' ? ' — agents replay recorded fixtures; reviews are not recorded 🟡' : ''}`);
+  } else if (!hasKey) {
     console.log(`   Anthropic API key: ✗ MISSING`);
     console.log(`   → Add your key to .env: ANTHROPIC_API_KEY=sk-ant-...`);
     console.log(`   → Agents will return api-unavailable until key is set.\n`);
@@ -581,17 +955,40 @@ app.listen(PORT, async () => {
     }
   }
 
+  if (OVERDUE_CHECK_HOURS > 0) {
+    console.log(`   Time-box check: every ${OVERDUE_CHECK_HOURS}h`);
+    runOverdueCheck();
+  }
+
   console.log(`\n   Endpoints:`);
   console.log(`     GET  /api/health`);
   console.log(`     GET  /api/pipeline`);
   console.log(`     POST /api/pipeline/create`);
   console.log(`     POST /api/pipeline/promote/:id`);
+  console.log(`     POST /api/pipeline/override-veto/:id`);
+  console.log(`     GET  /api/overrides`);
+  console.log(`     POST /api/pipeline/adoption/:id`);
+  console.log(`     POST /api/pipeline/{demote,seed-vault,revive,deprecate,restore}/:id`);
+  console.log(`     GET  /api/pipeline/transitions/:id`);
+  console.log(`     GET  /api/pipeline/time-boxes`);
+  console.log(`     GET  /api/sparks`);
+  console.log(`     POST /api/sparks`);
+  console.log(`     POST /api/sparks/:id/{upvote,merge,plant}`);
+  console.log(`     GET  /api/proposals`);
+  console.log(`     GET  /api/proposals/:id`);
+  console.log(`     POST /api/proposals`);
+  console.log(`     POST /api/proposals/:id/{approve,veto,apply}`);
   console.log(`     POST /api/governance-review`);
+  console.log(`     POST /api/governance-review/stream  (SSE)`);
   console.log(`     POST /api/chat  (SSE streaming + sessions)`);
   console.log(`     POST /api/chat/clear`);
   console.log(`     GET  /api/wiki`);
   console.log(`     GET  /api/seed-vault`);
   console.log(`     GET  /api/decisions`);
+  console.log(`     GET  /api/decisions/:id/reevaluate`);
+  console.log(`     GET  /api/voting-rules`);
   console.log(`     GET  /api/activity`);
+  console.log(`     GET  /api/ledger/verify`);
+  console.log(`     GET  /api/tokens/usage`);
   console.log(`     GET  /api/initiatives\n`);
 });
@@ -0,0 +1,274 @@
+/**
+ * Contrast Engine — Deterministic WCAG 2.x (and optional APCA) contrast for
+ * semantic color pairs, per theme.
+ *
+ * Colors are resolved the way a browser would see them: the theme's custom
+ * properties from the token files, on top of the hand-authored properties in
+ * foundation.css, with var() chains followed to a literal color. Translucent
+ * foregrounds are composited over their background; translucent backgrounds
+ * over the theme's --t-bg-primary.
+ *
+ * Which pairs to check comes from the `contrast.pairs` map in
+ * tokens.config.json. For a single component the map is narrowed to pairs
+ * whose tokens the spec declares in `tokens.uses`, plus any explicit
+ * `tokens.pairs` the spec lists.
+ *
+ * Thresholds follow the A11y Guardian checklist:
+ *   text       — 1.4.3, 4.5:1
+ *   large-text — 1.4.3, 3:1
+ *   ui         — 1.4.11, 3:1
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { parseCustomPropertyBlocks } from './foundation-sync.mjs';
+import { TOKENS_DIR, loadTokens, loadTokenConfig } from './token-engine.mjs';
+
+const PROJECT_ROOT = resolve(TOKENS_DIR, '..', '..');
+const FOUNDATION_CSS = resolve(PROJECT_ROOT, 'src/library/foundation.css');
+
+const THRESHOLDS = {
+  text: { ratio: 4.5, criterion: '1.4.3' },
+  'large-text': { ratio: 3, criterion: '1.4.3' },
+  ui: { ratio: 3, criterion: '1.4.11' }
+};
+
+const VAR_REF = /^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/;
+const MAX_VAR_DEPTH = 16;
+
+// ── Color math ───────────────────────────────────────────────────────────────
+
+/**
+ * Parse a CSS color into 0–255 channels plus alpha (0–1).
+ * Understands hex (3/4/6/8 digits), rgb()/rgba() in both syntaxes, and
+ * transparent. Anything else (named colors, color-mix(), oklch()) is null.
+ *
+ * @param {string} value
+ * @returns {{ r: number, g: number, b: number, a: number } | null}
+ */
+export function parseColor(value) {
+  const v = `${value}`.trim().toLowerCase();
+  if (v === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+  const hex = v.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let h = hex[1];
+    if (h.length === 3 || h.length === 4) h = [...h].map(c => c + c).join('');
+    if (h.length !== 6 && h.length !== 8) return null;
+    const n = (i) => parseInt(h.slice(i, i + 2), 16);
+    return { r: n(0), g: n(2), b: n(4), a: h.length === 8 ? n(6) / 255 : 1 };
+  }
+
+  const fn = v.match(/^rgba?\(([^)]+)\)$/);
+  if (fn) {
+    const parts = fn[1].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    const channel = (p) => (p.endsWith('%') ? parseFloat(p) * 2.55 : parseFloat(p));
+    const alpha = parts[3] === undefined ? 1 : (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]));
+    const [r, g, b] = parts.slice(0, 3).map(channel);
+    if ([r, g, b, alpha].some(Number.isNaN)) return null;
+    return { r, g, b, a: alpha };
+  }
+  return null;
+}
+
+/**
+ * Alpha-composite a color over an opaque backdrop.
+ *
+ * @param {{ r: number, g: number, b: number, a: number }} top
+ * @param {{ r: number, g: number, b: number }} backdrop
+ * @returns {{ r: number, g: number, b: number, a: 1 }}
+ */
+function composite(top, backdrop) {
+  const mix = (c) => top[c] * top.a + backdrop[c] * (1 - top.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+/**
+ * WCAG 2.x relative luminance.
+ *
+ * @param {{ r: number, g: number, b: number }} color
+ * @returns {number}
+ */
+export function relativeLuminance({ r, g, b }) {
+  const lin = (c) => {
+    const s = c / 255;
+    return s <= 0.04045 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio, 1–21.
+ *
+ * @param {{ r: number, g: number, b: number }} fg - Opaque
+ * @param {{ r: number, g: number, b: number }} bg - Opaque
+ * @returns {number}
+ */
+export function contrastRatio(fg, bg) {
+  const [hi, lo] = [relativeLuminance(fg), relativeLuminance(bg)].sort((a, b) => b - a);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+/**
+ * APCA lightness contrast (Lc), APCA-W3 0.0.98G constants.
+ * Positive for dark text on light, negative for light text on dark.
+ *
+ * @param {{ r: number, g: number, b: number }} fg - Opaque
+ * @param {{ r: number, g: number, b: number }} bg - Opaque
+ * @returns {number}
+ */
+export function apcaContrast(fg, bg) {
+  const y = ({ r, g, b }) => {
+    const lum = 0.2126729 * (r / 255) ** 2.4 + 0.7151522 * (g / 255) ** 2.4 + 0.0721750 * (b / 255) ** 2.4;
+    return lum < 0.022 ? lum + (0.022 - lum) ** 1.414 : lum;
+  };
+  const text = y(fg);
+  const back = y(bg);
+  if (Math.abs(back - text) < 0.0005) return 0;
+
+  if (back > text) {
+    const s = (back ** 0.56 - text ** 0.57) * 1.14;
+    return s < 0.1 ? 0 : (s - 0.027) * 100;
+  }
+  const s = (back ** 0.65 - text ** 0.62) * 1.14;
+  return s > -0.1 ? 0 : (s + 0.027) * 100;
+}
+
+// ── Theme resolution ─────────────────────────────────────────────────────────
+
+/**
+ * Every custom property a theme defines, as the cascade would apply it:
+ * foundation.css :root, then the theme's block, then the token files.
+ *
+ * @param {import('./token-engine.mjs').TokenEngine} engine
+ * @param {string} theme
+ * @param {Map<string, Map<string, string>>} blocks - parseCustomPropertyBlocks(foundation.css)
+ * @returns {Map<string, string>}
+ */
+function themeProperties(engine, theme, blocks) {
+  const props = new Map(blocks.get(':root') || []);
+  const selector = engine.themeSelector(theme);
+  if (selector !== ':root') {
+    for (const [name, value] of blocks.get(selector) || []) props.set(name, value);
+  }
+  for (const { name, value } of engine.cssVariables()) props.set(name, value);
+  if (theme !== engine.defaultTheme) {
+    for (const { name, value } of engine.cssVariables({ theme })) props.set(name, value);
+  }
+  return props;
+}
+
+/**
+ * Follow var() references to a literal value.
+ *
+ * @param {string} name
+ * @param {Map<string, string>} props
+ * @returns {string|null}
+ */
+function resolveProperty(name, props) {
+  let value = props.get(name);
+  for (let depth = 0; value !== undefined && depth < MAX_VAR_DEPTH; depth++) {
+    const ref = `${value}`.trim().match(VAR_REF);
+    if (!ref) return `${value}`.trim();
+    value = props.has(ref[1]) ? props.get(ref[1]) : ref[2];
+  }
+  return null;
+}
+
+/**
+ * Resolve one token to an opaque color in a theme.
+ *
+ * @returns {{ value: string|null, color: object|null }}
+ */
+function resolveColor(name, props, backdrop) {
+  const value = resolveProperty(name, props);
+  const parsed = value === null ? null : parseColor(value);
+  if (!parsed) return { value, color: null };
+  return { value, color: parsed.a < 1 && backdrop ? composite(parsed, backdrop) : parsed };
+}
+
+// ── Pairs ────────────────────────────────────────────────────────────────────
+
+/**
+ * The configured pairing map, flattened to one entry per fg/bg combination.
+ *
+ * @param {object} [config] - Parsed tokens.config.json
+ * @returns {Array<{ fg: string, bg: string, use: string }>}
+ */
+export function contrastPairs(config = loadTokenConfig()) {
+  return (config.contrast?.pairs || []).flatMap(({ fg, bg, use = 'text' }) =>
+    [fg].flat().flatMap(f => [bg].flat().map(b => ({ fg: f, bg: b, use }))));
+}
+
+/**
+ * Pairs that apply to one component: map pairs whose tokens the spec declares,
+ * plus the spec's own `tokens.pairs`.
+ *
+ * @param {object|null} spec - Parsed {name}.spec.json
+ * @param {Array<{ fg: string, bg: string, use: string }>} [pairs]
+ * @returns {Array<{ fg: string, bg: string, use: string }>}
+ */
+export function componentPairs(spec, pairs = contrastPairs()) {
+  const uses = new Set(spec?.tokens?.uses || []);
+  const own = (spec?.tokens?.pairs || []).map(({ fg, bg, use = 'text' }) => ({ fg, bg, use }));
+  const fromMap = pairs.filter(p => uses.has(p.fg) && uses.has(p.bg));
+  const seen = new Set();
+  return [...own, ...fromMap].filter(p => {
+    const key = `${p.fg}|${p.bg}|${p.use}`;
+    return !seen.has(key) && seen.add(key);
+  });
+}
+
+/**
+ * Check color pairs in every theme.
+ *
+ * @param {object} [options]
+ * @param {Array<{ fg: string, bg: string, use?: string }>} [options.pairs] - Defaults to the pairing map
+ * @param {string[]} [options.themes] - Defaults to every theme the engine knows
+ * @param {boolean} [options.apca] - Add an APCA Lc score (defaults to config `contrast.apca`)
+ * @param {import('./token-engine.mjs').TokenEngine} [options.engine]
+ * @returns {Array<{
+ *   fg: string, bg: string, use: string, theme: string,
+ *   fgValue: string|null, bgValue: string|null,
+ *   ratio: number|null, required: number, criterion: string,
+ *   pass: boolean|null, apca?: number|null
+ * }>} pass is null when either color couldn't be resolved
+ */
+export function checkContrast(options = {}) {
+  const engine = options.engine || loadTokens();
+  const pairs = options.pairs || contrastPairs(engine.config);
+  const themes = options.themes || engine.themeNames();
+  const apca = options.apca ?? !!engine.config.contrast?.apca;
+  const blocks = existsSync(FOUNDATION_CSS)
+    ? parseCustomPropertyBlocks(readFileSync(FOUNDATION_CSS, 'utf-8'))
+    : new Map();
+  const results = [];
+
+  for (const theme of themes) {
+    const props = themeProperties(engine, theme, blocks);
+    const canvas = resolveColor('--t-bg-primary', props, { r: 255, g: 255, b: 255 }).color;
+
+    for (const { fg, bg, use = 'text' } of pairs) {
+      const { ratio: required, criterion } = THRESHOLDS[use] || THRESHOLDS.text;
+      const back = resolveColor(bg, props, canvas);
+      const front = resolveColor(fg, props, back.color);
+      const measurable = front.color && back.color;
+      // Judge on the exact ratio; WCAG doesn't round 4.49 up to 4.5
+      const exact = measurable ? contrastRatio(front.color, back.color) : null;
+
+      results.push({
+        fg, bg, use, theme,
+        fgValue: front.value,
+        bgValue: back.value,
+        ratio: measurable ? Math.round(exact * 100) / 100 : null,
+        required,
+        criterion,
+        pass: measurable ? exact >= required : null,
+        ...(apca ? { apca: measurable ? Math.round(apcaContrast(front.color, back.color) * 10) / 10 : null } : {})
+      });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TokenEngine, loadTokenConfig } from './token-engine.mjs';
+import { parseColor, contrastRatio, apcaContrast, contrastPairs, componentPairs, checkContrast } from './contrast.mjs';
+
+const token = (type, value) => ({ $type: type, $value: value });
+const ratio = (fg, bg) => contrastRatio(parseColor(fg), parseColor(bg));
+const lc = (fg, bg) => apcaContrast(parseColor(fg), parseColor(bg));
+
+test('colors parse from hex and rgb() in either syntax', () => {
+  assert.deepEqual(parseColor('#FFF'), { r: 255, g: 255, b: 255, a: 1 });
+  assert.deepEqual(parseColor('#22AA6680'), { r: 34, g: 170, b: 102, a: 128 / 255 });
+  assert.deepEqual(parseColor('rgba(0, 0, 0, 0.5)'), { r: 0, g: 0, b: 0, a: 0.5 });
+  assert.deepEqual(parseColor('rgb(0 0 0 / 10%)'), { r: 0, g: 0, b: 0, a: 0.1 });
+  assert.deepEqual(parseColor('transparent'), { r: 0, g: 0, b: 0, a: 0 });
+  assert.equal(parseColor('#12345'), null);
+  assert.equal(parseColor('rebeccapurple'), null);
+  assert.equal(parseColor('oklch(0.6 0.1 250)'), null);
+});
+
+test('WCAG ratios match the known reference pairs', () => {
+  assert.equal(ratio('#000000', '#FFFFFF'), 21);
+  assert.equal(ratio('#FFFFFF', '#FFFFFF'), 1);
+  // #777 on white is the classic near miss: 4.48:1
+  assert.equal(ratio('#777777', '#FFFFFF').toFixed(2), '4.48');
+  assert.equal(ratio('#767676', '#FFFFFF').toFixed(2), '4.54');
+  assert.equal(ratio('#FFFFFF', '#777777'), ratio('#777777', '#FFFFFF'));
+});
+
+test('APCA Lc matches the known reference pairs and is signed by polarity', () => {
+  assert.equal(lc('#000000', '#FFFFFF').toFixed(2), '106.04');
+  assert.equal(lc('#FFFFFF', '#000000').toFixed(2), '-107.88');
+  assert.equal(lc('#888888', '#FFFFFF').toFixed(1), '63.1');
+  assert.equal(lc('#FFFFFF', '#FFFFFF'), 0);
+});
+
+test('the pairing map flattens to one pair per combination', () => {
+  const pairs = contrastPairs({
+    contrast: {
+      pairs: [
+        { fg: ['--t-fg-brand', '--t-fg-link'], bg: ['--t-bg-primary', '--t-surface-0'] },
+        { fg: '--t-border-strong', bg: '--t-bg-primary', use: 'ui' }
+      ]
+    }
+  });
+
+  assert.deepEqual(pairs, [
+    { fg: '--t-fg-brand', bg: '--t-bg-primary', use: 'text' },
+    { fg: '--t-fg-brand', bg: '--t-surface-0', use: 'text' },
+    { fg: '--t-fg-link', bg: '--t-bg-primary', use: 'text' },
+    { fg: '--t-fg-link', bg: '--t-surface-0', use: 'text' },
+    { fg: '--t-border-strong', bg: '--t-bg-primary', use: 'ui' }
+  ]);
+  assert.ok(contrastPairs(loadTokenConfig()).every(p => ['text', 'large-text', 'ui'].includes(p.use)));
+
+  // A component gets the map pairs it declares both sides of, plus its own
+  const spec = { tokens: { uses: ['--t-fg-link', '--t-bg-primary'], pairs: [{ fg: '--t-fg-link', bg: '--t-bg-secondary' }] } };
+  assert.deepEqual(componentPairs(spec, pairs), [
+    { fg: '--t-fg-link', bg: '--t-bg-secondary', use: 'text' },
+    { fg: '--t-fg-link', bg: '--t-bg-primary', use: 'text' }
+  ]);
+  assert.deepEqual(componentPairs(null, pairs), []);
+});
+
+// ── Themes ───────────────────────────────────────────────────────────────────
+
+const engine = TokenEngine.fromFiles({
+  'base.tokens.json': {
+    swatch: {
+      ink: token('color', '#000000'),
+      grey: token('color', '#777777'),
+      paper: token('color', '#FFFFFF'),
+      veil: token('color', 'rgba(0, 0, 0, 0.5)'),
+      mixed: token('color', 'color-mix(in srgb, red, blue)')
+    }
+  },
+  'base.dark.tokens.json': { swatch: { ink: token('color', '#FFFFFF'), paper: token('color', '#000000') } }
+});
+
+const check = (pairs, options) => checkContrast({ engine, pairs, ...options })
+  .map(({ fg, use, theme, ratio, required, criterion, pass }) => ({ fg: fg.slice('--t-swatch-'.length), use, theme, ratio, required, criterion, pass }));
+
+test('pairs are judged per theme against the threshold for their use', () => {
+  const results = check([
+    { fg: '--t-swatch-ink', bg: '--t-swatch-paper' },
+    { fg: '--t-swatch-grey', bg: '--t-swatch-paper' },
+    { fg: '--t-swatch-grey', bg: '--t-swatch-paper', use: 'large-text' }
+  ]);
+
+  assert.deepEqual(results, [
+    { fg: 'ink', use: 'text', theme: 'light', ratio: 21, required: 4.5, criterion: '1.4.3', pass: true },
+    // 4.48 is a fail; the exact ratio is judged, not the rounded one
+    { fg: 'grey', use: 'text', theme: 'light', ratio: 4.48, required: 4.5, criterion: '1.4.3', pass: false },
+    { fg: 'grey', use: 'large-text', theme: 'light', ratio: 4.48, required: 3, criterion: '1.4.3', pass: true },
+    { fg: 'ink', use: 'text', theme: 'dark', ratio: 21, required: 4.5, criterion: '1.4.3', pass: true },
+    { fg: 'grey', use: 'text', theme: 'dark', ratio: 4.69, required: 4.5, criterion: '1.4.3', pass: true },
+    { fg: 'grey', use: 'large-text', theme: 'dark', ratio: 4.69, required: 3, criterion: '1.4.3', pass: true }
+  ]);
+});
+
+test('translucent colors are composited and unparseable ones are unmeasured', () => {
+  const results = check([
+    { fg: '--t-swatch-veil', bg: '--t-swatch-paper', use: 'ui' },
+    { fg: '--t-swatch-mixed', bg: '--t-swatch-paper' }
+  ], { themes: ['light', 'dark'] });
+
+  // Half-black over white is a mid grey; over black it vanishes
+  assert.deepEqual(results.map(r => [r.fg, r.theme, r.criterion, r.ratio, r.pass]), [
+    ['veil', 'light', '1.4.11', 3.98, true],
+    ['mixed', 'light', '1.4.3', null, null],
+    ['veil', 'dark', '1.4.11', 1, false],
+    ['mixed', 'dark', '1.4.3', null, null]
+  ]);
+});
+
+test('an APCA score is added on request', () => {
+  const [light, dark] = checkContrast({ engine, pairs: [{ fg: '--t-swatch-ink', bg: '--t-swatch-paper' }], apca: true });
+
+  assert.equal(light.apca, 106);
+  assert.equal(dark.apca, -107.9);
+  assert.equal('apca' in checkContrast({ engine, pairs: [{ fg: '--t-swatch-ink', bg: '--t-swatch-paper' }] })[0], false);
+});
+
+test('every configured pair resolves to a measurable ratio in every theme', () => {
+  for (const result of checkContrast()) {
+    assert.equal(typeof result.ratio, 'number', `${result.fg} on ${result.bg} (${result.theme})`);
+    assert.equal(typeof result.apca, 'number', `${result.fg} on ${result.bg} (${result.theme})`);
+  }
+});
@@ -0,0 +1,255 @@
+/**
+ * Token Formatters — Whole-file outputs for platforms other than foundation.css.
+ *
+ * A formatter takes a resolved TokenEngine and returns the file contents as a
+ * string. Which formatters run, and where they write, comes from the `formats`
+ * section of tokens.config.json; `npm run tokens:build` emits them all.
+ *
+ * Built in:
+ *   esm        — ES module of typed values per theme, with a working token() lookup
+ *   typescript — the same as a .ts module (`as const`, TokenPath type)
+ *   scss       — Sass maps per top-level token group, plus per-theme overrides
+ *   tailwind   — Tailwind theme preset pointing at the --t-* custom properties
+ *   native     — flat JSON for iOS/Android: camelCase keys, unitless numbers
+ */
+
+import { serializeValue } from './serializers.mjs';
+
+const HEADER = [
+  '// Auto-generated by Agentic Design System Token Engine',
+  '// Do not edit manually'
+];
+
+/** Tailwind theme keys → the token group that fills them */
+const TAILWIND_THEME = {
+  colors: 'color.semantic',
+  spacing: 'spacing',
+  borderRadius: 'radius',
+  boxShadow: 'elevation',
+  fontFamily: 'typography.fontFamily',
+  fontSize: 'typography.fontSize',
+  fontWeight: 'typography.fontWeight',
+  lineHeight: 'typography.lineHeight',
+  letterSpacing: 'typography.letterSpacing',
+  transitionDuration: 'motion.duration',
+  transitionTimingFunction: 'motion.easing',
+  zIndex: 'z-index',
+  screens: 'breakpoint'
+};
+
+// Media queries can't read custom properties, so these keys get literal values
+const TAILWIND_LITERAL = new Set(['screens']);
+
+const ROOT_FONT_SIZE = 16;
+
+function themedValues(engine) {
+  const themes = {};
+  for (const theme of engine.themeNames()) {
+    themes[theme] = Object.fromEntries(engine.tokenList({ theme }).map(t => [t.path, t.value]));
+  }
+  return themes;
+}
+
+function setPath(obj, keys, value) {
+  const last = keys.pop();
+  let node = obj;
+  for (const key of keys) node = node[key] ??= {};
+  node[last] = value;
+}
+
+// ── esm / typescript ─────────────────────────────────────────────────────────
+
+function esm(engine) {
+  const themes = themedValues(engine);
+  const paths = Object.keys(themes[engine.defaultTheme]);
+  return [
+    ...HEADER,
+    '',
+    '/**',
+    ` * @typedef {${paths.map(p => `'${p}'`).join(' | ')}} TokenPath`,
+    ` * @typedef {${Object.keys(themes).map(t => `'${t}'`).join(' | ')}} ThemeName`,
+    ' */',
+    '',
+    '/** Resolved token values per theme, keyed by token path */',
+    `export const themes = ${JSON.stringify(themes, null, 2)};`,
+    '',
+    `export const tokens = themes[${JSON.stringify(engine.defaultTheme)}];`,
+    '',
+    '/**',
+    ' * Look up a resolved token value.',
+    ' *',
+    ' * @param {TokenPath} path',
+    ' * @param {ThemeName} [theme]',
+    ' * @returns {string | number | object}',
+    ' */',
+    `export function token(path, theme = ${JSON.stringify(engine.defaultTheme)}) {`,
+    '  return themes[theme][path];',
+    '}',
+    ''
+  ].join('\n');
+}
+
+function typescript(engine, options = {}) {
+  const { typeName = 'TokenPath' } = options;
+  const themes = themedValues(engine);
+  return [
+    ...HEADER,
+    '',
+    `export const themes = ${JSON.stringify(themes, null, 2)} as const;`,
+    '',
+    `export type ThemeName = keyof typeof themes;`,
+    `export type ${typeName} = keyof typeof themes[${JSON.stringify(engine.defaultTheme)}];`,
+    '',
+    `export const tokens = themes[${JSON.stringify(engine.defaultTheme)}];`,
+    '',
+    `export function token<P extends ${typeName}>(path: P, theme: ThemeName = ${JSON.stringify(engine.defaultTheme)}) {`,
+    `  return (themes[theme] as Record<${typeName}, unknown>)[path];`,
+    '}',
+    ''
+  ].join('\n');
+}
+
+// ── scss ─────────────────────────────────────────────────────────────────────
+
+function scssValue(value) {
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([k, v]) => `'${k || 'value'}': ${scssValue(v)}`);
+    return `(${entries.join(', ')})`;
+  }
+  // Commas, slashes and spaces would be parsed as Sass lists or division
+  return /^[\w#.%-]+$/.test(value) ? value : `unquote(${JSON.stringify(value)})`;
+}
+
+function scssMap(node, indent) {
+  const pad = '  '.repeat(indent);
+  const lines = Object.entries(node).map(([key, val]) => {
+    const isBranch = val && typeof val === 'object' && !val.__leaf;
+    const body = isBranch ? scssMap(val, indent + 1) : scssValue(val.__leaf ? val.value : val);
+    return `${pad}'${key}': ${body}`;
+  });
+  return `(\n${lines.join(',\n')}\n${'  '.repeat(indent - 1)})`;
+}
+
+function scss(engine) {
+  const { prefix = 't' } = engine.config.css || {};
+  const literal = (t) => serializeValue(t.value, t.type, engine.serializers);
+  const groups = {};
+
+  for (const t of engine.tokenList().filter(t => engine.cssName(t.path))) {
+    setPath(groups, t.path.split('.'), { __leaf: true, value: literal(t) });
+  }
+
+  const lines = [...HEADER, ''];
+  for (const [group, tree] of Object.entries(groups)) {
+    lines.push(`$${prefix}-${group}: ${scssMap(tree, 1)};`, '');
+  }
+
+  const overrides = engine.themeNames().filter(t => t !== engine.defaultTheme);
+  if (overrides.length > 0) {
+    lines.push('// Per-theme overrides, keyed by token path');
+    lines.push(`$${prefix}-themes: (`);
+    overrides.forEach((theme, i) => {
+      const overridden = new Set(engine.cssVariables({ theme }).map(v => v.path));
+      const entries = engine.tokenList({ theme })
+        .filter(t => overridden.has(t.path))
+        .map(t => `    '${t.path}': ${scssValue(literal(t))}`);
+      lines.push(`  '${theme}': (\n${entries.join(',\n')}\n  )${i < overrides.length - 1 ? ',' : ''}`);
+    });
+    lines.push(');', '');
+  }
+  return lines.join('\n');
+}
+
+// ── tailwind ─────────────────────────────────────────────────────────────────
+
+function tailwind(engine, options = {}) {
+  const mapping = { ...TAILWIND_THEME, ...options.theme };
+  const extend = {};
+
+  for (const t of engine.tokenList()) {
+    for (const [themeKey, group] of Object.entries(mapping)) {
+      if (!t.path.startsWith(`${group}.`)) continue;
+      const name = engine.cssName(t.path);
+      if (!name) continue;
+      const value = TAILWIND_LITERAL.has(themeKey)
+        ? serializeValue(t.value, t.type, engine.serializers)
+        : `var(${name})`;
+      setPath(extend, [themeKey, ...t.path.slice(group.length + 1).split('.')], value);
+    }
+  }
+
+  return [
+    ...HEADER,
+    '// Tailwind preset — values reference foundation.css, so load it alongside.',
+    '',
+    `export default ${JSON.stringify({ theme: { extend } }, null, 2)};`,
+    ''
+  ].join('\n');
+}
+
+// ── native ───────────────────────────────────────────────────────────────────
+
+function nativeNumber(value) {
+  if (typeof value !== 'string') return value;
+  const match = value.match(/^(-?[\d.]+)(px|rem|ms)?$/);
+  if (!match) return value;
+  const n = parseFloat(match[1]);
+  return match[2] === 'rem' ? n * ROOT_FONT_SIZE : n;
+}
+
+function nativeValue(value, type) {
+  // A family list, given as an array or a CSS string: one name per entry
+  if (type === 'fontFamily') {
+    const names = Array.isArray(value) ? value : `${value}`.split(',');
+    return names.map(f => f.trim().replace(/^['"]|['"]$/g, ''));
+  }
+  if (Array.isArray(value)) return value.map(v => nativeValue(v, type));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, nativeValue(v, k === 'fontFamily' ? 'fontFamily' : type)]));
+  }
+  if (type === 'cubicBezier' && typeof value === 'string') {
+    const match = value.match(/^cubic-bezier\(([^)]+)\)$/);
+    return match ? match[1].split(',').map(Number) : value;
+  }
+  return nativeNumber(value);
+}
+
+function native(engine) {
+  const camel = (path) => path.split(/[.-]/).map((part, i) => (i === 0 ? part : part.charAt(0).toUpperCase() + part.slice(1))).join('');
+  const output = {};
+  for (const theme of engine.themeNames()) {
+    output[theme] = Object.fromEntries(engine.tokenList({ theme }).map(t => [camel(t.path), nativeValue(t.value, t.type)]));
+  }
+  return JSON.stringify(output, null, 2) + '\n';
+}
+
+const FORMATTERS = { esm, typescript, scss, tailwind, native };
+
+/**
+ * Add or replace a formatter.
+ *
+ * @param {string} name - Key used in tokens.config.json `formats`
+ * @param {(engine: import('./token-engine.mjs').TokenEngine, options?: object) => string} formatter
+ */
+export function registerFormatter(name, formatter) {
+  FORMATTERS[name] = formatter;
+}
+
+/**
+ * The formatter registered under a name, if any.
+ *
+ * @param {string} name
+ * @returns {Function|undefined}
+ */
+export function getFormatter(name) {
+  return FORMATTERS[name];
+}
+
+/**
+ * Names of every registered formatter.
+ *
+ * @returns {string[]}
+ */
+export function listFormatters() {
+  return Object.keys(FORMATTERS);
+}
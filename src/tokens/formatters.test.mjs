@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TokenEngine } from './token-engine.mjs';
+import { registerFormatter, listFormatters } from './formatters.mjs';
+
+const token = (type, value) => ({ $type: type, $value: value });
+
+const tokens = TokenEngine.fromFiles({
+  'base.tokens.json': {
+    color: {
+      primitive: { ink: token('color', '#212529'), white: token('color', '#FFFFFF') },
+      semantic: { fg: { primary: token('color', '{color.primitive.ink}') } }
+    },
+    spacing: { 4: token('dimension', '1rem') },
+    typography: {
+      fontFamily: { sans: token('fontFamily', ['Inter', 'Segoe UI', 'sans-serif']) },
+      composite: { body: token('typography', { fontFamily: '{typography.fontFamily.sans}', fontSize: '1rem', fontWeight: 400 }) }
+    },
+    motion: { easing: { standard: token('cubicBezier', [0.4, 0, 0.2, 1]) }, duration: { fast: token('duration', '150ms') } },
+    breakpoint: { md: token('dimension', '768px') }
+  },
+  'base.dark.tokens.json': { color: { semantic: { fg: { primary: token('color', '{color.primitive.white}') } } } }
+}, {
+  config: {
+    css: {
+      prefix: 't',
+      names: {
+        'color.primitive': 'raw',
+        'color.semantic': '',
+        spacing: 'space',
+        'typography.fontFamily': 'font',
+        'typography.composite': 'type',
+        'motion.easing': 'ease',
+        'motion.duration': 'duration',
+        breakpoint: 'bp'
+      }
+    }
+  }
+});
+
+const importModule = (source) => import(`data:text/javascript,${encodeURIComponent(source)}`);
+
+test('esm exports every theme and a working token() lookup', async () => {
+  const source = tokens.format('esm');
+  assert.match(source, /^\/\/ Auto-generated by Agentic Design System Token Engine/);
+  assert.match(source, /@typedef \{'light' \| 'dark'\} ThemeName/);
+
+  const mod = await importModule(source);
+  assert.deepEqual(Object.keys(mod.themes), ['light', 'dark']);
+  assert.equal(mod.token('color.semantic.fg.primary'), '#212529');
+  assert.equal(mod.token('color.semantic.fg.primary', 'dark'), '#FFFFFF');
+  assert.deepEqual(mod.tokens['motion.easing.standard'], [0.4, 0, 0.2, 1]);
+});
+
+test('typescript is the same module, typed', () => {
+  const source = tokens.toTypeScript({ typeName: 'DesignToken' });
+
+  assert.match(source, /\} as const;\n/);
+  assert.match(source, /export type DesignToken = keyof typeof themes\["light"\];/);
+  assert.match(source, /export function token<P extends DesignToken>\(path: P, theme: ThemeName = "light"\)/);
+});
+
+test('scss has one map per group and the theme overrides', () => {
+  const source = tokens.format('scss');
+
+  assert.match(source, /\$t-color: \(\n {2}'primitive': \(\n {4}'ink': #212529,\n {4}'white': #FFFFFF\n {2}\),/);
+  assert.match(source, /'sans': unquote\("Inter, 'Segoe UI', sans-serif"\)/);
+  assert.match(source, /'standard': unquote\("cubic-bezier\(0\.4, 0, 0\.2, 1\)"\)/);
+  assert.match(source, /'body': \('value': unquote\("400 1rem Inter, 'Segoe UI', sans-serif"\)\)/);
+  assert.match(source, /\$t-themes: \(\n {2}'dark': \(\n {4}'color\.semantic\.fg\.primary': #FFFFFF\n {2}\)\n\);/);
+});
+
+test('tailwind points at the custom properties, except for screens', async () => {
+  const { default: preset } = await importModule(tokens.format('tailwind'));
+
+  assert.deepEqual(preset.theme.extend, {
+    colors: { fg: { primary: 'var(--t-fg-primary)' } },
+    spacing: { 4: 'var(--t-space-4)' },
+    fontFamily: { sans: 'var(--t-font-sans)' },
+    transitionTimingFunction: { standard: 'var(--t-ease-standard)' },
+    transitionDuration: { fast: 'var(--t-duration-fast)' },
+    screens: { md: '768px' }
+  });
+});
+
+test('native has camelCase keys and unitless numbers', () => {
+  const { light, dark } = JSON.parse(tokens.format('native'));
+
+  assert.equal(light.colorSemanticFgPrimary, '#212529');
+  assert.equal(dark.colorSemanticFgPrimary, '#FFFFFF');
+  assert.equal(light.spacing4, 16);
+  assert.equal(light.motionDurationFast, 150);
+  assert.equal(light.breakpointMd, 768);
+  assert.deepEqual(light.motionEasingStandard, [0.4, 0, 0.2, 1]);
+  assert.deepEqual(light.typographyFontFamilySans, ['Inter', 'Segoe UI', 'sans-serif']);
+  assert.deepEqual(light.typographyCompositeBody, { fontFamily: ['Inter', 'Segoe UI', 'sans-serif'], fontSize: 16, fontWeight: 400 });
+});
+
+test('formatters are looked up by name', () => {
+  assert.deepEqual(listFormatters().slice(0, 5), ['esm', 'typescript', 'scss', 'tailwind', 'native']);
+  assert.throws(() => tokens.format('xml'), /Unknown token format 'xml' — available: esm, typescript, scss, tailwind, native/);
+
+  registerFormatter('count', (engine) => `${engine.tokenList().length}\n`);
+  assert.equal(tokens.format('count'), '9\n');
+});
@@ -0,0 +1,151 @@
+/**
+ * Foundation Sync — Keeps the generated token region of foundation.css
+ * in step with the DTCG token files.
+ *
+ * The region is delimited by marker comments. Everything between them is
+ * owned by the token build; everything outside stays hand-authored.
+ */
+
+export const REGION_START = '/* @tokens:start — generated from src/tokens by `npm run tokens:build`. Do not edit by hand. */';
+export const REGION_END = '/* @tokens:end */';
+
+const START_PATTERN = /\/\* @tokens:start\b[^*]*\*\//;
+
+/**
+ * Split a stylesheet around its generated token region.
+ *
+ * @param {string} css
+ * @returns {{ before: string, body: string, after: string } | null} null when the markers are missing
+ */
+export function readRegion(css) {
+  const start = css.match(START_PATTERN);
+  if (!start) return null;
+  const bodyStart = start.index + start[0].length;
+  const end = css.indexOf(REGION_END, bodyStart);
+  if (end === -1) return null;
+
+  return {
+    before: css.slice(0, start.index),
+    body: css.slice(bodyStart, end),
+    after: css.slice(end + REGION_END.length)
+  };
+}
+
+/**
+ * Replace the generated token region with new content.
+ *
+ * @param {string} css - Full stylesheet
+ * @param {string} generated - CSS to place between the markers
+ * @returns {string}
+ */
+export function replaceRegion(css, generated) {
+  const region = readRegion(css);
+  if (!region) {
+    throw new Error('Generated token region not found — expected @tokens:start / @tokens:end markers');
+  }
+  return `${region.before}${REGION_START}\n${generated.trim()}\n\n${REGION_END}${region.after}`;
+}
+
+/**
+ * Collect custom property declarations from CSS text.
+ * Later declarations of the same name win, matching the cascade within one block.
+ *
+ * @param {string} css
+ * @returns {Map<string, string>} --name → value
+ */
+export function parseCustomProperties(css) {
+  const props = new Map();
+  const stripped = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  for (const match of stripped.matchAll(/(--[\w-]+)\s*:\s*([^;]+);/g)) {
+    props.set(match[1], match[2].trim());
+  }
+  return props;
+}
+
+/**
+ * Collect custom properties per rule block, keyed by selector.
+ *
+ * @param {string} css
+ * @returns {Map<string, Map<string, string>>} selector → (--name → value)
+ */
+export function parseCustomPropertyBlocks(css) {
+  const blocks = new Map();
+  const stripped = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  for (const match of stripped.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+    const selector = match[1].trim().replace(/\s+/g, ' ');
+    const props = blocks.get(selector) || new Map();
+    for (const [name, value] of parseCustomProperties(match[2])) props.set(name, value);
+    blocks.set(selector, props);
+  }
+  return blocks;
+}
+
+/**
+ * Compare the variables the token files produce against those declared in CSS.
+ *
+ * @param {Array<{ name: string, value: string, path: string }>} expected - From TokenEngine.cssVariables()
+ * @param {Map<string, string>} actual - From parseCustomProperties()
+ * @returns {{
+ *   changed: Array<{ name: string, path: string, tokens: string, css: string }>,
+ *   missing: Array<{ name: string, path: string, tokens: string }>,
+ *   extra: Array<{ name: string, css: string }>,
+ *   total: number
+ * }}
+ */
+export function diffCustomProperties(expected, actual) {
+  const normalize = (v) => v.replace(/\s+/g, ' ').trim().toLowerCase();
+  const changed = [];
+  const missing = [];
+  const seen = new Set();
+
+  for (const { name, value, path } of expected) {
+    seen.add(name);
+    if (!actual.has(name)) {
+      missing.push({ name, path, tokens: value });
+    } else if (normalize(actual.get(name)) !== normalize(value)) {
+      changed.push({ name, path, tokens: value, css: actual.get(name) });
+    }
+  }
+
+  const extra = [...actual.entries()]
+    .filter(([name]) => !seen.has(name))
+    .map(([name, css]) => ({ name, css }));
+
+  return { changed, missing, extra, total: changed.length + missing.length + extra.length };
+}
+
+/**
+ * Custom properties whose declarations differ between two versions of a stylesheet.
+ * A property counts as removed only when no block declares it any more.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ name: string, kind: 'added' | 'removed' | 'value-changed' }>}
+ */
+export function changedCustomProperties(before, after) {
+  const declarations = (css) => {
+    const all = new Map();
+    for (const [selector, props] of parseCustomPropertyBlocks(css)) {
+      for (const [name, value] of props) {
+        if (!all.has(name)) all.set(name, new Map());
+        all.get(name).set(selector, value.replace(/\s+/g, ' '));
+      }
+    }
+    return all;
+  };
+  const was = declarations(before);
+  const now = declarations(after);
+  const changes = [];
+
+  for (const [name, blocks] of was) {
+    if (!now.has(name)) {
+      changes.push({ name, kind: 'removed' });
+    } else if (JSON.stringify([...blocks]) !== JSON.stringify([...now.get(name)])) {
+      changes.push({ name, kind: 'value-changed' });
+    }
+  }
+  for (const name of now.keys()) {
+    if (!was.has(name)) changes.push({ name, kind: 'added' });
+  }
+  return changes;
+}
@@ -0,0 +1,145 @@
+/**
+ * Token Serializers — Turn resolved DTCG values into CSS, one function per $type.
+ *
+ * A serializer receives the token's value and returns either a string (one
+ * custom property) or an object of suffix → string (one property per key;
+ * the '' key keeps the token's own name). Sub-values that alias an emitted
+ * token arrive already rewritten to var(--…), so serializers only format.
+ * Composite types accept a plain string too ("none", a hand-written
+ * shorthand) and pass it through unchanged.
+ *
+ * Register new types with registerSerializer(), or pass `serializers` to the
+ * TokenEngine constructor to override them for one engine.
+ */
+
+const ZERO_LENGTH = /^-?0(px|rem|em)?$/;
+
+/** Dimension-like values: "4px", 4 (unitless), or DTCG { value, unit } */
+function dimension(value) {
+  if (value && typeof value === 'object') return `${value.value}${value.unit}`;
+  return `${value}`;
+}
+
+/** Zero lengths collapse to 0 so shadows read like hand-written CSS */
+function length(value) {
+  const out = dimension(value);
+  return ZERO_LENGTH.test(out) ? '0' : out;
+}
+
+function duration(value) {
+  if (typeof value === 'number') return `${value}ms`;
+  return dimension(value);
+}
+
+function cubicBezier(value) {
+  if (Array.isArray(value)) return `cubic-bezier(${value.join(', ')})`;
+  return `${value}`;
+}
+
+function fontFamily(value) {
+  if (!Array.isArray(value)) return `${value}`;
+  return value
+    .map(name => (/^[\w-]+$/.test(name) || name.startsWith('var(') ? name : `'${name}'`))
+    .join(', ');
+}
+
+function strokeStyle(value) {
+  // Object form ({ dashArray, lineCap }) has no single-keyword CSS equivalent
+  return typeof value === 'string' ? value : 'dashed';
+}
+
+function shadowLayer(layer) {
+  const parts = [length(layer.offsetX), length(layer.offsetY), length(layer.blur)];
+  if (layer.spread !== undefined && length(layer.spread) !== '0') parts.push(length(layer.spread));
+  return `${layer.inset ? 'inset ' : ''}${parts.join(' ')} ${layer.color}`;
+}
+
+function gradientStop(stop) {
+  const position = typeof stop.position === 'number' ? `${Math.round(stop.position * 10000) / 100}%` : stop.position;
+  return position === undefined ? `${stop.color}` : `${stop.color} ${position}`;
+}
+
+/** Wrap a composite serializer so literal CSS strings pass straight through */
+function composite(serialize) {
+  return (value) => (typeof value === 'string' ? value : serialize(value));
+}
+
+const SERIALIZERS = {
+  color: (value) => `${value}`,
+  dimension,
+  number: (value) => `${value}`,
+  fontWeight: (value) => `${value}`,
+  fontFamily,
+  duration,
+  cubicBezier,
+  strokeStyle,
+
+  shadow: composite((value) => {
+    const layers = Array.isArray(value) ? value : [value];
+    return layers.map(shadowLayer).join(', ');
+  }),
+
+  border: composite((value) => `${dimension(value.width)} ${strokeStyle(value.style)} ${value.color}`),
+
+  transition: composite((value) => {
+    const parts = [duration(value.duration), cubicBezier(value.timingFunction)];
+    if (value.delay !== undefined && !/^0(ms|s)?$/.test(duration(value.delay))) parts.push(duration(value.delay));
+    return parts.join(' ');
+  }),
+
+  gradient: composite((value) => `linear-gradient(${value.map(gradientStop).join(', ')})`),
+
+  /**
+   * Typography expands to a `font` shorthand plus the properties the
+   * shorthand can't carry (letter-spacing).
+   */
+  typography: composite((value) => {
+    const family = fontFamily(value.fontFamily);
+    const size = value.lineHeight !== undefined
+      ? `${dimension(value.fontSize)}/${dimension(value.lineHeight)}`
+      : dimension(value.fontSize);
+    const font = [value.fontStyle, value.fontWeight, size, family].filter(v => v !== undefined).join(' ');
+
+    const vars = { '': font };
+    if (value.letterSpacing !== undefined) vars.tracking = dimension(value.letterSpacing);
+    return vars;
+  })
+};
+
+/**
+ * Add or replace the serializer for a DTCG $type.
+ *
+ * @param {string} type - e.g. 'border'
+ * @param {(value: any) => string | Object<string, string>} serializer
+ */
+export function registerSerializer(type, serializer) {
+  SERIALIZERS[type] = serializer;
+}
+
+/**
+ * The serializer registered for a $type, if any.
+ *
+ * @param {string} type
+ * @returns {Function|undefined}
+ */
+export function getSerializer(type) {
+  return SERIALIZERS[type];
+}
+
+/**
+ * Serialize a value with the serializer for its $type. Values with no $type
+ * (or an unregistered one) fall back to a best-effort string.
+ *
+ * @param {any} value
+ * @param {string} [type]
+ * @param {Object<string, Function>} [overrides] - Per-engine serializers checked first
+ * @returns {string | Object<string, string>}
+ */
+export function serializeValue(value, type, overrides = {}) {
+  const serializer = overrides[type] || SERIALIZERS[type];
+  if (serializer) return serializer(value);
+
+  if (typeof value === 'string' || typeof value === 'number') return `${value}`;
+  if (Array.isArray(value)) return value.join(', ');
+  return `/* unsupported $type "${type}": ${JSON.stringify(value)} */`;
+}
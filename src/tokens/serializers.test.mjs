@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { serializeValue, registerSerializer, getSerializer } from './serializers.mjs';
+import { TokenEngine } from './token-engine.mjs';
+
+test('simple types format as CSS', () => {
+  assert.equal(serializeValue('#228BE6', 'color'), '#228BE6');
+  assert.equal(serializeValue({ value: 1.5, unit: 'rem' }, 'dimension'), '1.5rem');
+  assert.equal(serializeValue(200, 'duration'), '200ms');
+  assert.equal(serializeValue([0.4, 0, 0.2, 1], 'cubicBezier'), 'cubic-bezier(0.4, 0, 0.2, 1)');
+  assert.equal(serializeValue(['Inter', 'Segoe UI', 'sans-serif'], 'fontFamily'), "Inter, 'Segoe UI', sans-serif");
+  assert.equal(serializeValue({ dashArray: ['2px'], lineCap: 'round' }, 'strokeStyle'), 'dashed');
+});
+
+test('shadows drop zero spread and join layers', () => {
+  const layers = [
+    { offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px', color: 'rgb(0 0 0 / 5%)' },
+    { offsetX: 0, offsetY: { value: 4, unit: 'px' }, blur: '6px', spread: '-1px', color: 'rgb(0 0 0 / 10%)', inset: true }
+  ];
+
+  assert.equal(serializeValue(layers, 'shadow'), '0 1px 2px rgb(0 0 0 / 5%), inset 0 4px 6px -1px rgb(0 0 0 / 10%)');
+  assert.equal(serializeValue(layers[0], 'shadow'), '0 1px 2px rgb(0 0 0 / 5%)');
+  assert.equal(serializeValue('none', 'shadow'), 'none');
+});
+
+test('border, transition and gradient composites', () => {
+  assert.equal(serializeValue({ width: '1px', style: 'solid', color: '#DEE2E6' }, 'border'), '1px solid #DEE2E6');
+  assert.equal(serializeValue({ duration: 150, timingFunction: [0, 0, 1, 1], delay: '0ms' }, 'transition'), '150ms cubic-bezier(0, 0, 1, 1)');
+  assert.equal(serializeValue({ duration: '150ms', timingFunction: 'ease-out', delay: 50 }, 'transition'), '150ms ease-out 50ms');
+  assert.equal(serializeValue([{ color: '#FFF', position: 0 }, { color: '#000', position: 0.333 }, { color: 'red' }], 'gradient'),
+    'linear-gradient(#FFF 0%, #000 33.3%, red)');
+});
+
+test('typography expands to a font shorthand plus tracking', () => {
+  const value = { fontFamily: ['Inter', 'sans-serif'], fontWeight: 600, fontSize: '1.25rem', lineHeight: 1.3, letterSpacing: '-0.01em' };
+
+  assert.deepEqual(serializeValue(value, 'typography'), { '': '600 1.25rem/1.3 Inter, sans-serif', tracking: '-0.01em' });
+  assert.deepEqual(serializeValue({ fontFamily: 'serif', fontStyle: 'italic', fontSize: '1rem' }, 'typography'), { '': 'italic 1rem serif' });
+});
+
+test('unknown types fall back to a best-effort string', () => {
+  assert.equal(serializeValue(4, 'x-unknown'), '4');
+  assert.equal(serializeValue(['a', 'b']), 'a, b');
+  assert.equal(serializeValue({ a: 1 }, 'x-unknown'), '/* unsupported $type "x-unknown": {"a":1} */');
+});
+
+test('serializers can be registered globally or overridden per engine', () => {
+  registerSerializer('x-aspectRatio', (value) => `${value.width} / ${value.height}`);
+  assert.equal(getSerializer('x-aspectRatio')({ width: 16, height: 9 }), '16 / 9');
+  assert.equal(serializeValue({ width: 4, height: 3 }, 'x-aspectRatio'), '4 / 3');
+
+  assert.equal(serializeValue('#228BE6', 'color', { color: (v) => v.toLowerCase() }), '#228be6');
+  assert.equal(serializeValue('#228BE6', 'color'), '#228BE6');
+});
+
+test('aliases inside a composite become var() references in the CSS', () => {
+  const tokens = TokenEngine.fromFiles({
+    'type.tokens.json': {
+      font: {
+        sans: { $type: 'fontFamily', $value: ['Inter', 'sans-serif'] },
+        semibold: { $type: 'fontWeight', $value: 600 }
+      },
+      type: {
+        heading: {
+          $type: 'typography',
+          $value: { fontFamily: '{font.sans}', fontWeight: '{font.semibold}', fontSize: '1.25rem', lineHeight: 1.3, letterSpacing: '0' }
+        }
+      },
+      border: { subtle: { $type: 'border', $value: { width: '1px', style: 'solid', color: '{missing.color}' } } }
+    }
+  });
+
+  // border.subtle holds a dangling alias, so it is left out
+  assert.deepEqual(tokens.cssVariables().map(v => `${v.name}: ${v.value}`), [
+    '--t-font-sans: Inter, sans-serif',
+    '--t-font-semibold: 600',
+    '--t-type-heading: var(--t-font-semibold) 1.25rem/1.3 var(--t-font-sans)',
+    '--t-type-heading-tracking: 0'
+  ]);
+  assert.equal(tokens.toFlatJSON()['type.heading'].fontFamily[0], 'Inter');
+});
@@ -0,0 +1,196 @@
+/**
+ * Token Diff — Compares two resolved token sets and recommends a semver bump.
+ *
+ * Sources can be the working tree, any git ref, or a snapshot directory of
+ * *.tokens.json files. Each change is classified as:
+ *   added         → minor
+ *   removed       → major
+ *   renamed       → major (consumers of the old name break without alias forwarding)
+ *   type-changed  → major
+ *   value-changed → patch
+ *
+ * Supports the Token Steward rule "Deprecation: 2-sprint migration window
+ * with alias forwarding" — the report is what a migration plan starts from.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { readFileSync, readdirSync, mkdirSync, copyFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { TokenEngine, TOKENS_DIR, loadTokenConfig } from './token-engine.mjs';
+
+const PROJECT_ROOT = resolve(TOKENS_DIR, '..', '..');
+const SNAPSHOTS_DIR = resolve(PROJECT_ROOT, 'snapshots');
+
+const BUMP_FOR = {
+  added: 'minor',
+  removed: 'major',
+  renamed: 'major',
+  'type-changed': 'major',
+  'value-changed': 'patch'
+};
+const BUMP_ORDER = ['none', 'patch', 'minor', 'major'];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Load token files as they were at a git ref.
+ * Uses the current tokens.config.json so names are comparable.
+ *
+ * @param {string} ref - Any git revision (HEAD, main, a tag, a SHA)
+ * @returns {TokenEngine}
+ */
+export function loadTokensAtRef(ref) {
+  const git = (...args) => execFileSync('git', args, { cwd: PROJECT_ROOT, encoding: 'utf-8' });
+  const files = {};
+  for (const path of git('ls-tree', '--name-only', ref, 'src/tokens/').split('\n')) {
+    if (!path.endsWith('.tokens.json')) continue;
+    files[path.split('/').pop()] = JSON.parse(git('show', `${ref}:${path}`));
+  }
+  return TokenEngine.fromFiles(files, { config: loadTokenConfig() });
+}
+
+/**
+ * Load token files from a snapshot directory (see snapshotTokens()).
+ *
+ * @param {string} dir
+ * @returns {TokenEngine}
+ */
+export function loadTokensFromSnapshot(dir) {
+  const files = {};
+  for (const file of readdirSync(dir).filter(f => f.endsWith('.tokens.json'))) {
+    files[file] = JSON.parse(readFileSync(resolve(dir, file), 'utf-8'));
+  }
+  return TokenEngine.fromFiles(files, { config: loadTokenConfig() });
+}
+
+/**
+ * Copy the current token files into snapshots/tokens_{timestamp}_{label}/.
+ *
+ * @param {string} label
+ * @returns {string} The snapshot directory
+ */
+export function snapshotTokens(label) {
+  const ts = new Date().toISOString().replace(/[:.]/g, '-');
+  const dir = resolve(SNAPSHOTS_DIR, `tokens_${ts}_${label}`);
+  mkdirSync(dir, { recursive: true });
+  for (const file of readdirSync(TOKENS_DIR).filter(f => f.endsWith('.tokens.json'))) {
+    copyFileSync(resolve(TOKENS_DIR, file), resolve(dir, file));
+  }
+  return dir;
+}
+
+/**
+ * Diff two resolved token sets.
+ *
+ * Added/removed/renamed/type changes are judged on the default theme; value
+ * changes are reported for every theme both sides define.
+ *
+ * @param {TokenEngine} before
+ * @param {TokenEngine} after
+ * @returns {{
+ *   changes: Array<{ kind: string, path: string, from?: string, theme?: string, before?: any, after?: any }>,
+ *   counts: Object<string, number>,
+ *   bump: 'none' | 'patch' | 'minor' | 'major'
+ * }}
+ */
+export function diffTokenSets(before, after) {
+  const index = (engine, theme) => new Map(engine.tokenList({ theme }).map(t => [t.path, t]));
+  const base = index(before, before.defaultTheme);
+  const head = index(after, after.defaultTheme);
+  const changes = [];
+
+  const removed = [...base.keys()].filter(p => !head.has(p));
+  const added = [...head.keys()].filter(p => !base.has(p));
+
+  // A removed token whose type and value reappear under a new path is a rename.
+  // Prefer candidates that keep the same leaf name (bg.primary → surface.primary).
+  for (const oldPath of [...removed]) {
+    const old = base.get(oldPath);
+    const leaf = oldPath.split('.').pop();
+    const candidates = added.filter(p => head.get(p).type === old.type && same(head.get(p).value, old.value));
+    const match = candidates.find(p => p.split('.').pop() === leaf) || candidates[0];
+    if (!match) continue;
+    changes.push({ kind: 'renamed', path: match, from: oldPath });
+    removed.splice(removed.indexOf(oldPath), 1);
+    added.splice(added.indexOf(match), 1);
+  }
+
+  for (const path of removed) changes.push({ kind: 'removed', path, before: base.get(path).value });
+  for (const path of added) changes.push({ kind: 'added', path, after: head.get(path).value });
+
+  for (const [path, old] of base) {
+    const now = head.get(path);
+    if (now && now.type !== old.type) {
+      changes.push({ kind: 'type-changed', path, before: old.type, after: now.type });
+    }
+  }
+
+  // A theme only one side defines has nothing to compare against
+  const themes = after.themeNames().filter(t => before.themeNames().includes(t));
+  for (const theme of themes) {
+    const was = index(before, theme);
+    const now = index(after, theme);
+    for (const [path, old] of was) {
+      const next = now.get(path);
+      if (!next || next.type !== old.type || same(next.value, old.value)) continue;
+      changes.push({
+        kind: 'value-changed', path, before: old.value, after: next.value,
+        ...(theme !== after.defaultTheme ? { theme } : {})
+      });
+    }
+  }
+
+  const counts = Object.fromEntries(Object.keys(BUMP_FOR).map(kind => [kind, 0]));
+  for (const change of changes) counts[change.kind]++;
+
+  const bump = changes
+    .map(c => BUMP_FOR[c.kind])
+    .reduce((a, b) => (BUMP_ORDER.indexOf(b) > BUMP_ORDER.indexOf(a) ? b : a), 'none');
+
+  return { changes, counts, bump };
+}
+
+/**
+ * Apply a recommended bump to a semver string.
+ *
+ * @param {string} version - e.g. '0.1.0'
+ * @param {'none'|'patch'|'minor'|'major'} bump
+ * @returns {string}
+ */
+export function nextVersion(version, bump) {
+  const [major, minor, patch] = version.split('.').map(n => parseInt(n, 10));
+  if (bump === 'major') return `${major + 1}.0.0`;
+  if (bump === 'minor') return `${major}.${minor + 1}.0`;
+  if (bump === 'patch') return `${major}.${minor}.${patch + 1}`;
+  return version;
+}
+
+/**
+ * Record a diff report in the Change Registry.
+ *
+ * @param {ReturnType<typeof diffTokenSets>} report
+ * @param {object} context
+ * @param {string} context.base - What the diff was taken against (ref or snapshot)
+ * @param {string} context.head - e.g. 'working tree'
+ * @param {Function} context.appendChange - From root-system/change-registry.mjs
+ * @returns {object} The change entry
+ */
+export function recordTokenDiff(report, { base, head, appendChange }) {
+  const summary = Object.entries(report.counts)
+    .filter(([, n]) => n > 0)
+    .map(([kind, n]) => `${n} ${kind}`)
+    .join(', ') || 'no changes';
+
+  return appendChange({
+    file: 'src/tokens/',
+    changeType: 'token-edit',
+    description: `Token diff ${base} → ${head}: ${summary}. Recommended bump: ${report.bump}`,
+    dependencies: {
+      upstream: [...new Set(report.changes.flatMap(c => (c.from ? [c.from, c.path] : [c.path])))],
+      downstream: []
+    },
+    breakageRisk: { major: 'high', minor: 'low', patch: 'low', none: 'none' }[report.bump],
+    tokenDiff: { base, head, bump: report.bump, counts: report.counts, changes: report.changes }
+  });
+}
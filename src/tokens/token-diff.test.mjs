@@ -0,0 +1,111 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { TokenEngine, loadTokens } from './token-engine.mjs';
+import { diffTokenSets, nextVersion, recordTokenDiff, loadTokensAtRef, loadTokensFromSnapshot } from './token-diff.mjs';
+
+const token = (type, value) => ({ $type: type, $value: value });
+
+const BASE = {
+  color: {
+    bg: { primary: token('color', '#FFFFFF') },
+    fg: { primary: token('color', '#212529'), muted: token('color', '#868E96') }
+  },
+  spacing: { 2: token('dimension', '8px'), 4: token('dimension', '16px') }
+};
+const DARK = { color: { bg: { primary: token('color', '#101113') } } };
+
+function edited(edit, dark = DARK) {
+  const files = { 'base.tokens.json': structuredClone(BASE), 'base.dark.tokens.json': structuredClone(dark) };
+  edit?.(files['base.tokens.json']);
+  return TokenEngine.fromFiles(files);
+}
+
+const before = edited();
+const kinds = (report) => report.changes.map(c => c.kind);
+
+test('identical token sets need no release', () => {
+  assert.deepEqual(diffTokenSets(before, edited()), {
+    changes: [],
+    counts: { added: 0, removed: 0, renamed: 0, 'type-changed': 0, 'value-changed': 0 },
+    bump: 'none'
+  });
+});
+
+test('a value change is a patch, reported per theme', () => {
+  const report = diffTokenSets(before, edited((t) => { t.spacing[4].$value = '20px'; }, { color: { bg: { primary: token('color', '#000000') } } }));
+
+  assert.equal(report.bump, 'patch');
+  assert.deepEqual(report.changes, [
+    { kind: 'value-changed', path: 'spacing.4', before: '16px', after: '20px' },
+    { kind: 'value-changed', path: 'color.bg.primary', before: '#101113', after: '#000000', theme: 'dark' },
+    { kind: 'value-changed', path: 'spacing.4', before: '16px', after: '20px', theme: 'dark' }
+  ]);
+});
+
+test('an added token is a minor release', () => {
+  const report = diffTokenSets(before, edited((t) => { t.spacing[8] = token('dimension', '32px'); }));
+
+  assert.deepEqual(report.changes, [{ kind: 'added', path: 'spacing.8', after: '32px' }]);
+  assert.equal(report.bump, 'minor');
+});
+
+test('removing, renaming or retyping a token is major', () => {
+  const removed = diffTokenSets(before, edited((t) => { delete t.color.fg.muted; }));
+  assert.deepEqual(removed.changes, [{ kind: 'removed', path: 'color.fg.muted', before: '#868E96' }]);
+  assert.equal(removed.bump, 'major');
+
+  // Same type and value under a new path, preferring the same leaf name
+  const renamed = diffTokenSets(before, edited((t) => {
+    t.color.text = { muted: t.color.fg.muted };
+    t.color.subtle = token('color', '#868E96');
+    delete t.color.fg.muted;
+  }));
+  assert.deepEqual(renamed.changes.filter(c => c.kind === 'renamed'), [{ kind: 'renamed', path: 'color.text.muted', from: 'color.fg.muted' }]);
+  assert.deepEqual(kinds(renamed), ['renamed', 'added']);
+  assert.equal(renamed.bump, 'major');
+
+  const retyped = diffTokenSets(before, edited((t) => { t.spacing[2] = token('number', 8); }));
+  assert.deepEqual(kinds(retyped), ['type-changed']);
+  assert.deepEqual(retyped.changes[0], { kind: 'type-changed', path: 'spacing.2', before: 'dimension', after: 'number' });
+  assert.equal(retyped.bump, 'major');
+});
+
+test('the bump applies to a semver version', () => {
+  assert.equal(nextVersion('1.4.2', 'major'), '2.0.0');
+  assert.equal(nextVersion('1.4.2', 'minor'), '1.5.0');
+  assert.equal(nextVersion('1.4.2', 'patch'), '1.4.3');
+  assert.equal(nextVersion('1.4.2', 'none'), '1.4.2');
+});
+
+test('a diff is recorded as one token-edit change', () => {
+  const report = diffTokenSets(before, edited((t) => {
+    t.color.text = { muted: t.color.fg.muted };
+    delete t.color.fg.muted;
+    t.spacing[4].$value = '20px';
+  }));
+
+  const entry = recordTokenDiff(report, { base: 'HEAD', head: 'working tree', appendChange: (change) => change });
+
+  assert.equal(entry.changeType, 'token-edit');
+  assert.equal(entry.description, 'Token diff HEAD → working tree: 1 renamed, 2 value-changed. Recommended bump: major');
+  assert.deepEqual(entry.dependencies.upstream, ['color.fg.muted', 'color.text.muted', 'spacing.4']);
+  assert.equal(entry.breakageRisk, 'high');
+  assert.equal(entry.tokenDiff.bump, 'major');
+});
+
+test('token sets load from a git ref or a snapshot', () => {
+  const committed = loadTokensAtRef('HEAD');
+  assert.deepEqual(committed.diagnostics.errors, []);
+  assert.deepEqual(committed.themeNames(), loadTokens().themeNames());
+
+  const dir = mkdtempSync(join(tmpdir(), 'terarrium-token-snapshot-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+  writeFileSync(join(dir, 'base.tokens.json'), JSON.stringify(BASE));
+  writeFileSync(join(dir, 'notes.json'), '{}');
+  assert.deepEqual(loadTokensFromSnapshot(dir).tokenList().map(t => t.path),
+    ['color.bg.primary', 'color.fg.primary', 'color.fg.muted', 'spacing.2', 'spacing.4']);
+});
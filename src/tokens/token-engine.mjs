@@ -0,0 +1,757 @@
+/**
+ * Agentic Design System — Token Resolution Engine
+ *
+ * Stack-agnostic token resolver that transforms DTCG-format design tokens
+ * into platform-specific outputs (CSS custom properties, JSON, etc.)
+ *
+ * This is the core engine that any framework integration would wrap.
+ *
+ * Themes: the base files describe the default theme. Other themes override
+ * individual tokens either with an overlay file named `<file>.<theme>.tokens.json`
+ * (e.g. color.dark.tokens.json) or per token via `$extensions.mode.<theme>`.
+ *
+ * Density: a token's `$extensions.density.<mode>` gives its value in that
+ * density mode (compact, comfortable, ...). Density blocks are emitted under
+ * config.densities.<mode>.selector and resolve against the default theme, so
+ * keep colors out of them.
+ *
+ * Deprecation: a token with `$deprecated` (true or a message) and a
+ * `$replacement` ("{new.path}") is emitted as a var() forward to its
+ * replacement with a sunset comment. The sunset is
+ * `$extensions.terarrium.sunset`, or `deprecatedIn` plus the Token Steward's
+ * 2-sprint migration window.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { resolve, basename } from 'node:path';
+
+import { serializeValue } from './serializers.mjs';
+import { getFormatter, listFormatters } from './formatters.mjs';
+
+export const TOKENS_DIR = import.meta.dirname;
+const CONFIG_FILE = resolve(TOKENS_DIR, 'tokens.config.json');
+
+// Token Steward: "Deprecation: 2-sprint migration window with alias forwarding"
+const MIGRATION_WINDOW_SPRINTS = 2;
+
+/**
+ * Thrown by resolve({ strict: true }) when the token files have errors.
+ * `diagnostics` carries the full report so callers can show every problem.
+ */
+export class TokenResolutionError extends Error {
+  constructor(diagnostics) {
+    const lines = diagnostics.errors.map(d => `  - ${d.message}`);
+    super(`Token resolution failed with ${diagnostics.errors.length} error(s):\n${lines.join('\n')}`);
+    this.name = 'TokenResolutionError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+export class TokenEngine {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.config] - Parsed tokens.config.json (CSS naming rules etc.)
+   * @param {Object<string, Function>} [options.serializers] - $type → serializer, over the defaults in serializers.mjs
+   */
+  constructor(options = {}) {
+    this.tokens = {};
+    this.resolved = {};
+    this.themes = { light: {}, dark: {} };
+    this.resolvedThemes = {};
+    this.densities = {};
+    this.resolvedDensities = {};
+    this.sources = {};
+    this.diagnostics = { errors: [], warnings: [] };
+    this.config = options.config || {};
+    this.serializers = options.serializers || {};
+  }
+
+  /**
+   * Create an engine with every *.tokens.json file in a directory loaded and resolved.
+   * Files named `<name>.<theme>.tokens.json` are loaded as theme overlays.
+   *
+   * @param {string} dir
+   * @param {object} [options] - Passed to the constructor, plus:
+   * @param {boolean} [options.strict] - Throw TokenResolutionError on any error
+   * @param {Object<string, object>} [options.replace] - filename → token object used
+   *   instead of (or in addition to) the file on disk; lets an edit be validated before it is written
+   * @returns {TokenEngine}
+   */
+  static fromDirectory(dir, options = {}) {
+    const { replace = {} } = options;
+    const files = {};
+    for (const file of readdirSync(dir).filter(f => f.endsWith('.tokens.json'))) {
+      files[file] = JSON.parse(readFileSync(resolve(dir, file), 'utf8'));
+    }
+    return TokenEngine.fromFiles({ ...files, ...replace }, options);
+  }
+
+  /**
+   * Create an engine from already-parsed token files (e.g. read from a git ref).
+   * Same naming rules as fromDirectory: `<name>.<theme>.tokens.json` is an overlay.
+   *
+   * @param {Object<string, object>} files - filename → DTCG token object
+   * @param {object} [options] - Passed to the constructor; `strict` as in fromDirectory
+   * @returns {TokenEngine}
+   */
+  static fromFiles(files, options = {}) {
+    const engine = new TokenEngine(options);
+    for (const file of Object.keys(files).sort()) {
+      const overlay = file.match(/^[a-z0-9-]+\.([a-z0-9-]+)\.tokens\.json$/);
+      engine.merge(files[file], file, overlay ? overlay[1] : null);
+    }
+    engine.resolve({ strict: options.strict });
+    return engine;
+  }
+
+  /**
+   * Load a DTCG-format token file and merge into the token dictionary
+   */
+  load(filePath) {
+    return this.merge(JSON.parse(readFileSync(filePath, 'utf8')), basename(filePath));
+  }
+
+  /**
+   * Load a theme overlay file. Its tokens replace the base values of the same
+   * path when that theme is resolved; aliases may point at any base token.
+   *
+   * @param {string} theme - e.g. 'dark'
+   * @param {string} filePath
+   */
+  loadTheme(theme, filePath) {
+    return this.merge(JSON.parse(readFileSync(filePath, 'utf8')), basename(filePath), theme);
+  }
+
+  /**
+   * Merge an already-parsed token object, remembering which file each token came from.
+   *
+   * @param {object} raw - DTCG token object
+   * @param {string} file - Source filename, used in diagnostics
+   * @param {string|null} [theme] - Merge as an overlay for this theme
+   */
+  merge(raw, file, theme = null) {
+    for (const tokenPath of Object.keys(this._flattenTokens(raw))) {
+      this.sources[theme ? `${theme}:${tokenPath}` : tokenPath] = file;
+    }
+    if (theme) {
+      this.themes[theme] = this._deepMerge(this.themes[theme] || {}, raw);
+    } else {
+      this.tokens = this._deepMerge(this.tokens, raw);
+    }
+    return this;
+  }
+
+  /**
+   * Resolve all token references (e.g., "{color.primitive.blue.600}" → "#228BE6"),
+   * then resolve each theme against the base tokens merged with its overrides.
+   *
+   * Problems are collected rather than thrown:
+   *   - cycle:          an alias chain that loops back on itself (full chain reported)
+   *   - dangling:       a reference to a path that has no token
+   *   - type-mismatch:  an alias whose $type differs from its target's
+   * Unresolvable references are left as their literal "{...}" string.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.strict] - Throw TokenResolutionError if there are errors
+   * @returns {{ errors: object[], warnings: object[] }} Also kept on `this.diagnostics`
+   */
+  resolve(options = {}) {
+    const report = { errors: [], warnings: [], seen: new Set() };
+
+    this._collectModes(this.tokens);
+    this.resolved = this._resolveObject(this.tokens, this.tokens, { report });
+
+    this.resolvedThemes = { [this.defaultTheme]: this.resolved };
+    for (const theme of Object.keys(this.themes)) {
+      if (theme === this.defaultTheme) continue;
+      const merged = this._deepMerge(this.tokens, this.themes[theme]);
+      this.resolvedThemes[theme] = this._resolveObject(merged, merged, { report, theme });
+    }
+
+    this.resolvedDensities = {};
+    for (const density of Object.keys(this.densities)) {
+      const merged = this._deepMerge(this.tokens, this.densities[density]);
+      this.resolvedDensities[density] = this._resolveObject(merged, merged, { report });
+    }
+
+    this._checkDeprecations({ report });
+
+    this.diagnostics = { errors: report.errors, warnings: report.warnings };
+    if (options.strict && report.errors.length > 0) {
+      throw new TokenResolutionError(this.diagnostics);
+    }
+    return this.diagnostics;
+  }
+
+  /**
+   * The theme the base token files describe (config.defaultTheme, else 'light').
+   * @returns {string}
+   */
+  get defaultTheme() {
+    return this.config.defaultTheme || 'light';
+  }
+
+  /**
+   * Every theme that produces CSS: the default theme plus any theme with overrides.
+   * @returns {string[]}
+   */
+  themeNames() {
+    const overridden = Object.keys(this.themes)
+      .filter(t => t !== this.defaultTheme && Object.keys(this._flatten(this.themes[t])).length > 0);
+    return [this.defaultTheme, ...overridden];
+  }
+
+  /**
+   * CSS selector a theme's variables are declared under.
+   * Comes from config.themes.<theme>.selector; defaults to :root for the
+   * default theme and [data-theme="<theme>"] for the rest.
+   *
+   * @param {string} theme
+   * @returns {string}
+   */
+  themeSelector(theme) {
+    const configured = this.config.themes?.[theme]?.selector;
+    if (configured) return configured;
+    return theme === this.defaultTheme ? ':root' : `[data-theme="${theme}"]`;
+  }
+
+  /**
+   * The density the base token values describe (config.defaultDensity, else 'default').
+   * @returns {string}
+   */
+  get defaultDensity() {
+    return this.config.defaultDensity || 'default';
+  }
+
+  /**
+   * Every density mode that produces CSS, in config.densities order: the
+   * default density (as a reset for nested regions) plus every mode with
+   * overrides. Empty when no token declares density values.
+   *
+   * @returns {string[]}
+   */
+  densityNames() {
+    const overridden = Object.keys(this.densities)
+      .filter(d => d !== this.defaultDensity && Object.keys(this._flatten(this.densities[d])).length > 0);
+    if (overridden.length === 0) return [];
+    const order = Object.keys(this.config.densities || {});
+    const rank = (d) => (order.includes(d) ? order.indexOf(d) : order.length);
+    return [this.defaultDensity, ...overridden].sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * CSS selector a density mode's variables are declared under.
+   * Comes from config.densities.<mode>.selector; defaults to [data-density="<mode>"].
+   *
+   * @param {string} density
+   * @returns {string}
+   */
+  densitySelector(density) {
+    return this.config.densities?.[density]?.selector || `[data-density="${density}"]`;
+  }
+
+  /**
+   * Report which tokens a theme is required to override but doesn't.
+   * Required scopes come from config.themes.<theme>.requireCoverage
+   * (e.g. ["color.semantic"]); only color tokens inside them are checked, and
+   * deprecated tokens that forward to a replacement are exempt.
+   *
+   * @param {string} theme
+   * @returns {{ theme: string, required: number, missing: string[] }}
+   */
+  themeCoverage(theme) {
+    const scopes = this.config.themes?.[theme]?.requireCoverage || [];
+    const overridden = this._flatten(this.themes[theme] || {});
+    const inScope = (p) => scopes.some(s => p === s || p.startsWith(`${s}.`));
+
+    const required = Object.entries(this._flattenTokens(this.tokens))
+      .filter(([p, token]) => inScope(p) && token.$type === 'color' && !(token.$deprecated && token.$replacement))
+      .map(([p]) => p);
+
+    return {
+      theme,
+      required: required.length,
+      missing: required.filter(p => !(p in overridden))
+    };
+  }
+
+  /**
+   * Map a token path to its CSS custom property name.
+   *
+   * With `config.css.names`, the longest matching path prefix is swapped for its
+   * short name (color.semantic.bg.primary → --t-bg-primary). Paths with no
+   * matching rule, or listed in `config.css.exclude`, return null.
+   * Without naming rules every path maps to --{prefix}-{path-with-dashes}.
+   *
+   * @param {string} tokenPath - Dot path, e.g. 'color.primitive.blue.600'
+   * @returns {string|null}
+   */
+  cssName(tokenPath) {
+    return this._cssRule(tokenPath)?.name ?? null;
+  }
+
+  /**
+   * List every emitted CSS custom property in token order.
+   * Aliases to another emitted token become var() references so themes
+   * can swap the target without regenerating dependants.
+   *
+   * For a non-default theme only the overridden tokens are listed, plus any
+   * token that aliases one of them — a var() is substituted where it is
+   * declared, so dependants must be redeclared under the theme selector too.
+   *
+   * Values are serialized by $type (see serializers.mjs). A serializer that
+   * returns several parts (typography) yields one entry per part, suffixed
+   * onto the token's name.
+   *
+   * For a density mode, every token any density overrides is listed (plus
+   * dependants), so each density block fully resets the ones around it.
+   *
+   * A token whose alias does not resolve (dangling or cyclic) is left out;
+   * the diagnostics report it.
+   *
+   * @param {object} [options]
+   * @param {string} [options.theme] - Defaults to the default theme
+   * @param {string} [options.density] - List a density block instead of a theme block
+   * @returns {Array<{ path: string, name: string, group: string, value: string }>}
+   */
+  cssVariables(options = {}) {
+    const { theme = this.defaultTheme, density } = options;
+    const isDefault = !density && theme === this.defaultTheme;
+    const overlay = density ? this.densities[density] : this.themes[theme];
+    const source = isDefault ? this.tokens : this._deepMerge(this.tokens, overlay || {});
+    const raw = this._flatten(source);
+    // A forwarded token depends on its replacement, like an alias does
+    for (const [tokenPath, token] of Object.entries(this._flattenTokens(source))) {
+      if (token.$deprecated && token.$replacement) raw[tokenPath] = `{${this._deprecation(tokenPath, token).replacement}}`;
+    }
+    const resolved = this._flattenTokens(this._resolvedTree({ theme, density }));
+    const overridden = density
+      ? Object.assign({}, ...Object.values(this.densities).map(d => this._flatten(d)))
+      : this._flatten(overlay || {});
+    const include = isDefault ? null : this._themeDependants(raw, overridden);
+    const vars = [];
+
+    for (const [tokenPath, token] of Object.entries(resolved)) {
+      if (include && !include.has(tokenPath)) continue;
+      const rule = this._cssRule(tokenPath);
+      if (!rule) continue;
+      // Still holds an alias: dangling or cyclic, already a diagnostic. A var()
+      // to a property nobody declares would be worse than nothing
+      if (this._aliasTargets(token.$value).length) continue;
+
+      const deprecated = token.$deprecated ? this._deprecation(tokenPath, token) : null;
+      if (deprecated?.replacementName) {
+        vars.push({ path: tokenPath, name: rule.name, group: rule.group, value: `var(${deprecated.replacementName})`, deprecated });
+        continue;
+      }
+
+      const output = this._toCSSValue(this._cssInput(raw[tokenPath], token.$value), token.$type);
+      const parts = typeof output === 'string' ? { '': output } : output;
+      for (const [suffix, value] of Object.entries(parts)) {
+        vars.push({
+          path: tokenPath,
+          name: suffix ? `${rule.name}-${suffix}` : rule.name,
+          group: rule.group,
+          value,
+          ...(deprecated ? { deprecated } : {})
+        });
+      }
+    }
+    return vars;
+  }
+
+  /**
+   * Every selector block the CSS output contains: one per theme, then one per
+   * density mode.
+   *
+   * @returns {Array<{ selector: string, theme?: string, density?: string }>}
+   */
+  cssBlocks() {
+    return [
+      ...this.themeNames().map(theme => ({ selector: this.themeSelector(theme), theme })),
+      ...this.densityNames().map(density => ({ selector: this.densitySelector(density), density }))
+    ];
+  }
+
+  /**
+   * Generate CSS custom properties — one selector block per theme and density.
+   * Pass `theme` or `density` for a single block; `selector` overrides its selector.
+   *
+   * @param {object} [options]
+   * @param {string} [options.theme]
+   * @param {string} [options.density]
+   * @param {string} [options.selector]
+   * @returns {string}
+   */
+  toCSS(options = {}) {
+    const { theme, density, selector } = options;
+    if (!theme && !density && !selector) {
+      return this.cssBlocks().map(({ theme: t, density: d }) => this.toCSS({ theme: t, density: d })).join('\n\n');
+    }
+
+    const blockTheme = theme || this.defaultTheme;
+    const blockSelector = selector || (density ? this.densitySelector(density) : this.themeSelector(blockTheme));
+    const lines = [`${blockSelector} {`];
+    let group = null;
+
+    for (const { name, group: varGroup, value, deprecated } of this.cssVariables({ theme: blockTheme, density })) {
+      // A nested naming key (density.level inside density) stays in its parent's section
+      const nested = group && varGroup && (varGroup.startsWith(`${group}.`) || group.startsWith(`${varGroup}.`));
+      if (varGroup && varGroup !== group && !nested) {
+        if (group !== null) lines.push('');
+        lines.push(`  /* --- ${varGroup} --- */`);
+        group = varGroup;
+      }
+      const note = deprecated
+        ? ` /* @deprecated${deprecated.replacementName ? ` — use ${deprecated.replacementName}` : ''}${deprecated.sunset ? `; removed after ${deprecated.sunset}` : ''} */`
+        : '';
+      lines.push(`  ${name}: ${value};${note}`);
+    }
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Every resolved token for a theme or density mode, in token order.
+   *
+   * @param {object} [options]
+   * @param {string} [options.theme] - Defaults to the default theme
+   * @param {string} [options.density] - Values in this density mode instead
+   * @returns {Array<{ path: string, type: string|undefined, value: any, description: string|undefined }>}
+   */
+  tokenList(options = {}) {
+    return Object.entries(this._flattenTokens(this._resolvedTree(options)))
+      .map(([path, token]) => ({ path, type: token.$type, value: token.$value, description: token.$description }));
+  }
+
+  /**
+   * Every deprecated token, with its replacement and sunset sprint.
+   *
+   * @returns {Array<{ path: string, name: string|null, replacement: string|null,
+   *   replacementName: string|null, sunset: string|null, message: string|null }>}
+   */
+  deprecations() {
+    return Object.entries(this._flattenTokens(this.resolved))
+      .filter(([, token]) => token.$deprecated)
+      .map(([tokenPath, token]) => this._deprecation(tokenPath, token));
+  }
+
+  /**
+   * Render the tokens with a registered formatter (see formatters.mjs).
+   *
+   * @param {string} name - e.g. 'esm', 'scss', 'tailwind', 'native'
+   * @param {object} [options] - Passed to the formatter
+   * @returns {string}
+   */
+  format(name, options = {}) {
+    const formatter = getFormatter(name);
+    if (!formatter) {
+      throw new Error(`Unknown token format '${name}' — available: ${listFormatters().join(', ')}`);
+    }
+    return formatter(this, options);
+  }
+
+  /**
+   * Generate a flat JSON map for any platform
+   */
+  toFlatJSON() {
+    return this._flatten(this.resolved);
+  }
+
+  /**
+   * Generate a TypeScript module: typed values per theme and a token() lookup
+   */
+  toTypeScript(options = {}) {
+    const { typeName = 'DesignToken' } = options;
+    return this.format('typescript', { typeName });
+  }
+
+  // --- Internal helpers ---
+
+  _resolvedTree({ theme = this.defaultTheme, density } = {}) {
+    if (density) return this.resolvedDensities[density] || this.resolved;
+    return this.resolvedThemes[theme] || this.resolved;
+  }
+
+  _cssRule(tokenPath) {
+    const { prefix = 't', names, exclude = [] } = this.config.css || {};
+    const matches = (key) => tokenPath === key || tokenPath.startsWith(`${key}.`);
+
+    if (exclude.some(matches)) return null;
+    if (!names) {
+      return { name: `--${prefix}-${tokenPath.replace(/\./g, '-')}`, group: '' };
+    }
+
+    const key = Object.keys(names)
+      .filter(matches)
+      .sort((a, b) => b.length - a.length)[0];
+    if (key === undefined) return null;
+
+    const rest = tokenPath.slice(key.length + 1);
+    const parts = [names[key], rest].filter(Boolean).join('-');
+    return { name: `--${prefix}-${parts.replace(/\./g, '-')}`, group: key };
+  }
+
+  _deprecation(tokenPath, token) {
+    const replacement = this._aliasTarget(token.$replacement) || token.$replacement || null;
+    const meta = token.$extensions?.terarrium || {};
+    let sunset = meta.sunset || null;
+    const since = `${meta.deprecatedIn || ''}`.match(/^(.*?)(\d+)$/);
+    if (!sunset && since) sunset = `${since[1]}${parseInt(since[2], 10) + MIGRATION_WINDOW_SPRINTS}`;
+
+    return {
+      path: tokenPath,
+      name: this.cssName(tokenPath),
+      replacement,
+      replacementName: replacement ? this.cssName(replacement) : null,
+      sunset,
+      message: typeof token.$deprecated === 'string' ? token.$deprecated : null
+    };
+  }
+
+  // A replacement must exist and should not itself be deprecated
+  _checkDeprecations(ctx) {
+    const tokens = this._flattenTokens(this.tokens);
+    for (const [tokenPath, token] of Object.entries(tokens)) {
+      if (token.$replacement === undefined) continue;
+      const { replacement } = this._deprecation(tokenPath, token);
+      if (!tokens[replacement]) {
+        this._diagnose(ctx, 'errors', {
+          kind: 'dangling', path: tokenPath, ref: replacement,
+          message: `${tokenPath} names $replacement ${replacement}, which does not exist`
+        });
+      } else if (tokens[replacement].$deprecated) {
+        this._diagnose(ctx, 'warnings', {
+          kind: 'deprecated-replacement', path: tokenPath, ref: replacement,
+          message: `${tokenPath} is replaced by ${replacement}, which is itself deprecated`
+        });
+      }
+      if (!token.$deprecated) {
+        this._diagnose(ctx, 'warnings', {
+          kind: 'replacement-without-deprecation', path: tokenPath, ref: replacement,
+          message: `${tokenPath} has a $replacement but no $deprecated flag — it will not be forwarded`
+        });
+      }
+    }
+  }
+
+  _themeDependants(raw, overridden) {
+    const include = new Set(Object.keys(overridden));
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const [tokenPath, value] of Object.entries(raw)) {
+        if (include.has(tokenPath)) continue;
+        if (this._aliasTargets(value).some(target => include.has(target))) {
+          include.add(tokenPath);
+          grew = true;
+        }
+      }
+    }
+    return include;
+  }
+
+  // Every alias inside a value, including those nested in composites
+  _aliasTargets(value) {
+    const target = this._aliasTarget(value);
+    if (target) return [target];
+    if (value && typeof value === 'object') return Object.values(value).flatMap(v => this._aliasTargets(v));
+    return [];
+  }
+
+  // The value handed to a serializer: aliases to emitted tokens become var(),
+  // at the top level or inside composites; everything else is the resolved value
+  _cssInput(raw, resolved) {
+    const target = this._aliasTarget(raw);
+    const targetName = target ? this.cssName(target) : null;
+    if (targetName) return `var(${targetName})`;
+
+    if (raw && typeof raw === 'object' && resolved && typeof resolved === 'object') {
+      const input = Array.isArray(resolved) ? [] : {};
+      for (const [key, value] of Object.entries(resolved)) {
+        input[key] = this._cssInput(raw[key], value);
+      }
+      return input;
+    }
+    return resolved;
+  }
+
+  // Copy per-token `$extensions.mode.<theme>` and `$extensions.density.<mode>`
+  // values into the theme and density overlays
+  _collectModes(obj, path = []) {
+    for (const [key, val] of Object.entries(obj)) {
+      if (key.startsWith('$') || !val || typeof val !== 'object') continue;
+      if (val.$value === undefined) {
+        this._collectModes(val, [...path, key]);
+        continue;
+      }
+      for (const [theme, value] of Object.entries(val.$extensions?.mode || {})) {
+        const overlay = [...path, key].reduceRight((child, k) => ({ [k]: child }), { $value: value });
+        this.themes[theme] = this._deepMerge(this.themes[theme] || {}, overlay);
+      }
+      for (const [density, value] of Object.entries(val.$extensions?.density || {})) {
+        const overlay = [...path, key].reduceRight((child, k) => ({ [k]: child }), { $value: value });
+        this.densities[density] = this._deepMerge(this.densities[density] || {}, overlay);
+      }
+    }
+  }
+
+  _aliasTarget(value) {
+    if (typeof value === 'string' && /^\{[^{}]+\}$/.test(value)) {
+      return value.slice(1, -1);
+    }
+    return null;
+  }
+
+  _resolveObject(obj, root, ctx = {}, path = []) {
+    if (typeof obj !== 'object' || obj === null) return obj;
+
+    // If this is a token leaf node (has $value)
+    if (obj.$value !== undefined) {
+      const tokenPath = path.join('.');
+      const target = this._aliasTarget(obj.$value);
+      const referenced = target ? this._getByPath(root, target) : null;
+      if (ctx.report && referenced?.$type && obj.$type && referenced.$type !== obj.$type) {
+        this._diagnose(ctx, 'errors', {
+          kind: 'type-mismatch', path: tokenPath, ref: target,
+          message: `${tokenPath} is $type "${obj.$type}" but aliases ${target} ($type "${referenced.$type}")`
+        });
+      }
+      return {
+        ...obj,
+        $value: this._resolveValue(obj.$value, root, { ...ctx, path: tokenPath, chain: [tokenPath] }),
+      };
+    }
+
+    // Otherwise, recurse
+    const result = {};
+    for (const [key, val] of Object.entries(obj)) {
+      result[key] = key.startsWith('$') ? val : this._resolveObject(val, root, ctx, [...path, key]);
+    }
+    return result;
+  }
+
+  _resolveValue(value, root, ctx = {}) {
+    if (typeof value === 'string' && value.startsWith('{') && value.endsWith('}')) {
+      const refPath = value.slice(1, -1);
+      const chain = ctx.chain || [];
+
+      if (chain.includes(refPath)) {
+        const loop = [...chain.slice(chain.indexOf(refPath)), refPath];
+        this._diagnose(ctx, 'errors', {
+          kind: 'cycle', path: ctx.path, chain: loop,
+          message: `Reference cycle: ${loop.join(' → ')}`
+        }, `cycle:${[...new Set(loop)].sort().join(',')}`);
+        return value;
+      }
+
+      const referenced = this._getByPath(root, refPath);
+      if (referenced && referenced.$value !== undefined) {
+        // Recursively resolve in case of chained references
+        return this._resolveValue(referenced.$value, root, { ...ctx, chain: [...chain, refPath] });
+      }
+      this._diagnose(ctx, 'errors', {
+        kind: 'dangling', path: ctx.path, ref: refPath,
+        message: `${ctx.path} references {${refPath}}, which does not exist`
+      });
+      return value; // unresolved reference
+    }
+    if (typeof value === 'object' && value !== null) {
+      // Composite token (e.g., typography) or shadow layer list
+      const resolved = Array.isArray(value) ? [] : {};
+      for (const [k, v] of Object.entries(value)) {
+        resolved[k] = this._resolveValue(v, root, ctx);
+      }
+      return resolved;
+    }
+    return value;
+  }
+
+  // Record a diagnostic once, tagged with its source file (and theme, for overlays)
+  _diagnose(ctx, level, diagnostic, key = `${diagnostic.kind}:${diagnostic.path}:${diagnostic.ref}`) {
+    const { report, theme } = ctx;
+    if (!report || report.seen.has(key)) return;
+    report.seen.add(key);
+
+    const themed = theme && this.sources[`${theme}:${diagnostic.path}`];
+    report[level].push({
+      ...diagnostic,
+      file: themed || this.sources[diagnostic.path] || null,
+      ...(themed ? { theme } : {})
+    });
+  }
+
+  _getByPath(obj, dotPath) {
+    return dotPath.split('.').reduce((acc, key) => acc && acc[key], obj);
+  }
+
+  _flatten(obj, prefix = '', result = {}) {
+    for (const [key, val] of Object.entries(obj)) {
+      if (key.startsWith('$')) continue; // skip metadata ($schema, $description, ...)
+
+      const newPrefix = prefix ? `${prefix}.${key}` : key;
+
+      if (val && typeof val === 'object' && val.$value !== undefined) {
+        result[newPrefix] = val.$value;
+      } else if (val && typeof val === 'object') {
+        this._flatten(val, newPrefix, result);
+      } else {
+        result[newPrefix] = val;
+      }
+    }
+    return result;
+  }
+
+  // Like _flatten, but keeps the whole token node ($type, $extensions, ...)
+  _flattenTokens(obj, prefix = '', result = {}) {
+    for (const [key, val] of Object.entries(obj)) {
+      if (key.startsWith('$') || !val || typeof val !== 'object') continue;
+      const newPrefix = prefix ? `${prefix}.${key}` : key;
+      if (val.$value !== undefined) {
+        result[newPrefix] = val;
+      } else {
+        this._flattenTokens(val, newPrefix, result);
+      }
+    }
+    return result;
+  }
+
+  _toCSSValue(value, type) {
+    // A whole-value alias is already a var() reference, whatever the $type
+    if (typeof value === 'string' && value.startsWith('var(')) return value;
+    return serializeValue(value, type, this.serializers);
+  }
+
+  _deepMerge(target, source) {
+    const result = { ...target };
+    for (const key of Object.keys(source)) {
+      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+        result[key] = this._deepMerge(result[key] || {}, source[key]);
+      } else {
+        result[key] = source[key];
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Load the token build configuration (src/tokens/tokens.config.json).
+ *
+ * @returns {object}
+ */
+export function loadTokenConfig() {
+  if (!existsSync(CONFIG_FILE)) return {};
+  return JSON.parse(readFileSync(CONFIG_FILE, 'utf-8'));
+}
+
+/**
+ * Load and resolve the project's token files with the project naming config.
+ *
+ * @param {string} [dir] - Token directory (defaults to src/tokens)
+ * @param {object} [options] - fromDirectory options (strict, replace)
+ * @returns {TokenEngine}
+ */
+export function loadTokens(dir = TOKENS_DIR, options = {}) {
+  return TokenEngine.fromDirectory(dir, { ...options, config: loadTokenConfig() });
+}
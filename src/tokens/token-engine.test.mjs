@@ -0,0 +1,389 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { TokenEngine, TokenResolutionError, TOKENS_DIR, loadTokens, loadTokenConfig } from './token-engine.mjs';
+import { readRegion, replaceRegion, parseCustomPropertyBlocks, diffCustomProperties, REGION_START, REGION_END } from './foundation-sync.mjs';
+
+const FOUNDATION_CSS = resolve(import.meta.dirname, '..', 'library/foundation.css');
+
+const CONFIG = {
+  css: {
+    prefix: 't',
+    names: { 'color.primitive': 'raw', 'color.semantic': '', spacing: 'space' },
+    exclude: ['color.semantic.internal']
+  }
+};
+
+const token = (type, value, extra = {}) => ({ $type: type, $value: value, ...extra });
+
+const BASE = {
+  color: {
+    primitive: {
+      white: token('color', '#FFFFFF'),
+      ink: token('color', '#212529'),
+      blue: token('color', '#228BE6')
+    },
+    semantic: {
+      bg: { primary: token('color', '{color.primitive.white}') },
+      fg: {
+        primary: token('color', '{color.primitive.ink}'),
+        link: token('color', '{color.semantic.fg.primary}')
+      },
+      internal: { seed: token('color', '#000000') }
+    }
+  },
+  spacing: { 2: token('dimension', '8px'), 4: token('dimension', '16px') }
+};
+
+const engine = (files, config = CONFIG) => TokenEngine.fromFiles(files, { config });
+
+test('token paths map to --t-* names by the longest configured prefix', () => {
+  const tokens = engine({ 'base.tokens.json': BASE });
+
+  assert.equal(tokens.cssName('color.semantic.bg.primary'), '--t-bg-primary');
+  assert.equal(tokens.cssName('color.primitive.blue'), '--t-raw-blue');
+  assert.equal(tokens.cssName('spacing.4'), '--t-space-4');
+  assert.equal(tokens.cssName('color.semantic.internal.seed'), null);
+  assert.equal(tokens.cssName('motion.fast'), null);
+
+  const unnamed = engine({ 'base.tokens.json': BASE }, {});
+  assert.equal(unnamed.cssName('color.semantic.bg.primary'), '--t-color-semantic-bg-primary');
+});
+
+test('aliases resolve through chains, and stay var() references in the CSS', () => {
+  const tokens = engine({ 'base.tokens.json': BASE });
+
+  assert.equal(tokens.toFlatJSON()['color.semantic.fg.link'], '#212529');
+  const vars = Object.fromEntries(tokens.cssVariables().map(v => [v.name, v.value]));
+  assert.equal(vars['--t-fg-primary'], 'var(--t-raw-ink)');
+  assert.equal(vars['--t-fg-link'], 'var(--t-fg-primary)');
+  assert.equal(vars['--t-space-2'], '8px');
+  assert.equal('--t-internal-seed' in vars, false);
+});
+
+test('toCSS groups the variables of each block under its selector', () => {
+  const css = engine({ 'base.tokens.json': BASE }).toCSS();
+
+  assert.equal(css, [
+    ':root {',
+    '  /* --- color.primitive --- */',
+    '  --t-raw-white: #FFFFFF;',
+    '  --t-raw-ink: #212529;',
+    '  --t-raw-blue: #228BE6;',
+    '',
+    '  /* --- color.semantic --- */',
+    '  --t-bg-primary: var(--t-raw-white);',
+    '  --t-fg-primary: var(--t-raw-ink);',
+    '  --t-fg-link: var(--t-fg-primary);',
+    '',
+    '  /* --- spacing --- */',
+    '  --t-space-2: 8px;',
+    '  --t-space-4: 16px;',
+    '}'
+  ].join('\n'));
+});
+
+test('the generated region is replaced and everything around it kept', () => {
+  const css = `/* hand-authored */\n${REGION_START}\n:root { --t-old: 1px; }\n${REGION_END}\n.t-reset { margin: 0; }\n`;
+
+  const updated = replaceRegion(css, ':root { --t-new: 2px; }');
+
+  assert.equal(updated, `/* hand-authored */\n${REGION_START}\n:root { --t-new: 2px; }\n\n${REGION_END}\n.t-reset { margin: 0; }\n`);
+  assert.equal(readRegion(updated).body.trim(), ':root { --t-new: 2px; }');
+  assert.equal(readRegion('.t-reset { margin: 0; }'), null);
+  assert.throws(() => replaceRegion('.t-reset { margin: 0; }', ''), /Generated token region not found/);
+});
+
+test('foundation.css declares exactly what the token files produce', () => {
+  const tokens = loadTokens();
+  assert.deepEqual(tokens.diagnostics, { errors: [], warnings: [] });
+  assert.equal(loadTokenConfig().css.prefix, 't');
+
+  const blocks = parseCustomPropertyBlocks(readRegion(readFileSync(FOUNDATION_CSS, 'utf-8')).body);
+  for (const { selector, theme, density } of tokens.cssBlocks()) {
+    const diff = diffCustomProperties(tokens.cssVariables({ theme, density }), blocks.get(selector) || new Map());
+    assert.equal(diff.total, 0, `${selector}: ${JSON.stringify(diff)}`);
+  }
+});
+
+// ── Themes ──────────────────────────────────────────────────────────────────
+
+const DARK = {
+  color: {
+    primitive: { night: token('color', '#101113') },
+    semantic: { bg: { primary: token('color', '{color.primitive.night}') } }
+  }
+};
+
+test('a theme overlay redeclares what it overrides and everything aliasing it', () => {
+  const tokens = engine({ 'base.tokens.json': BASE, 'base.dark.tokens.json': DARK });
+
+  assert.deepEqual(tokens.themeNames(), ['light', 'dark']);
+  assert.equal(tokens.themeSelector('dark'), '[data-theme="dark"]');
+  assert.equal(tokens.tokenList({ theme: 'dark' }).find(t => t.path === 'color.semantic.bg.primary').value, '#101113');
+  assert.equal(tokens.toFlatJSON()['color.semantic.bg.primary'], '#FFFFFF');
+
+  const dark = tokens.cssVariables({ theme: 'dark' }).map(v => `${v.name}: ${v.value}`);
+  assert.deepEqual(dark, ['--t-raw-night: #101113', '--t-bg-primary: var(--t-raw-night)']);
+
+  // fg.link aliases fg.primary: an override of fg.primary brings it along
+  const inkOverride = { color: { semantic: { fg: { primary: token('color', '#E9ECEF') } } } };
+  const withInk = engine({ 'base.tokens.json': BASE, 'base.dark.tokens.json': inkOverride });
+  assert.deepEqual(withInk.cssVariables({ theme: 'dark' }).map(v => v.name), ['--t-fg-primary', '--t-fg-link']);
+});
+
+test('$extensions.mode overrides a single token per theme', () => {
+  const inline = structuredClone(BASE);
+  inline.color.semantic.fg.primary.$extensions = { mode: { dark: '#E9ECEF' } };
+  const tokens = engine({ 'base.tokens.json': inline }, { ...CONFIG, themes: { dark: { selector: '.dark' } } });
+
+  assert.equal(tokens.toCSS({ theme: 'dark' }), [
+    '.dark {',
+    '  /* --- color.semantic --- */',
+    '  --t-fg-primary: #E9ECEF;',
+    '  --t-fg-link: var(--t-fg-primary);',
+    '}'
+  ].join('\n'));
+});
+
+test('theme coverage reports required tokens a theme leaves out', () => {
+  const config = { ...CONFIG, themes: { dark: { requireCoverage: ['color.semantic'] } } };
+  const tokens = engine({ 'base.tokens.json': BASE, 'base.dark.tokens.json': DARK }, config);
+
+  assert.deepEqual(tokens.themeCoverage('dark'), {
+    theme: 'dark',
+    required: 4,
+    missing: ['color.semantic.fg.primary', 'color.semantic.fg.link', 'color.semantic.internal.seed']
+  });
+  assert.deepEqual(tokens.themeCoverage('light').missing, []);
+});
+
+test('the dark theme overrides every semantic color', () => {
+  const { required, missing } = loadTokens().themeCoverage('dark');
+
+  assert.ok(required > 0);
+  assert.deepEqual(missing, []);
+});
+
+// ── Diagnostics ─────────────────────────────────────────────────────────────
+
+const BROKEN = {
+  color: {
+    primitive: { ink: token('color', '#212529') },
+    semantic: {
+      a: token('color', '{color.semantic.b}'),
+      b: token('color', '{color.semantic.c}'),
+      c: token('color', '{color.semantic.a}'),
+      ghost: token('color', '{color.primitive.nope}'),
+      gap: token('dimension', '{color.primitive.ink}')
+    }
+  },
+  spacing: { 2: token('dimension', '8px') }
+};
+
+test('cycles, dangling aliases and type mismatches are reported, not thrown', () => {
+  const { errors, warnings } = engine({ 'broken.tokens.json': BROKEN }).diagnostics;
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(errors.map(e => [e.kind, e.file]), [
+    ['cycle', 'broken.tokens.json'],
+    ['dangling', 'broken.tokens.json'],
+    ['type-mismatch', 'broken.tokens.json']
+  ]);
+  // Reported once, with the full loop, whichever token the loop is entered from
+  assert.deepEqual(errors[0].chain, ['color.semantic.a', 'color.semantic.b', 'color.semantic.c', 'color.semantic.a']);
+  assert.equal(errors[0].message, 'Reference cycle: color.semantic.a → color.semantic.b → color.semantic.c → color.semantic.a');
+  assert.equal(errors[1].message, 'color.semantic.ghost references {color.primitive.nope}, which does not exist');
+  assert.equal(errors[2].message, 'color.semantic.gap is $type "dimension" but aliases color.primitive.ink ($type "color")');
+});
+
+test('a diagnostic in an overlay names the overlay and its theme', () => {
+  const overlay = { color: { semantic: { bg: { primary: token('color', '{color.primitive.nope}') } } } };
+  const { errors } = engine({ 'base.tokens.json': BASE, 'base.dark.tokens.json': overlay }).diagnostics;
+
+  assert.deepEqual(errors.map(({ kind, file, theme }) => ({ kind, file, theme })),
+    [{ kind: 'dangling', file: 'base.dark.tokens.json', theme: 'dark' }]);
+});
+
+test('strict resolution throws every error at once', () => {
+  assert.throws(() => TokenEngine.fromFiles({ 'broken.tokens.json': BROKEN }, { config: CONFIG, strict: true }), (err) => {
+    assert.ok(err instanceof TokenResolutionError);
+    assert.equal(err.diagnostics.errors.length, 3);
+    assert.match(err.message, /^Token resolution failed with 3 error\(s\):\n {2}- Reference cycle/);
+    return true;
+  });
+});
+
+test('a token whose alias never resolves is left out of the CSS', () => {
+  const vars = engine({ 'broken.tokens.json': BROKEN }).cssVariables().map(v => v.name);
+
+  assert.deepEqual(vars, ['--t-raw-ink', '--t-gap', '--t-space-2']);
+  assert.equal(vars.some(name => /--t-(a|b|c|ghost)$/.test(name)), false);
+});
+
+test('an edit is checked against the token files before it is written', () => {
+  const spacing = JSON.parse(readFileSync(resolve(TOKENS_DIR, 'spacing.tokens.json'), 'utf-8'));
+  spacing.spacing.nope = token('dimension', '{spacing.missing}');
+
+  assert.throws(
+    () => loadTokens(TOKENS_DIR, { strict: true, replace: { 'spacing.tokens.json': spacing } }),
+    /spacing\.nope references \{spacing\.missing\}, which does not exist/
+  );
+});
+
+// ── Deprecation ─────────────────────────────────────────────────────────────
+
+function withDeprecated(meta, extra = {}) {
+  const base = structuredClone(BASE);
+  base.color.semantic.fg.muted = token('color', '#868E96', {
+    $deprecated: 'Too little contrast on bg.secondary',
+    $replacement: '{color.semantic.fg.primary}',
+    $extensions: { terarrium: meta },
+    ...extra
+  });
+  return base;
+}
+
+test('a deprecated token forwards to its replacement with a sunset note', () => {
+  const tokens = engine({ 'base.tokens.json': withDeprecated({ deprecatedIn: 'sprint-21' }) });
+
+  assert.deepEqual(tokens.deprecations(), [{
+    path: 'color.semantic.fg.muted',
+    name: '--t-fg-muted',
+    replacement: 'color.semantic.fg.primary',
+    replacementName: '--t-fg-primary',
+    sunset: 'sprint-23',
+    message: 'Too little contrast on bg.secondary'
+  }]);
+  assert.match(tokens.toCSS(), /\n {2}--t-fg-muted: var\(--t-fg-primary\); \/\* @deprecated — use --t-fg-primary; removed after sprint-23 \*\/\n/);
+
+  const pinned = engine({ 'base.tokens.json': withDeprecated({ deprecatedIn: 'sprint-21', sunset: 'sprint-30' }) });
+  assert.equal(pinned.deprecations()[0].sunset, 'sprint-30');
+});
+
+test('a forward follows its replacement into other themes', () => {
+  const overlay = { color: { semantic: { fg: { primary: token('color', '#E9ECEF') } } } };
+  const config = { ...CONFIG, themes: { dark: { requireCoverage: ['color.semantic.fg'] } } };
+  const tokens = engine({ 'base.tokens.json': withDeprecated({}), 'base.dark.tokens.json': overlay }, config);
+
+  assert.deepEqual(tokens.cssVariables({ theme: 'dark' }).map(v => `${v.name}: ${v.value}`),
+    ['--t-fg-primary: #E9ECEF', '--t-fg-link: var(--t-fg-primary)', '--t-fg-muted: var(--t-fg-primary)']);
+  // A forward needs no dark value of its own; a plain alias still does
+  assert.deepEqual(tokens.themeCoverage('dark').missing, ['color.semantic.fg.link']);
+});
+
+test('replacements are checked', () => {
+  const dangling = engine({ 'base.tokens.json': withDeprecated({}, { $replacement: '{color.semantic.fg.gone}' }) });
+  assert.deepEqual(dangling.diagnostics.errors.map(e => e.message),
+    ['color.semantic.fg.muted names $replacement color.semantic.fg.gone, which does not exist']);
+
+  const chained = withDeprecated({});
+  chained.color.semantic.fg.primary.$deprecated = true;
+  assert.deepEqual(engine({ 'base.tokens.json': chained }).diagnostics.warnings.map(w => w.kind), ['deprecated-replacement']);
+
+  const unflagged = withDeprecated({});
+  delete unflagged.color.semantic.fg.muted.$deprecated;
+  const tokens = engine({ 'base.tokens.json': unflagged });
+  assert.deepEqual(tokens.diagnostics.warnings.map(w => w.kind), ['replacement-without-deprecation']);
+  assert.equal(tokens.cssVariables().find(v => v.name === '--t-fg-muted').value, '#868E96');
+});
+
+test('the Token Steward flags deprecated tokens still in use', async () => {
+  const { auditTokenCompliance } = await import('../governance/agents/token-steward.mjs');
+  const deprecations = engine({ 'base.tokens.json': withDeprecated({ deprecatedIn: 'sprint-21' }) }).deprecations();
+
+  const { issues } = auditTokenCompliance('.t-hint { color: var(--t-fg-muted); }\n.t-hint-x { color: var(--t-fg-muted-x); }', 'hint', { deprecations });
+  assert.ok(issues.includes('Deprecated token --t-fg-muted used 1× — migrate to --t-fg-primary before it is removed after sprint-23'));
+
+  const clean = auditTokenCompliance('.t-hint { color: var(--t-fg-primary); }', 'hint', { deprecations });
+  assert.ok(clean.passes.includes('No deprecated token references'));
+});
+
+// ── Density ─────────────────────────────────────────────────────────────────
+
+const DENSE = {
+  spacing: { 1: token('dimension', '4px'), 2: token('dimension', '8px'), 3: token('dimension', '12px') },
+  density: {
+    scale: token('number', 1, { $extensions: { density: { comfortable: 1.15, compact: 0.85 } } }),
+    space: token('dimension', '{spacing.2}', { $extensions: { density: { compact: '{spacing.1}', comfortable: '{spacing.3}' } } })
+  },
+  layout: { gap: token('dimension', '{density.space}') },
+  sizing: { 'touch-target': { min: token('dimension', '44px') } },
+  color: { semantic: { fg: { primary: token('color', '#212529', { $extensions: { mode: { dark: '#E9ECEF' } } }) } } }
+};
+
+const DENSE_CONFIG = {
+  css: { prefix: 't', names: { 'color.semantic': '', spacing: 'space', density: 'density', layout: 'layout', 'sizing.touch-target': 'touch' } },
+  densities: { compact: { selector: '.t-compact' }, default: {}, comfortable: {} }
+};
+
+test('density modes follow the configured order, default included as a reset', () => {
+  const tokens = engine({ 'base.tokens.json': DENSE }, DENSE_CONFIG);
+
+  assert.deepEqual(tokens.densityNames(), ['compact', 'default', 'comfortable']);
+  assert.equal(tokens.densitySelector('compact'), '.t-compact');
+  assert.equal(tokens.densitySelector('comfortable'), '[data-density="comfortable"]');
+  assert.deepEqual(tokens.cssBlocks().map(b => b.selector),
+    [':root', '[data-theme="dark"]', '.t-compact', '[data-density="default"]', '[data-density="comfortable"]']);
+
+  assert.deepEqual(engine({ 'base.tokens.json': BASE }).densityNames(), []);
+});
+
+test('a density block redeclares every density token and its dependants', () => {
+  const tokens = engine({ 'base.tokens.json': DENSE }, DENSE_CONFIG);
+
+  assert.equal(tokens.toCSS({ density: 'compact' }), [
+    '.t-compact {',
+    '  /* --- density --- */',
+    '  --t-density-scale: 0.85;',
+    '  --t-density-space: var(--t-space-1);',
+    '',
+    '  /* --- layout --- */',
+    '  --t-layout-gap: var(--t-density-space);',
+    '}'
+  ].join('\n'));
+  assert.deepEqual(tokens.cssVariables({ density: 'default' }).map(v => `${v.name}: ${v.value}`),
+    ['--t-density-scale: 1', '--t-density-space: var(--t-space-2)', '--t-layout-gap: var(--t-density-space)']);
+});
+
+test('density values resolve against the default theme', () => {
+  const tokens = engine({ 'base.tokens.json': DENSE }, DENSE_CONFIG);
+  const compact = Object.fromEntries(tokens.tokenList({ density: 'compact' }).map(t => [t.path, t.value]));
+
+  assert.equal(compact['layout.gap'], '4px');
+  assert.equal(compact['density.scale'], 0.85);
+  assert.equal(compact['sizing.touch-target.min'], '44px');
+  assert.equal(compact['color.semantic.fg.primary'], '#212529');
+});
+
+test('the shipped tokens define all three densities and keep touch targets at 44px', async () => {
+  const { auditDensity } = await import('../governance/agents/token-steward.mjs');
+  const tokens = loadTokens();
+
+  assert.deepEqual(tokens.densityNames(), ['compact', 'default', 'comfortable']);
+  assert.deepEqual(auditDensity(tokens).issues, []);
+
+  const shrunk = structuredClone(DENSE);
+  shrunk.sizing['touch-target'].min.$extensions = { density: { compact: '2.5rem' } };
+  assert.deepEqual(auditDensity(engine({ 'base.tokens.json': shrunk }, DENSE_CONFIG)).issues, [
+    'Touch targets hold --t-touch-min (44px) at every density, compact included — sizing.touch-target.min is 2.5rem at compact density'
+  ]);
+});
+
+test('the Token Steward wants padding to scale with density and touch targets not to', async () => {
+  const { auditTokenCompliance } = await import('../governance/agents/token-steward.mjs');
+  const audit = (css) => auditTokenCompliance(css, 'row', { deprecations: [] });
+
+  const fixed = audit('.t-row { padding: var(--t-space-2); gap: var(--t-density-space); }');
+  assert.ok(fixed.issues.includes('Padding/gap ignores density (1): padding: var(--t-space-2) — multiply by var(--t-density-scale) or use var(--t-density-space)'));
+
+  const scaled = audit('.t-row { padding: calc(var(--t-space-2) * var(--t-density-scale)); min-height: var(--t-touch-min); }');
+  assert.deepEqual(scaled.issues, []);
+  assert.ok(scaled.passes.includes('Padding and gaps scale with density'));
+
+  const shrinking = audit('.t-row { min-height: calc(var(--t-touch-min) * var(--t-density-scale)); }');
+  assert.deepEqual(shrinking.issues,
+    ['Touch target scales with density (min-height: calc(var(--t-touch-min) * var(--t-density-scale))) — compact density would drop it below 44px']);
+});
@@ -0,0 +1,252 @@
+/**
+ * Token Usage Index — Which components consume which tokens.
+ *
+ * Scans src/components/{name}/{name}.css for var(--t-*) calls and builds a
+ * reverse index (token → components and selectors) alongside the forward one
+ * (component → tokens). Each component's spec `tokens.uses` list is checked
+ * against what the CSS actually calls, since the hand-maintained list drifts.
+ *
+ * tokenImpact() answers "what breaks if I change --t-interactive-default":
+ * direct consumers plus consumers of every token that aliases it.
+ * assessTokenChanges() turns that into Change Registry dependencies and a
+ * breakageRisk for an edit touching several tokens.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { parseCustomPropertyBlocks } from './foundation-sync.mjs';
+import { TOKENS_DIR, loadTokens } from './token-engine.mjs';
+
+const PROJECT_ROOT = resolve(TOKENS_DIR, '..', '..');
+const COMPONENTS_DIR = resolve(PROJECT_ROOT, 'src/components');
+const FOUNDATION_CSS = resolve(PROJECT_ROOT, 'src/library/foundation.css');
+
+const TOKEN_REF = /var\(\s*(--t-[\w-]+)/g;
+
+// Affected component count at which each breakageRisk starts
+const RISK_THRESHOLDS = [[6, 'high'], [3, 'medium'], [1, 'low']];
+
+// Change kinds that break consumers outright rather than restyling them
+const BREAKING_KINDS = new Set(['removed', 'renamed', 'type-changed']);
+
+/**
+ * Find every var(--t-*) call in a stylesheet with the selector it sits under.
+ * At-rule context is kept in the selector, e.g. "@media (…) .c-button".
+ *
+ * @param {string} css
+ * @returns {Array<{ token: string, selector: string }>}
+ */
+export function scanTokenRefs(css) {
+  const refs = [];
+  const stack = [];
+  const stripped = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  let segmentStart = 0;
+
+  const collect = (text) => {
+    if (!stack.length) return;
+    const selector = stack.join(' ');
+    for (const match of text.matchAll(TOKEN_REF)) {
+      refs.push({ token: match[1], selector });
+    }
+  };
+
+  for (let i = 0; i < stripped.length; i++) {
+    const ch = stripped[i];
+    if (ch !== '{' && ch !== '}') continue;
+
+    const segment = stripped.slice(segmentStart, i);
+    if (ch === '{') {
+      // Declarations before a nested rule belong to the enclosing block
+      const cut = segment.lastIndexOf(';');
+      collect(segment.slice(0, cut + 1));
+      stack.push(segment.slice(cut + 1).trim().replace(/\s+/g, ' '));
+    } else {
+      collect(segment);
+      stack.pop();
+    }
+    segmentStart = i + 1;
+  }
+  return refs;
+}
+
+/**
+ * Every --t-* property foundation.css declares, with the tokens each one reads.
+ * Covers generated and hand-authored (composed) properties across all themes.
+ *
+ * @returns {Map<string, Set<string>>} --name → names its value references
+ */
+function foundationGraph() {
+  const graph = new Map();
+  if (!existsSync(FOUNDATION_CSS)) return graph;
+  for (const props of parseCustomPropertyBlocks(readFileSync(FOUNDATION_CSS, 'utf-8')).values()) {
+    for (const [name, value] of props) {
+      if (!name.startsWith('--t-')) continue;
+      const refs = graph.get(name) || new Set();
+      for (const match of value.matchAll(TOKEN_REF)) refs.add(match[1]);
+      graph.set(name, refs);
+    }
+  }
+  return graph;
+}
+
+/**
+ * Build the usage index across every component.
+ *
+ * @returns {{
+ *   generatedAt: string,
+ *   tokens: Object<string, Array<{ component: string, selector: string }>>,
+ *   components: Object<string, {
+ *     tokens: string[], declared: string[],
+ *     unused: string[], undeclared: string[], undefined: string[]
+ *   }>
+ * }}
+ */
+export function buildUsageIndex() {
+  const defined = foundationGraph();
+  const tokens = {};
+  const components = {};
+
+  const names = existsSync(COMPONENTS_DIR)
+    ? readdirSync(COMPONENTS_DIR, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name).sort()
+    : [];
+
+  for (const name of names) {
+    const cssPath = resolve(COMPONENTS_DIR, name, `${name}.css`);
+    if (!existsSync(cssPath)) continue;
+
+    const refs = scanTokenRefs(readFileSync(cssPath, 'utf-8'));
+    for (const { token, selector } of refs) {
+      tokens[token] ??= [];
+      if (!tokens[token].some(u => u.component === name && u.selector === selector)) {
+        tokens[token].push({ component: name, selector });
+      }
+    }
+
+    let declared = [];
+    const specPath = resolve(COMPONENTS_DIR, name, `${name}.spec.json`);
+    if (existsSync(specPath)) {
+      try {
+        declared = JSON.parse(readFileSync(specPath, 'utf-8')).tokens?.uses || [];
+      } catch {
+        declared = []; // unreadable spec — report everything as undeclared
+      }
+    }
+
+    const used = [...new Set(refs.map(r => r.token))].sort();
+    components[name] = {
+      tokens: used,
+      declared,
+      unused: declared.filter(t => !used.includes(t)),
+      undeclared: used.filter(t => !declared.includes(t)),
+      undefined: used.filter(t => !defined.has(t))
+    };
+  }
+
+  return { generatedAt: new Date().toISOString(), tokens, components };
+}
+
+/**
+ * What a change to one token reaches: components that call it directly and
+ * components that call any token aliasing it (transitively).
+ *
+ * @param {string} token - CSS name (--t-interactive-default) or token path
+ * @param {ReturnType<typeof buildUsageIndex>} [index]
+ * @param {ReturnType<typeof loadTokens>} [engine] - Pass one in when assessing several tokens
+ * @param {Map<string, Set<string>>} [graph] - foundation.css references, likewise
+ * @returns {{
+ *   token: string, path: string|null, defined: boolean,
+ *   direct: Array<{ component: string, selector: string }>,
+ *   via: Array<{ token: string, uses: Array<{ component: string, selector: string }> }>,
+ *   dependants: string[],
+ *   components: string[]
+ * }}
+ */
+export function tokenImpact(token, index = buildUsageIndex(), engine = loadTokens(), graph = foundationGraph()) {
+  const name = token.startsWith('--') ? token : engine.cssName(token);
+  const path = engine.cssVariables().find(v => v.name === name)?.path || (token.startsWith('--') ? null : token);
+
+  // Walk dependants: every property whose value (eventually) reads this one
+  const dependants = new Set();
+  const queue = [name];
+  while (queue.length) {
+    const current = queue.shift();
+    for (const [prop, refs] of graph) {
+      if (refs.has(current) && !dependants.has(prop) && prop !== name) {
+        dependants.add(prop);
+        queue.push(prop);
+      }
+    }
+  }
+
+  const direct = index.tokens[name] || [];
+  const via = [...dependants]
+    .filter(t => index.tokens[t]?.length)
+    .map(t => ({ token: t, uses: index.tokens[t] }));
+
+  return {
+    token: name,
+    path,
+    defined: graph.has(name),
+    direct,
+    via,
+    dependants: [...dependants],
+    components: [...new Set([...direct, ...via.flatMap(v => v.uses)].map(u => u.component))].sort()
+  };
+}
+
+/**
+ * Work out what an edit to several tokens reaches, in Change Registry terms.
+ *
+ * Upstream lists the edited tokens (CSS name and path, so traceBreakage()
+ * finds the record by either). Downstream lists the component CSS files and
+ * the tokens that alias the edited ones. breakageRisk scales with the number
+ * of affected components; removing, renaming or retyping a token that
+ * anything consumes is always high.
+ *
+ * @param {Array<{ token: string, kind?: string }>} changes - Names (--t-*) or paths
+ * @param {ReturnType<typeof buildUsageIndex>} [index]
+ * @returns {{
+ *   dependencies: { upstream: string[], downstream: string[] },
+ *   breakageRisk: 'none' | 'low' | 'medium' | 'high',
+ *   impact: Array<{ token: string, kind?: string, components: string[] }>
+ * }}
+ */
+export function assessTokenChanges(changes, index = buildUsageIndex()) {
+  const upstream = new Set();
+  const components = new Set();
+  const tokens = new Set();
+  const impact = [];
+  let breaking = false;
+
+  // Loaded once for the whole edit, not once per token
+  const engine = loadTokens();
+  const graph = foundationGraph();
+
+  for (const { token, kind } of changes) {
+    const result = tokenImpact(token, index, engine, graph);
+    if (!result.token) continue; // path with no CSS name (excluded from output)
+
+    upstream.add(result.token);
+    if (result.path) upstream.add(result.path);
+    result.dependants.forEach(t => tokens.add(t));
+    result.components.forEach(c => components.add(c));
+    if (BREAKING_KINDS.has(kind) && result.components.length > 0) breaking = true;
+    impact.push({ token: result.token, ...(kind ? { kind } : {}), components: result.components });
+  }
+
+  const count = components.size;
+  const breakageRisk = breaking ? 'high' : (RISK_THRESHOLDS.find(([min]) => count >= min)?.[1] || 'none');
+
+  return {
+    dependencies: {
+      upstream: [...upstream],
+      downstream: [
+        ...[...components].sort().map(c => `src/components/${c}/${c}.css`),
+        ...[...tokens].filter(t => !upstream.has(t))
+      ]
+    },
+    breakageRisk,
+    impact
+  };
+}
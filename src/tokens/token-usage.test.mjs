@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { scanTokenRefs, buildUsageIndex, tokenImpact, assessTokenChanges } from './token-usage.mjs';
+
+const index = buildUsageIndex();
+
+test('token calls are found with the selector they sit under', () => {
+  const css = `
+    /* var(--t-commented-out) */
+    .t-chip {
+      padding: var(--t-space-2) var( --t-space-3 );
+      color: var(--t-fg-primary, var(--t-fg-secondary));
+      &:hover { background: var(--t-bg-secondary); }
+      border-color: var(--t-border-default);
+    }
+    @media (prefers-reduced-motion: reduce) {
+      .t-chip { transition-duration: var(--t-duration-instant); }
+    }
+    .t-chip__label { font: inherit; }
+  `;
+
+  assert.deepEqual(scanTokenRefs(css), [
+    { token: '--t-space-2', selector: '.t-chip' },
+    { token: '--t-space-3', selector: '.t-chip' },
+    { token: '--t-fg-primary', selector: '.t-chip' },
+    { token: '--t-fg-secondary', selector: '.t-chip' },
+    { token: '--t-bg-secondary', selector: '.t-chip &:hover' },
+    { token: '--t-border-default', selector: '.t-chip' },
+    { token: '--t-duration-instant', selector: '@media (prefers-reduced-motion: reduce) .t-chip' }
+  ]);
+});
+
+test('the reverse index lists each consumer of a token', () => {
+  assert.deepEqual(index.tokens['--t-icon-lg'], [{ component: 'toast', selector: '.t-toast__icon' }]);
+
+  for (const [token, uses] of Object.entries(index.tokens)) {
+    for (const { component } of uses) assert.ok(index.components[component].tokens.includes(token), `${component} → ${token}`);
+  }
+  for (const [component, { tokens }] of Object.entries(index.components)) {
+    for (const token of tokens) assert.ok(index.tokens[token].some(u => u.component === component), `${token} ← ${component}`);
+  }
+});
+
+test('spec drift compares tokens.uses with the CSS', () => {
+  for (const [component, { tokens, declared, unused, undeclared }] of Object.entries(index.components)) {
+    assert.deepEqual(tokens, [...tokens].sort(), component);
+    assert.deepEqual(unused, declared.filter(t => !tokens.includes(t)), component);
+    assert.deepEqual(undeclared, tokens.filter(t => !declared.includes(t)), component);
+  }
+});
+
+test('every token a component calls is declared in foundation.css', () => {
+  for (const [component, entry] of Object.entries(index.components)) {
+    assert.deepEqual(entry.undefined, [], component);
+  }
+});
+
+// ── Impact ──────────────────────────────────────────────────────────────────
+
+/** A usage index from token → the components that call it. */
+function usage(calls) {
+  const tokens = {};
+  for (const [token, components] of Object.entries(calls)) {
+    tokens[token] = components.map(component => ({ component, selector: `.t-${component}` }));
+  }
+  return { tokens, components: {} };
+}
+
+test('a token reaches its direct consumers and the consumers of its aliases', () => {
+  const calls = usage({ '--t-raw-blue-600': ['legacy'], '--t-fg-link': ['link'], '--t-interactive-default': ['button', 'tabs'] });
+
+  const impact = tokenImpact('color.primitive.blue.600', calls);
+
+  assert.equal(impact.token, '--t-raw-blue-600');
+  assert.equal(impact.path, 'color.primitive.blue.600');
+  assert.equal(impact.defined, true);
+  assert.deepEqual(impact.direct, [{ component: 'legacy', selector: '.t-legacy' }]);
+  assert.ok(impact.dependants.includes('--t-fg-link') && impact.dependants.includes('--t-interactive-default'));
+  assert.deepEqual(impact.via.map(v => v.token).sort(), ['--t-fg-link', '--t-interactive-default']);
+  assert.deepEqual(impact.components, ['button', 'legacy', 'link', 'tabs']);
+
+  const unknown = tokenImpact('--t-nope', calls);
+  assert.equal(unknown.defined, false);
+  assert.deepEqual(unknown.components, []);
+});
+
+test('breakage risk scales with the components an edit reaches', () => {
+  const reach = (n) => usage({ '--t-icon-lg': Array.from({ length: n }, (_, i) => `c${i}`) });
+  const risk = (n, kind) => assessTokenChanges([{ token: '--t-icon-lg', kind }], reach(n)).breakageRisk;
+
+  assert.deepEqual([0, 1, 2, 3, 5, 6].map(n => risk(n, 'value-changed')), ['none', 'low', 'low', 'medium', 'medium', 'high']);
+  // Removing, renaming or retyping a token anything calls breaks it outright
+  assert.equal(risk(1, 'removed'), 'high');
+  assert.equal(risk(1, 'renamed'), 'high');
+  assert.equal(risk(0, 'removed'), 'none');
+});
+
+test('an edit is described as Change Registry dependencies', () => {
+  const calls = usage({ '--t-interactive-default': ['button'], '--t-icon-lg': ['toast'] });
+
+  const { dependencies, impact } = assessTokenChanges([
+    { token: 'color.semantic.interactive.default', kind: 'value-changed' },
+    { token: '--t-icon-lg' },
+    { token: 'typography.variableAxes.wght' }
+  ], calls);
+
+  assert.deepEqual(dependencies.upstream, ['--t-interactive-default', 'color.semantic.interactive.default', '--t-icon-lg', 'sizing.icon.lg']);
+  assert.deepEqual(dependencies.downstream.slice(0, 2), ['src/components/button/button.css', 'src/components/toast/toast.css']);
+  assert.deepEqual(impact, [
+    { token: '--t-interactive-default', kind: 'value-changed', components: ['button'] },
+    { token: '--t-icon-lg', components: ['toast'] }
+  ]);
+});